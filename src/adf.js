@@ -0,0 +1,741 @@
+// Builders, converters and helpers for the Atlassian Document Format used by the v3 REST API
+// https://developer.atlassian.com/cloud/jira/platform/apis/document/structure/
+
+/**
+ * @name text
+ * @function
+ * @param {string} value - the text
+ * @param {array} [marks] - marks such as `{ type: 'strong' }`
+ */
+export function text(value, marks) {
+  const node = { type: 'text', text: value };
+  if (marks && marks.length > 0) node.marks = marks;
+  return node;
+}
+
+function inlineContent(content) {
+  return content.map((x) => (typeof x === 'string' ? text(x) : x));
+}
+
+/**
+ * @name strong
+ * @function
+ * @param {string} value
+ */
+export function strong(value) {
+  return text(value, [{ type: 'strong' }]);
+}
+
+/**
+ * @name em
+ * @function
+ * @param {string} value
+ */
+export function em(value) {
+  return text(value, [{ type: 'em' }]);
+}
+
+/**
+ * @name code
+ * @function
+ * Inline code
+ * @param {string} value
+ */
+export function code(value) {
+  return text(value, [{ type: 'code' }]);
+}
+
+/**
+ * @name strike
+ * @function
+ * @param {string} value
+ */
+export function strike(value) {
+  return text(value, [{ type: 'strike' }]);
+}
+
+/**
+ * @name link
+ * @function
+ * @param {string} value - the link text
+ * @param {string} href - the target url
+ */
+export function link(value, href) {
+  return text(value, [{ type: 'link', attrs: { href } }]);
+}
+
+/**
+ * @name isSafeHref
+ * @function
+ * Whether a link target is safe to render as HTML: an http, https or mailto url, or a relative
+ * one. Rich text is written by users, so a javascript: link would run in the page showing it.
+ * @param {string} href - the target url
+ */
+export function isSafeHref(href) {
+  if (typeof href !== 'string') return false;
+  // Browsers skip control characters and spaces when reading the scheme
+  const compact = href.split('').filter((x) => x.charCodeAt(0) > 0x20 && x !== '\u007f').join('');
+  const scheme = /^([a-z][a-z\d+.-]*):/i.exec(compact);
+  return !scheme || ['http', 'https', 'mailto'].includes(scheme[1].toLowerCase());
+}
+
+/**
+ * @name mention
+ * @function
+ * @param {string} id - account id of the mentioned user
+ * @param {string} [displayText] - text shown for the mention, ie @John Smith
+ */
+export function mention(id, displayText) {
+  return { type: 'mention', attrs: displayText ? { id, text: displayText } : { id } };
+}
+
+/**
+ * @name mentionFromReference
+ * @function
+ * Builds a mention from the text between `[~` and `]` in Markdown or wiki markup: either
+ * `accountid:ID` or, as on Jira Server, a username
+ * @param {string} reference
+ */
+export function mentionFromReference(reference) {
+  const match = /^accountid:(.+)$/.exec(reference);
+  return match ? mention(match[1]) : mention(reference, `@${reference}`);
+}
+
+/**
+ * @name mentionReference
+ * @function
+ * The reverse of mentionFromReference
+ * @param {object} node - a mention node
+ */
+export function mentionReference(node) {
+  const { id, text: displayText } = node.attrs;
+  return displayText === `@${id}` ? id : `accountid:${id}`;
+}
+
+/**
+ * @name hardBreak
+ * @function
+ */
+export function hardBreak() {
+  return { type: 'hardBreak' };
+}
+
+/**
+ * @name paragraph
+ * @function
+ * Strings are turned into text nodes.
+ * @param {...(object|string)} content - inline nodes
+ */
+export function paragraph(...content) {
+  return { type: 'paragraph', content: inlineContent(content) };
+}
+
+function blockContent(content) {
+  return content.map((x) => (typeof x === 'string' ? paragraph(x) : x));
+}
+
+/**
+ * @name doc
+ * @function
+ * The root node of a document. Strings are wrapped in paragraphs.
+ * @param {...(object|string)} content - block nodes
+ */
+export function doc(...content) {
+  return { type: 'doc', version: 1, content: blockContent(content) };
+}
+
+/**
+ * @name heading
+ * @function
+ * @param {number} level - 1 to 6
+ * @param {...(object|string)} content - inline nodes
+ */
+export function heading(level, ...content) {
+  return { type: 'heading', attrs: { level }, content: inlineContent(content) };
+}
+
+/**
+ * @name listItem
+ * @function
+ * Strings are wrapped in paragraphs.
+ * @param {...(object|string)} content - block nodes, ie a paragraph followed by a nested list
+ */
+export function listItem(...content) {
+  return { type: 'listItem', content: blockContent(content) };
+}
+
+function listItems(items) {
+  return items.map((x) => (x && x.type === 'listItem' ? x : listItem(x)));
+}
+
+/**
+ * @name bulletList
+ * @function
+ * @param {...(object|string)} items - list items, or their content
+ */
+export function bulletList(...items) {
+  return { type: 'bulletList', content: listItems(items) };
+}
+
+/**
+ * @name orderedList
+ * @function
+ * @param {...(object|string)} items - list items, or their content
+ */
+export function orderedList(...items) {
+  return { type: 'orderedList', content: listItems(items) };
+}
+
+/**
+ * @name codeBlock
+ * @function
+ * @param {string} value - the code
+ * @param {string} [language] - language used for highlighting
+ */
+export function codeBlock(value, language) {
+  const node = { type: 'codeBlock', content: value ? [text(value)] : [] };
+  if (language) node.attrs = { language };
+  return node;
+}
+
+/**
+ * @name blockquote
+ * @function
+ * @param {...(object|string)} content - block nodes
+ */
+export function blockquote(...content) {
+  return { type: 'blockquote', content: blockContent(content) };
+}
+
+/**
+ * @name rule
+ * @function
+ * A horizontal rule
+ */
+export function rule() {
+  return { type: 'rule' };
+}
+
+/**
+ * @name panel
+ * @function
+ * @param {string} panelType - info, note, warning, success or error
+ * @param {...(object|string)} content - block nodes
+ */
+export function panel(panelType, ...content) {
+  return { type: 'panel', attrs: { panelType }, content: blockContent(content) };
+}
+
+/**
+ * @name tableCell
+ * @function
+ * @param {...(object|string)} content - block nodes
+ */
+export function tableCell(...content) {
+  return { type: 'tableCell', content: blockContent(content) };
+}
+
+/**
+ * @name tableHeader
+ * @function
+ * @param {...(object|string)} content - block nodes
+ */
+export function tableHeader(...content) {
+  return { type: 'tableHeader', content: blockContent(content) };
+}
+
+/**
+ * @name tableRow
+ * @function
+ * @param {...object} cells - tableCell or tableHeader nodes
+ */
+export function tableRow(...cells) {
+  return { type: 'tableRow', content: cells };
+}
+
+/**
+ * @name table
+ * @function
+ * Builds a table from rows of cell contents. With `header`, the first row is made of header
+ * cells.
+ * @param {array[]} rows - an array of rows, each an array of cell contents
+ * @param {object} [options]
+ * @param {boolean} [options.header=true] - whether the first row is a header row
+ */
+export function table(rows, { header = true } = {}) {
+  return {
+    type: 'table',
+    content: rows.map((cells, index) => tableRow(...cells.map((cell) => (
+      header && index === 0 ? tableHeader(cell) : tableCell(cell)
+    )))),
+  };
+}
+
+/**
+ * @name isAdf
+ * @function
+ * Whether a value is an ADF document
+ * @param {*} value
+ */
+export function isAdf(value) {
+  return Boolean(value) && typeof value === 'object' && value.type === 'doc';
+}
+
+/* Markdown to ADF */
+
+// Link targets may hold balanced parentheses, ie [x](https://en.wikipedia.org/wiki/A_(B)). Links
+// to other schemes than http, https and mailto keep their text only. Emphasis does not start or
+// end inside a word, so snake_case_words stay as they are.
+const INLINE_PATTERNS = [
+  { regex: /\\([\\`*_{}[\]()#+\-.!~|>])/, node: (m) => [text(m[1])] },
+  { regex: /`([^`]+)`/, node: (m) => [code(m[1])] },
+  { regex: /\[~([^\]\s]+)\]/, node: (m) => [mentionFromReference(m[1])] },
+  {
+    regex: /\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/,
+    mark: (m) => (isSafeHref(m[2]) ? { type: 'link', attrs: { href: m[2] } } : null),
+    inner: 1,
+  },
+  {
+    regex: /(?<![\w\\])(\*\*|__)(?=\S)([\s\S]*?\S)\1(?!\w)/,
+    mark: () => ({ type: 'strong' }),
+    inner: 2,
+  },
+  { regex: /~~(?=\S)([\s\S]*?\S)~~/, mark: () => ({ type: 'strike' }), inner: 1 },
+  {
+    regex: /(?<![\w\\])(\*|_)(?=\S)([\s\S]*?\S)\1(?!\w)/,
+    mark: () => ({ type: 'em' }),
+    inner: 2,
+  },
+];
+
+function withMark(nodes, mark) {
+  if (!mark) return nodes;
+  return nodes.map((node) => {
+    if (node.type !== 'text') return node;
+    const marks = node.marks || [];
+    if (marks.some((x) => x.type === 'code') && mark.type !== 'link') return node;
+    return { ...node, marks: [...marks, mark] };
+  });
+}
+
+function sameMarks(a, b) {
+  return JSON.stringify(a.marks || []) === JSON.stringify(b.marks || []);
+}
+
+function mergeText(nodes) {
+  return nodes.reduce((merged, node) => {
+    const last = merged[merged.length - 1];
+    if (last && last.type === 'text' && node.type === 'text' && sameMarks(last, node)) {
+      return [...merged.slice(0, -1), { ...last, text: last.text + node.text }];
+    }
+    return [...merged, node];
+  }, []);
+}
+
+function parseInline(value) {
+  if (!value) return [];
+
+  let earliest = null;
+  INLINE_PATTERNS.forEach((pattern) => {
+    const match = pattern.regex.exec(value);
+    if (match && (!earliest || match.index < earliest.match.index)) {
+      earliest = { pattern, match };
+    }
+  });
+
+  if (!earliest) return [text(value)];
+
+  const { pattern, match } = earliest;
+  const before = value.slice(0, match.index);
+  const after = value.slice(match.index + match[0].length);
+  const nodes = pattern.node
+    ? pattern.node(match)
+    : withMark(parseInline(match[pattern.inner]), pattern.mark(match));
+
+  return mergeText([...(before ? [text(before)] : []), ...nodes, ...parseInline(after)]);
+}
+
+function parseInlineLines(lines) {
+  return lines.reduce((nodes, line, index) => [
+    ...nodes,
+    ...(index > 0 ? [hardBreak()] : []),
+    ...parseInline(line.trim()),
+  ], []);
+}
+
+const FENCE = /^\s*```\s*([\w+#-]*)\s*$/;
+const HEADING = /^\s*(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const QUOTE = /^\s*>\s?(.*)$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+function isBlank(line) {
+  return /^\s*$/.test(line);
+}
+
+function indentation(line) {
+  return line.match(/^\s*/)[0].length;
+}
+
+function tableCells(line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|')
+    .map((x) => x.trim());
+}
+
+function startsBlock(lines, index) {
+  const line = lines[index];
+  return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line)
+    || LIST_ITEM.test(line)
+    || (line.includes('|') && index + 1 < lines.length && TABLE_SEPARATOR.test(lines[index + 1]));
+}
+
+// Items hold blocks of their own, parsed with parseBlocks, which in turn parses lists
+function parseList(lines, start, parseItem) {
+  const first = LIST_ITEM.exec(lines[start]);
+  const indent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const items = [];
+  let index = start;
+
+  while (index < lines.length) {
+    const match = LIST_ITEM.exec(lines[index]);
+    if (!match || match[1].length !== indent || /\d/.test(match[2]) !== ordered) break;
+
+    const contentColumn = match[0].length - match[3].length;
+    const itemLines = [match[3]];
+    index += 1;
+    while (index < lines.length && !isBlank(lines[index]) && indentation(lines[index]) > indent) {
+      const dedent = Math.min(contentColumn, indentation(lines[index]));
+      itemLines.push(lines[index].slice(dedent));
+      index += 1;
+    }
+    items.push(listItem(...parseItem(itemLines)));
+  }
+
+  const node = ordered ? orderedList(...items) : bulletList(...items);
+  const order = parseInt(first[2], 10);
+  if (ordered && order !== 1) node.attrs = { order };
+  return { node, next: index };
+}
+
+function parseBlocks(lines) {
+  const blocks = [];
+  let index = 0;
+
+  while (index < lines.length) {
+    const line = lines[index];
+    const fence = FENCE.exec(line);
+    const title = HEADING.exec(line);
+
+    if (isBlank(line)) {
+      index += 1;
+    } else if (fence) {
+      const codeLines = [];
+      index += 1;
+      while (index < lines.length && !/^\s*```\s*$/.test(lines[index])) {
+        codeLines.push(lines[index]);
+        index += 1;
+      }
+      blocks.push(codeBlock(codeLines.join('\n'), fence[1]));
+      index += 1;
+    } else if (title) {
+      blocks.push(heading(title[1].length, ...parseInline(title[2])));
+      index += 1;
+    } else if (RULE.test(line)) {
+      blocks.push(rule());
+      index += 1;
+    } else if (QUOTE.test(line)) {
+      const quoted = [];
+      while (index < lines.length && QUOTE.test(lines[index])) {
+        quoted.push(QUOTE.exec(lines[index])[1]);
+        index += 1;
+      }
+      blocks.push(blockquote(...parseBlocks(quoted)));
+    } else if (LIST_ITEM.test(line)) {
+      const list = parseList(lines, index, parseBlocks);
+      blocks.push(list.node);
+      index = list.next;
+    } else if (line.includes('|') && index + 1 < lines.length && TABLE_SEPARATOR.test(lines[index + 1])) {
+      const rows = [tableCells(line)];
+      index += 2;
+      while (index < lines.length && lines[index].includes('|') && !isBlank(lines[index])) {
+        rows.push(tableCells(lines[index]));
+        index += 1;
+      }
+      blocks.push({
+        type: 'table',
+        content: rows.map((cells, rowIndex) => tableRow(...cells.map((cell) => {
+          const content = paragraph(...parseInline(cell));
+          return rowIndex === 0 ? tableHeader(content) : tableCell(content);
+        }))),
+      });
+    } else {
+      const paragraphLines = [line];
+      index += 1;
+      while (index < lines.length && !isBlank(lines[index]) && !startsBlock(lines, index)) {
+        paragraphLines.push(lines[index]);
+        index += 1;
+      }
+      blocks.push(paragraph(...parseInlineLines(paragraphLines)));
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * @name markdownToAdf
+ * @function
+ * Converts Markdown to an ADF document. Supports headings, paragraphs, emphasis, strong,
+ * strikethrough, inline code, links, fenced code blocks, nested bullet and ordered lists,
+ * blockquotes, tables, horizontal rules and `[~accountid:ID]` or `[~username]` mentions. Single
+ * line breaks are kept as hard breaks.
+ * @param {string} markdown
+ */
+export function markdownToAdf(markdown) {
+  const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+  return doc(...parseBlocks(lines));
+}
+
+/* ADF to Markdown and plain text */
+
+function escapeMarkdown(value) {
+  return value.replace(/([\\`*_[\]~])/g, '\\$1');
+}
+
+function renderMarkedText(node) {
+  const marks = node.marks || [];
+  const has = (type) => marks.some((x) => x.type === type);
+  let value = has('code') ? `\`${node.text}\`` : escapeMarkdown(node.text);
+
+  if (has('em')) value = `*${value}*`;
+  if (has('strong')) value = `**${value}**`;
+  if (has('strike')) value = `~~${value}~~`;
+  const linkMark = marks.find((x) => x.type === 'link');
+  if (linkMark) value = `[${value}](${linkMark.attrs.href})`;
+  return value;
+}
+
+function renderInline(nodes = []) {
+  return nodes.map((node) => {
+    switch (node.type) {
+      case 'text': return renderMarkedText(node);
+      case 'hardBreak': return '\n';
+      case 'mention': return `[~${mentionReference(node)}]`;
+      case 'emoji': return node.attrs.text || node.attrs.shortName;
+      case 'inlineCard': return node.attrs.url;
+      case 'status': return node.attrs.text;
+      case 'date': return new Date(Number(node.attrs.timestamp)).toISOString().slice(0, 10);
+      default: return renderInline(node.content);
+    }
+  }).join('');
+}
+
+function prefixLines(value, first, rest) {
+  return value.split('\n').map((line, index) => (index === 0 ? first : rest) + line).join('\n');
+}
+
+function renderTable(node) {
+  const rows = node.content.map((row) => row.content.map((cell) => (
+    renderInline((cell.content || []).reduce((all, x) => all.concat(x.content || []), []))
+      .replace(/\n/g, ' ')
+      .replace(/\|/g, '\\|')
+  )));
+  const width = Math.max(...rows.map((x) => x.length));
+  const line = (cells) => `| ${[...cells, ...Array(width - cells.length).fill('')].join(' | ')} |`;
+
+  return [line(rows[0]), line(Array(width).fill('---')), ...rows.slice(1).map(line)].join('\n');
+}
+
+function joinBlocks(nodes, render) {
+  return (nodes || []).map(render).filter((x) => x !== '').join('\n\n');
+}
+
+function renderBlock(node) {
+  switch (node.type) {
+    case 'paragraph': return renderInline(node.content);
+    case 'heading': return `${'#'.repeat(node.attrs.level)} ${renderInline(node.content)}`;
+    case 'codeBlock': {
+      const language = (node.attrs && node.attrs.language) || '';
+      const value = (node.content || []).map((x) => x.text).join('');
+      return `\`\`\`${language}\n${value}\n\`\`\``;
+    }
+    case 'rule': return '---';
+    case 'blockquote':
+    case 'panel':
+      return prefixLines(joinBlocks(node.content, renderBlock), '> ', '> ');
+    case 'bulletList':
+    case 'orderedList': {
+      const start = (node.attrs && node.attrs.order) || 1;
+      return node.content.map((item, index) => {
+        const marker = node.type === 'orderedList' ? `${start + index}. ` : '- ';
+        const body = item.content.map(renderBlock).join('\n');
+        return prefixLines(body, marker, ' '.repeat(marker.length));
+      }).join('\n');
+    }
+    case 'table': return renderTable(node);
+    case 'mediaSingle':
+    case 'mediaGroup':
+      return '';
+    default: return joinBlocks(node.content, renderBlock);
+  }
+}
+
+function renderBlocks(nodes = []) {
+  return joinBlocks(nodes, renderBlock);
+}
+
+/**
+ * @name adfToMarkdown
+ * @function
+ * Converts an ADF document to Markdown, the reverse of markdownToAdf. Panels are rendered as
+ * blockquotes and media is left out.
+ * @param {object} document - an ADF document, or a string which is returned as is
+ */
+export function adfToMarkdown(document) {
+  if (!isAdf(document)) return document;
+  return renderBlocks(document.content);
+}
+
+function plainInline(nodes = []) {
+  return nodes.map((node) => {
+    switch (node.type) {
+      case 'text': return node.text;
+      case 'hardBreak': return '\n';
+      case 'mention': return node.attrs.text || node.attrs.id;
+      case 'emoji': return node.attrs.text || node.attrs.shortName;
+      case 'inlineCard': return node.attrs.url;
+      case 'status': return node.attrs.text;
+      default: return plainInline(node.content);
+    }
+  }).join('');
+}
+
+function plainBlock(node) {
+  switch (node.type) {
+    case 'paragraph':
+    case 'heading':
+      return plainInline(node.content);
+    case 'codeBlock': return (node.content || []).map((x) => x.text).join('');
+    case 'rule': return '';
+    case 'bulletList':
+    case 'orderedList':
+      return node.content.map((item) => prefixLines(
+        item.content.map(plainBlock).join('\n'),
+        '- ',
+        '  ',
+      )).join('\n');
+    case 'table':
+      return node.content.map((row) => row.content.map((cell) => (
+        (cell.content || []).map(plainBlock).join(' ')
+      )).join('\t')).join('\n');
+    default: return (node.content || []).map(plainBlock).filter((x) => x !== '').join('\n');
+  }
+}
+
+/**
+ * @name adfToText
+ * @function
+ * Extracts the plain text of an ADF document, one line per paragraph
+ * @param {object} document - an ADF document, or a string which is returned as is
+ */
+export function adfToText(document) {
+  if (!isAdf(document)) return document;
+  return document.content.map(plainBlock).filter((x) => x !== '').join('\n');
+}
+
+/* ADF to HTML */
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const MARK_TAGS = {
+  code: 'code',
+  em: 'em',
+  strong: 'strong',
+  strike: 's',
+  underline: 'u',
+};
+
+function htmlMarkedText(node) {
+  return (node.marks || []).reduce((value, mark) => {
+    if (mark.type === 'link') {
+      return isSafeHref(mark.attrs.href) ? `<a href="${escapeHtml(mark.attrs.href)}">${value}</a>` : value;
+    }
+    if (mark.type === 'subsup') return `<${mark.attrs.type}>${value}</${mark.attrs.type}>`;
+    const tag = MARK_TAGS[mark.type];
+    return tag ? `<${tag}>${value}</${tag}>` : value;
+  }, escapeHtml(node.text));
+}
+
+function htmlInline(nodes = []) {
+  return nodes.map((node) => {
+    switch (node.type) {
+      case 'text': return htmlMarkedText(node);
+      case 'hardBreak': return '<br>';
+      case 'mention':
+        return `<span class="mention" data-id="${escapeHtml(node.attrs.id)}">${
+          escapeHtml(node.attrs.text || `@${node.attrs.id}`)}</span>`;
+      case 'emoji': return escapeHtml(node.attrs.text || node.attrs.shortName);
+      case 'inlineCard': {
+        const url = escapeHtml(node.attrs.url);
+        return isSafeHref(node.attrs.url) ? `<a href="${url}">${url}</a>` : url;
+      }
+      case 'status': return escapeHtml(node.attrs.text);
+      default: return htmlInline(node.content);
+    }
+  }).join('');
+}
+
+function htmlBlock(node) {
+  const inner = () => (node.content || []).map(htmlBlock).join('');
+
+  switch (node.type) {
+    case 'paragraph': return `<p>${htmlInline(node.content)}</p>`;
+    case 'heading': return `<h${node.attrs.level}>${htmlInline(node.content)}</h${node.attrs.level}>`;
+    case 'codeBlock': {
+      const language = node.attrs && node.attrs.language;
+      const value = escapeHtml((node.content || []).map((x) => x.text).join(''));
+      return language
+        ? `<pre><code class="language-${escapeHtml(language)}">${value}</code></pre>`
+        : `<pre><code>${value}</code></pre>`;
+    }
+    case 'rule': return '<hr>';
+    case 'blockquote': return `<blockquote>${inner()}</blockquote>`;
+    case 'panel': return `<div class="panel panel-${escapeHtml(node.attrs.panelType)}">${inner()}</div>`;
+    case 'bulletList': return `<ul>${inner()}</ul>`;
+    case 'orderedList': {
+      const order = node.attrs && node.attrs.order;
+      return order && order !== 1
+        ? `<ol start="${escapeHtml(order)}">${inner()}</ol>`
+        : `<ol>${inner()}</ol>`;
+    }
+    case 'listItem': return `<li>${inner()}</li>`;
+    case 'table': return `<table>${inner()}</table>`;
+    case 'tableRow': return `<tr>${inner()}</tr>`;
+    case 'tableHeader': return `<th>${inner()}</th>`;
+    case 'tableCell': return `<td>${inner()}</td>`;
+    case 'mediaSingle':
+    case 'mediaGroup':
+      return '';
+    default: return inner();
+  }
+}
+
+/**
+ * @name adfToHtml
+ * @function
+ * Renders an ADF document as an HTML fragment. Panels become `div.panel.panel-<type>` and
+ * mentions `span.mention` elements.
+ * @param {object} document - an ADF document, or a string which is returned as is
+ */
+export function adfToHtml(document) {
+  if (!isAdf(document)) return document;
+  return document.content.map(htmlBlock).join('');
+}
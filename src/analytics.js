@@ -0,0 +1,204 @@
+import BusinessCalendar from './calendar';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef FlowOptions
+ * @type {object}
+ * @property {string[]} [startStatuses] - statuses that start the cycle, by name. By default, the
+ * statuses of the startCategory.
+ * @property {string[]} [endStatuses] - statuses that end it, by name. By default, the statuses
+ * of the endCategory.
+ * @property {string} [startCategory=indeterminate] - key of the status category that starts the
+ * cycle
+ * @property {string} [endCategory=done] - key of the status category that ends it
+ * @property {BusinessCalendar|BusinessCalendarOptions} [calendar] - count working hours only.
+ * Durations are elapsed time without it.
+ * @property {Date|string|number} [now] - when the current status is measured up to, now by default
+ */
+
+/**
+ * @typedef IssueFlow
+ * @type {object}
+ * @property {string} key - the issue
+ * @property {string} created - when it was created
+ * @property {string} started - when its cycle started, null if it hasn't
+ * @property {string} finished - when it reached an end status for the last time, null while it
+ * is not in one
+ * @property {object} timeInStatus - milliseconds spent in each status, keyed by status name
+ * @property {number} cycleTime - milliseconds from started to finished, null until finished
+ * @property {number} leadTime - milliseconds from created to finished, null until finished
+ */
+
+/**
+ * @typedef Summary
+ * @type {object}
+ * @property {integer} count - how many values were summarized
+ * @property {number} min
+ * @property {number} max
+ * @property {number} mean
+ * @property {object} percentiles - values keyed by percentile, ie `{ 50: ..., 85: ... }`
+ * @property {object[]} histogram - `{ from, to, count }` buckets, from 0 to the max
+ */
+
+/**
+ * @name statusIntervals
+ * @function
+ * The stretches of time an issue spent in each status, oldest first
+ * @param {IssueHistory} history
+ * @param {Date|string|number} [now] - end of the current stretch
+ * @return {object[]} `{ status, from, to }`, the times as ISO strings
+ */
+export function statusIntervals(history, now = Date.now()) {
+  const timeline = history.timeline('status');
+  return timeline.map((entry, index) => ({
+    status: entry.value,
+    from: entry.at,
+    to: index + 1 < timeline.length ? timeline[index + 1].at : new Date(now).toISOString(),
+  }));
+}
+
+function lower(name) {
+  return String(name).toLowerCase();
+}
+
+// Whether a status starts or ends the cycle, by name or by category
+function statusMatcher(statuses, category, categories) {
+  if (statuses) {
+    const names = statuses.map(lower);
+    return (status) => names.includes(lower(status));
+  }
+  return (status) => categories[lower(status)] === category;
+}
+
+/**
+ * @name issueFlow
+ * @function
+ * Measures the time an issue spent in each status and its cycle and lead times
+ * @param {IssueHistory} history - the history of the issue
+ * @param {object} categories - status category keys, keyed by lower-cased status name
+ * @param {FlowOptions} [options]
+ * @return {IssueFlow}
+ */
+export function issueFlow(history, categories, options = {}) {
+  const {
+    startStatuses, endStatuses, startCategory = 'indeterminate', endCategory = 'done',
+  } = options;
+  const calendar = options.calendar && !(options.calendar instanceof BusinessCalendar)
+    ? new BusinessCalendar(options.calendar)
+    : options.calendar;
+  const duration = (from, to) => (calendar
+    ? calendar.duration(from, to)
+    : Math.max(Date.parse(to) - Date.parse(from), 0));
+
+  const intervals = statusIntervals(history, options.now);
+  const timeInStatus = intervals.reduce((times, x) => ({
+    ...times,
+    [x.status]: (times[x.status] || 0) + duration(x.from, x.to),
+  }), {});
+
+  const isStart = statusMatcher(startStatuses, startCategory, categories);
+  const isEnd = statusMatcher(endStatuses, endCategory, categories);
+
+  // Issues that skip the start statuses start when they finish
+  const start = intervals.find((x) => isStart(x.status) || isEnd(x.status));
+  let last = intervals.length;
+  while (last > 0 && isEnd(intervals[last - 1].status)) last -= 1;
+  const end = last < intervals.length ? intervals[last] : null;
+
+  return {
+    key: history.key,
+    created: history.created,
+    started: start ? start.from : null,
+    finished: end ? end.from : null,
+    timeInStatus,
+    cycleTime: start && end ? duration(start.from, end.from) : null,
+    leadTime: end ? duration(history.created, end.from) : null,
+  };
+}
+
+/**
+ * @name percentile
+ * @function
+ * The nearest-rank percentile of sorted values: the smallest value that p percent of the values
+ * are lower than or equal to
+ * @param {number[]} sorted - values in ascending order
+ * @param {number} p - the percentile, between 0 and 100
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+}
+
+/**
+ * @name summarize
+ * @function
+ * Summarizes durations into percentiles and a histogram, leaving out null values
+ * @param {number[]} values
+ * @param {object} [options]
+ * @param {number[]} [options.percentiles=[50, 85, 95]]
+ * @param {number} [options.bucketSize] - width of the histogram buckets, a day by default
+ * @return {Summary}
+ */
+export function summarize(values, { percentiles = [50, 85, 95], bucketSize = DAY } = {}) {
+  const sorted = values.filter((x) => x !== null && x !== undefined).sort((a, b) => a - b);
+  const count = sorted.length;
+  const max = count > 0 ? sorted[count - 1] : null;
+
+  const buckets = count > 0 ? Math.floor(max / bucketSize) + 1 : 0;
+  const histogram = Array.from({ length: buckets }, (x, index) => ({
+    from: index * bucketSize,
+    to: (index + 1) * bucketSize,
+    count: 0,
+  }));
+  sorted.forEach((x) => { histogram[Math.floor(x / bucketSize)].count += 1; });
+
+  return {
+    count,
+    min: count > 0 ? sorted[0] : null,
+    max,
+    mean: count > 0 ? sorted.reduce((sum, x) => sum + x, 0) / count : null,
+    percentiles: percentiles.reduce((result, p) => ({ ...result, [p]: percentile(sorted, p) }), {}),
+    histogram,
+  };
+}
+
+/**
+ * @name aggregateFlows
+ * @function
+ * Summarizes the cycle, lead and status times of many issues
+ * @param {IssueFlow[]} flows
+ * @param {object} [options] - the percentiles and bucketSize of summarize
+ * @return {object} the `issues`, and the Summary of their `cycleTime`, `leadTime` and
+ * `timeInStatus` of each status
+ */
+export function aggregateFlows(flows, options) {
+  const statuses = [...new Set(flows.reduce(
+    (all, x) => all.concat(Object.keys(x.timeInStatus)),
+    [],
+  ))];
+  return {
+    issues: flows,
+    cycleTime: summarize(flows.map((x) => x.cycleTime), options),
+    leadTime: summarize(flows.map((x) => x.leadTime), options),
+    timeInStatus: statuses.reduce((result, status) => ({
+      ...result,
+      [status]: summarize(flows.map((x) => x.timeInStatus[status]), options),
+    }), {}),
+  };
+}
+
+/**
+ * @name statusCategories
+ * @function
+ * Fetches the category key of every status, keyed by lower-cased status name
+ * @param {JiraApi} jira
+ */
+export async function statusCategories(jira) {
+  const statuses = await jira.listStatus();
+  return (statuses || []).reduce((categories, x) => ({
+    ...categories,
+    [lower(x.name)]: x.statusCategory && x.statusCategory.key,
+  }), {});
+}
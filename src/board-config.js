@@ -0,0 +1,148 @@
+/**
+ * @typedef BoardColumn
+ * @type {object}
+ * @property {string} name - the column name
+ * @property {object[]} statuses - the statuses mapped to it, as returned by listStatus
+ * @property {number} [min] - the minimum number of issues, when constrained
+ * @property {number} [max] - the maximum number of issues, when constrained
+ */
+
+// Matches statuses by id, or by name when one of them has no id
+function sameStatus(a, b) {
+  if (a.id !== undefined && b.id !== undefined) return String(a.id) === String(b.id);
+  return a.name !== undefined && b.name !== undefined
+    && String(a.name).toLowerCase() === String(b.name).toLowerCase();
+}
+
+function statusOf(issue) {
+  return (issue && issue.fields && issue.fields.status) || null;
+}
+
+/**
+ * @name BoardConfig
+ * @class
+ * The configuration of a board, its column status ids resolved to statuses
+ */
+export default class BoardConfig {
+  /**
+   * @constructor
+   * @function
+   * @param {object} configuration - as returned by getConfiguration
+   * @param {object[]} statuses - every status, as returned by listStatus
+   * @param {object} [filter] - the board filter, as returned by getIssueFilter
+   */
+  constructor(configuration, statuses, filter = null) {
+    const byId = new Map(statuses.map((x) => [String(x.id), x]));
+    const estimation = configuration.estimation || {};
+
+    this.id = configuration.id;
+    this.name = configuration.name;
+    this.type = configuration.type;
+    this.columns = ((configuration.columnConfig && configuration.columnConfig.columns) || [])
+      .map((column) => {
+        const resolved = {
+          name: column.name,
+          statuses: (column.statuses || [])
+            .map((x) => byId.get(String(x.id)) || { id: String(x.id) }),
+        };
+        if (column.min !== undefined) resolved.min = column.min;
+        if (column.max !== undefined) resolved.max = column.max;
+        return resolved;
+      });
+    this.statuses = statuses;
+    this.estimationField = estimation.type === 'field' && estimation.field
+      ? estimation.field
+      : null;
+    this.rankField = configuration.ranking ? configuration.ranking.rankCustomFieldId : null;
+    this.filter = filter
+      ? { id: filter.id, name: filter.name, jql: filter.jql }
+      : configuration.filter || null;
+    this.subQuery = configuration.subQuery ? configuration.subQuery.query : null;
+  }
+
+  /**
+   * @name columnForStatus
+   * @function
+   * The column a status is mapped to
+   * @param {string|object} status - the status, its id or its name
+   * @return {BoardColumn} null when the status is not on the board
+   */
+  columnForStatus(status) {
+    const matches = typeof status === 'object'
+      ? (x) => sameStatus(x, status)
+      : (x) => sameStatus(x, { id: status }) || sameStatus(x, { name: status });
+    return this.columns.find((column) => column.statuses.some(matches)) || null;
+  }
+
+  /**
+   * @name columnForIssue
+   * @function
+   * The column an issue is in, from its status
+   * @param {object} issue - an issue with its status field
+   * @return {BoardColumn} null when its status is not on the board
+   */
+  columnForIssue(issue) {
+    const status = statusOf(issue);
+    return status ? this.columnForStatus(status) : null;
+  }
+
+  /**
+   * @name doneStatuses
+   * @function
+   * The statuses issues are done in on this board: those of its last column with statuses, or
+   * of the done status category when it has no columns
+   * @return {object[]} the statuses, as returned by listStatus
+   */
+  doneStatuses() {
+    const last = this.columns.filter((x) => x.statuses.length > 0).pop();
+    if (last) return last.statuses;
+    return this.statuses.filter((x) => x.statusCategory && x.statusCategory.key === 'done');
+  }
+
+  /**
+   * @name isDone
+   * @function
+   * Whether an issue is done on this board
+   * @param {object} issue - an issue with its status field
+   */
+  isDone(issue) {
+    const status = statusOf(issue);
+    return Boolean(status) && this.doneStatuses().some((x) => sameStatus(x, status));
+  }
+
+  /**
+   * @name groupByColumn
+   * @function
+   * Sorts issues into the columns of the board, keeping their order
+   * @param {object[]} issues - issues with their status field
+   * @return {object} the `columns`, each a BoardColumn with its `issues`, and the `unmapped`
+   * issues whose status is not on the board
+   */
+  groupByColumn(issues) {
+    const columns = this.columns.map((column) => ({ ...column, issues: [] }));
+    const unmapped = [];
+    issues.forEach((issue) => {
+      const column = this.columnForIssue(issue);
+      if (column) columns[this.columns.indexOf(column)].issues.push(issue);
+      else unmapped.push(issue);
+    });
+    return { columns, unmapped };
+  }
+}
+
+/**
+ * @name loadBoardConfig
+ * @function
+ * Fetches the configuration of a board, every status and the board filter
+ * @param {JiraApi} jira
+ * @param {string} boardId
+ * @return {Promise<BoardConfig>}
+ */
+export async function loadBoardConfig(jira, boardId) {
+  const [configuration, statuses] = await Promise.all([
+    jira.getConfiguration(boardId),
+    jira.listStatus(),
+  ]);
+  const filter = configuration.filter ? await jira.getIssueFilter(configuration.filter.id) : null;
+  return new BoardConfig(configuration, statuses || [], filter);
+}
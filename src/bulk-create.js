@@ -0,0 +1,60 @@
+import { createJiraApiError } from './errors';
+
+/**
+ * @typedef BulkIssueResult
+ * @type {object}
+ * @property {integer} index - position of the issue in the list given to addNewIssues
+ * @property {string} [id] - id of the created issue
+ * @property {string} [key] - key of the created issue
+ * @property {string} [self] - url of the created issue
+ * @property {JiraApiError} [error] - why the issue was not created, with Jira's `errors` and
+ * `errorMessages` for it
+ */
+
+/**
+ * @name chunk
+ * @function
+ * Splits a list into consecutive lists of at most `size` items
+ * @param {Array} list
+ * @param {integer} size
+ */
+export function chunk(list, size) {
+  const chunks = [];
+  for (let start = 0; start < list.length; start += size) {
+    chunks.push(list.slice(start, start + size));
+  }
+  return chunks;
+}
+
+/**
+ * @name bulkCreateResults
+ * @function
+ * Matches the response of POST /issue/bulk to the issues sent. Jira lists the created issues in
+ * order and the failed ones by their `failedElementNumber`, so created issues fill the
+ * positions that did not fail.
+ * @param {integer} count - how many issues were sent
+ * @param {object} response - the response body, with `issues` and `errors`
+ * @param {object} [requestOptions] - the request, for the errors
+ * @return {Array<{id: string, key: string, self: string}|{error: JiraApiError}>}
+ */
+export function bulkCreateResults(count, response, requestOptions) {
+  const failures = new Map((response.errors || []).map((x) => [x.failedElementNumber, x]));
+  const created = [...(response.issues || [])];
+
+  return Array.from({ length: count }, (value, index) => {
+    const failure = failures.get(index);
+    if (failure) {
+      const error = createJiraApiError({
+        statusCode: failure.status || 400,
+        body: failure.elementErrors || {},
+      }, requestOptions);
+      return { error };
+    }
+
+    const issue = created.shift();
+    if (!issue) {
+      return { error: createJiraApiError(`Issue ${index} is missing from the bulk response`, requestOptions) };
+    }
+    return { id: issue.id, key: issue.key, self: issue.self };
+  });
+}
@@ -0,0 +1,240 @@
+import { EventEmitter } from 'events';
+import { promises as fs } from 'fs';
+import { jqlString } from './jql';
+import { collectAll } from './pagination';
+
+/**
+ * @typedef BulkCheckpoint
+ * @type {object}
+ * @property {string} jql - the query the issues were found with
+ * @property {string[]} issues - keys of every issue matching the query when the run started
+ * @property {string[]} completed - keys of the issues the operation succeeded on
+ * @property {object[]} failed - the issues it failed on, as `{ key, message }`
+ */
+
+/**
+ * @typedef BulkOperationResult
+ * @type {object}
+ * @property {integer} total - how many issues matched the query
+ * @property {string[]} completed - keys of the issues the operation succeeded on
+ * @property {object[]} failed - the issues it failed on, as `{ key, error }`
+ */
+
+/**
+ * @typedef BulkOperationOptions
+ * @type {object}
+ * @property {integer} [concurrency=5] - how many issues are worked on at once
+ * @property {string} [checkpointFile] - a JSON file the progress is saved to after every issue.
+ * When it already exists, the run fails unless resume is set.
+ * @property {boolean} [resume=false] - resume from an existing checkpointFile instead of searching
+ * again
+ * @property {BulkCheckpoint} [resumeFrom] - a checkpoint to resume from, ie one received with
+ * a `checkpoint` event
+ */
+
+/**
+ * @name BulkOperation
+ * @class
+ * Runs an operation on every issue matching a JQL query with bounded concurrency. The matching
+ * keys are collected first, so issues the operation moves out of the query are still worked on
+ * exactly once. Failures are collected instead of stopping the run, and the progress can be
+ * saved to resume after a crash. Emits `start` with `{ total, remaining }`, `progress` with
+ * `{ key, error, completed, failed, total }` after every issue, `checkpoint` with the
+ * BulkCheckpoint and `done` with the BulkOperationResult. When the checkpoint file cannot be
+ * written, the run stops taking new issues and rejects with the write error.
+ */
+export default class BulkOperation extends EventEmitter {
+  /**
+   * @constructor
+   * @function
+   * @param {JiraApi} jira - the client to search and run the operation with
+   * @param {string|JqlQuery} jql - jira query string in JQL
+   * @param {function} operation - called with the key of each issue and the client, returns a
+   * promise. See updateFields, addLabels, transition and deleteIssue.
+   * @param {BulkOperationOptions} [options]
+   */
+  constructor(jira, jql, operation, {
+    concurrency = 5, checkpointFile, resume = false, resumeFrom,
+  } = {}) {
+    super();
+    this.jira = jira;
+    this.jql = jqlString(jql);
+    this.operation = operation;
+    this.concurrency = Math.max(1, concurrency);
+    this.checkpointFile = checkpointFile;
+    this.resume = resume;
+    this.resumeFrom = resumeFrom;
+    this.saving = Promise.resolve();
+    this.saveError = null;
+  }
+
+  /**
+   * @name updateFields
+   * @function
+   * @static
+   * An operation setting fields with updateIssue
+   * @param {object} fields - the values to set, keyed by field id, or by name with the fieldNames
+   * option
+   */
+  static updateFields(fields) {
+    return (key, jira) => jira.updateIssue(key, { fields });
+  }
+
+  /**
+   * @name addLabels
+   * @function
+   * @static
+   * An operation adding labels with updateIssue
+   * @param {...string} labels
+   */
+  static addLabels(...labels) {
+    return (key, jira) => jira.updateIssue(key, {
+      update: { labels: labels.map((label) => ({ add: label })) },
+    });
+  }
+
+  /**
+   * @name transition
+   * @function
+   * @static
+   * An operation moving issues to a status with transitionIssueTo
+   * @param {string} target - name or id of the target status, or name or id of a transition
+   * @param {TransitionOptions} [options]
+   */
+  static transition(target, options) {
+    return (key, jira) => jira.transitionIssueTo(key, target, options);
+  }
+
+  /**
+   * @name deleteIssue
+   * @function
+   * @static
+   * An operation deleting issues with deleteIssue
+   */
+  static deleteIssue() {
+    return (key, jira) => jira.deleteIssue(key);
+  }
+
+  /**
+   * @name loadCheckpoint
+   * @function
+   * @private
+   * Reads the checkpoint to resume from, or finds the matching issues for a fresh run
+   */
+  async loadCheckpoint() {
+    let checkpoint = this.resumeFrom;
+    if (!checkpoint && this.checkpointFile) {
+      try {
+        checkpoint = JSON.parse(await fs.readFile(this.checkpointFile, 'utf8'));
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+      }
+    }
+
+    if (checkpoint && !this.resumeFrom && !this.resume) {
+      throw new Error(`The checkpoint file ${this.checkpointFile} already exists, `
+        + 'set resume to resume from it');
+    }
+    if (checkpoint) {
+      if (checkpoint.jql !== this.jql) {
+        throw new Error(`The checkpoint was made for ${checkpoint.jql}, not ${this.jql}`);
+      }
+      return checkpoint;
+    }
+
+    const issues = await collectAll(
+      this.jira.iterateSearch(this.jql, { fields: ['summary'] }),
+      { maxItems: Infinity },
+    );
+    return {
+      jql: this.jql,
+      issues: issues.map((x) => x.key),
+      completed: [],
+      failed: [],
+    };
+  }
+
+  /**
+   * @name saveCheckpoint
+   * @function
+   * @private
+   * Emits the checkpoint and writes it to the checkpoint file, one write at a time. The first
+   * failed write is kept in saveError and no further writes are made.
+   * @param {BulkCheckpoint} checkpoint
+   */
+  saveCheckpoint(checkpoint) {
+    const snapshot = {
+      ...checkpoint,
+      completed: [...checkpoint.completed],
+      failed: [...checkpoint.failed],
+    };
+    this.emit('checkpoint', snapshot);
+    if (!this.checkpointFile) return this.saving;
+
+    // Written aside and renamed, so a crash never leaves half a file behind
+    const temporary = `${this.checkpointFile}.tmp`;
+    this.saving = this.saving
+      .then(async () => {
+        if (this.saveError) return;
+        await fs.writeFile(temporary, JSON.stringify(snapshot));
+        await fs.rename(temporary, this.checkpointFile);
+      })
+      .catch((error) => {
+        this.saveError = error;
+      });
+    return this.saving;
+  }
+
+  /**
+   * @name run
+   * @function
+   * Runs the operation on every issue not completed yet. Issues that failed in an earlier run
+   * are tried again.
+   * @return {Promise<BulkOperationResult>}
+   */
+  async run() {
+    const checkpoint = await this.loadCheckpoint();
+    const completed = new Set(checkpoint.completed);
+    const queue = checkpoint.issues.filter((key) => !completed.has(key));
+    const state = { ...checkpoint, completed: [...checkpoint.completed], failed: [] };
+    const errors = [];
+    const total = checkpoint.issues.length;
+
+    this.emit('start', { total, remaining: queue.length });
+    await this.saveCheckpoint(state);
+
+    // Each worker takes the next key once it is done with the previous one, until the queue is
+    // empty or the progress can no longer be saved
+    const work = async () => {
+      if (queue.length === 0 || this.saveError) return;
+
+      const key = queue.shift();
+      let error;
+      try {
+        await this.operation(key, this.jira);
+        state.completed.push(key);
+      } catch (e) {
+        error = e;
+        errors.push({ key, error });
+        state.failed.push({ key, message: e.message });
+      }
+
+      this.emit('progress', {
+        key,
+        error,
+        completed: state.completed.length,
+        failed: state.failed.length,
+        total,
+      });
+      await this.saveCheckpoint(state);
+      await work();
+    };
+    await Promise.all(Array.from({ length: this.concurrency }, work));
+    await this.saving;
+    if (this.saveError) throw this.saveError;
+
+    const result = { total, completed: state.completed, failed: errors };
+    this.emit('done', result);
+    return result;
+  }
+}
@@ -0,0 +1,78 @@
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * @typedef BusinessCalendarOptions
+ * @type {object}
+ * @property {integer[]} [workDays=[1, 2, 3, 4, 5]] - the working days of the week, 0 being Sunday
+ * @property {number} [startHour=9] - when the working day starts, ie 8.5 for 8:30
+ * @property {number} [endHour=17] - when the working day ends
+ * @property {string[]} [holidays=[]] - days off, as yyyy-MM-dd
+ * @property {integer} [utcOffset=0] - the offset of the team's time zone from UTC, in minutes,
+ * ie 60 for CET
+ */
+
+/**
+ * @name BusinessCalendar
+ * @class
+ * Measures durations in working hours instead of elapsed time
+ */
+export default class BusinessCalendar {
+  /**
+   * @constructor
+   * @function
+   * @param {BusinessCalendarOptions} [options]
+   */
+  constructor({
+    workDays = [1, 2, 3, 4, 5],
+    startHour = 9,
+    endHour = 17,
+    holidays = [],
+    utcOffset = 0,
+  } = {}) {
+    if (!(startHour >= 0 && startHour < endHour && endHour <= 24)) {
+      throw new Error(`The working day cannot start at ${startHour} and end at ${endHour}`);
+    }
+    this.workDays = workDays;
+    this.startHour = startHour;
+    this.endHour = endHour;
+    this.holidays = new Set(holidays);
+    this.utcOffset = utcOffset;
+  }
+
+  /**
+   * @name isWorkDay
+   * @function
+   * Whether a day is a working day
+   * @param {Date} day - midnight of the day, in the calendar's time zone shifted to UTC
+   */
+  isWorkDay(day) {
+    return this.workDays.includes(day.getUTCDay())
+      && !this.holidays.has(day.toISOString().slice(0, 10));
+  }
+
+  /**
+   * @name duration
+   * @function
+   * The working time between two points in time, in milliseconds
+   * @param {Date|string|number} start
+   * @param {Date|string|number} end
+   */
+  duration(start, end) {
+    // Shifted so that UTC days are the team's days
+    const shift = this.utcOffset * 60 * 1000;
+    const from = new Date(start).getTime() + shift;
+    const to = new Date(end).getTime() + shift;
+    if (!(to > from)) return 0;
+
+    let total = 0;
+    for (let day = Math.floor(from / DAY) * DAY; day < to; day += DAY) {
+      if (this.isWorkDay(new Date(day))) {
+        const open = Math.max(from, day + this.startHour * HOUR);
+        const close = Math.min(to, day + this.endHour * HOUR);
+        if (close > open) total += close - open;
+      }
+    }
+    return total;
+  }
+}
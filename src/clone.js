@@ -0,0 +1,267 @@
+import { JiraNotFoundError, JiraValidationError } from './errors';
+
+/**
+ * @typedef CloneOptions
+ * @type {object}
+ * @property {string} [targetProject] - key of the project to create the clone in, the source
+ * issue's project by default
+ * @property {string} [targetIssueType] - name or id of the clone's issue type, the source issue's
+ * type by default
+ * @property {string[]} [include=[]] - what to copy besides the fields: any of subtasks, links,
+ * attachments, comments and watchers
+ * @property {object} [fieldOverrides] - fields set on the clone instead of the copied values, as
+ * sent to addNewIssue
+ */
+
+/**
+ * @typedef CloneResult
+ * @type {object}
+ * @property {string} source - key of the cloned issue
+ * @property {string} id - id of the clone
+ * @property {string} key - key of the clone
+ * @property {object[]} skipped - the source fields left out of the clone, as `{ field, reason }`
+ * with the field `name` when it is on the create screen
+ * @property {CloneResult[]} subtasks - the cloned sub-tasks
+ * @property {object[]} failures - what could not be copied once the clone was created, as
+ * `{ part, item, error }`
+ */
+
+/**
+ * Fields Jira sets itself, or that the included parts copy
+ */
+const UNCOPIED_FIELDS = [
+  'aggregateprogress', 'aggregatetimeestimate', 'aggregatetimeoriginalestimate',
+  'aggregatetimespent', 'attachment', 'comment', 'created', 'creator', 'issuelinks', 'issuetype',
+  'lastViewed', 'progress', 'project', 'resolutiondate', 'status', 'statuscategorychangedate',
+  'subtasks', 'timeestimate', 'timeoriginalestimate', 'timespent', 'updated', 'votes', 'watches',
+  'workratio', 'worklog',
+];
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === ''
+    || (Array.isArray(value) && value.length === 0);
+}
+
+function same(a, b) {
+  return a !== undefined && a !== null && String(a) === String(b);
+}
+
+// Ids of versions, components and options differ between projects, their names don't
+function findAllowedValue(allowedValues, value) {
+  return allowedValues.find((x) => same(x.id, value.id))
+    || allowedValues.find((x) => same(x.name, value.name))
+    || allowedValues.find((x) => same(x.value, value.value));
+}
+
+function mapValue(schema, allowedValues, value) {
+  if (allowedValues && allowedValues.length > 0) {
+    const allowed = findAllowedValue(allowedValues, value);
+    return allowed ? { id: allowed.id } : undefined;
+  }
+  if (!value || typeof value !== 'object' || value.type === 'doc') return value;
+
+  switch (schema.type) {
+    case 'user':
+      return value.accountId ? { accountId: value.accountId } : { name: value.name };
+    case 'issuelink':
+      return { key: value.key };
+    case 'timetracking':
+      return {
+        originalEstimate: value.originalEstimate,
+        remainingEstimate: value.remainingEstimate,
+      };
+    default:
+      return value.id !== undefined ? { id: value.id } : value;
+  }
+}
+
+function describeValue(value) {
+  if (!value || typeof value !== 'object') return String(value);
+  return String(value.name || value.value || value.key || value.id);
+}
+
+/**
+ * @name mapIssueFields
+ * @function
+ * Turns the fields of an issue, as returned by Jira, into the fields of a new issue of the given
+ * create metadata. Fields missing from its create screen are left out, and versions, components,
+ * options and other values picked from a list are matched by name.
+ * @param {object} fields - the fields of the source issue, keyed by id
+ * @param {object} issueType - the create metadata of the target issue type, with its `fields`
+ * @return {object} the `fields` to create the issue with and the `skipped` ones, as
+ * `{ field, reason }` with the field `name` when it is on the create screen
+ */
+export function mapIssueFields(fields, issueType) {
+  const targetFields = issueType.fields || {};
+  const mapped = {};
+  const skipped = [];
+
+  Object.keys(fields)
+    .filter((id) => !UNCOPIED_FIELDS.includes(id) && !isEmpty(fields[id]))
+    .forEach((id) => {
+      const target = targetFields[id];
+      if (!target) {
+        skipped.push({ field: id, reason: `not on the create screen of ${issueType.name}` });
+        return;
+      }
+
+      const schema = target.schema || {};
+      const value = fields[id];
+      if (schema.type === 'array' && Array.isArray(value)) {
+        const items = value.map((x) => mapValue({ type: schema.items }, target.allowedValues, x));
+        const unmatched = value.filter((x, index) => items[index] === undefined);
+        if (unmatched.length > 0) {
+          skipped.push({
+            field: id,
+            name: target.name,
+            reason: `no allowed value matches ${unmatched.map(describeValue).join(', ')}`,
+          });
+        }
+        const matched = items.filter((x) => x !== undefined);
+        if (matched.length > 0) mapped[id] = matched;
+        return;
+      }
+
+      const item = mapValue(schema, target.allowedValues, value);
+      if (item === undefined) {
+        skipped.push({
+          field: id,
+          name: target.name,
+          reason: `no allowed value matches ${describeValue(value)}`,
+        });
+        return;
+      }
+      mapped[id] = item;
+    });
+
+  return { fields: mapped, skipped };
+}
+
+// The clone takes the place of the source issue on its side of the link
+function recreatedLink(link, key) {
+  const type = { name: link.type.name };
+  return link.outwardIssue
+    ? { type, inwardIssue: { key }, outwardIssue: { key: link.outwardIssue.key } }
+    : { type, inwardIssue: { key: link.inwardIssue.key }, outwardIssue: { key } };
+}
+
+/**
+ * How each included part lists its items on the source issue and copies one of them to the clone.
+ * Subtasks are copied with the cloneIssue function they are given.
+ */
+const PARTS = {
+  subtasks: {
+    items: async (jira, source) => source.fields.subtasks || [],
+    async copy(jira, subtask, clone, options, cloneSubtask) {
+      clone.subtasks.push(await cloneSubtask(jira, subtask.key, {
+        targetProject: options.targetProject,
+        include: options.include.filter((x) => x !== 'subtasks'),
+        fieldOverrides: { parent: { key: clone.key } },
+      }));
+    },
+  },
+  links: {
+    items: async (jira, source) => source.fields.issuelinks || [],
+    copy: (jira, link, clone) => jira.issueLink(recreatedLink(link, clone.key)),
+  },
+  attachments: {
+    items: async (jira, source) => source.fields.attachment || [],
+    async copy(jira, attachment, clone) {
+      const content = await jira.downloadAttachment(attachment);
+      return jira.addAttachmentOnIssue(clone.key, {
+        value: content,
+        options: { filename: attachment.filename, contentType: attachment.mimeType },
+      });
+    },
+  },
+  comments: {
+    items: async (jira, source) => (source.fields.comment && source.fields.comment.comments) || [],
+    copy: (jira, comment, clone) => jira.addCommentAdvanced(clone.key, comment.visibility
+      ? { body: comment.body, visibility: comment.visibility }
+      : { body: comment.body }),
+  },
+  watchers: {
+    items: async (jira, source) => (await jira.getIssueWatchers(source.key)).watchers || [],
+    copy: (jira, watcher, clone) => jira.addWatcher(clone.key, watcher.accountId || watcher.name),
+  },
+};
+
+/**
+ * Parts a clone can include
+ */
+export const CLONE_PARTS = Object.keys(PARTS);
+
+/**
+ * @name cloneIssue
+ * @function
+ * Creates a copy of an issue, in its project or another one, and copies the included parts to
+ * it. Once the clone is created, parts that fail to copy are reported instead of thrown. Unknown
+ * parts reject with a JiraValidationError, an issue type the target project lacks with a
+ * JiraNotFoundError.
+ * @param {JiraApi} jira - the client to clone with
+ * @param {string} issueKey - the issue to clone
+ * @param {CloneOptions} [options]
+ * @return {Promise<CloneResult>}
+ */
+export async function cloneIssue(jira, issueKey, options = {}) {
+  const include = options.include || [];
+  const unknown = include.filter((x) => !CLONE_PARTS.includes(x));
+  if (unknown.length > 0) {
+    throw new JiraValidationError(`Unknown clone part ${unknown.join(', ')}, expected ${CLONE_PARTS.join(', ')}`);
+  }
+
+  const source = await jira.rawIssue(issueKey);
+  const targetProject = options.targetProject || source.fields.project.key;
+  const targetIssueType = options.targetIssueType || source.fields.issuetype.name;
+  const { issueType } = await jira.createMetadata.issueType(
+    { key: targetProject },
+    /^\d+$/.test(targetIssueType) ? { id: targetIssueType } : { name: targetIssueType },
+  );
+  if (!issueType) {
+    throw new JiraNotFoundError(`Issue type ${targetIssueType} cannot be created in project ${targetProject}`);
+  }
+
+  const { fields, skipped } = mapIssueFields(source.fields, issueType);
+  const created = await jira.addNewIssue({
+    fields: {
+      ...fields,
+      project: { key: targetProject },
+      issuetype: { id: issueType.id },
+      ...options.fieldOverrides,
+    },
+  });
+
+  const clone = {
+    source: source.key,
+    id: created.id,
+    key: created.key,
+    skipped,
+    subtasks: [],
+    failures: [],
+  };
+  await include.reduce(async (previous, part) => {
+    await previous;
+    let items;
+    try {
+      items = await PARTS[part].items(jira, source);
+    } catch (error) {
+      clone.failures.push({ part, item: null, error });
+      return;
+    }
+    await items.reduce(async (done, item) => {
+      await done;
+      try {
+        await PARTS[part].copy(
+          jira,
+          item,
+          clone,
+          { ...options, include, targetProject },
+          cloneIssue,
+        );
+      } catch (error) {
+        clone.failures.push({ part, item, error });
+      }
+    }, Promise.resolve());
+  }, Promise.resolve());
+  return clone;
+}
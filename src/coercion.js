@@ -0,0 +1,275 @@
+import { JiraFieldError } from './errors';
+
+// Schema types whose values are references to another entity, set by name or id
+const NAMED_TYPES = ['version', 'component', 'priority', 'resolution', 'issuetype', 'group'];
+
+// The Sprint field, an array in its schema that is set with the id of a single sprint
+const SPRINT_TYPE = 'com.pyxis.greenhopper.jira:gh-sprint';
+
+function pad(number, width = 2) {
+  return String(number).padStart(width, '0');
+}
+
+/**
+ * @name formatJiraDate
+ * @function
+ * Formats a Date as the yyyy-MM-dd Jira expects for date fields, in local time
+ * @param {Date} date
+ */
+export function formatJiraDate(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * @name formatJiraDateTime
+ * @function
+ * Formats a Date as the yyyy-MM-dd'T'HH:mm:ss.SSSZ Jira expects for date time fields, in UTC
+ * @param {Date} date
+ */
+export function formatJiraDateTime(date) {
+  return date.toISOString().replace('Z', '+0000');
+}
+
+function isReference(value) {
+  return Boolean(value) && typeof value === 'object' && !(value instanceof Date)
+    && !Array.isArray(value);
+}
+
+function referenceByName(value, nameProperty = 'name') {
+  if (isReference(value)) return value;
+  if (typeof value === 'number') return { id: String(value) };
+  return { [nameProperty]: value };
+}
+
+function sprintId(value) {
+  const sprint = Array.isArray(value) ? value[value.length - 1] : value;
+  const id = isReference(sprint) ? sprint.id : sprint;
+  return typeof id === 'string' && /^\d+$/.test(id) ? Number(id) : id;
+}
+
+function option(value) {
+  if (isReference(value)) return value;
+  if (typeof value === 'number') return { id: String(value) };
+  return { value };
+}
+
+function cascadingOption(value) {
+  if (Array.isArray(value)) return cascadingOption({ parent: value[0], child: value[1] });
+  if (!isReference(value) || !('parent' in value)) return option(value);
+
+  const wire = option(value.parent);
+  if (value.child !== undefined && value.child !== null) wire.child = option(value.child);
+  return wire;
+}
+
+async function findUser(jira, cloud, email, field) {
+  const found = await jira.searchUsers(cloud ? { query: email } : { username: email });
+  const users = Array.isArray(found) ? found : [];
+  const exact = users.filter((x) => String(x.emailAddress).toLowerCase() === email.toLowerCase());
+  const matches = exact.length > 0 ? exact : users;
+
+  if (matches.length !== 1) {
+    const candidates = matches.map((x) => x.accountId || x.name);
+    throw new JiraFieldError(
+      matches.length === 0
+        ? `No user found for ${email}`
+        : `${email} matches several users: ${candidates.join(', ')}`,
+      { field, candidates },
+    );
+  }
+  return cloud ? { accountId: matches[0].accountId } : { name: matches[0].name };
+}
+
+function itemSchema(schema) {
+  return { ...schema, type: schema.items, items: undefined };
+}
+
+/**
+ * @name ValueCoercer
+ * @class
+ * Converts natural values, like strings, arrays, Dates, `{ parent, child }` and account ids or
+ * emails, to the shape Jira expects for a field's schema type, and custom field values read from
+ * Jira back to natural values. Schemas come from the client's FieldResolver.
+ */
+export default class ValueCoercer {
+  /**
+   * @constructor
+   * @function
+   * @param {JiraApi} jira - the client to look users up with
+   * @param {FieldResolver} resolver - where field schemas are read from
+   */
+  constructor(jira, resolver) {
+    this.jira = jira;
+    this.resolver = resolver;
+    this.users = new Map();
+  }
+
+  /**
+   * @name user
+   * @function
+   * @private
+   * Turns an account id, a username or an email into a user reference. Emails are looked up with
+   * searchUsers once and remembered.
+   * @param {string|object} value
+   * @param {string} field - id of the field being set, for errors
+   */
+  async user(value, field) {
+    if (isReference(value)) return value;
+
+    const cloud = await this.jira.isCloud();
+    if (!String(value).includes('@')) return cloud ? { accountId: value } : { name: value };
+
+    if (!this.users.has(value)) {
+      const lookup = findUser(this.jira, cloud, value, field);
+      lookup.catch(() => this.users.delete(value));
+      this.users.set(value, lookup);
+    }
+    return this.users.get(value);
+  }
+
+  /**
+   * @name toWire
+   * @function
+   * Converts a natural value to the shape Jira expects for a schema. Values already in that
+   * shape are left alone.
+   * @param {object} schema - the `schema` of a listFields entry
+   * @param {*} value - the value to set
+   * @param {string} [field] - id of the field being set, for errors
+   */
+  async toWire(schema, value, field) {
+    if (value === null || value === undefined || !schema) return value;
+
+    switch (schema.type) {
+      case 'array': {
+        if (schema.custom === SPRINT_TYPE) return sprintId(value);
+        const values = Array.isArray(value) ? value : [value];
+        return Promise.all(values.map((x) => this.toWire(itemSchema(schema), x, field)));
+      }
+      case 'option': return option(value);
+      case 'option-with-child': return cascadingOption(value);
+      case 'user': return this.user(value, field);
+      case 'project': return referenceByName(value, 'key');
+      case 'date': return value instanceof Date ? formatJiraDate(value) : value;
+      case 'datetime': return value instanceof Date ? formatJiraDateTime(value) : value;
+      case 'number':
+        return typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))
+          ? Number(value)
+          : value;
+      default:
+        return NAMED_TYPES.includes(schema.type) ? referenceByName(value) : value;
+    }
+  }
+
+  /**
+   * @name fromWire
+   * @function
+   * Converts a value read from Jira to its natural form: option values, `{ parent, child }` for
+   * cascading selects, account ids (or usernames), names of versions and components and Dates
+   * @param {object} schema - the `schema` of a listFields entry
+   * @param {*} value - the value as returned by Jira
+   */
+  fromWire(schema, value) {
+    if (value === null || value === undefined || !schema) return value;
+
+    switch (schema.type) {
+      case 'array':
+        if (!Array.isArray(value)) return value;
+        return value.map((x) => this.fromWire(itemSchema(schema), x));
+      case 'option': return isReference(value) ? value.value : value;
+      case 'option-with-child': {
+        if (!isReference(value)) return value;
+        const natural = { parent: value.value };
+        if (value.child) natural.child = value.child.value;
+        return natural;
+      }
+      case 'user': return isReference(value) ? value.accountId || value.name : value;
+      case 'project': return isReference(value) ? value.key : value;
+      case 'date': {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+        return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : value;
+      }
+      case 'datetime': return typeof value === 'string' ? new Date(value) : value;
+      default:
+        return NAMED_TYPES.includes(schema.type) && isReference(value) ? value.name : value;
+    }
+  }
+
+  /**
+   * @name fieldsToWire
+   * @function
+   * Applies toWire to every value of a `fields` object keyed by field id
+   * @param {object} fields
+   */
+  async fieldsToWire(fields) {
+    const ids = Object.keys(fields);
+    const values = await Promise.all(ids.map(async (id) => {
+      const field = await this.resolver.field(id);
+      return this.toWire(field && field.schema, fields[id], id);
+    }));
+    return ids.reduce((wire, id, index) => ({ ...wire, [id]: values[index] }), {});
+  }
+
+  /**
+   * @name updateToWire
+   * @function
+   * Applies toWire to the operations of an `update` object keyed by field id. `set` takes the
+   * field's value, `add` and `remove` a single item of array fields.
+   * @param {object} update
+   */
+  async updateToWire(update) {
+    const ids = Object.keys(update);
+    const operations = await Promise.all(ids.map(async (id) => {
+      const field = await this.resolver.field(id);
+      const schema = field && field.schema;
+      if (!schema || !Array.isArray(update[id])) return update[id];
+
+      return Promise.all(update[id].map(async (operation) => {
+        const [verb] = Object.keys(operation);
+        const valueSchema = schema.type === 'array' && verb !== 'set' ? itemSchema(schema) : schema;
+        return { ...operation, [verb]: await this.toWire(valueSchema, operation[verb], id) };
+      }));
+    }));
+    return ids.reduce((wire, id, index) => ({ ...wire, [id]: operations[index] }), {});
+  }
+
+  /**
+   * @name payloadToWire
+   * @function
+   * Converts the `fields` and `update` of an addNewIssue or updateIssue payload, keyed by field
+   * id, to wire values
+   * @param {object} payload - an issue create or edit payload
+   */
+  async payloadToWire(payload) {
+    if (!payload || (!payload.fields && !payload.update)) return payload;
+
+    const wire = { ...payload };
+    if (payload.fields) wire.fields = await this.fieldsToWire(payload.fields);
+    if (payload.update) wire.update = await this.updateToWire(payload.update);
+    return wire;
+  }
+
+  /**
+   * @name issueToNatural
+   * @function
+   * Applies fromWire to the custom fields of an issue, whose fields are keyed by id. System
+   * fields are left as Jira returns them.
+   * @param {object} issue - an issue as returned by findIssue
+   */
+  async issueToNatural(issue) {
+    if (!issue || !issue.fields) return issue;
+
+    const ids = Object.keys(issue.fields);
+    const fields = await Promise.all(ids.map((id) => this.resolver.field(id)));
+    return {
+      ...issue,
+      fields: ids.reduce((natural, id, index) => {
+        const field = fields[index];
+        const custom = field && (field.custom === true || /^customfield_/.test(id));
+        return {
+          ...natural,
+          [id]: custom ? this.fromWire(field.schema, issue.fields[id]) : issue.fields[id],
+        };
+      }, {}),
+    };
+  }
+}
@@ -0,0 +1,156 @@
+import { describeRequest } from './errors';
+
+// Client methods that send no request of their own: the uri builders, the request plumbing and
+// the private helpers of the public methods
+const UNTRACKED = [
+  /^make[A-Z]/,
+  /^(constructor|doRequest|journaled|formatPlan)$/,
+  /^(rawIssue|fieldListToIds|withDocumentFields|issuePayload)$/,
+];
+
+// Stands for the client during a call of one of its methods, giving the requests made on it the
+// name of that method to credit them to, whatever else runs side by side
+function callerContext(jira, caller) {
+  return new Proxy(jira, {
+    get: (target, name) => (name === 'dryRunCaller' ? caller : Reflect.get(target, name)),
+  });
+}
+
+// The path of a request uri, which can be relative or missing
+function pathOf(uri) {
+  try {
+    return new URL(uri || '', 'http://localhost').pathname;
+  } catch (e) {
+    return String(uri || '');
+  }
+}
+
+// POST endpoints that only read
+const READ_ONLY_POSTS = [
+  /\/search$/,
+  /\/search\/jql$/,
+  /\/search\/approximate-count$/,
+  /\/jql\/parse$/,
+  /\/worklog\/list$/,
+];
+
+// POST endpoints that answer with no content, 204 or an empty 201
+const NO_CONTENT_POSTS = [
+  /\/issue\/[^/]+\/transitions$/,
+  /\/issue\/[^/]+\/watchers$/,
+  /\/issueLink$/,
+  /\/sprint\/[^/]+\/issue$/,
+  /\/backlog\/issue$/,
+];
+
+function createdStub(id) {
+  return { id: `dry-run-${id}`, key: `DRY-RUN-${id}` };
+}
+
+// Made up responses of the POST endpoints that do not just answer with what they created
+const POST_RESPONSES = [
+  [/\/issue\/bulk$/, (body, number) => ({
+    issues: ((body && body.issueUpdates) || []).map((x, index) => createdStub(`${number}-${index + 1}`)),
+    errors: [],
+  })],
+  [/\/issue\/[^/]+\/attachments$/, (body, number) => [{ id: `dry-run-${number}` }]],
+];
+
+/**
+ * @typedef PlannedRequest
+ * @type {object}
+ * @property {string} method - HTTP Request Method. ie POST, PUT, DELETE
+ * @property {string} uri - The uri the request would have been sent to
+ * @property {object} [qs] - Query string parameters sent apart from the uri
+ * @property {*} [body] - The request payload
+ * @property {string} [caller] - the JiraApi method called by your code that made the request, ie
+ * transitionIssueTo for the transitions it sends
+ */
+
+/**
+ * @name isMutating
+ * @function
+ * Whether a request changes something in Jira: any POST, PUT or DELETE but searches and other
+ * POST endpoints that only read
+ * @param {object} requestOptions
+ */
+export function isMutating(requestOptions) {
+  const method = String(requestOptions.method || 'GET').toUpperCase();
+  if (method === 'POST') {
+    const pathname = pathOf(requestOptions.uri);
+    return !READ_ONLY_POSTS.some((x) => x.test(pathname));
+  }
+  return ['PUT', 'DELETE', 'PATCH'].includes(method);
+}
+
+/**
+ * @name trackedMethods
+ * @function
+ * Wraps the public methods of a client that send requests, so the requests they make know which
+ * method the calling code invoked. Methods called by other methods keep the outermost name.
+ * @param {JiraApi} jira
+ * @return {object} the wrapped methods, by name, to assign to the client
+ */
+export function trackedMethods(jira) {
+  const names = new Set();
+  let prototype = Object.getPrototypeOf(jira);
+  while (prototype && prototype !== Object.prototype) {
+    Object.getOwnPropertyNames(prototype).forEach((name) => names.add(name));
+    prototype = Object.getPrototypeOf(prototype);
+  }
+
+  const methods = {};
+  names.forEach((name) => {
+    const method = jira[name];
+    if (typeof method !== 'function' || UNTRACKED.some((x) => x.test(name))) return;
+
+    methods[name] = function tracked(...args) {
+      if (this.dryRunCaller) return method.apply(this, args);
+      return method.apply(callerContext(this, name), args);
+    };
+  });
+  return methods;
+}
+
+/**
+ * @name planRequest
+ * @function
+ * Adds a request to the plan of a client instead of sending it, and makes up its response in the
+ * shape of its endpoint: mostly an `{ id, key }` for POST requests, which create something, and
+ * nothing otherwise
+ * @param {JiraApi} jira - the client, with its `plan` and the `dryRunCaller` of the call
+ * @param {object} requestOptions
+ */
+export function planRequest(jira, requestOptions) {
+  const {
+    method, uri, qs, body,
+  } = describeRequest(requestOptions);
+  const planned = { method: method.toUpperCase(), uri };
+  if (qs !== undefined) planned.qs = qs;
+  if (body !== undefined) planned.body = body;
+  planned.caller = jira.dryRunCaller;
+  jira.plan.push(planned);
+
+  if (planned.method !== 'POST') return undefined;
+  const pathname = pathOf(uri);
+  if (NO_CONTENT_POSTS.some((x) => x.test(pathname))) return undefined;
+  const stub = POST_RESPONSES.find(([path]) => path.test(pathname));
+  return stub ? stub[1](body, jira.plan.length) : createdStub(jira.plan.length);
+}
+
+/**
+ * @name formatPlan
+ * @function
+ * Renders planned requests as text, one request per line followed by its indented body, to
+ * print or diff
+ * @param {PlannedRequest[]} plan
+ */
+export function formatPlan(plan) {
+  return plan.map((x) => {
+    const caller = x.caller ? ` (${x.caller})` : '';
+    const body = x.body === undefined
+      ? ''
+      : `\n${JSON.stringify(x.body, null, 2).replace(/^/gm, '    ')}`;
+    return `${x.method} ${x.uri}${caller}${body}`;
+  }).join('\n');
+}
@@ -0,0 +1,135 @@
+import JiraApiError from './jira-api-error';
+import JiraValidationError from './jira-validation-error';
+import JiraAuthError from './jira-auth-error';
+import JiraNotFoundError from './jira-not-found-error';
+import JiraConflictError from './jira-conflict-error';
+import JiraRateLimitError from './jira-rate-limit-error';
+import JiraServerError from './jira-server-error';
+import JiraNetworkError from './jira-network-error';
+import JiraTimeoutError from './jira-timeout-error';
+import JiraJqlError from './jira-jql-error';
+import JiraIssueValidationError from './jira-issue-validation-error';
+import JiraFieldError from './jira-field-error';
+import JiraTransitionError from './jira-transition-error';
+
+export {
+  JiraApiError,
+  JiraValidationError,
+  JiraAuthError,
+  JiraNotFoundError,
+  JiraConflictError,
+  JiraRateLimitError,
+  JiraServerError,
+  JiraNetworkError,
+  JiraTimeoutError,
+  JiraJqlError,
+  JiraIssueValidationError,
+  JiraFieldError,
+  JiraTransitionError,
+};
+
+const TIMEOUT_CODES = ['ETIMEDOUT', 'ESOCKETTIMEDOUT'];
+
+function errorClassForStatus(status) {
+  if (status === 400) return JiraValidationError;
+  if (status === 401 || status === 403) return JiraAuthError;
+  if (status === 404) return JiraNotFoundError;
+  if (status === 409) return JiraConflictError;
+  if (status === 429) return JiraRateLimitError;
+  if (status >= 500) return JiraServerError;
+  return JiraApiError;
+}
+
+function parseBody(body) {
+  if (typeof body !== 'string') return body;
+
+  try {
+    return JSON.parse(body);
+  } catch (e) {
+    return body;
+  }
+}
+
+/**
+ * @name describeRequest
+ * @function
+ * Picks the parts of a request worth reporting on an error, leaving out credentials
+ * @param {object} [requestOptions] - the options the request was made with
+ */
+export function describeRequest(requestOptions = {}) {
+  const {
+    method, uri, qs, body,
+  } = requestOptions;
+  return {
+    method: method || 'GET',
+    uri,
+    qs,
+    body,
+  };
+}
+
+/**
+ * @name jiraErrorDetails
+ * @function
+ * Extracts Jira's error collection (errorMessages, errors and warningMessages) from a response
+ * body
+ * @param {*} body - a response body, either already parsed or as a JSON string
+ */
+export function jiraErrorDetails(body) {
+  const parsed = parseBody(body);
+  if (!parsed || typeof parsed !== 'object') return {};
+
+  return {
+    errorMessages: Array.isArray(parsed.errorMessages) ? parsed.errorMessages : [],
+    errors: parsed.errors && typeof parsed.errors === 'object' ? parsed.errors : {},
+    warningMessages: Array.isArray(parsed.warningMessages) ? parsed.warningMessages : [],
+  };
+}
+
+function messageFromDetails({ errorMessages = [], errors = {} }) {
+  const fieldMessages = Object.keys(errors).map((field) => `${field}: ${errors[field]}`);
+  return [...errorMessages, ...fieldMessages].join(', ');
+}
+
+/**
+ * @name createJiraApiError
+ * @function
+ * Turns whatever the request function rejected with into the matching JiraApiError subclass
+ * @param {*} failure - an http response with a status code >= 400, a network error or any other
+ * rejection value
+ * @param {object} [requestOptions] - the options the request was made with
+ */
+export function createJiraApiError(failure, requestOptions) {
+  const request = describeRequest(requestOptions);
+
+  if (failure instanceof JiraApiError) return failure;
+
+  if (failure && typeof failure === 'object' && failure.statusCode) {
+    const status = failure.statusCode;
+    const body = parseBody(failure.body);
+    const details = jiraErrorDetails(body);
+    const ErrorClass = errorClassForStatus(status);
+    const message = messageFromDetails(details)
+      || `${request.method} ${request.uri} failed with status ${status}`;
+
+    return new ErrorClass(message, {
+      ...details,
+      status,
+      headers: failure.headers,
+      body,
+      request,
+    });
+  }
+
+  if (failure instanceof Error) {
+    const ErrorClass = TIMEOUT_CODES.includes(failure.code) ? JiraTimeoutError : JiraNetworkError;
+    return new ErrorClass(failure.message, { request, cause: failure });
+  }
+
+  const message = typeof failure === 'string' ? failure : JSON.stringify(failure);
+  return new JiraApiError(message, {
+    ...jiraErrorDetails(failure && failure.body),
+    request,
+    cause: failure,
+  });
+}
@@ -0,0 +1,49 @@
+/**
+ * @name JiraApiError
+ * @class
+ * Base class for every error raised by a JiraApi request. Carries the HTTP status, the
+ * response headers and body, the `errorMessages` and per-field `errors` reported by Jira and
+ * the method and uri of the request that failed.
+ */
+export default class JiraApiError extends Error {
+  /**
+   * @constructor
+   * @function
+   * @param {string} message
+   * @param {JiraApiErrorDetails} [details]
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = details.status;
+    this.headers = details.headers || {};
+    this.body = details.body;
+    this.errorMessages = details.errorMessages || [];
+    this.errors = details.errors || {};
+    this.warningMessages = details.warningMessages || [];
+    this.request = details.request;
+    this.cause = details.cause;
+  }
+}
+
+/**
+ * @typedef JiraApiErrorDetails
+ * @type {object}
+ * @property {number} [status] - HTTP status code of the response, if one was received
+ * @property {object} [headers] - Response headers
+ * @property {*} [body] - Raw response body
+ * @property {string[]} [errorMessages] - Jira's `errorMessages` array
+ * @property {object} [errors] - Jira's per-field `errors` map, keyed by field id
+ * @property {string[]} [warningMessages] - Jira's `warningMessages` array
+ * @property {JiraApiErrorRequest} [request] - The request that failed
+ * @property {*} [cause] - The underlying error raised by the request function
+ */
+
+/**
+ * @typedef JiraApiErrorRequest
+ * @type {object}
+ * @property {string} method - HTTP Request Method. ie GET, POST, PUT, DELETE
+ * @property {string} uri - The requested uri
+ * @property {object} [qs] - Query string parameters sent apart from the uri
+ * @property {*} [body] - The request payload
+ */
@@ -0,0 +1,8 @@
+import JiraApiError from './jira-api-error';
+
+/**
+ * @name JiraAuthError
+ * @class
+ * The credentials are missing, invalid (HTTP 401) or lack permission (HTTP 403).
+ */
+export default class JiraAuthError extends JiraApiError {}
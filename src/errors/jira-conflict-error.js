@@ -0,0 +1,8 @@
+import JiraApiError from './jira-api-error';
+
+/**
+ * @name JiraConflictError
+ * @class
+ * The request conflicts with the current state of the resource (HTTP 409).
+ */
+export default class JiraConflictError extends JiraApiError {}
@@ -0,0 +1,21 @@
+import JiraApiError from './jira-api-error';
+
+/**
+ * @name JiraFieldError
+ * @class
+ * A field name, or a value such as a user's email, could not be resolved to a single id before
+ * the request was sent. `field` holds the field and `candidates` the ids it matches.
+ */
+export default class JiraFieldError extends JiraApiError {
+  /**
+   * @constructor
+   * @function
+   * @param {string} message
+   * @param {JiraApiErrorDetails} [details] - also takes `field` and `candidates`
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.field = details.field;
+    this.candidates = details.candidates || [];
+  }
+}
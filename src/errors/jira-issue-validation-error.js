@@ -0,0 +1,20 @@
+import JiraValidationError from './jira-validation-error';
+
+/**
+ * @name JiraIssueValidationError
+ * @class
+ * An issue payload failed validation against the create metadata before being sent. `problems`
+ * lists every problem found and `errors` maps field ids to their messages, as Jira would.
+ */
+export default class JiraIssueValidationError extends JiraValidationError {
+  /**
+   * @constructor
+   * @function
+   * @param {string} message
+   * @param {JiraApiErrorDetails} [details] - also takes `problems`
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.problems = details.problems || [];
+  }
+}
@@ -0,0 +1,20 @@
+import JiraValidationError from './jira-validation-error';
+
+/**
+ * @name JiraJqlError
+ * @class
+ * A query failed validation before being sent. `jqlErrors` lists the problems with their
+ * positions in the query.
+ */
+export default class JiraJqlError extends JiraValidationError {
+  /**
+   * @constructor
+   * @function
+   * @param {string} message
+   * @param {JiraApiErrorDetails} [details] - also takes `jqlErrors`
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.jqlErrors = details.jqlErrors || [];
+  }
+}
@@ -0,0 +1,19 @@
+import JiraApiError from './jira-api-error';
+
+/**
+ * @name JiraNetworkError
+ * @class
+ * No response was received from Jira. `code` holds the system error code, ie ECONNRESET.
+ */
+export default class JiraNetworkError extends JiraApiError {
+  /**
+   * @constructor
+   * @function
+   * @param {string} message
+   * @param {JiraApiErrorDetails} [details]
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.code = details.cause && details.cause.code;
+  }
+}
@@ -0,0 +1,8 @@
+import JiraApiError from './jira-api-error';
+
+/**
+ * @name JiraNotFoundError
+ * @class
+ * The requested resource does not exist or is not visible to the user (HTTP 404).
+ */
+export default class JiraNotFoundError extends JiraApiError {}
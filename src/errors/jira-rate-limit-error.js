@@ -0,0 +1,8 @@
+import JiraApiError from './jira-api-error';
+
+/**
+ * @name JiraRateLimitError
+ * @class
+ * Jira is throttling the client (HTTP 429).
+ */
+export default class JiraRateLimitError extends JiraApiError {}
@@ -0,0 +1,8 @@
+import JiraApiError from './jira-api-error';
+
+/**
+ * @name JiraServerError
+ * @class
+ * Jira failed to handle the request (HTTP 5xx).
+ */
+export default class JiraServerError extends JiraApiError {}
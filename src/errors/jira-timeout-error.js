@@ -0,0 +1,8 @@
+import JiraNetworkError from './jira-network-error';
+
+/**
+ * @name JiraTimeoutError
+ * @class
+ * The request did not complete within the configured `timeout`.
+ */
+export default class JiraTimeoutError extends JiraNetworkError {}
@@ -0,0 +1,23 @@
+import JiraApiError from './jira-api-error';
+
+/**
+ * @name JiraTransitionError
+ * @class
+ * An issue could not be moved to the requested status. `available` lists the transitions that
+ * were available, `missingFields` the required transition screen fields that were not given and
+ * `path` the transitions already made when walking towards the status.
+ */
+export default class JiraTransitionError extends JiraApiError {
+  /**
+   * @constructor
+   * @function
+   * @param {string} message
+   * @param {JiraApiErrorDetails} [details] - also takes `available`, `missingFields` and `path`
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.available = details.available || [];
+    this.missingFields = details.missingFields || [];
+    this.path = details.path || [];
+  }
+}
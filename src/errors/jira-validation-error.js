@@ -0,0 +1,8 @@
+import JiraApiError from './jira-api-error';
+
+/**
+ * @name JiraValidationError
+ * @class
+ * Jira rejected the request as invalid (HTTP 400). Check `errors` for per-field messages.
+ */
+export default class JiraValidationError extends JiraApiError {}
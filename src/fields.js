@@ -0,0 +1,255 @@
+import { JiraFieldError } from './errors';
+
+/**
+ * @typedef FieldNameOptions
+ * @type {object}
+ * @property {object} [aliases] - maps names of your own to field names or ids, ie
+ * `{ points: 'Story Points', team: 'customfield_10023' }`
+ * @property {boolean} [responses=true] - whether custom field ids in responses are replaced with
+ * their alias, or their name when it is unique
+ */
+
+// Field lists accept these in place of field ids
+const FIELD_LIST_TOKENS = ['*all', '*navigable'];
+
+function addTo(map, key, field) {
+  map.set(key, [...(map.get(key) || []), field]);
+}
+
+function indexFields(fields) {
+  const index = {
+    byId: new Map(),
+    byKey: new Map(),
+    byName: new Map(),
+    byLowerName: new Map(),
+  };
+
+  fields.forEach((field) => {
+    index.byId.set(field.id, field);
+    if (field.key) index.byKey.set(field.key, field);
+    if (field.name) {
+      addTo(index.byName, field.name, field);
+      addTo(index.byLowerName, field.name.toLowerCase(), field);
+    }
+  });
+  return index;
+}
+
+function isCustom(field) {
+  return field.custom === true || /^customfield_/.test(field.id);
+}
+
+/**
+ * @name FieldResolver
+ * @class
+ * Translates field names and aliases to field ids for requests, and custom field ids back to
+ * names for responses. The field list is fetched with listFields on first use and cached.
+ */
+export default class FieldResolver {
+  /**
+   * @constructor
+   * @function
+   * @param {JiraApi} jira - the client to list fields with
+   * @param {FieldNameOptions} [options]
+   */
+  constructor(jira, { aliases = {}, responses = true } = {}) {
+    this.jira = jira;
+    this.aliases = aliases;
+    this.responses = responses;
+    this.index = null;
+  }
+
+  /**
+   * @name load
+   * @function
+   * Fetches and indexes the field list, once. A failed fetch is retried on the next call.
+   */
+  load() {
+    if (!this.index) {
+      this.index = Promise.resolve(this.jira.listFields()).then(indexFields, (error) => {
+        this.index = null;
+        throw error;
+      });
+    }
+    return this.index;
+  }
+
+  /**
+   * @name refresh
+   * @function
+   * Drops the cached field list and fetches it again, ie after a field was created or renamed
+   */
+  refresh() {
+    this.index = null;
+    return this.load();
+  }
+
+  /**
+   * @name lookup
+   * @function
+   * @private
+   * @param {object} index - the loaded index
+   * @param {string} name - a field id, key, name or alias
+   */
+  lookup(index, name) {
+    const target = Object.prototype.hasOwnProperty.call(this.aliases, name)
+      ? this.aliases[name]
+      : name;
+
+    if (index.byId.has(target)) return target;
+    if (index.byKey.has(target)) return index.byKey.get(target).id;
+
+    const matches = index.byName.get(target) || index.byLowerName.get(String(target).toLowerCase());
+    if (!matches) return target;
+    if (matches.length > 1) {
+      const candidates = matches.map((x) => x.id);
+      throw new JiraFieldError(
+        `Field name "${name}" is ambiguous, it matches ${candidates.join(', ')}`,
+        { field: name, candidates },
+      );
+    }
+    return matches[0].id;
+  }
+
+  /**
+   * @name resolveId
+   * @function
+   * Returns the id of a field given its id, key, name (case insensitive) or alias. Unknown
+   * names are returned as they are and left for Jira to reject.
+   * @param {string} name - a field id, key, name or alias
+   * @throws {JiraFieldError} when the name matches more than one field
+   */
+  async resolveId(name) {
+    const index = await this.load();
+    return this.lookup(index, name);
+  }
+
+  /**
+   * @name field
+   * @function
+   * Returns the listFields entry of a field, with its `schema`, or null when it is unknown
+   * @param {string} name - a field id, key, name or alias
+   */
+  async field(name) {
+    const index = await this.load();
+    return index.byId.get(this.lookup(index, name)) || null;
+  }
+
+  /**
+   * @name resolveIds
+   * @function
+   * Resolves a list of fields as taken by findIssue and searchJira. `*all`, `*navigable` and
+   * exclusions like `-comment` are kept.
+   * @param {string|string[]} names - an array or a comma separated list of fields
+   * @return {Promise<string[]>}
+   */
+  async resolveIds(names) {
+    const index = await this.load();
+    const list = Array.isArray(names) ? names : String(names).split(',').map((x) => x.trim());
+
+    return list.map((name) => {
+      if (FIELD_LIST_TOKENS.includes(name)) return name;
+      if (name.startsWith('-')) return `-${this.lookup(index, name.slice(1))}`;
+      return this.lookup(index, name);
+    });
+  }
+
+  /**
+   * @name displayName
+   * @function
+   * @private
+   * Name custom fields are given in responses: their alias, or their name when no other field
+   * shares it. Anything else keeps its id.
+   * @param {object} index - the loaded index
+   * @param {string} id - a field id
+   */
+  displayName(index, id) {
+    const field = index.byId.get(id);
+    if (!field || !isCustom(field)) return id;
+
+    const alias = Object.keys(this.aliases).find((x) => {
+      try {
+        return this.lookup(index, x) === id;
+      } catch (e) {
+        return false;
+      }
+    });
+    if (alias) return alias;
+    if (index.byName.get(field.name).length === 1 && !index.byId.has(field.name)) return field.name;
+    return id;
+  }
+
+  /**
+   * @name keysToIds
+   * @function
+   * Renames the keys of a `fields` or `update` object from names to ids
+   * @param {object} values - values keyed by field id, name or alias
+   */
+  async keysToIds(values) {
+    if (!values) return values;
+    const index = await this.load();
+
+    return Object.keys(values).reduce((renamed, key) => {
+      const id = this.lookup(index, key);
+      if (Object.prototype.hasOwnProperty.call(renamed, id)) {
+        throw new JiraFieldError(`Field ${id} is set more than once, again as "${key}"`, {
+          field: key,
+          candidates: [id],
+        });
+      }
+      return { ...renamed, [id]: values[key] };
+    }, {});
+  }
+
+  /**
+   * @name payloadToIds
+   * @function
+   * Renames the `fields` and `update` keys of an addNewIssue or updateIssue payload to ids
+   * @param {object} payload - an issue create or edit payload
+   */
+  async payloadToIds(payload) {
+    if (!payload || (!payload.fields && !payload.update)) return payload;
+
+    const translated = { ...payload };
+    if (payload.fields) translated.fields = await this.keysToIds(payload.fields);
+    if (payload.update) translated.update = await this.keysToIds(payload.update);
+    return translated;
+  }
+
+  /**
+   * @name issueToNames
+   * @function
+   * Renames the custom fields of an issue, and of its `names` and `schema` when expanded, from
+   * ids to names. Does nothing when the `responses` option is off.
+   * @param {object} issue - an issue as returned by findIssue or searchJira
+   */
+  async issueToNames(issue) {
+    if (!this.responses || !issue || !issue.fields) return issue;
+    const index = await this.load();
+
+    const rename = (values) => Object.keys(values).reduce((renamed, id) => ({
+      ...renamed,
+      [this.displayName(index, id)]: values[id],
+    }), {});
+
+    const translated = { ...issue, fields: rename(issue.fields) };
+    ['names', 'schema', 'renderedFields'].forEach((key) => {
+      if (issue[key]) translated[key] = rename(issue[key]);
+    });
+    return translated;
+  }
+
+  /**
+   * @name resultsToNames
+   * @function
+   * Applies issueToNames to every issue of a search response
+   * @param {object} results - a searchJira or enhancedSearch response
+   */
+  async resultsToNames(results) {
+    if (!this.responses || !results || !Array.isArray(results.issues)) return results;
+    return {
+      ...results,
+      issues: await Promise.all(results.issues.map((issue) => this.issueToNames(issue))),
+    };
+  }
+}
@@ -0,0 +1,240 @@
+import { collectAll, iterateItems } from './pagination';
+
+/**
+ * @typedef TimelineEntry
+ * @type {object}
+ * @property {string} at - when the field took the value, the creation time of the issue for the
+ * first entry
+ * @property {*} value - the value it took, as displayed: names of statuses, users, versions or
+ * options, numbers, and arrays of them for multi-value fields. Sprints are listed by id, as their
+ * names may hold the commas that separate them in the changelog.
+ * @property {object} author - the user who made the change, the creator of the issue for the
+ * first entry
+ */
+
+// Changelog names of system fields, for changelogs without fieldId
+const CHANGELOG_ALIASES = {
+  'fix version': 'fixVersions',
+  version: 'versions',
+  component: 'components',
+  attachment: 'attachment',
+};
+
+// Fields whose changelog items add or remove one value instead of listing every value
+const INCREMENTAL_FIELDS = ['fixVersions', 'versions', 'components', 'attachment'];
+
+const SERVER_SPRINT = /^com\.atlassian\.greenhopper\.service\.sprint\.Sprint@.*\bname=([^,\]]*)/;
+const SERVER_SPRINT_ID = /^com\.atlassian\.greenhopper\.service\.sprint\.Sprint@.*\bid=(\d+)/;
+
+const SPRINT_FIELD = 'com.pyxis.greenhopper.jira:gh-sprint';
+
+function isBlank(text) {
+  return text === undefined || text === null || text === '';
+}
+
+/**
+ * @name displayValue
+ * @function
+ * Turns a field value, as returned by Jira, into the form the changelog shows it in: the name of
+ * a status, user, version or option rather than the object
+ * @param {*} value - a field value of an issue
+ */
+export function displayValue(value) {
+  if (value === undefined || value === null) return null;
+  if (Array.isArray(value)) return value.map(displayValue);
+  if (typeof value === 'string') {
+    const sprint = SERVER_SPRINT.exec(value);
+    return sprint ? sprint[1] : value;
+  }
+  if (typeof value !== 'object' || value.type === 'doc') return value;
+
+  const display = [value.displayName, value.name, value.value, value.filename, value.key, value.id]
+    .find((x) => x !== undefined && x !== null);
+  return display === undefined ? value : display;
+}
+
+// The ids of the sprints of a Sprint field value: objects on Cloud, strings on Server
+function sprintIds(value) {
+  if (value === undefined || value === null) return [];
+  return [].concat(value).map((sprint) => {
+    if (sprint && typeof sprint === 'object') return Number(sprint.id);
+    const server = SERVER_SPRINT_ID.exec(sprint);
+    return Number(server ? server[1] : sprint);
+  });
+}
+
+// Labels are listed separated by spaces, other multi-value fields by commas
+function parseValue(fieldId, schema, text) {
+  if (schema.type === 'array') {
+    if (isBlank(text)) return [];
+    return fieldId === 'labels' ? text.split(/\s+/) : text.split(/,\s*/);
+  }
+  if (isBlank(text)) return null;
+  return schema.type === 'number' ? Number(text) : text;
+}
+
+/**
+ * @name IssueHistory
+ * @class
+ * Replays the changelog of an issue backwards from its current fields, to tell the value of its
+ * fields at any point in time
+ */
+export default class IssueHistory {
+  /**
+   * @constructor
+   * @function
+   * @param {object} issue - the issue as returned by Jira, expanded with names and schema
+   * @param {object[]} histories - every history of its changelog, in any order
+   */
+  constructor(issue, histories) {
+    this.key = issue.key;
+    this.created = issue.fields.created;
+    this.creator = issue.fields.creator || issue.fields.reporter || null;
+    this.names = issue.names || {};
+    this.schema = issue.schema || {};
+    this.current = Object.keys(issue.fields).reduce((fields, id) => ({
+      ...fields,
+      [id]: this.isSprintField(id) ? sprintIds(issue.fields[id]) : displayValue(issue.fields[id]),
+    }), {});
+    // Newest first, the order they are reverted in
+    this.histories = [...histories].sort((a, b) => (
+      Date.parse(b.created) - Date.parse(a.created) || Number(b.id) - Number(a.id)
+    ));
+  }
+
+  /**
+   * @name fieldId
+   * @function
+   * Resolves a field id, name or changelog name to the id of the field
+   * @param {string} field
+   */
+  fieldId(field) {
+    if (field in this.current || field in this.schema) return field;
+
+    const lower = String(field).toLowerCase();
+    const named = Object.keys(this.names).find((id) => this.names[id].toLowerCase() === lower);
+    return named || CHANGELOG_ALIASES[lower] || field;
+  }
+
+  /**
+   * @name isSprintField
+   * @function
+   * @private
+   * Whether a field holds sprints, which are kept by id
+   * @param {string} fieldId
+   */
+  isSprintField(fieldId) {
+    return (this.schema[fieldId] || {}).custom === SPRINT_FIELD;
+  }
+
+  /**
+   * @name revert
+   * @function
+   * @private
+   * Returns the value a field had before a changelog item changed it
+   * @param {string} fieldId
+   * @param {*} value - its value after the change
+   * @param {object} item - the changelog item
+   */
+  revert(fieldId, value, item) {
+    if (INCREMENTAL_FIELDS.includes(fieldId)) {
+      const values = (value || []).filter((x) => x !== item.toString);
+      return isBlank(item.fromString) ? values : [...values, item.fromString];
+    }
+    if (this.isSprintField(fieldId)) {
+      return isBlank(item.from) ? [] : String(item.from).split(/,\s*/).map(Number);
+    }
+    return parseValue(fieldId, this.schema[fieldId] || {}, item.fromString);
+  }
+
+  /**
+   * @name changedFields
+   * @function
+   * @private
+   * Groups the items of a history by the id of the field they change
+   * @param {object} history
+   */
+  changedFields(history) {
+    return (history.items || []).reduce((changes, item) => {
+      const id = item.fieldId || this.fieldId(item.field);
+      return { ...changes, [id]: [...(changes[id] || []), item] };
+    }, {});
+  }
+
+  /**
+   * @name stateAt
+   * @function
+   * The fields of the issue as they were at a point in time, keyed by id
+   * @param {Date|string|number} date
+   * @return {object} the display values of the fields, or null when the issue did not exist yet
+   */
+  stateAt(date) {
+    const time = new Date(date).getTime();
+    if (time < Date.parse(this.created)) return null;
+
+    return this.histories
+      .filter((history) => Date.parse(history.created) > time)
+      .reduce((fields, history) => {
+        const changes = this.changedFields(history);
+        return Object.keys(changes).reduce((reverted, id) => ({
+          ...reverted,
+          [id]: changes[id].reduce((value, item) => this.revert(id, value, item), reverted[id]),
+        }), fields);
+      }, { ...this.current });
+  }
+
+  /**
+   * @name timeline
+   * @function
+   * Every value a field took, from the creation of the issue on
+   * @param {string} field - the field id or name
+   * @return {TimelineEntry[]} oldest first
+   */
+  timeline(field) {
+    const id = this.fieldId(field);
+    const entries = [];
+    const initial = this.histories.reduce((value, history) => {
+      const items = this.changedFields(history)[id];
+      if (!items) return value;
+
+      entries.push({ at: history.created, value, author: history.author || null });
+      return items.reduce((current, item) => this.revert(id, current, item), value);
+    }, this.current[id] === undefined ? null : this.current[id]);
+
+    entries.push({ at: this.created, value: initial, author: this.creator });
+    return entries.reverse();
+  }
+
+  /**
+   * @name withNames
+   * @function
+   * Keys fields by their name instead of their id
+   * @param {object} fields - as returned by stateAt
+   */
+  withNames(fields) {
+    return Object.keys(fields).reduce((named, id) => ({
+      ...named,
+      [this.names[id] || id]: fields[id],
+    }), {});
+  }
+}
+
+/**
+ * @name loadIssueHistory
+ * @function
+ * Fetches an issue with its whole changelog, paging through it when the issue holds only its
+ * first histories
+ * @param {JiraApi} jira - the client to fetch with
+ * @param {string} issueKey - the issue id or key
+ * @return {Promise<IssueHistory>}
+ */
+export async function loadIssueHistory(jira, issueKey) {
+  const issue = await jira.rawIssue(issueKey, undefined, 'names,schema,changelog');
+  const changelog = issue.changelog || {};
+  const histories = changelog.histories && changelog.histories.length >= changelog.total
+    ? changelog.histories
+    : await collectAll(iterateItems(jira, 'getIssueChangelog', [issueKey]), {
+      maxItems: Infinity,
+    });
+  return new IssueHistory(issue, histories);
+}
@@ -1,4 +1,50 @@
 import url from 'url';
+import {
+  JiraApiError,
+  JiraValidationError,
+  JiraJqlError,
+  JiraFieldError,
+  JiraIssueValidationError,
+  JiraTransitionError,
+  JiraAuthError,
+  JiraNotFoundError,
+  JiraConflictError,
+  JiraRateLimitError,
+  JiraServerError,
+  JiraNetworkError,
+  JiraTimeoutError,
+  createJiraApiError,
+  describeRequest,
+  jiraErrorDetails,
+} from './errors';
+import { normalizeRetryOptions, withRetry } from './retry';
+import RequestLimiter from './limiter';
+import { collectAll, iterateItems, iterateSearch } from './pagination';
+import { searchFromOffset } from './search';
+import createJql, { JqlQuery, jqlString } from './jql';
+import { normalizeParsedQuery } from './jql-parse';
+import * as adf from './adf';
+import * as wiki from './wiki';
+import FieldResolver from './fields';
+import ValueCoercer from './coercion';
+import { CreateMetadataCache, validateNewIssue } from './validation';
+import { transitionIssueTo } from './transitions';
+import WorkflowGraph, { loadProjectWorkflowGraphs, loadWorkflowGraph } from './workflow';
+import { bulkCreateResults, chunk } from './bulk-create';
+import BulkOperation from './bulk';
+import { cloneIssue } from './clone';
+import IssueHistory, { loadIssueHistory } from './history';
+import BusinessCalendar from './calendar';
+import { aggregateFlows, issueFlow, statusCategories } from './analytics';
+import { loadSprintReport, loadVelocity } from './sprint-report';
+import BoardConfig, { loadBoardConfig } from './board-config';
+import {
+  boardBacklog, findBoard, lastBoardSprint, listBoardSprints, sprintContents,
+} from './rapid-views';
+import UndoJournal, { recordUndo, replayUndo } from './journal';
+import {
+  formatPlan, isMutating, planRequest, trackedMethods,
+} from './dry-run';
 
 // Need to use require here for testing
 // eslint-disable-next-line no-underscore-dangle
@@ -11,7 +57,8 @@ function request(uri, options) {
         reject(err);
       } else {
         if (httpResponse.statusCode >= 400) {
-          reject(httpResponse.body);
+          reject(httpResponse);
+          return;
         }
 
         // for compatibility with request-promise
@@ -44,6 +91,25 @@ export default class JiraApi {
     this.request = options.request || request;
     this.webhookVersion = options.webHookVersion || '1.0';
     this.greenhopperVersion = options.greenhopperVersion || '1.0';
+    this.retry = normalizeRetryOptions(options.retry);
+    this.limiter = options.limiter || null;
+    this.searchApi = options.searchApi || 'legacy';
+    this.rapidViewApi = options.rapidViewApi || 'legacy';
+    this.serverInfo = null;
+    this.fieldNames = Boolean(options.fieldNames);
+    this.fieldResolver = new FieldResolver(
+      this,
+      typeof options.fieldNames === 'object' ? options.fieldNames : {},
+    );
+    this.coerceValues = Boolean(options.coerceValues);
+    this.valueCoercer = new ValueCoercer(this, this.fieldResolver);
+    this.createMetadata = new CreateMetadataCache(this);
+    this.journal = typeof options.journal === 'string'
+      ? new UndoJournal(options.journal)
+      : options.journal || null;
+    this.dryRun = Boolean(options.dryRun);
+    this.plan = [];
+    if (this.dryRun) Object.assign(this, trackedMethods(this));
     this.baseOptions = {};
 
     if (options.ca) {
@@ -75,6 +141,13 @@ export default class JiraApi {
     if (options.timeout) {
       this.baseOptions.timeout = options.timeout;
     }
+
+    if (!this.limiter && options.rateLimit) {
+      const { shared, ...limiterOptions } = options.rateLimit;
+      this.limiter = shared
+        ? RequestLimiter.forHost(`${this.protocol}://${this.host}:${this.port || ''}`, limiterOptions)
+        : new RequestLimiter(limiterOptions);
+    }
   }
 
   /**
@@ -113,6 +186,47 @@ export default class JiraApi {
    * @property {OAuth} [oauth] - Specify an OAuth object for this tool to authenticate all requests
    * using OAuth.
    * @property {string} [bearer] - Specify an OAuth bearer token to authenticate all requests with.
+   * @property {RetryOptions|boolean} [retry] - Retry requests that fail with a 429 or 503 using
+   * exponential backoff, honouring the Retry-After and X-RateLimit-Reset headers. A 429, or a 503
+   * with Retry-After, is retried for every method, POST searches included. Pass true for the
+   * default policy. Disabled by default.
+   * @property {RateLimitOptions} [rateLimit] - Throttle the requests made by this client
+   * @property {RequestLimiter} [limiter] - A RequestLimiter to share between several clients.
+   * Takes precedence over rateLimit.
+   * @property {string} [searchApi=legacy] - Which endpoint searchJira uses. `legacy` is the offset
+   * paged /search, `enhanced` the token paged /search/jql, and `auto` picks /search/jql on Jira
+   * Cloud and /search on Server and Data Center.
+   * @property {string} [rapidViewApi=legacy] - Which API findRapidView, listSprints,
+   * getLastSprintForRapidView, getSprintIssues and getBacklogForRapidView use. `legacy` is the
+   * private greenhopper API, `agile` the Agile REST API with its own response shapes, and `compat`
+   * the Agile REST API with responses reshaped to the greenhopper ones.
+   * @property {FieldNameOptions|boolean} [fieldNames] - Address fields by name or alias in
+   * findIssue, searchJira, enhancedSearch, addNewIssue and updateIssue, and get custom fields
+   * back under their names. The field list is loaded with listFields on first use and cached in
+   * `fieldResolver`. Disabled by default.
+   * @property {boolean} [coerceValues] - Accept natural values in addNewIssue and updateIssue,
+   * like option strings, `{ parent, child }` for cascading selects, Dates, version names and
+   * account ids or emails, converting them to the shape each field's schema requires. findIssue
+   * then returns custom field values in the same natural form. Disabled by default.
+   * @property {string|UndoJournal} [journal] - Record how to revert updateIssue,
+   * transitionIssue, updateAssignee, updateAssigneeWithId, addWatcher, issueLink, addComment,
+   * addCommentAdvanced and updateComment to this JSON lines file, capturing the prior values
+   * before each call. Revert them with replayUndo. Any object with `record(entry)` and `read()`
+   * methods, and optionally `emit`, can stand in for the file. Disabled by default.
+   * @property {boolean} [dryRun] - Send GET requests and searches, but only add POST, PUT and
+   * DELETE requests to `plan` with the method that made them, resolving them with made up
+   * responses. Print the plan with formatPlan. Disabled by default.
+   */
+
+  /**
+   * @typedef RateLimitOptions
+   * @type {object}
+   * @property {number} [maxConcurrent] - Maximum number of requests in flight at once
+   * @property {number} [requestsPerInterval] - How many requests may start per interval
+   * @property {number} [interval=1000] - Length of the interval in milliseconds
+   * @property {number} [burst] - How many requests may start at once after an idle period
+   * @property {boolean} [shared=false] - Share the limiter with every other client connecting to
+   * the same protocol, host and port. The first client to be created sets its options.
    */
 
   /**
@@ -282,7 +396,11 @@ export default class JiraApi {
   /**
    * @name doRequest
    * @function
-   * Does a request based on the requestOptions object
+   * Does a request based on the requestOptions object. Failures are thrown as a JiraApiError,
+   * or one of its subclasses depending on the HTTP status, carrying `status`, `errorMessages`,
+   * the per-field `errors` and the originating `request`. Retryable failures are retried first
+   * when a retry policy is configured. With the dryRun option, requests that change something
+   * are added to `plan` instead of being sent.
    * @param {object} requestOptions - fields on this object get posted as a request header for
    * requests to jira
    */
@@ -291,20 +409,28 @@ export default class JiraApi {
       ...this.baseOptions,
       ...requestOptions,
     };
-
-    try {
-      const response = await this.request(options);
-
-      if (response) {
-        if (Array.isArray(response.errorMessages) && response.errorMessages.length > 0) {
-          throw new Error(response.errorMessages.join(', '));
-        }
+    if (this.dryRun && isMutating(options)) return planRequest(this, options);
+
+    const send = () => this.request(options);
+    const response = await withRetry(this.retry, options, async () => {
+      try {
+        return await (this.limiter ? this.limiter.schedule(send) : send());
+      } catch (e) {
+        throw createJiraApiError(e, options);
       }
+    });
 
-      return response;
-    } catch (e) {
-      throw new Error(JSON.stringify(e));
+    if (response) {
+      if (Array.isArray(response.errorMessages) && response.errorMessages.length > 0) {
+        throw new JiraApiError(response.errorMessages.join(', '), {
+          ...jiraErrorDetails(response),
+          body: response,
+          request: describeRequest(options),
+        });
+      }
     }
+
+    return response;
   }
 
   /**
@@ -314,20 +440,50 @@ export default class JiraApi {
    * [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#id290709)
    * @param {string} issueNumber - The issue number to search for including the project key
    * @param {string} expand - The resource expansion to return additional fields in the response
-   * @param {string} fields - Comma separated list of field ids or keys to retrieve
+   * @param {string} fields - Comma separated list of field ids or keys to retrieve, or names
+   * and aliases with the fieldNames option
    * @param {string} properties - Comma separated list of properties to retrieve
    * @param {boolean} fieldsByKeys - False by default, used to retrieve fields by key instead of id
-   */
-  findIssue(issueNumber, expand, fields, properties, fieldsByKeys) {
-    return this.doRequest(this.makeRequestHeader(this.makeUri({
+   * @param {object} [options] - extra options
+   * @param {string} [options.textFormat] - converts the description, environment and comments
+   * from wiki markup (API version 2) or ADF (version 3) to adf, html, markdown, text or wiki
+   */
+  async findIssue(issueNumber, expand, fields, properties, fieldsByKeys, options = {}) {
+    const fieldIds = this.fieldNames && fields
+      ? (await this.fieldResolver.resolveIds(fields)).join(',')
+      : fields;
+    let issue = await this.doRequest(this.makeRequestHeader(this.makeUri({
       pathname: `/issue/${issueNumber}`,
       query: {
         expand: expand || '',
-        fields: fields || '*all',
+        fields: fieldIds || '*all',
         properties: properties || '*all',
         fieldsByKeys: fieldsByKeys || false,
       },
     })));
+    if (this.coerceValues) issue = await this.valueCoercer.issueToNatural(issue);
+    if (this.fieldNames) issue = await this.fieldResolver.issueToNames(issue);
+    return options.textFormat ? wiki.convertIssueText(issue, options.textFormat) : issue;
+  }
+
+  /**
+   * @name rawIssue
+   * @function
+   * @private
+   * Fetches an issue as Jira returns it, fields keyed by id and in their wire format whatever
+   * the fieldNames and coerceValues options
+   * @param {string} issueId - the issue id or key
+   * @param {string[]} [fields] - field ids to fetch, all navigable fields by default
+   * @param {string} [expand] - the resource expansion, ie names,changelog
+   */
+  rawIssue(issueId, fields, expand) {
+    const query = {};
+    if (fields) query.fields = fields.join(',');
+    if (expand) query.expand = expand;
+    return this.doRequest(this.makeRequestHeader(this.makeUri({
+      pathname: `/issue/${issueId}`,
+      query,
+    })));
   }
 
   /**
@@ -405,12 +561,15 @@ export default class JiraApi {
     }));
   }
 
-  /** Find the Rapid View for a specified project
+  /** Find the Rapid View for a specified project. With the rapidViewApi option, the board of
+   * that name.
    * @name findRapidView
    * @function
    * @param {string} projectName - name for the project
    */
   async findRapidView(projectName) {
+    if (this.rapidViewApi !== 'legacy') return findBoard(this, projectName);
+
     const response = await this.doRequest(this.makeRequestHeader(this.makeSprintQueryUri({
       pathname: '/rapidviews/list',
     })));
@@ -426,9 +585,12 @@ export default class JiraApi {
   /** Get the most recent sprint for a given rapidViewId
    * @name getLastSprintForRapidView
    * @function
-   * @param {string} rapidViewId - the id for the rapid view
+   * @param {string} rapidViewId - the id for the rapid view, or board with the rapidViewApi
+   * option
    */
   async getLastSprintForRapidView(rapidViewId) {
+    if (this.rapidViewApi !== 'legacy') return lastBoardSprint(this, rapidViewId);
+
     const response = await this.doRequest(
       this.makeRequestHeader(this.makeSprintQueryUri({
         pathname: `/sprintquery/${rapidViewId}`,
@@ -440,10 +602,13 @@ export default class JiraApi {
   /** Get the issues for a rapidView / sprint
    * @name getSprintIssues
    * @function
-   * @param {string} rapidViewId - the id for the rapid view
+   * @param {string} rapidViewId - the id for the rapid view, or board with the rapidViewApi
+   * option
    * @param {string} sprintId - the id for the sprint
    */
   getSprintIssues(rapidViewId, sprintId) {
+    if (this.rapidViewApi !== 'legacy') return sprintContents(this, rapidViewId, sprintId);
+
     return this.doRequest(this.makeRequestHeader(this.makeSprintQueryUri({
       pathname: '/rapid/charts/sprintreport',
       query: {
@@ -456,9 +621,12 @@ export default class JiraApi {
   /** Get a list of Sprints belonging to a Rapid View
    * @name listSprints
    * @function
-   * @param {string} rapidViewId - the id for the rapid view
+   * @param {string} rapidViewId - the id for the rapid view, or board with the rapidViewApi
+   * option
    */
   listSprints(rapidViewId) {
+    if (this.rapidViewApi !== 'legacy') return listBoardSprints(this, rapidViewId);
+
     return this.doRequest(this.makeRequestHeader(this.makeSprintQueryUri({
       pathname: `/sprintquery/${rapidViewId}`,
     })));
@@ -492,19 +660,205 @@ export default class JiraApi {
     }));
   }
 
+  /** Create a future sprint
+   * [Jira Doc](https://developer.atlassian.com/cloud/jira/software/rest/api-group-sprint/#api-rest-agile-1-0-sprint-post)
+   * @name createSprint
+   * @function
+   * @param {object} sprint - the sprint, ie `{ name, originBoardId, startDate, endDate, goal }`,
+   * dates as Date objects or ISO 8601 strings
+   */
+  createSprint(sprint) {
+    return this.doRequest(this.makeRequestHeader(this.makeAgileUri({
+      pathname: '/sprint',
+    }), {
+      method: 'POST',
+      body: sprint,
+    }));
+  }
+
+  /** Update a sprint, replacing every field. Fields left out are set to null.
+   * [Jira Doc](https://developer.atlassian.com/cloud/jira/software/rest/api-group-sprint/#api-rest-agile-1-0-sprint-sprintid-put)
+   * @name updateSprint
+   * @function
+   * @param {string} sprintId - the id of the sprint
+   * @param {object} sprint - the sprint, ie `{ name, state, startDate, endDate, goal }`
+   */
+  updateSprint(sprintId, sprint) {
+    return this.doRequest(this.makeRequestHeader(this.makeAgileUri({
+      pathname: `/sprint/${sprintId}`,
+    }), {
+      method: 'PUT',
+      body: sprint,
+    }));
+  }
+
+  /** Update some fields of a sprint, leaving the others as they are
+   * [Jira Doc](https://developer.atlassian.com/cloud/jira/software/rest/api-group-sprint/#api-rest-agile-1-0-sprint-sprintid-post)
+   * @name partiallyUpdateSprint
+   * @function
+   * @param {string} sprintId - the id of the sprint
+   * @param {object} sprint - the fields to change, ie `{ name }` or `{ goal }`
+   */
+  partiallyUpdateSprint(sprintId, sprint) {
+    return this.doRequest(this.makeRequestHeader(this.makeAgileUri({
+      pathname: `/sprint/${sprintId}`,
+    }), {
+      method: 'POST',
+      body: sprint,
+    }));
+  }
+
+  /** Start a future sprint
+   * [Jira Doc](https://developer.atlassian.com/cloud/jira/software/rest/api-group-sprint/#api-rest-agile-1-0-sprint-sprintid-post)
+   * @name startSprint
+   * @function
+   * @param {string} sprintId - the id of the sprint
+   * @param {Date|string} startDate - when it starts, as a Date or an ISO 8601 string
+   * @param {Date|string} endDate - when it ends
+   */
+  startSprint(sprintId, startDate, endDate) {
+    return this.partiallyUpdateSprint(sprintId, { state: 'active', startDate, endDate });
+  }
+
+  /** Complete an active sprint. Its open issues stay in it; move them first with
+   * moveIssuesToSprint or moveToBacklog.
+   * [Jira Doc](https://developer.atlassian.com/cloud/jira/software/rest/api-group-sprint/#api-rest-agile-1-0-sprint-sprintid-post)
+   * @name completeSprint
+   * @function
+   * @param {string} sprintId - the id of the sprint
+   */
+  completeSprint(sprintId) {
+    return this.partiallyUpdateSprint(sprintId, { state: 'closed' });
+  }
+
+  /** Delete a sprint. Its issues move to the backlog.
+   * [Jira Doc](https://developer.atlassian.com/cloud/jira/software/rest/api-group-sprint/#api-rest-agile-1-0-sprint-sprintid-delete)
+   * @name deleteSprint
+   * @function
+   * @param {string} sprintId - the id of the sprint
+   */
+  deleteSprint(sprintId) {
+    return this.doRequest(this.makeRequestHeader(this.makeAgileUri({
+      pathname: `/sprint/${sprintId}`,
+    }), {
+      method: 'DELETE',
+    }));
+  }
+
+  /** Swap the position of two sprints
+   * [Jira Doc](https://developer.atlassian.com/cloud/jira/software/rest/api-group-sprint/#api-rest-agile-1-0-sprint-sprintid-swap-post)
+   * @name swapSprint
+   * @function
+   * @param {string} sprintId - the id of the sprint
+   * @param {string} sprintToSwapWith - the id of the sprint to take the place of
+   */
+  swapSprint(sprintId, sprintToSwapWith) {
+    return this.doRequest(this.makeRequestHeader(this.makeAgileUri({
+      pathname: `/sprint/${sprintId}/swap`,
+    }), {
+      method: 'POST',
+      body: {
+        sprintToSwapWith,
+      },
+    }));
+  }
+
+  /** Move issues to a sprint, at most 50 at once, optionally ranking them before or after an
+   * issue
+   * [Jira Doc](https://developer.atlassian.com/cloud/jira/software/rest/api-group-sprint/#api-rest-agile-1-0-sprint-sprintid-issue-post)
+   * @name moveIssuesToSprint
+   * @function
+   * @param {string} sprintId - the id of the sprint
+   * @param {string[]} issues - keys or ids of the issues to move
+   * @param {object} [rank] - where to rank the issues
+   * @param {string} [rank.rankBeforeIssue] - key or id of the issue to rank them before
+   * @param {string} [rank.rankAfterIssue] - key or id of the issue to rank them after
+   * @param {integer} [rank.rankCustomFieldId] - id of the rank field to use, the default one
+   * otherwise
+   */
+  moveIssuesToSprint(sprintId, issues, rank = {}) {
+    return this.doRequest(this.makeRequestHeader(this.makeAgileUri({
+      pathname: `/sprint/${sprintId}/issue`,
+    }), {
+      method: 'POST',
+      body: {
+        issues,
+        ...rank,
+      },
+    }));
+  }
+
+  /** Get Sprint Properties Keys
+   * [Jira Doc](https://developer.atlassian.com/cloud/jira/software/rest/api-group-sprint/#api-rest-agile-1-0-sprint-sprintid-properties-get)
+   * @name getSprintPropertiesKeys
+   * @function
+   * @param {string} sprintId - the id of the sprint
+   */
+  getSprintPropertiesKeys(sprintId) {
+    return this.doRequest(this.makeRequestHeader(this.makeAgileUri({
+      pathname: `/sprint/${sprintId}/properties`,
+    })));
+  }
+
+  /** Get Sprint Property
+   * [Jira Doc](https://developer.atlassian.com/cloud/jira/software/rest/api-group-sprint/#api-rest-agile-1-0-sprint-sprintid-properties-propertykey-get)
+   * @name getSprintProperty
+   * @function
+   * @param {string} sprintId - the id of the sprint
+   * @param {string} propertyKey - the key of the property
+   */
+  getSprintProperty(sprintId, propertyKey) {
+    return this.doRequest(this.makeRequestHeader(this.makeAgileUri({
+      pathname: `/sprint/${sprintId}/properties/${propertyKey}`,
+    })));
+  }
+
+  /** Set Sprint Property
+   * [Jira Doc](https://developer.atlassian.com/cloud/jira/software/rest/api-group-sprint/#api-rest-agile-1-0-sprint-sprintid-properties-propertykey-put)
+   * @name setSprintProperty
+   * @function
+   * @param {string} sprintId - the id of the sprint
+   * @param {string} propertyKey - the key of the property
+   * @param {*} body - the value to set, any JSON value
+   */
+  setSprintProperty(sprintId, propertyKey, body) {
+    return this.doRequest(this.makeRequestHeader(this.makeAgileUri({
+      pathname: `/sprint/${sprintId}/properties/${propertyKey}`,
+    }), {
+      method: 'PUT',
+      body,
+    }));
+  }
+
+  /** Delete Sprint Property
+   * [Jira Doc](https://developer.atlassian.com/cloud/jira/software/rest/api-group-sprint/#api-rest-agile-1-0-sprint-sprintid-properties-propertykey-delete)
+   * @name deleteSprintProperty
+   * @function
+   * @param {string} sprintId - the id of the sprint
+   * @param {string} propertyKey - the key of the property
+   */
+  deleteSprintProperty(sprintId, propertyKey) {
+    return this.doRequest(this.makeRequestHeader(this.makeAgileUri({
+      pathname: `/sprint/${sprintId}/properties/${propertyKey}`,
+    }), {
+      method: 'DELETE',
+    }));
+  }
+
   /** Create an issue link between two issues
    * @name issueLink
    * @function
    * @param {object} link - a link object formatted how the Jira API specifies
    */
   issueLink(link) {
-    return this.doRequest(this.makeRequestHeader(this.makeUri({
+    const requestOptions = this.makeRequestHeader(this.makeUri({
       pathname: '/issueLink',
     }), {
       method: 'POST',
       followAllRedirects: true,
       body: link,
-    }));
+    });
+    return this.journaled('issueLink', [link], requestOptions);
   }
 
   /** List all issue link types jira knows about
@@ -666,7 +1020,8 @@ export default class JiraApi {
    * [Jira Doc](https://docs.atlassian.com/jira/REST/latest/#d2e4424)
    * @name searchJira
    * @function
-   * @param {string} searchString - jira query string in JQL
+   * @param {string|JqlQuery} searchString - jira query string in JQL, or a query built with
+   * JiraApi.jql
    * @param {object} optional - object containing any of the following properties
    * @param {integer} [optional.startAt=0]: optional starting index number
    * @param {integer} [optional.maxResults=50]: optional The maximum number of items to
@@ -674,18 +1029,259 @@ export default class JiraApi {
    *                  page where a large number of fields are requested.
    * @param {array} [optional.fields]: optional array of string names of desired fields
    * @param {array} [optional.expand]: optional array of string names of desired expand nodes
-   */
-  searchJira(searchString, optional = {}) {
-    return this.doRequest(this.makeRequestHeader(this.makeUri({
+   * @param {boolean} [optional.validateQuery]: optional when true, the query is checked with
+   *                  validateJql first and a JiraJqlError is thrown if it is invalid
+   * When the enhanced search endpoint is in use (see the searchApi option), startAt is served by
+   * skipping over the preceding issues and the response carries nextPageToken and isLast
+   * instead of total.
+   */
+  async searchJira(searchString, optional = {}) {
+    let options = optional;
+    if (optional.validateQuery === true) {
+      const { validateQuery, ...rest } = optional;
+      await this.validateJql(searchString);
+      options = rest;
+    }
+
+    if (await this.usesEnhancedSearch()) {
+      return searchFromOffset(this, jqlString(searchString), options);
+    }
+
+    const results = await this.doRequest(this.makeRequestHeader(this.makeUri({
       pathname: '/search',
     }), {
       method: 'POST',
       followAllRedirects: true,
       body: {
-        jql: searchString,
-        ...optional,
+        jql: jqlString(searchString),
+        ...(await this.fieldListToIds(options)),
+      },
+    }));
+    return this.fieldNames ? this.fieldResolver.resultsToNames(results) : results;
+  }
+
+  /**
+   * @name fieldListToIds
+   * @function
+   * @private
+   * Resolves the `fields` option of a search to field ids when the fieldNames option is on
+   * @param {object} optional - the search options
+   */
+  async fieldListToIds(optional) {
+    if (!this.fieldNames || !optional.fields) return optional;
+    return { ...optional, fields: await this.fieldResolver.resolveIds(optional.fields) };
+  }
+
+  /** Search for issues with the enhanced search endpoint, which pages with nextPageToken
+   * instead of startAt and does not report a total
+   * [Jira Doc](https://developer.atlassian.com/cloud/jira/platform/rest/v3/api-group-issue-search/#api-rest-api-3-search-jql-post)
+   * @name enhancedSearch
+   * @function
+   * @param {string|JqlQuery} searchString - jira query string in JQL
+   * @param {object} optional - object containing any of the following properties
+   * @param {string} [optional.nextPageToken]: optional token of the page to return, taken from
+   *                 the previous response
+   * @param {integer} [optional.maxResults=50]: optional The maximum number of items to
+   *                  return per page
+   * @param {array} [optional.fields]: optional array of string names of desired fields
+   * @param {string} [optional.expand]: optional comma separated list of desired expand nodes
+   * @param {array} [optional.properties]: optional array of issue property keys to return
+   * @param {boolean} [optional.fieldsByKeys]: optional reference fields by key instead of id
+   * @param {array} [optional.reconcileIssues]: optional array of issue ids, up to 50, whose
+   *                latest writes the results should reflect
+   */
+  async enhancedSearch(searchString, optional = {}) {
+    const results = await this.doRequest(this.makeRequestHeader(this.makeUri({
+      pathname: '/search/jql',
+    }), {
+      method: 'POST',
+      followAllRedirects: true,
+      body: {
+        jql: jqlString(searchString),
+        ...(await this.fieldListToIds(optional)),
+      },
+    }));
+    return this.fieldNames ? this.fieldResolver.resultsToNames(results) : results;
+  }
+
+  /** Get an estimate of the number of issues matching a query
+   * [Jira Doc](https://developer.atlassian.com/cloud/jira/platform/rest/v3/api-group-issue-search/#api-rest-api-3-search-approximate-count-post)
+   * @name approximateIssueCount
+   * @function
+   * @param {string|JqlQuery} searchString - jira query string in JQL, must be bounded
+   */
+  async approximateIssueCount(searchString) {
+    const response = await this.doRequest(this.makeRequestHeader(this.makeUri({
+      pathname: '/search/approximate-count',
+    }), {
+      method: 'POST',
+      followAllRedirects: true,
+      body: {
+        jql: jqlString(searchString),
+      },
+    }));
+    return response.count;
+  }
+
+  /** Whether searchJira goes through the enhanced search endpoint, as set by the searchApi
+   * option. In `auto` mode the server info is requested once to tell Cloud apart.
+   * @name usesEnhancedSearch
+   * @function
+   */
+  async usesEnhancedSearch() {
+    if (this.searchApi === 'auto') {
+      return this.isCloud();
+    }
+    return this.searchApi === 'enhanced';
+  }
+
+  /** Whether the client is connected to Jira Cloud, based on the cached server info
+   * @name isCloud
+   * @function
+   */
+  async isCloud() {
+    if (!this.serverInfo) {
+      this.serverInfo = this.getServerInfo().catch((e) => {
+        this.serverInfo = null;
+        throw e;
+      });
+    }
+    const serverInfo = await this.serverInfo;
+    return serverInfo.deploymentType === 'Cloud';
+  }
+
+  /** Parse one or more JQL queries without running them
+   * [Jira Doc](https://developer.atlassian.com/cloud/jira/platform/rest/v3/api-group-jql/#api-rest-api-3-jql-parse-post)
+   * @name parseJql
+   * @function
+   * @param {string|JqlQuery|array} queries - a query, or an array of queries
+   * @param {string} [validation=strict] - strict, warn or none
+   * @return {Promise<JqlParseResult[]>} one normalized result per query, with the error
+   * positions, the clauses as an ast and the ORDER BY fields
+   */
+  async parseJql(queries, validation = 'strict') {
+    const list = Array.isArray(queries) ? queries : [queries];
+    const response = await this.doRequest(this.makeRequestHeader(this.makeUri({
+      pathname: '/jql/parse',
+      query: {
+        validation,
+      },
+    }), {
+      method: 'POST',
+      followAllRedirects: true,
+      body: {
+        queries: list.map(jqlString),
       },
     }));
+    return response.queries.map(normalizeParsedQuery);
+  }
+
+  /** Check a JQL query, throwing a JiraJqlError listing every problem when it is invalid
+   * @name validateJql
+   * @function
+   * @param {string|JqlQuery} query - jira query string in JQL
+   * @return {Promise<JqlParseResult>} the parse result of a valid query
+   */
+  async validateJql(query) {
+    const [result] = await this.parseJql(query);
+    if (!result.valid) {
+      throw new JiraJqlError(result.errors.map((x) => x.message).join(', '), {
+        errorMessages: result.errors.map((x) => x.message),
+        jqlErrors: result.errors,
+      });
+    }
+    return result;
+  }
+
+  /** Get the fields, functions and reserved words available for JQL autocompletion
+   * [Jira Doc](https://developer.atlassian.com/cloud/jira/platform/rest/v3/api-group-jql/#api-rest-api-3-jql-autocompletedata-get)
+   * @name getJqlAutocompleteData
+   * @function
+   */
+  getJqlAutocompleteData() {
+    return this.doRequest(this.makeRequestHeader(this.makeUri({
+      pathname: '/jql/autocompletedata',
+    })));
+  }
+
+  /** Get suggested values for a field or predicate while a JQL query is being typed
+   * [Jira Doc](https://developer.atlassian.com/cloud/jira/platform/rest/v3/api-group-jql/#api-rest-api-3-jql-autocompletedata-suggestions-get)
+   * @name getJqlAutocompleteSuggestions
+   * @function
+   * @param {object} options - object containing any of the following properties
+   * @param {string} [options.fieldName]: the field to suggest values for
+   * @param {string} [options.fieldValue]: the partially typed value
+   * @param {string} [options.predicateName]: the predicate to suggest values for, ie by
+   * @param {string} [options.predicateValue]: the partially typed predicate value
+   */
+  async getJqlAutocompleteSuggestions({
+    fieldName, fieldValue, predicateName, predicateValue,
+  } = {}) {
+    const response = await this.doRequest(this.makeRequestHeader(this.makeUri({
+      pathname: '/jql/autocompletedata/suggestions',
+      query: {
+        fieldName,
+        fieldValue,
+        predicateName,
+        predicateValue,
+      },
+    })));
+    return response.results;
+  }
+
+  /** Iterate over every issue matching a search query, fetching further pages as needed. Pages
+   * with nextPageToken when searchJira uses the enhanced search endpoint.
+   * @name iterateSearch
+   * @function
+   * @param {string|JqlQuery} searchString - jira query string in JQL
+   * @param {object} [optional] - any of the searchJira options. startAt is where the iteration
+   * starts and maxResults is used as the page size.
+   * @return {AsyncIterable} the matching issues, for use with `for await`
+   */
+  iterateSearch(searchString, optional = {}) {
+    return iterateSearch(this, searchString, optional);
+  }
+
+  /** Prepare an operation on every issue matching a search query, ie
+   * `BulkOperation.updateFields({ fixVersions: [{ name: '1.2' }] })`. Call `run()` on the
+   * returned BulkOperation to start it, and listen to its `progress` events to follow it.
+   * @name bulkOperation
+   * @function
+   * @param {string|JqlQuery} searchString - jira query string in JQL
+   * @param {function} operation - called with the key of each issue and the client
+   * @param {BulkOperationOptions} [options] - concurrency and checkpoints
+   * @return {BulkOperation}
+   */
+  bulkOperation(searchString, operation, options) {
+    return new BulkOperation(this, searchString, operation, options);
+  }
+
+  /** Iterate over the items of every page of a paged method, ie getAllBoards, getAllSprints,
+   * getIssueChangelog, getIssueWorklogs, getMembersOfGroup, getUsers or getIssuesForBoard.
+   * Handles `issues` and `values` responses ended by `total` or `isLast`.
+   * @name paginate
+   * @function
+   * @param {string} method - name of the paged JiraApi method
+   * @param {...*} args - arguments of the method. Its startAt and maxResults arguments are used
+   * as the starting point and page size.
+   * @return {AsyncIterable} the items of every page, for use with `for await`
+   */
+  paginate(method, ...args) {
+    // The enhanced search endpoint pages by token, which iterateSearch follows from page to page
+    if (method === 'searchJira') return iterateSearch(this, ...args);
+    return iterateItems(this, method, args);
+  }
+
+  /** Collect the items of an iterator returned by paginate or iterateSearch into an array
+   * @name collectAll
+   * @function
+   * @static
+   * @param {AsyncIterable} iterable - the items to collect
+   * @param {object} [options]
+   * @param {number} [options.maxItems=10000] - stop collecting once this many items are read
+   */
+  static collectAll(iterable, options) {
+    return collectAll(iterable, options);
   }
 
   /** Create a Jira user
@@ -799,8 +1395,11 @@ export default class JiraApi {
    * @param {boolean} open - determines if only open issues should be returned
    */
   getUsersIssues(username, open) {
-    const openJql = open ? ' AND status in (Open, \'In Progress\', Reopened)' : '';
-    return this.searchJira(`assignee = ${username.replace('@', '\\u0040')}${openJql}`, {});
+    const query = createJql('assignee').eq(username);
+    if (open) {
+      query.and('status').in(['Open', 'In Progress', 'Reopened']);
+    }
+    return this.searchJira(query, {});
   }
 
   /** Returns a user.
@@ -837,22 +1436,216 @@ export default class JiraApi {
     })));
   }
 
+  /** Converts Markdown to an Atlassian Document Format document when the client uses version 3
+   * of the API, which rejects plain strings in rich text fields. Anything else is returned as is.
+   * @name toDocument
+   * @function
+   * @param {string|object} value - Markdown text or an ADF document
+   */
+  toDocument(value) {
+    if (String(this.apiVersion) !== '3' || typeof value !== 'string') return value;
+    return adf.markdownToAdf(value);
+  }
+
+  /**
+   * @name withDocumentFields
+   * @function
+   * @private
+   * Converts the Markdown description and environment of an issue payload with toDocument
+   * @param {object} issue - an issue payload as sent to addNewIssue
+   */
+  withDocumentFields(issue) {
+    if (String(this.apiVersion) !== '3' || !issue || !issue.fields) return issue;
+
+    const fields = { ...issue.fields };
+    ['description', 'environment'].forEach((name) => {
+      if (name in fields) fields[name] = this.toDocument(fields[name]);
+    });
+    return { ...issue, fields };
+  }
+
   /** Add issue to Jira
    * [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#id290028)
    * @name addNewIssue
    * @function
-   * @param {object} issue - Properly Formatted Issue object
-   */
-  addNewIssue(issue) {
+   * @param {object} issue - Properly Formatted Issue object. With apiVersion 3, a string
+   * description or environment is read as Markdown and sent as an ADF document. Its `fields` and
+   * `update` may be keyed by field name or alias with the fieldNames option.
+   * @param {object} [options] - extra options
+   * @param {boolean} [options.validate=false] - check the issue against the create metadata of
+   * its project and issue type first, and throw a JiraIssueValidationError listing every problem
+   * instead of sending it
+   * @param {boolean} [options.dryRun=false] - only validate, resolving to the
+   * IssueValidationResult instead of creating the issue
+   */
+  async addNewIssue(issue, options = {}) {
+    const payload = this.withDocumentFields(await this.issuePayload(issue));
+
+    if (options.validate || options.dryRun) {
+      const result = await this.validateNewIssue(payload);
+      if (options.dryRun) return result;
+      if (!result.valid) {
+        throw new JiraIssueValidationError(result.problems.map((x) => x.message).join(', '), {
+          problems: result.problems,
+          errors: result.problems.reduce((errors, x) => ({
+            ...errors,
+            [x.field]: errors[x.field] || x.message,
+          }), {}),
+        });
+      }
+    }
+
     return this.doRequest(this.makeRequestHeader(this.makeUri({
       pathname: '/issue',
     }), {
       method: 'POST',
       followAllRedirects: true,
-      body: issue,
+      body: payload,
     }));
   }
 
+  /** Create many issues with POST /issue/bulk, in chunks of up to 50. Every issue is prepared as
+   * addNewIssue would, and an issue that fails, whether while being prepared or on Jira's side,
+   * never keeps the others from being created.
+   * [Jira Doc](https://developer.atlassian.com/cloud/jira/platform/rest/v2/api-group-issues/#api-rest-api-2-issue-bulk-post)
+   * @name addNewIssues
+   * @function
+   * @param {object[]} issues - Properly Formatted Issue objects
+   * @param {object} [options] - extra options
+   * @param {integer} [options.chunkSize=50] - how many issues to send per request, at most 50
+   * @return {Promise<BulkIssueResult[]>} one result per issue, in the order given, with either
+   * the created `key` or the `error`
+   */
+  async addNewIssues(issues, { chunkSize = 50 } = {}) {
+    const results = new Array(issues.length);
+    const prepared = await Promise.all(issues.map(async (issue, index) => {
+      try {
+        return { index, payload: this.withDocumentFields(await this.issuePayload(issue)) };
+      } catch (error) {
+        results[index] = { index, error };
+        return null;
+      }
+    }));
+
+    const size = Math.min(Math.max(Math.floor(chunkSize), 1), 50);
+    await chunk(prepared.filter(Boolean), size).reduce(async (previous, entries) => {
+      await previous;
+      const requestOptions = this.makeRequestHeader(this.makeUri({
+        pathname: '/issue/bulk',
+      }), {
+        method: 'POST',
+        followAllRedirects: true,
+        body: { issueUpdates: entries.map((x) => x.payload) },
+      });
+
+      let response;
+      try {
+        response = await this.doRequest(requestOptions);
+      } catch (error) {
+        // Jira answers 400 with the same body when every issue of the chunk failed
+        if (!error.body || !Array.isArray(error.body.errors)) {
+          entries.forEach(({ index }) => { results[index] = { index, error }; });
+          return;
+        }
+        response = error.body;
+      }
+
+      bulkCreateResults(entries.length, response, requestOptions).forEach((result, position) => {
+        const { index } = entries[position];
+        results[index] = { index, ...result };
+      });
+    }, Promise.resolve());
+
+    return results;
+  }
+
+  /** Clone an issue, into its own project or another one, copying the fields the create screen
+   * of the target issue type has and, on request, its sub-tasks, links, attachments, comments and
+   * watchers. Versions, components and options are matched by name in the target project.
+   * [Jira Doc](https://developer.atlassian.com/cloud/jira/platform/rest/v2/api-group-issues/#api-rest-api-2-issue-post)
+   * @name cloneIssue
+   * @function
+   * @param {string} issueKey - the issue to clone
+   * @param {CloneOptions} [options] - target project and issue type, parts to include and
+   * fieldOverrides
+   * @return {Promise<CloneResult>} the clone, with the fields that were left out and the parts
+   * that failed to copy
+   */
+  cloneIssue(issueKey, options = {}) {
+    return cloneIssue(this, issueKey, options);
+  }
+
+  /**
+   * @name journaled
+   * @function
+   * @private
+   * Sends a mutating request, recording how to revert it to the journal when there is one
+   * @param {string} method - the JiraApi method making the request
+   * @param {Array} args - its arguments
+   * @param {object} requestOptions - the request
+   */
+  journaled(method, args, requestOptions) {
+    // Nothing to revert on a dry run
+    if (!this.journal || this.dryRun) return this.doRequest(requestOptions);
+    return recordUndo(this, method, args, () => this.doRequest(requestOptions));
+  }
+
+  /** Render the requests recorded with the dryRun option as text, one request per line with
+   * the method that made it, followed by its body
+   * @name formatPlan
+   * @function
+   * @return {string}
+   */
+  formatPlan() {
+    return formatPlan(this.plan);
+  }
+
+  /** Revert the calls recorded by the journal option, newest first, with the calls captured
+   * before each of them: prior field values, status, assignee and comment bodies are restored,
+   * added watchers, links and comments removed. Transitions are reverted by walking the workflow
+   * back to the prior status. Stops at the first failure unless `continueOnError` is set.
+   * @name replayUndo
+   * @function
+   * @param {string|UndoJournal|JournalEntry[]} [journal] - a journal file, a journal or its
+   * entries. Defaults to the client's journal.
+   * @param {object} [options] - extra options
+   * @param {boolean} [options.continueOnError=false] - go on with older entries after a failure
+   * @return {Promise<UndoResult>}
+   */
+  async replayUndo(journal = this.journal, options = {}) {
+    const source = typeof journal === 'string' ? new UndoJournal(journal) : journal;
+    const entries = Array.isArray(source) ? source : await source.read();
+    return replayUndo(this, entries, options);
+  }
+
+  /**
+   * @name issuePayload
+   * @function
+   * @private
+   * Prepares the `fields` and `update` of an addNewIssue or updateIssue payload, resolving field
+   * names with the fieldNames option and converting values with the coerceValues option
+   * @param {object} payload - an issue create or edit payload
+   */
+  async issuePayload(payload) {
+    let prepared = payload;
+    if (this.fieldNames) prepared = await this.fieldResolver.payloadToIds(prepared);
+    if (this.coerceValues) prepared = await this.valueCoercer.payloadToWire(prepared);
+    return prepared;
+  }
+
+  /** Check an issue create payload against the create metadata of its project and issue type:
+   * required fields, fields missing from the create screen, value types and allowed values. The
+   * metadata is fetched with getIssueCreateMetadata once per project and issue type and kept in
+   * `createMetadata`.
+   * @name validateNewIssue
+   * @function
+   * @param {object} issue - Properly Formatted Issue object, with its fields keyed by id
+   * @return {Promise<IssueValidationResult>}
+   */
+  validateNewIssue(issue) {
+    return validateNewIssue(this.createMetadata, issue);
+  }
+
   /** Add a user as a watcher on an issue
    * @name addWatcher
    * @function
@@ -860,13 +1653,14 @@ export default class JiraApi {
    * @param {string} username - the jira username to add as a watcher to the issue
    */
   addWatcher(issueKey, username) {
-    return this.doRequest(this.makeRequestHeader(this.makeUri({
+    const requestOptions = this.makeRequestHeader(this.makeUri({
       pathname: `/issue/${issueKey}/watchers`,
     }), {
       method: 'POST',
       followAllRedirects: true,
       body: username,
-    }));
+    });
+    return this.journaled('addWatcher', [issueKey, username], requestOptions);
   }
 
   /** Change an assignee on an issue
@@ -877,13 +1671,14 @@ export default class JiraApi {
    * @param {string} assigneeName - the jira username to add as a new assignee to the issue
    */
   updateAssignee(issueKey, assigneeName) {
-    return this.doRequest(this.makeRequestHeader(this.makeUri({
+    const requestOptions = this.makeRequestHeader(this.makeUri({
       pathname: `/issue/${issueKey}/assignee`,
     }), {
       method: 'PUT',
       followAllRedirects: true,
       body: { name: assigneeName },
-    }));
+    });
+    return this.journaled('updateAssignee', [issueKey, assigneeName], requestOptions);
   }
 
   /** Change an assignee on an issue
@@ -894,13 +1689,14 @@ export default class JiraApi {
    * @param {string} userId - the jira username to add as a new assignee to the issue
    */
   updateAssigneeWithId(issueKey, userId) {
-    return this.doRequest(this.makeRequestHeader(this.makeUri({
+    const requestOptions = this.makeRequestHeader(this.makeUri({
       pathname: `/issue/${issueKey}/assignee`,
     }), {
       method: 'PUT',
       followAllRedirects: true,
       body: { accountId: userId },
-    }));
+    });
+    return this.journaled('updateAssigneeWithId', [issueKey, userId], requestOptions);
   }
 
   /** Delete issue from Jira
@@ -923,18 +1719,20 @@ export default class JiraApi {
    * @name updateIssue
    * @function
    * @param {string} issueId - the Id of the issue to update
-   * @param {object} issueUpdate - update Object as specified by the rest api
+   * @param {object} issueUpdate - update Object as specified by the rest api. Its `fields` and
+   * `update` may be keyed by field name or alias with the fieldNames option.
    * @param {object} query - adds parameters to the query string
    */
-  updateIssue(issueId, issueUpdate, query = {}) {
-    return this.doRequest(this.makeRequestHeader(this.makeUri({
+  async updateIssue(issueId, issueUpdate, query = {}) {
+    const requestOptions = this.makeRequestHeader(this.makeUri({
       pathname: `/issue/${issueId}`,
       query,
     }), {
-      body: issueUpdate,
+      body: await this.issuePayload(issueUpdate),
       method: 'PUT',
       followAllRedirects: true,
-    }));
+    });
+    return this.journaled('updateIssue', [issueId, issueUpdate, query], requestOptions);
   }
 
   /** List Components
@@ -1148,6 +1946,86 @@ export default class JiraApi {
     })));
   }
 
+  /** Get the history of an issue: its current fields and its whole changelog, replayed to tell
+   * the value of any field at any point in time
+   * [Jira Doc](https://developer.atlassian.com/cloud/jira/platform/rest/v2/api-group-issues/#api-rest-api-2-issue-issueidorkey-changelog-get)
+   * @name getIssueHistory
+   * @function
+   * @param {string} issueNumber - The issue number to search for including the project key
+   * @return {Promise<IssueHistory>}
+   */
+  getIssueHistory(issueNumber) {
+    return loadIssueHistory(this, issueNumber);
+  }
+
+  /** Get the fields of an issue as they were at a point in time, ie the status, assignee or
+   * story points of an issue on the first of the month
+   * @name issueStateAt
+   * @function
+   * @param {string} issueNumber - The issue number to search for including the project key
+   * @param {Date|string|number} date - the point in time
+   * @return {Promise<object>} the display values of the fields, keyed by id or by name with the
+   * fieldNames option, or null when the issue did not exist yet
+   */
+  async issueStateAt(issueNumber, date) {
+    const history = await this.getIssueHistory(issueNumber);
+    const fields = history.stateAt(date);
+    return fields && this.fieldNames ? history.withNames(fields) : fields;
+  }
+
+  /** Get every value a field of an issue took, from the creation of the issue on
+   * @name fieldTimeline
+   * @function
+   * @param {string} issueNumber - The issue number to search for including the project key
+   * @param {string} field - the field id or name
+   * @return {Promise<TimelineEntry[]>} oldest first
+   */
+  async fieldTimeline(issueNumber, field) {
+    return (await this.getIssueHistory(issueNumber)).timeline(field);
+  }
+
+  /** Measure the flow of an issue from its changelog: the time it spent in each status, its
+   * cycle time and its lead time
+   * @name issueFlow
+   * @function
+   * @param {string} issueNumber - The issue number to search for including the project key
+   * @param {FlowOptions} [options] - the statuses or categories starting and ending the cycle, and
+   * the business calendar
+   * @return {Promise<IssueFlow>}
+   */
+  async issueFlow(issueNumber, options = {}) {
+    const categories = options.startStatuses && options.endStatuses
+      ? {}
+      : await statusCategories(this);
+    return issueFlow(await this.getIssueHistory(issueNumber), categories, options);
+  }
+
+  /** Measure the flow of every issue matching a search query, and summarize their cycle times,
+   * lead times and times in status into percentiles and histograms
+   * @name flowMetrics
+   * @function
+   * @param {string|JqlQuery} searchString - jira query string in JQL
+   * @param {FlowOptions} [options] - as for issueFlow, along with the `percentiles` (50, 85 and 95
+   * by default) and the `bucketSize` of the histograms in milliseconds (a day by default)
+   * @return {Promise<object>} the IssueFlow of every `issues`, and the Summary of their
+   * `cycleTime`, `leadTime` and `timeInStatus` of each status
+   */
+  async flowMetrics(searchString, options = {}) {
+    const categories = options.startStatuses && options.endStatuses
+      ? {}
+      : await statusCategories(this);
+    const issues = await collectAll(
+      this.iterateSearch(searchString, { fields: ['created'] }),
+      { maxItems: Infinity },
+    );
+    // One history at a time, to spare the server
+    const flows = await issues.reduce((previous, issue) => previous.then(async (all) => {
+      const history = await this.getIssueHistory(issue.key);
+      return all.concat([issueFlow(history, categories, options)]);
+    }), Promise.resolve([]));
+    return aggregateFlows(flows, options);
+  }
+
   /**
    * @name getIssueWatchers
    * @function
@@ -1195,13 +2073,31 @@ export default class JiraApi {
    * @param {object} issueTransition - transition object from the jira rest API
    */
   transitionIssue(issueId, issueTransition) {
-    return this.doRequest(this.makeRequestHeader(this.makeUri({
+    const requestOptions = this.makeRequestHeader(this.makeUri({
       pathname: `/issue/${issueId}/transitions`,
     }), {
       body: issueTransition,
       method: 'POST',
       followAllRedirects: true,
-    }));
+    });
+    return this.journaled('transitionIssue', [issueId, issueTransition], requestOptions);
+  }
+
+  /** Move an issue to a status by name. The transition is picked from listTransitions by
+   * transition name or id, or by the name or id of the status it leads to, and its required screen
+   * fields are checked before anything is sent. With `walk`, a status no single transition leads
+   * to is reached through the shortest path of the issue's workflow, loaded with
+   * getProjectWorkflowScheme and searchWorkflows. Fails with a JiraTransitionError listing the
+   * available transitions or the missing fields.
+   * @name transitionIssueTo
+   * @function
+   * @param {string} issueId - the Id or key of the issue to transition
+   * @param {string} target - name or id of the target status, or name or id of a transition
+   * @param {TransitionOptions} [options] - fields, update, comment, resolution and walk
+   * @return {Promise<TransitionResult>}
+   */
+  transitionIssueTo(issueId, target, options = {}) {
+    return transitionIssueTo(this, issueId, target, options);
   }
 
   /** List all Viewable Projects
@@ -1220,18 +2116,20 @@ export default class JiraApi {
    * @name addComment
    * @function
    * @param {string} issueId - Issue to add a comment to
-   * @param {string} comment - string containing comment
+   * @param {string|object} comment - string containing comment. With apiVersion 3 the string is
+   * read as Markdown and sent as an ADF document; an ADF document is sent as is.
    */
   addComment(issueId, comment) {
-    return this.doRequest(this.makeRequestHeader(this.makeUri({
+    const requestOptions = this.makeRequestHeader(this.makeUri({
       pathname: `/issue/${issueId}/comment`,
     }), {
       body: {
-        body: comment,
+        body: this.toDocument(comment),
       },
       method: 'POST',
       followAllRedirects: true,
-    }));
+    });
+    return this.journaled('addComment', [issueId, comment], requestOptions);
   }
 
   /** Add a comment to an issue, supports full comment object
@@ -1242,13 +2140,14 @@ export default class JiraApi {
    * @param {object} comment - The object containing your comment data
    */
   addCommentAdvanced(issueId, comment) {
-    return this.doRequest(this.makeRequestHeader(this.makeUri({
+    const requestOptions = this.makeRequestHeader(this.makeUri({
       pathname: `/issue/${issueId}/comment`,
     }), {
       body: comment,
       method: 'POST',
       followAllRedirects: true,
-    }));
+    });
+    return this.journaled('addCommentAdvanced', [issueId, comment], requestOptions);
   }
 
   /** Update comment for an issue
@@ -1257,20 +2156,22 @@ export default class JiraApi {
    * @function
    * @param {string} issueId - Issue with the comment
    * @param {string} commentId - Comment that is updated
-   * @param {string} comment - string containing new comment
+   * @param {string|object} comment - string containing new comment. With apiVersion 3 the
+   * string is read as Markdown and sent as an ADF document.
    * @param {object} [options={}] - extra options
    */
   updateComment(issueId, commentId, comment, options = {}) {
-    return this.doRequest(this.makeRequestHeader(this.makeUri({
+    const requestOptions = this.makeRequestHeader(this.makeUri({
       pathname: `/issue/${issueId}/comment/${commentId}`,
     }), {
       body: {
-        body: comment,
+        body: this.toDocument(comment),
         ...options,
       },
       method: 'PUT',
       followAllRedirects: true,
-    }));
+    });
+    return this.journaled('updateComment', [issueId, commentId, comment, options], requestOptions);
   }
 
   /**
@@ -1279,11 +2180,15 @@ export default class JiraApi {
    * Get Comments by IssueId.
    * [Jira Doc](https://developer.atlassian.com/cloud/jira/platform/rest/v3/#api-rest-api-3-comment-list-post)
    * @param {string} issueId - this issue this comment is on
+   * @param {object} [options] - extra options
+   * @param {string} [options.textFormat] - converts the comment bodies from wiki markup (API
+   * version 2) or ADF (version 3) to adf, html, markdown, text or wiki
    */
-  getComments(issueId) {
-    return this.doRequest(this.makeRequestHeader(this.makeUri({
+  async getComments(issueId, options = {}) {
+    const page = await this.doRequest(this.makeRequestHeader(this.makeUri({
       pathname: `/issue/${issueId}/comment`,
     })));
+    return options.textFormat ? wiki.convertCommentsText(page, options.textFormat) : page;
   }
 
   /**
@@ -1538,9 +2443,11 @@ export default class JiraApi {
   /** Retrieve the backlog of a certain Rapid View
    * @name getBacklogForRapidView
    * @function
-   * @param {string} rapidViewId - rapid view id
+   * @param {string} rapidViewId - rapid view id, or board id with the rapidViewApi option
    */
   getBacklogForRapidView(rapidViewId) {
+    if (this.rapidViewApi !== 'legacy') return boardBacklog(this, rapidViewId);
+
     return this.doRequest(this.makeRequestHeader(this.makeUri({
       pathname: '/xboard/plan/backlog/data',
       query: {
@@ -1597,6 +2504,69 @@ export default class JiraApi {
     })));
   }
 
+  /** Search workflows, with their transitions and statuses when expanded
+   * [Jira Doc](https://developer.atlassian.com/cloud/jira/platform/rest/v3/api-group-workflows/#api-rest-api-3-workflow-search-get)
+   * @name searchWorkflows
+   * @function
+   * @param {object} [options]
+   * @param {string} [options.workflowName] - name of the workflow to return
+   * @param {string} [options.expand] - ie transitions,statuses
+   * @param {integer} [options.startAt=0] - The starting index of the returned workflows.
+   * @param {integer} [options.maxResults=50] - The maximum number of workflows to return.
+   */
+  searchWorkflows({
+    workflowName, expand, startAt, maxResults,
+  } = {}) {
+    return this.doRequest(this.makeRequestHeader(this.makeUri({
+      pathname: '/workflow/search',
+      query: {
+        workflowName,
+        expand,
+        startAt: startAt || 0,
+        maxResults: maxResults || 50,
+      },
+    })));
+  }
+
+  /** Get the workflow scheme of a project
+   * [Jira Doc](https://developer.atlassian.com/cloud/jira/platform/rest/v3/api-group-workflow-scheme-project-associations/#api-rest-api-3-workflowscheme-project-get)
+   * @name getProjectWorkflowScheme
+   * @function
+   * @param {string} projectId - id of the project
+   */
+  getProjectWorkflowScheme(projectId) {
+    return this.doRequest(this.makeRequestHeader(this.makeUri({
+      pathname: '/workflowscheme/project',
+      query: {
+        projectId,
+      },
+    })));
+  }
+
+  /** Load a workflow as a graph of its statuses and transitions, with status categories from
+   * listStatus and transition conditions, to find paths between statuses, unreachable statuses or
+   * render it as Mermaid or DOT
+   * @name getWorkflowGraph
+   * @function
+   * @param {string} workflowName - name of the workflow
+   * @return {Promise<WorkflowGraph>}
+   */
+  getWorkflowGraph(workflowName) {
+    return loadWorkflowGraph(this, workflowName);
+  }
+
+  /** Load every workflow of a project's workflow scheme as graphs, keyed by workflow name. Each
+   * graph lists the ids of the issue types mapped to it in `issueTypes`, and the default
+   * workflow has `default` set.
+   * @name getProjectWorkflowGraphs
+   * @function
+   * @param {string} projectId - id of the project
+   * @return {Promise<object>}
+   */
+  getProjectWorkflowGraphs(projectId) {
+    return loadProjectWorkflowGraphs(this, projectId);
+  }
+
   /** Get a Dev-Status summary by issue ID
    * @name getDevStatusSummary
    * @function
@@ -1768,6 +2738,37 @@ export default class JiraApi {
     })));
   }
 
+  /** Get the configuration of a board with its column statuses resolved, its estimation and
+   * ranking fields and its filter JQL
+   * @name getBoardConfig
+   * @function
+   * @param {string} boardId - Id of board to retrieve
+   * @return {Promise<BoardConfig>}
+   */
+  getBoardConfig(boardId) {
+    return loadBoardConfig(this, boardId);
+  }
+
+  /** Get every issue of a board sorted into its columns, to render the board offline
+   * @name issuesByColumn
+   * @function
+   * @param {string} boardId - Id of board to retrieve
+   * @param {string} [fields='summary,status,issuetype,assignee'] - The fields to return for
+   * each issue, with the estimation field of the board
+   * @return {Promise<object>} the `config` of the board, its `columns`, each with its
+   * `issues` in rank order, and the `unmapped` issues whose status is not on the board
+   */
+  async issuesByColumn(boardId, fields = 'summary,status,issuetype,assignee') {
+    const config = await this.getBoardConfig(boardId);
+    const requested = config.estimationField
+      ? `${fields},${config.estimationField.fieldId}`
+      : fields;
+    const issues = await collectAll(iterateItems(this, 'getIssuesForBoard', [
+      boardId, 0, 50, undefined, true, requested,
+    ]), { maxItems: Infinity });
+    return { config, ...config.groupByColumn(issues) };
+  }
+
   /** Get issues for board
    * [Jira Doc](https://docs.atlassian.com/jira-software/REST/cloud/#agile/1.0/board-getIssuesForBoard)
    * @name getIssuesForBoard
@@ -2049,6 +3050,36 @@ export default class JiraApi {
     })));
   }
 
+  /** Get the report of a sprint: the estimate committed at its start and completed at its end,
+   * the issues added, removed or re-estimated while it ran, and its day by day burndown. Estimates
+   * are read from the estimation field of the board configuration, and issues are done in the
+   * statuses of its last column.
+   * @name getSprintReport
+   * @function
+   * @param {string} boardId - Id of the board the sprint is on
+   * @param {string} sprintId - Id of the sprint
+   * @param {object} [options] - extra options
+   * @param {Date|string|number} [options.now] - where the report of an active sprint ends, now
+   * by default
+   * @return {Promise<SprintReport>}
+   */
+  getSprintReport(boardId, sprintId, options = {}) {
+    return loadSprintReport(this, boardId, sprintId, options);
+  }
+
+  /** Get the velocity of a board: the estimate committed and completed in its last closed sprints
+   * @name getVelocity
+   * @function
+   * @param {string} boardId - Id of the board
+   * @param {object} [options] - extra options
+   * @param {integer} [options.count=7] - how many of the last closed sprints to report
+   * @return {Promise<object>} the `sprints`, oldest first, as `{ sprint, committed, completed }`,
+   * and the `average` completed estimate
+   */
+  getVelocity(boardId, options = {}) {
+    return loadVelocity(this, boardId, options);
+  }
+
   /** Get All Versions
    * [Jira Doc](https://docs.atlassian.com/jira-software/REST/cloud/#agile/1.0/board/{boardId}/version-getAllVersions)
    * @name getAllVersions
@@ -2084,6 +3115,18 @@ export default class JiraApi {
     })));
   }
 
+  /** Get a saved filter, with its jql
+   * [Jira Doc](https://developer.atlassian.com/cloud/jira/platform/rest/v2/api-group-filters/#api-rest-api-2-filter-id-get)
+   * @name getIssueFilter
+   * @function
+   * @param {string} filterId - Id of filter to retrieve
+   */
+  getIssueFilter(filterId) {
+    return this.doRequest(this.makeRequestHeader(this.makeUri({
+      pathname: `/filter/${filterId}`,
+    })));
+  }
+
   /** Get Epic
    * [Jira Doc](https://docs.atlassian.com/jira-software/REST/cloud/#agile/1.0/epic-getEpic)
    * @name getEpic
@@ -2236,3 +3279,30 @@ export default class JiraApi {
     })));
   }
 }
+
+JiraApi.JiraApiError = JiraApiError;
+JiraApi.JiraValidationError = JiraValidationError;
+JiraApi.JiraJqlError = JiraJqlError;
+JiraApi.JiraFieldError = JiraFieldError;
+JiraApi.JiraIssueValidationError = JiraIssueValidationError;
+JiraApi.JiraTransitionError = JiraTransitionError;
+JiraApi.JiraAuthError = JiraAuthError;
+JiraApi.JiraNotFoundError = JiraNotFoundError;
+JiraApi.JiraConflictError = JiraConflictError;
+JiraApi.JiraRateLimitError = JiraRateLimitError;
+JiraApi.JiraServerError = JiraServerError;
+JiraApi.JiraNetworkError = JiraNetworkError;
+JiraApi.JiraTimeoutError = JiraTimeoutError;
+JiraApi.RequestLimiter = RequestLimiter;
+JiraApi.FieldResolver = FieldResolver;
+JiraApi.ValueCoercer = ValueCoercer;
+JiraApi.WorkflowGraph = WorkflowGraph;
+JiraApi.BulkOperation = BulkOperation;
+JiraApi.UndoJournal = UndoJournal;
+JiraApi.IssueHistory = IssueHistory;
+JiraApi.BusinessCalendar = BusinessCalendar;
+JiraApi.BoardConfig = BoardConfig;
+JiraApi.jql = createJql;
+JiraApi.JqlQuery = JqlQuery;
+JiraApi.adf = adf;
+JiraApi.wiki = wiki;
@@ -0,0 +1,277 @@
+import { EventEmitter } from 'events';
+import { promises as fs } from 'fs';
+
+/**
+ * @typedef JournalEntry
+ * @type {object}
+ * @property {string} time - when the call was made, as an ISO 8601 string
+ * @property {string} method - the JiraApi method that was called
+ * @property {Array} args - its arguments
+ * @property {object[]} undo - the calls that revert it, as `{ method, args }`, in order
+ */
+
+/**
+ * @typedef UndoResult
+ * @type {object}
+ * @property {integer} undone - how many entries were reverted
+ * @property {object[]} failures - the entries that could not be reverted, as `{ entry, error }`
+ */
+
+/**
+ * @name UndoJournal
+ * @class
+ * Appends JournalEntries to a JSON lines file, one write at a time. Emits `failure` with
+ * `{ method, args, error }` when the undo of a call that went through could not be captured or
+ * written; the call itself still resolves. Journals of your own can implement `emit` to hear
+ * about it too.
+ */
+export default class UndoJournal extends EventEmitter {
+  /**
+   * @constructor
+   * @function
+   * @param {string} file - path of the journal file, created on the first entry
+   */
+  constructor(file) {
+    super();
+    this.file = file;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * @name record
+   * @function
+   * Appends an entry to the journal
+   * @param {JournalEntry} entry
+   */
+  record(entry) {
+    const line = `${JSON.stringify(entry)}\n`;
+    const written = this.writing.then(() => fs.appendFile(this.file, line));
+    // A failed write does not keep the next entries from being written
+    this.writing = written.catch(() => {});
+    return written;
+  }
+
+  /**
+   * @name read
+   * @function
+   * Reads the entries of the journal, oldest first
+   * @return {Promise<JournalEntry[]>}
+   */
+  async read() {
+    await this.writing;
+    const text = await fs.readFile(this.file, 'utf8');
+    return text.split('\n').filter((line) => line.trim() !== '').map((line) => JSON.parse(line));
+  }
+}
+
+async function issueFields(jira, issueId, fields) {
+  const issue = await jira.rawIssue(issueId, fields);
+  const values = (issue && issue.fields) || {};
+  return fields
+    .filter((id) => id in values)
+    .reduce((prior, id) => ({ ...prior, [id]: values[id] }), {});
+}
+
+async function issueLinks(jira, issueId) {
+  const { issuelinks } = await issueFields(jira, issueId, ['issuelinks']);
+  return issuelinks || [];
+}
+
+function isSameReference(value, reference) {
+  if (!value || !reference) return false;
+  if (reference.id !== undefined) return String(value.id) === String(reference.id);
+  if (reference.key !== undefined) return value.key === reference.key;
+  return value.name === reference.name;
+}
+
+// The outward issue lists the links it was given with the other issue as their inwardIssue
+function isCreatedLink(existing, link) {
+  return isSameReference(existing.type, link.type)
+    && isSameReference(existing.inwardIssue, link.inwardIssue);
+}
+
+// The prior values of the options an updateComment call changes, such as the visibility
+function priorCommentOptions(comment, options = {}) {
+  const keys = [...new Set([
+    ...Object.keys(options),
+    ...(comment.visibility ? ['visibility'] : []),
+  ])];
+  return keys.reduce((prior, key) => ({
+    ...prior,
+    [key]: comment[key] === undefined ? null : comment[key],
+  }), {});
+}
+
+function isSameUser(user, value) {
+  return [user.accountId, user.name, user.key].includes(value);
+}
+
+function reassign(method, issueId, prior) {
+  if (prior && prior.accountId) return { method: 'updateAssigneeWithId', args: [issueId, prior.accountId] };
+  if (prior && prior.name) return { method: 'updateAssignee', args: [issueId, prior.name] };
+  return { method, args: [issueId, null] };
+}
+
+/**
+ * How each journaled method captures the state it is about to change (`before`, called with the
+ * method's arguments) and turns it into the calls reverting it (`undo`, called with the
+ * arguments, the captured state and the method's result)
+ */
+const UNDO = {
+  updateIssue: {
+    async before(jira, issueId, issueUpdate) {
+      const payload = await jira.issuePayload(issueUpdate);
+      // Comments added through update are not field values
+      const ids = [...new Set([
+        ...Object.keys(payload.fields || {}),
+        ...Object.keys(payload.update || {}),
+      ])].filter((id) => id !== 'comment');
+      return ids.length > 0 ? issueFields(jira, issueId, ids) : {};
+    },
+    undo: ([issueId], fields) => (Object.keys(fields).length > 0
+      ? [{ method: 'updateIssue', args: [issueId, { fields }] }]
+      : []),
+  },
+  transitionIssue: {
+    before: (jira, issueId) => issueFields(jira, issueId, ['status']),
+    undo: ([issueId], { status }) => (status
+      ? [{ method: 'transitionIssueTo', args: [issueId, status.id, { walk: true }] }]
+      : []),
+  },
+  updateAssignee: {
+    before: (jira, issueKey) => issueFields(jira, issueKey, ['assignee']),
+    undo: ([issueKey], { assignee }) => [reassign('updateAssignee', issueKey, assignee)],
+  },
+  updateAssigneeWithId: {
+    before: (jira, issueKey) => issueFields(jira, issueKey, ['assignee']),
+    undo: ([issueKey], { assignee }) => [reassign('updateAssigneeWithId', issueKey, assignee)],
+  },
+  addWatcher: {
+    before: (jira, issueKey) => jira.getIssueWatchers(issueKey),
+    undo: ([issueKey, user], { watchers = [] }) => (watchers.some((x) => isSameUser(x, user))
+      ? []
+      : [{ method: 'removeWatcher', args: [issueKey, user] }]),
+  },
+  issueLink: {
+    async before(jira, link) {
+      const links = await issueLinks(jira, link.outwardIssue.key || link.outwardIssue.id);
+      return links.map((x) => String(x.id));
+    },
+    async undo([link], existing, result, jira) {
+      const links = await issueLinks(jira, link.outwardIssue.key || link.outwardIssue.id);
+      return links
+        .filter((x) => !existing.includes(String(x.id)) && isCreatedLink(x, link))
+        .map((x) => ({ method: 'deleteIssueLink', args: [String(x.id)] }));
+    },
+  },
+  addComment: {
+    before: async () => null,
+    undo: ([issueId], before, comment) => (comment && comment.id
+      ? [{ method: 'deleteComment', args: [issueId, comment.id] }]
+      : []),
+  },
+  addCommentAdvanced: {
+    before: async () => null,
+    undo: ([issueId], before, comment) => (comment && comment.id
+      ? [{ method: 'deleteComment', args: [issueId, comment.id] }]
+      : []),
+  },
+  updateComment: {
+    before: (jira, issueId, commentId) => jira.getComment(issueId, commentId),
+    undo: ([issueId, commentId, , options], comment) => [{
+      method: 'updateComment',
+      args: [issueId, commentId, comment.body, priorCommentOptions(comment, options)],
+    }],
+  },
+};
+
+/**
+ * Undo calls that are not JiraApi methods, called with the client and their arguments
+ */
+const UNDO_STEPS = {
+  async removeWatcher(jira, issueKey, user) {
+    const cloud = await jira.isCloud();
+    return jira.doRequest(jira.makeRequestHeader(jira.makeUri({
+      pathname: `/issue/${issueKey}/watchers`,
+      query: cloud ? { accountId: user } : { username: user },
+    }), {
+      method: 'DELETE',
+      followAllRedirects: true,
+    }));
+  },
+};
+
+/**
+ * Names of the JiraApi methods the journal records
+ */
+export const JOURNALED_METHODS = Object.keys(UNDO);
+
+/**
+ * @name recordUndo
+ * @function
+ * Captures the state a call is about to change, makes the call and records how to revert it.
+ * Once the call went through, failing to record its undo is reported to the journal's `emit`
+ * instead of rejecting.
+ * @param {JiraApi} jira - the client making the call, with its `journal`
+ * @param {string} method - one of JOURNALED_METHODS
+ * @param {Array} args - the arguments of the call
+ * @param {function} perform - makes the call, returns a promise
+ */
+export async function recordUndo(jira, method, args, perform) {
+  const capture = UNDO[method];
+  const before = await capture.before(jira, ...args);
+  const result = await perform();
+
+  try {
+    const undo = await capture.undo(args, before, result, jira);
+    if (undo.length > 0) {
+      await jira.journal.record({
+        time: new Date().toISOString(),
+        method,
+        args,
+        undo,
+      });
+    }
+  } catch (error) {
+    if (typeof jira.journal.emit === 'function') {
+      jira.journal.emit('failure', { method, args, error });
+    }
+  }
+  return result;
+}
+
+/**
+ * @name replayUndo
+ * @function
+ * Reverts journaled calls, newest first. Stops at the first failure unless told otherwise.
+ * @param {JiraApi} jira - the client to revert with. Its own journal does not record the
+ * reverting calls.
+ * @param {JournalEntry[]} entries - the entries to revert, oldest first as they were recorded
+ * @param {object} [options]
+ * @param {boolean} [options.continueOnError=false] - go on with older entries after a failure
+ * @return {Promise<UndoResult>}
+ */
+export async function replayUndo(jira, entries, { continueOnError = false } = {}) {
+  // Shares everything with the client but the journal
+  const client = Object.create(jira);
+  client.journal = null;
+
+  const result = { undone: 0, failures: [] };
+  await [...entries].reverse().reduce(async (previous, entry) => {
+    await previous;
+    if (result.failures.length > 0 && !continueOnError) return;
+
+    try {
+      await entry.undo.reduce(async (done, step) => {
+        await done;
+        await (UNDO_STEPS[step.method]
+          ? UNDO_STEPS[step.method](client, ...step.args)
+          : client[step.method](...step.args));
+      }, Promise.resolve());
+      result.undone += 1;
+    } catch (error) {
+      result.failures.push({ entry, error });
+    }
+  }, Promise.resolve());
+  return result;
+}
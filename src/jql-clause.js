@@ -0,0 +1,192 @@
+import {
+  EMPTY, formatJqlField, formatJqlValue, formatList, formatPredicates,
+} from './jql-format';
+
+/**
+ * @name JqlClause
+ * @class
+ * The operators available on a field, as returned by JqlQuery#where, #and and #or. Every
+ * operator adds the clause to the query and returns the query.
+ */
+export default class JqlClause {
+  /**
+   * @constructor
+   * @function
+   * @param {JqlQuery} query - the query the clause is added to
+   * @param {string} connector - AND or OR
+   * @param {string} field - the field name
+   */
+  constructor(query, connector, field) {
+    this.query = query;
+    this.connector = connector;
+    this.field = formatJqlField(field);
+  }
+
+  /**
+   * @private
+   */
+  add(text) {
+    return this.query.addClause(this.connector, `${this.field} ${text}`);
+  }
+
+  /**
+   * @name eq
+   * @function
+   * `field = value`, or `field is EMPTY` for null
+   * @param {*} value
+   */
+  eq(value) {
+    return value === null ? this.is(EMPTY) : this.add(`= ${formatJqlValue(value)}`);
+  }
+
+  /**
+   * @name notEq
+   * @function
+   * `field != value`, or `field is not EMPTY` for null
+   * @param {*} value
+   */
+  notEq(value) {
+    return value === null ? this.isNot(EMPTY) : this.add(`!= ${formatJqlValue(value)}`);
+  }
+
+  /**
+   * @name gt
+   * @function
+   * @param {*} value
+   */
+  gt(value) {
+    return this.add(`> ${formatJqlValue(value)}`);
+  }
+
+  /**
+   * @name gte
+   * @function
+   * @param {*} value
+   */
+  gte(value) {
+    return this.add(`>= ${formatJqlValue(value)}`);
+  }
+
+  /**
+   * @name lt
+   * @function
+   * @param {*} value
+   */
+  lt(value) {
+    return this.add(`< ${formatJqlValue(value)}`);
+  }
+
+  /**
+   * @name lte
+   * @function
+   * @param {*} value
+   */
+  lte(value) {
+    return this.add(`<= ${formatJqlValue(value)}`);
+  }
+
+  /**
+   * @name contains
+   * @function
+   * `field ~ value`, text search
+   * @param {string} value
+   */
+  contains(value) {
+    return this.add(`~ ${formatJqlValue(value)}`);
+  }
+
+  /**
+   * @name notContains
+   * @function
+   * `field !~ value`
+   * @param {string} value
+   */
+  notContains(value) {
+    return this.add(`!~ ${formatJqlValue(value)}`);
+  }
+
+  /**
+   * @name in
+   * @function
+   * @param {array} values
+   */
+  in(values) {
+    return this.add(`in ${formatList(values)}`);
+  }
+
+  /**
+   * @name notIn
+   * @function
+   * @param {array} values
+   */
+  notIn(values) {
+    return this.add(`not in ${formatList(values)}`);
+  }
+
+  /**
+   * @name is
+   * @function
+   * @param {JqlRaw} keyword - EMPTY or NULL
+   */
+  is(keyword) {
+    return this.add(`is ${keyword}`);
+  }
+
+  /**
+   * @name isNot
+   * @function
+   * @param {JqlRaw} keyword - EMPTY or NULL
+   */
+  isNot(keyword) {
+    return this.add(`is not ${keyword}`);
+  }
+
+  /**
+   * @name was
+   * @function
+   * @param {*} value
+   * @param {JqlPredicates} [predicates]
+   */
+  was(value, predicates) {
+    return this.add(`was ${formatJqlValue(value)}${formatPredicates(predicates)}`);
+  }
+
+  /**
+   * @name wasNot
+   * @function
+   * @param {*} value
+   * @param {JqlPredicates} [predicates]
+   */
+  wasNot(value, predicates) {
+    return this.add(`was not ${formatJqlValue(value)}${formatPredicates(predicates)}`);
+  }
+
+  /**
+   * @name wasIn
+   * @function
+   * @param {array} values
+   * @param {JqlPredicates} [predicates]
+   */
+  wasIn(values, predicates) {
+    return this.add(`was in ${formatList(values)}${formatPredicates(predicates)}`);
+  }
+
+  /**
+   * @name wasNotIn
+   * @function
+   * @param {array} values
+   * @param {JqlPredicates} [predicates]
+   */
+  wasNotIn(values, predicates) {
+    return this.add(`was not in ${formatList(values)}${formatPredicates(predicates)}`);
+  }
+
+  /**
+   * @name changed
+   * @function
+   * @param {JqlPredicates} [predicates]
+   */
+  changed(predicates) {
+    return this.add(`changed${formatPredicates(predicates)}`);
+  }
+}
@@ -0,0 +1,137 @@
+// https://support.atlassian.com/jira-software-cloud/docs/jql-reserved-words/
+const RESERVED_WORDS = new Set([
+  'a', 'an', 'abort', 'access', 'add', 'after', 'alias', 'all', 'alter', 'and', 'any', 'are',
+  'as', 'asc', 'at', 'audit', 'avg', 'before', 'begin', 'between', 'boolean', 'break', 'by',
+  'byte', 'catch', 'cf', 'char', 'character', 'check', 'checkpoint', 'collate', 'collation',
+  'column', 'commit', 'connect', 'continue', 'count', 'create', 'current', 'date', 'decimal',
+  'declare', 'decrement', 'default', 'defaults', 'define', 'delete', 'delimiter', 'desc',
+  'difference', 'distinct', 'divide', 'do', 'double', 'drop', 'else', 'empty', 'encoding',
+  'end', 'equals', 'escape', 'exclusive', 'exec', 'execute', 'exists', 'explain', 'false',
+  'fetch', 'file', 'field', 'first', 'float', 'for', 'from', 'function', 'go', 'goto', 'grant',
+  'greater', 'group', 'having', 'identified', 'if', 'immediate', 'in', 'increment', 'index',
+  'initial', 'inner', 'inout', 'input', 'insert', 'int', 'integer', 'intersect', 'intersection',
+  'into', 'is', 'isempty', 'isnull', 'join', 'last', 'left', 'less', 'like', 'limit', 'lock',
+  'long', 'max', 'min', 'minus', 'mode', 'modify', 'modulo', 'more', 'multiply', 'next',
+  'noaudit', 'not', 'notin', 'nowait', 'null', 'number', 'object', 'of', 'on', 'option', 'or',
+  'order', 'outer', 'output', 'power', 'previous', 'prior', 'privileges', 'public', 'raise',
+  'raw', 'remainder', 'rename', 'resource', 'return', 'returns', 'revoke', 'right', 'row',
+  'rowid', 'rownum', 'rows', 'select', 'session', 'set', 'share', 'size', 'sqrt', 'start',
+  'strict', 'string', 'subtract', 'sum', 'synonym', 'table', 'then', 'to', 'trans',
+  'transaction', 'trigger', 'true', 'uid', 'union', 'unique', 'update', 'user', 'validate',
+  'values', 'view', 'when', 'whenever', 'where', 'while', 'with',
+]);
+
+/**
+ * @name JqlRaw
+ * @class
+ * A piece of JQL written out as is, ie a keyword such as EMPTY or a function call
+ */
+export class JqlRaw {
+  /**
+   * @constructor
+   * @function
+   * @param {string} text - the JQL text
+   */
+  constructor(text) {
+    this.text = text;
+  }
+
+  /**
+   * @name toString
+   * @function
+   */
+  toString() {
+    return this.text;
+  }
+}
+
+export const EMPTY = new JqlRaw('EMPTY');
+export const NULL = new JqlRaw('NULL');
+
+function pad(number) {
+  return String(number).padStart(2, '0');
+}
+
+function formatDate(date) {
+  const day = `${date.getFullYear()}/${pad(date.getMonth() + 1)}/${pad(date.getDate())}`;
+  if (date.getHours() === 0 && date.getMinutes() === 0) return day;
+  return `${day} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * @name escapeJqlString
+ * @function
+ * Quotes a string for use as a JQL value, escaping quotes, backslashes and control characters
+ * @param {string} value
+ */
+export function escapeJqlString(value) {
+  const escaped = String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t');
+  return `"${escaped}"`;
+}
+
+/**
+ * @name formatJqlValue
+ * @function
+ * Renders a value for use on the right hand side of a JQL operator. Strings are quoted,
+ * numbers are left bare, Dates are written as "yyyy/MM/dd HH:mm" in local time and functions and
+ * keywords are written out as they are.
+ * @param {string|number|Date|JqlRaw} value
+ */
+export function formatJqlValue(value) {
+  if (value instanceof JqlRaw) return value.toString();
+  if (value instanceof Date) return escapeJqlString(formatDate(value));
+  if (typeof value === 'number') return String(value);
+  return escapeJqlString(value);
+}
+
+/**
+ * @name formatJqlField
+ * @function
+ * Renders a field name, quoting it when it contains spaces or special characters or is a
+ * reserved word
+ * @param {string} field - a field name, ie status, "Story Points" or cf[10023]
+ */
+export function formatJqlField(field) {
+  if (/^cf\[\d+\]$/.test(field)) return field;
+  if (/^[A-Za-z_][A-Za-z0-9_.]*$/.test(field) && !RESERVED_WORDS.has(field.toLowerCase())) {
+    return field;
+  }
+  return escapeJqlString(field);
+}
+
+// A parenthesized list of values, for in, not in and DURING
+export function formatList(values) {
+  return `(${values.map(formatJqlValue).join(', ')})`;
+}
+
+// The history predicates of was and changed clauses, each preceded by a space
+export function formatPredicates({
+  from, to, by, after, before, on, during,
+} = {}) {
+  const predicates = [];
+  if (from !== undefined) predicates.push(`FROM ${formatJqlValue(from)}`);
+  if (to !== undefined) predicates.push(`TO ${formatJqlValue(to)}`);
+  if (by !== undefined) predicates.push(`BY ${formatJqlValue(by)}`);
+  if (after !== undefined) predicates.push(`AFTER ${formatJqlValue(after)}`);
+  if (before !== undefined) predicates.push(`BEFORE ${formatJqlValue(before)}`);
+  if (on !== undefined) predicates.push(`ON ${formatJqlValue(on)}`);
+  if (during !== undefined) predicates.push(`DURING ${formatList(during)}`);
+  return predicates.map((x) => ` ${x}`).join('');
+}
+
+/**
+ * @typedef JqlPredicates
+ * @type {object}
+ * @property {*} [from] - FROM value, for changed
+ * @property {*} [to] - TO value, for changed
+ * @property {*} [by] - BY user
+ * @property {*} [after] - AFTER date
+ * @property {*} [before] - BEFORE date
+ * @property {*} [on] - ON date
+ * @property {array} [during] - DURING start and end dates
+ */
@@ -0,0 +1,94 @@
+/**
+ * @typedef JqlError
+ * @type {object}
+ * @property {string} message - the message reported by Jira
+ * @property {number|null} line - line of the error, starting at 1, when Jira reports it
+ * @property {number|null} column - character of the error within the line, starting at 1
+ * @property {number|null} offset - index of the error within the whole query, starting at 0
+ */
+
+/**
+ * @typedef JqlParseResult
+ * @type {object}
+ * @property {string} query - the query as sent
+ * @property {boolean} valid - whether Jira reported no errors
+ * @property {JqlError[]} errors - the errors, with their positions
+ * @property {object|null} ast - the WHERE part as nested `compound` and `clause` nodes
+ * @property {object[]} clauses - every `clause` node of the ast, in order
+ * @property {object[]} orderBy - the ORDER BY fields as `{ field, direction }`
+ */
+
+/**
+ * @name jqlErrorPosition
+ * @function
+ * Reads the "(line 1, character 9)" position Jira appends to JQL syntax errors
+ * @param {string} message - an error message returned by Jira
+ * @param {string} query - the query the message is about
+ */
+export function jqlErrorPosition(message, query) {
+  const match = /\(line (\d+), character (\d+)\)/.exec(message);
+  if (!match) return { line: null, column: null, offset: null };
+
+  const line = Number(match[1]);
+  const column = Number(match[2]);
+  const precedingLines = String(query).split('\n').slice(0, line - 1);
+  const offset = precedingLines.reduce((total, text) => total + text.length + 1, 0) + column - 1;
+
+  return { line, column, offset };
+}
+
+function normalizeNode(node) {
+  if (!node) return null;
+
+  if (Array.isArray(node.clauses)) {
+    return {
+      type: 'compound',
+      operator: (node.operator || 'and').toUpperCase(),
+      clauses: node.clauses.map(normalizeNode),
+    };
+  }
+
+  return {
+    type: 'clause',
+    field: node.field ? node.field.name : null,
+    property: node.field && node.field.property ? node.field.property : null,
+    operator: node.operator,
+    operand: node.operand || null,
+    predicates: node.predicates || [],
+  };
+}
+
+function collectClauses(node) {
+  if (!node) return [];
+  if (node.type !== 'compound') return [node];
+  return node.clauses.reduce((all, x) => all.concat(collectClauses(x)), []);
+}
+
+/**
+ * @name normalizeParsedQuery
+ * @function
+ * Normalizes one entry of the /jql/parse response
+ * @param {object} parsed - an element of the response's `queries`
+ * @return {JqlParseResult}
+ */
+export function normalizeParsedQuery(parsed) {
+  const errors = (parsed.errors || []).map((message) => ({
+    message,
+    ...jqlErrorPosition(message, parsed.query),
+  }));
+  const structure = parsed.structure || {};
+  const ast = normalizeNode(structure.where);
+  const orderBy = ((structure.orderBy && structure.orderBy.fields) || []).map((x) => ({
+    field: x.field.name,
+    direction: x.direction ? x.direction.toUpperCase() : null,
+  }));
+
+  return {
+    query: parsed.query,
+    valid: errors.length === 0,
+    errors,
+    ast,
+    clauses: collectClauses(ast),
+    orderBy,
+  };
+}
@@ -0,0 +1,186 @@
+import JqlClause from './jql-clause';
+import {
+  EMPTY, NULL, JqlRaw, formatJqlField, formatJqlValue,
+} from './jql-format';
+
+export {
+  EMPTY, NULL, JqlRaw, escapeJqlString, formatJqlField, formatJqlValue,
+} from './jql-format';
+export { JqlClause };
+
+const FUNCTION_NAMES = [
+  'currentUser', 'currentLogin', 'lastLogin', 'membersOf', 'now', 'startOfDay', 'endOfDay',
+  'startOfWeek', 'endOfWeek', 'startOfMonth', 'endOfMonth', 'startOfYear', 'endOfYear',
+  'openSprints', 'closedSprints', 'futureSprints', 'issueHistory', 'linkedIssues',
+  'releasedVersions', 'unreleasedVersions', 'latestReleasedVersion', 'earliestUnreleasedVersion',
+  'componentsLeadByUser', 'projectsLeadByUser', 'projectsWhereUserHasPermission',
+  'projectsWhereUserHasRole', 'watchedIssues', 'votedIssues', 'updatedBy',
+];
+
+/**
+ * @name JqlQuery
+ * @class
+ * Fluent JQL builder. Clauses are combined left to right: mixing AND and OR wraps what came
+ * before in parentheses, so `a.or(b).and(c)` means `(a OR b) AND c`. A JqlQuery can be passed
+ * wherever JiraApi accepts a JQL string.
+ */
+export class JqlQuery {
+  /**
+   * @constructor
+   * @function
+   */
+  constructor() {
+    this.expression = '';
+    this.lastConnector = null;
+    this.ordering = [];
+  }
+
+  /**
+   * @private
+   */
+  addClause(connector, text) {
+    if (!this.expression) {
+      this.expression = text;
+    } else {
+      if (this.lastConnector && this.lastConnector !== connector) {
+        this.expression = `(${this.expression})`;
+      }
+      this.expression = `${this.expression} ${connector} ${text}`;
+      this.lastConnector = connector;
+    }
+    return this;
+  }
+
+  /**
+   * @private
+   */
+  connect(connector, fieldOrQuery) {
+    if (fieldOrQuery instanceof JqlQuery) {
+      return this.addClause(connector, `(${fieldOrQuery.whereClause()})`);
+    }
+    if (fieldOrQuery instanceof JqlRaw) {
+      return this.addClause(connector, fieldOrQuery.toString());
+    }
+    return new JqlClause(this, connector, fieldOrQuery);
+  }
+
+  /**
+   * @name where
+   * @function
+   * Starts the query with a field clause, or a nested query
+   * @param {string|JqlQuery} fieldOrQuery
+   */
+  where(fieldOrQuery) {
+    return this.connect('AND', fieldOrQuery);
+  }
+
+  /**
+   * @name and
+   * @function
+   * @param {string|JqlQuery} fieldOrQuery - a field to compare, or a query to nest in parentheses
+   */
+  and(fieldOrQuery) {
+    return this.connect('AND', fieldOrQuery);
+  }
+
+  /**
+   * @name or
+   * @function
+   * @param {string|JqlQuery} fieldOrQuery - a field to compare, or a query to nest in parentheses
+   */
+  or(fieldOrQuery) {
+    return this.connect('OR', fieldOrQuery);
+  }
+
+  /**
+   * @name not
+   * @function
+   * Negates every clause added so far
+   */
+  not() {
+    if (this.expression) {
+      this.expression = `NOT (${this.expression})`;
+      this.lastConnector = null;
+    }
+    return this;
+  }
+
+  /**
+   * @name orderBy
+   * @function
+   * Adds a sort field. Call again to sort by further fields.
+   * @param {string} field
+   * @param {string} [direction] - ASC or DESC
+   */
+  orderBy(field, direction) {
+    const formatted = formatJqlField(field);
+    this.ordering.push(direction ? `${formatted} ${direction.toUpperCase()}` : formatted);
+    return this;
+  }
+
+  /**
+   * @name whereClause
+   * @function
+   * The query without its ORDER BY
+   */
+  whereClause() {
+    return this.expression;
+  }
+
+  /**
+   * @name toString
+   * @function
+   */
+  toString() {
+    const orderBy = this.ordering.length > 0 ? `ORDER BY ${this.ordering.join(', ')}` : '';
+    return [this.expression, orderBy].filter(Boolean).join(' ');
+  }
+
+  /**
+   * @name toJSON
+   * @function
+   */
+  toJSON() {
+    return this.toString();
+  }
+}
+
+/**
+ * @name jql
+ * @function
+ * Creates a JqlQuery, optionally starting with a field clause
+ * @param {string|JqlQuery} [fieldOrQuery]
+ */
+export default function jql(fieldOrQuery) {
+  const query = new JqlQuery();
+  return fieldOrQuery === undefined ? query : query.where(fieldOrQuery);
+}
+
+/**
+ * @name jqlFunction
+ * @function
+ * A JQL function call for use as a value, ie jqlFunction('startOfDay', '-1d')
+ * @param {string} name - the function name
+ * @param {...*} args - the function arguments
+ */
+export function jqlFunction(name, ...args) {
+  return new JqlRaw(`${name}(${args.map(formatJqlValue).join(', ')})`);
+}
+
+/**
+ * @name jqlString
+ * @function
+ * Turns a JqlQuery into its JQL string, leaving strings untouched
+ * @param {string|JqlQuery} query
+ */
+export function jqlString(query) {
+  return query instanceof JqlQuery ? query.toString() : query;
+}
+
+jql.fn = jqlFunction;
+jql.raw = (text) => new JqlRaw(text);
+jql.EMPTY = EMPTY;
+jql.NULL = NULL;
+FUNCTION_NAMES.forEach((name) => {
+  jql[name] = (...args) => jqlFunction(name, ...args);
+});
@@ -0,0 +1,125 @@
+const sharedLimiters = new Map();
+
+/**
+ * @typedef RequestLimiterOptions
+ * @type {object}
+ * @property {number} [maxConcurrent=Infinity] - Maximum number of requests in flight at once
+ * @property {number} [requestsPerInterval] - How many requests may start per interval. Leave
+ * unset to only limit concurrency.
+ * @property {number} [interval=1000] - Length of the interval in milliseconds
+ * @property {number} [burst] - How many requests may start at once after an idle period.
+ * Defaults to requestsPerInterval.
+ */
+
+/**
+ * @name RequestLimiter
+ * @class
+ * Token bucket rate limiter combined with a concurrency pool. A single instance can be passed to
+ * several JiraApi clients so they share one budget.
+ */
+export default class RequestLimiter {
+  /**
+   * @constructor
+   * @function
+   * @param {RequestLimiterOptions} [options]
+   */
+  constructor({
+    maxConcurrent = Infinity, requestsPerInterval, interval = 1000, burst,
+  } = {}) {
+    this.maxConcurrent = maxConcurrent;
+    this.capacity = requestsPerInterval ? (burst || requestsPerInterval) : Infinity;
+    this.refillRate = requestsPerInterval ? requestsPerInterval / interval : Infinity;
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+    this.running = 0;
+    this.queue = [];
+    this.timer = null;
+  }
+
+  /**
+   * @name forHost
+   * @function
+   * Returns the limiter shared by every client that asks for the same key, creating it on first
+   * use
+   * @param {string} key - identifies the shared budget, ie the Jira host
+   * @param {RequestLimiterOptions} [options] - used when the limiter is created
+   */
+  static forHost(key, options) {
+    if (!sharedLimiters.has(key)) {
+      sharedLimiters.set(key, new RequestLimiter(options));
+    }
+    return sharedLimiters.get(key);
+  }
+
+  /**
+   * @name queueDepth
+   * @function
+   * Number of requests waiting for a slot
+   */
+  get queueDepth() {
+    return this.queue.length;
+  }
+
+  /**
+   * @name inFlight
+   * @function
+   * Number of requests currently running
+   */
+  get inFlight() {
+    return this.running;
+  }
+
+  /**
+   * @name schedule
+   * @function
+   * Runs task once a token and a concurrency slot are available
+   * @param {function} task - returns a promise
+   */
+  schedule(task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject });
+      this.drain();
+    });
+  }
+
+  /**
+   * @private
+   */
+  refill() {
+    const now = Date.now();
+    if (this.refillRate !== Infinity) {
+      const refilled = this.tokens + (now - this.lastRefill) * this.refillRate;
+      this.tokens = Math.min(this.capacity, refilled);
+    }
+    this.lastRefill = now;
+  }
+
+  /**
+   * @private
+   */
+  drain() {
+    this.refill();
+
+    while (this.queue.length > 0 && this.running < this.maxConcurrent && this.tokens >= 1) {
+      const { task, resolve, reject } = this.queue.shift();
+      this.tokens -= 1;
+      this.running += 1;
+
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .then(() => {
+          this.running -= 1;
+          this.drain();
+        });
+    }
+
+    if (this.queue.length > 0 && this.tokens < 1 && !this.timer) {
+      const wait = Math.ceil((1 - this.tokens) / this.refillRate);
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.drain();
+      }, wait);
+    }
+  }
+}
@@ -0,0 +1,238 @@
+import { enhancedSearchOptions, skipIssues } from './search';
+
+/**
+ * Where each paged JiraApi method takes its paging parameters. `startAt` and `maxResults` are
+ * positional argument indexes; `options` is the index of an options object holding both.
+ * Methods flagged with `token` page with `nextPageToken` instead of `startAt`.
+ */
+export const PAGED_METHODS = {
+  searchJira: { options: 1, pageSize: 50 },
+  enhancedSearch: { options: 1, pageSize: 50, token: true },
+  searchUsers: { options: 0, pageSize: 50 },
+  getUsers: { startAt: 0, maxResults: 1, pageSize: 100 },
+  getMembersOfGroup: { startAt: 1, maxResults: 2, pageSize: 50 },
+  getIssueChangelog: { startAt: 1, maxResults: 2, pageSize: 50 },
+  getIssueWorklogs: { startAt: 1, maxResults: 2, pageSize: 1000 },
+  getAllBoards: { startAt: 0, maxResults: 1, pageSize: 50 },
+  getIssuesForBacklog: { startAt: 1, maxResults: 2, pageSize: 50 },
+  getIssuesForBoard: { startAt: 1, maxResults: 2, pageSize: 50 },
+  getEpics: { startAt: 1, maxResults: 2, pageSize: 50 },
+  getBoardIssuesForEpic: { startAt: 2, maxResults: 3, pageSize: 50 },
+  getProjects: { startAt: 1, maxResults: 2, pageSize: 50 },
+  getAllSprints: { startAt: 1, maxResults: 2, pageSize: 50 },
+  getBoardIssuesForSprint: { startAt: 2, maxResults: 3, pageSize: 50 },
+  getAllVersions: { startAt: 1, maxResults: 2, pageSize: 50 },
+  getIssuesForEpic: { startAt: 1, maxResults: 2, pageSize: 50 },
+};
+
+const ITEM_KEYS = ['issues', 'values', 'worklogs', 'comments', 'histories', 'users'];
+
+// Groups list their members under `users`, as `{ items, size }`
+function groupMembers(page) {
+  const { users } = page || {};
+  return users && Array.isArray(users.items) ? users : null;
+}
+
+/**
+ * @name pageItems
+ * @function
+ * Returns the items of a page, whatever key the endpoint keeps them under
+ * @param {object|array} page - a response from a paged endpoint
+ */
+export function pageItems(page) {
+  if (Array.isArray(page)) return page;
+  if (!page) return [];
+  const members = groupMembers(page);
+  if (members) return members.items;
+
+  const key = ITEM_KEYS.find((x) => Array.isArray(page[x]));
+  return key ? page[key] : [];
+}
+
+/**
+ * @name isLastPage
+ * @function
+ * Decides whether a page is the last one, based on `isLast`, `total`, the `size` of group members
+ * or a short page
+ * @param {object|array} page - a response from a paged endpoint
+ * @param {number} startAt - the index the page was requested from
+ * @param {number} pageSize - the number of items requested
+ */
+export function isLastPage(page, startAt, pageSize) {
+  const items = pageItems(page);
+  if (items.length === 0) return true;
+  if (page && typeof page.isLast === 'boolean') return page.isLast;
+  if (page && typeof page.total === 'number') return startAt + items.length >= page.total;
+  const members = groupMembers(page);
+  if (members && typeof members.size === 'number') {
+    return startAt + items.length >= members.size;
+  }
+  return items.length < pageSize;
+}
+
+function pagingArguments(descriptor, args, position, maxResults) {
+  const pagedArgs = [...args];
+
+  if (descriptor.token) {
+    pagedArgs[descriptor.options] = {
+      ...pagedArgs[descriptor.options],
+      nextPageToken: position,
+      maxResults,
+    };
+  } else if (descriptor.options !== undefined) {
+    pagedArgs[descriptor.options] = {
+      ...pagedArgs[descriptor.options],
+      startAt: position,
+      maxResults,
+    };
+  } else {
+    pagedArgs[descriptor.startAt] = position;
+    pagedArgs[descriptor.maxResults] = maxResults;
+  }
+
+  return pagedArgs;
+}
+
+function requestedPaging(descriptor, args) {
+  if (descriptor.token) {
+    const options = args[descriptor.options] || {};
+    return { nextPageToken: options.nextPageToken, maxResults: options.maxResults };
+  }
+  if (descriptor.options !== undefined) {
+    const options = args[descriptor.options] || {};
+    return { startAt: options.startAt, maxResults: options.maxResults };
+  }
+  return { startAt: args[descriptor.startAt], maxResults: args[descriptor.maxResults] };
+}
+
+/**
+ * @name iteratePages
+ * @function
+ * Calls a paged JiraApi method repeatedly, yielding every page until the last one
+ * @param {JiraApi} jira - the client to call the method on
+ * @param {string} method - name of a method listed in PAGED_METHODS
+ * @param {array} [args] - arguments of the method. The paging arguments are used as the
+ * starting point and page size.
+ */
+export function iteratePages(jira, method, args = []) {
+  const descriptor = PAGED_METHODS[method];
+  const requested = descriptor ? requestedPaging(descriptor, args) : {};
+  const pageSize = requested.maxResults || (descriptor && descriptor.pageSize);
+  let position = descriptor && descriptor.token
+    ? requested.nextPageToken
+    : (requested.startAt || 0);
+  let done = false;
+
+  return {
+    [Symbol.asyncIterator]() {
+      return this;
+    },
+
+    async next() {
+      if (!descriptor) {
+        throw new Error(`${method} is not a paged method`);
+      }
+      if (done) return { done: true, value: undefined };
+
+      const page = await jira[method](...pagingArguments(descriptor, args, position, pageSize));
+      if (descriptor.token) {
+        done = !page || page.isLast === true || !page.nextPageToken;
+        position = page && page.nextPageToken;
+      } else {
+        done = isLastPage(page, position, pageSize);
+        position += pageItems(page).length;
+      }
+      return { done: false, value: page };
+    },
+
+    async return(value) {
+      done = true;
+      return { done: true, value };
+    },
+  };
+}
+
+/**
+ * @name iterateItems
+ * @function
+ * Like iteratePages, but yields the individual items of every page
+ * @param {JiraApi} jira - the client to call the method on
+ * @param {string} method - name of a method listed in PAGED_METHODS
+ * @param {array} [args] - arguments of the method
+ */
+export function iterateItems(jira, method, args = []) {
+  const pages = iteratePages(jira, method, args);
+  let buffered = [];
+
+  return {
+    [Symbol.asyncIterator]() {
+      return this;
+    },
+
+    async next() {
+      if (buffered.length) return { done: false, value: buffered.shift() };
+
+      const page = await pages.next();
+      if (page.done) return page;
+      buffered = pageItems(page.value).slice();
+      return this.next();
+    },
+
+    async return(value) {
+      buffered = [];
+      return pages.return(value);
+    },
+  };
+}
+
+/**
+ * @name iterateSearch
+ * @function
+ * Yields every issue matching a query, using the enhanced search endpoint and its token based
+ * paging when the client is set up for it, and offset based searchJira otherwise
+ * @param {JiraApi} jira - the client to search with
+ * @param {string} jql - jira query string in JQL
+ * @param {object} [optional] - the searchJira options
+ */
+export async function* iterateSearch(jira, jql, optional = {}) {
+  if (!(await jira.usesEnhancedSearch())) {
+    yield* iterateItems(jira, 'searchJira', [jql, optional]);
+    return;
+  }
+
+  const { startAt = 0, ...rest } = optional;
+  const start = await skipIssues(jira, jql, startAt, rest);
+  if (start.exhausted) return;
+
+  yield* iterateItems(jira, 'enhancedSearch', [jql, {
+    ...enhancedSearchOptions(rest),
+    nextPageToken: start.nextPageToken,
+  }]);
+}
+
+/**
+ * @name collectAll
+ * @function
+ * Drains an (async) iterable into an array, stopping at maxItems
+ * @param {AsyncIterable} iterable - ie the result of JiraApi#paginate or JiraApi#iterateSearch
+ * @param {object} [options]
+ * @param {number} [options.maxItems=10000] - hard cap on the number of items collected
+ */
+export async function collectAll(iterable, { maxItems = 10000 } = {}) {
+  const items = [];
+  if (maxItems <= 0) return items;
+
+  const iterator = iterable[Symbol.asyncIterator]
+    ? iterable[Symbol.asyncIterator]()
+    : iterable[Symbol.iterator]();
+  const collect = async () => {
+    const { done, value } = await iterator.next();
+    if (done) return items;
+
+    items.push(await value);
+    if (items.length < maxItems) return collect();
+    if (iterator.return) await iterator.return();
+    return items;
+  };
+  return collect();
+}
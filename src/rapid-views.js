@@ -0,0 +1,167 @@
+import { collectAll, iterateItems } from './pagination';
+
+// The rapid view methods answer with these shapes when the rapidViewApi option is `compat`
+
+function compatBoard(board) {
+  return { ...board, sprintSupportEnabled: board.type === 'scrum' };
+}
+
+function compatSprint(sprint) {
+  return { ...sprint, state: String(sprint.state).toUpperCase() };
+}
+
+function compatIssue(issue) {
+  const fields = issue.fields || {};
+  const status = fields.status || {};
+  return {
+    id: Number(issue.id),
+    key: issue.key,
+    summary: fields.summary,
+    typeName: fields.issuetype && fields.issuetype.name,
+    priorityName: fields.priority && fields.priority.name,
+    statusName: status.name,
+    done: Boolean(status.statusCategory && status.statusCategory.key === 'done'),
+    assignee: fields.assignee && (fields.assignee.accountId || fields.assignee.name),
+    assigneeName: fields.assignee && fields.assignee.displayName,
+  };
+}
+
+function collect(jira, method, args) {
+  return collectAll(iterateItems(jira, method, args), { maxItems: Infinity });
+}
+
+function estimateSum(value) {
+  return { value, text: String(value) };
+}
+
+function sumOf(keys, estimates) {
+  return keys.reduce((sum, key) => sum + (estimates[key] || 0), 0);
+}
+
+// The issues removed from a sprint and not back in it at its end, with their estimate when they
+// were last removed
+function puntedEstimates(report) {
+  const remaining = [...report.completed.issues, ...report.notCompleted.issues];
+  return report.removed
+    .filter((x) => !remaining.includes(x.key))
+    .reduce((punted, x) => ({ ...punted, [x.key]: x.estimate }), {});
+}
+
+async function compatSprintContents(jira, boardId, sprintId, issues) {
+  const report = await jira.getSprintReport(boardId, sprintId);
+  const punted = puntedEstimates(report);
+  const puntedKeys = Object.keys(punted);
+  const puntedIssues = puntedKeys.length > 0
+    ? await collect(jira, 'getIssuesForBoard', [
+      boardId, 0, 50, `key in (${puntedKeys.join(', ')})`,
+    ])
+    : [];
+
+  const completed = report.completed.issues;
+  const notCompleted = issues.map((x) => x.key).filter((key) => !completed.includes(key));
+  const { initialEstimates } = report;
+  return {
+    contents: {
+      completedIssues: issues.filter((x) => completed.includes(x.key)).map(compatIssue),
+      issuesNotCompletedInCurrentSprint: issues
+        .filter((x) => !completed.includes(x.key))
+        .map(compatIssue),
+      puntedIssues: puntedIssues.map(compatIssue),
+      completedIssuesEstimateSum: estimateSum(report.completed.estimate),
+      completedIssuesInitialEstimateSum: estimateSum(sumOf(completed, initialEstimates)),
+      issuesNotCompletedEstimateSum: estimateSum(report.notCompleted.estimate),
+      issuesNotCompletedInitialEstimateSum: estimateSum(sumOf(notCompleted, initialEstimates)),
+      allIssuesEstimateSum: estimateSum(report.completed.estimate + report.notCompleted.estimate),
+      puntedIssuesEstimateSum: estimateSum(sumOf(puntedKeys, punted)),
+      puntedIssuesInitialEstimateSum: estimateSum(sumOf(puntedKeys, initialEstimates)),
+      issueKeysAddedDuringSprint: report.added
+        .reduce((added, x) => ({ ...added, [x.key]: true }), {}),
+    },
+    sprint: compatSprint(report.sprint),
+  };
+}
+
+/**
+ * @name findBoard
+ * @function
+ * findRapidView on the agile API: the board named like the project, or every board
+ * @param {JiraApi} jira
+ * @param {string} [projectName] - name of the board, case insensitive
+ */
+export async function findBoard(jira, projectName) {
+  const named = projectName !== undefined && projectName !== null;
+  const boards = await collect(jira, 'getAllBoards', [
+    0, 50, undefined, named ? projectName : undefined,
+  ]);
+  const reshape = jira.rapidViewApi === 'compat' ? compatBoard : (x) => x;
+  if (!named) return boards.map(reshape);
+
+  const board = boards.find((x) => x.name.toLowerCase() === projectName.toLowerCase());
+  return board && reshape(board);
+}
+
+/**
+ * @name listBoardSprints
+ * @function
+ * listSprints on the agile API: the sprints of a board, in board order. In compat mode, as
+ * `{ rapidViewId, sprints }` with upper-cased states, ie ACTIVE.
+ * @param {JiraApi} jira
+ * @param {string} boardId
+ */
+export async function listBoardSprints(jira, boardId) {
+  const sprints = await collect(jira, 'getAllSprints', [boardId]);
+  if (jira.rapidViewApi !== 'compat') return sprints;
+  return { rapidViewId: Number(boardId), sprints: sprints.map(compatSprint) };
+}
+
+/**
+ * @name lastBoardSprint
+ * @function
+ * getLastSprintForRapidView on the agile API: the last sprint of a board, in board order
+ * @param {JiraApi} jira
+ * @param {string} boardId
+ */
+export async function lastBoardSprint(jira, boardId) {
+  const sprints = await collect(jira, 'getAllSprints', [boardId]);
+  const last = sprints.pop();
+  return last && jira.rapidViewApi === 'compat' ? compatSprint(last) : last;
+}
+
+/**
+ * @name sprintContents
+ * @function
+ * getSprintIssues on the agile API: the issues of a sprint. In compat mode, shaped like the
+ * greenhopper sprint report and built from getSprintReport: the issues are split into completed
+ * and not completed ones by the board's done column, `puntedIssues` lists those removed from the
+ * sprint and the estimate sums are computed from the board's estimation field, or are issue
+ * counts when the board has none.
+ * @param {JiraApi} jira
+ * @param {string} boardId
+ * @param {string} sprintId
+ */
+export async function sprintContents(jira, boardId, sprintId) {
+  const issues = await collect(jira, 'getBoardIssuesForSprint', [boardId, sprintId]);
+  if (jira.rapidViewApi !== 'compat') return issues;
+
+  return compatSprintContents(jira, boardId, sprintId, issues);
+}
+
+/**
+ * @name boardBacklog
+ * @function
+ * getBacklogForRapidView on the agile API: the backlog issues of a board. In compat mode, as
+ * `{ rapidViewId, issues, sprints }` with the active and future sprints of the board.
+ * @param {JiraApi} jira
+ * @param {string} boardId
+ */
+export async function boardBacklog(jira, boardId) {
+  const issues = await collect(jira, 'getIssuesForBacklog', [boardId]);
+  if (jira.rapidViewApi !== 'compat') return issues;
+
+  const sprints = await collect(jira, 'getAllSprints', [boardId, 0, 50, 'active,future']);
+  return {
+    rapidViewId: Number(boardId),
+    issues: issues.map(compatIssue),
+    sprints: sprints.map(compatSprint),
+  };
+}
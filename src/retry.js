@@ -0,0 +1,155 @@
+/**
+ * @typedef RetryOptions
+ * @type {object}
+ * @property {number} [maxAttempts=3] - How many times a request is attempted in total,
+ * including the first attempt
+ * @property {number} [baseDelay=1000] - Milliseconds to wait before the first retry. The delay
+ * doubles with every following retry.
+ * @property {number} [maxDelay=30000] - Upper bound for the computed backoff delay. Delays asked
+ * for by Jira through `Retry-After` or `X-RateLimit-Reset` are honoured as they are.
+ * @property {number} [jitter=0.2] - Fraction (0 to 1) of the backoff delay that is randomized to
+ * keep several clients from retrying in lockstep
+ * @property {number[]} [statusCodes=[429, 503]] - HTTP statuses that are retried
+ * @property {string[]} [methods=['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']] - HTTP methods that
+ * are retried on any of the statusCodes. A 429, or a 503 with `Retry-After`, means Jira did not
+ * process the request, so those are retried whatever the method, POST searches included.
+ * @property {function} [onRetry] - Called with `{ attempt, delay, error, request }` before
+ * waiting for each retry. May return a promise.
+ */
+
+const DEFAULT_RETRY_OPTIONS = {
+  maxAttempts: 3,
+  baseDelay: 1000,
+  maxDelay: 30000,
+  jitter: 0.2,
+  statusCodes: [429, 503],
+  methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+  onRetry: null,
+};
+
+/**
+ * @name normalizeRetryOptions
+ * @function
+ * Fills in the defaults of a retry policy. Returns null when retrying is disabled.
+ * @param {RetryOptions|boolean} [retry] - the policy given to the JiraApi constructor, true for
+ * the default policy
+ */
+export function normalizeRetryOptions(retry) {
+  if (!retry) return null;
+
+  const policy = {
+    ...DEFAULT_RETRY_OPTIONS,
+    ...(retry === true ? {} : retry),
+  };
+  policy.methods = policy.methods.map((method) => method.toUpperCase());
+  return policy;
+}
+
+function headerValue(headers, name) {
+  if (!headers) return undefined;
+
+  const key = Object.keys(headers).find((x) => x.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+}
+
+/**
+ * @name serverRequestedDelay
+ * @function
+ * Reads the delay Jira asks for through the `Retry-After` (seconds or an HTTP date) or
+ * `X-RateLimit-Reset` (ISO 8601 timestamp) response headers
+ * @param {object} headers - response headers
+ * @param {number} [now=Date.now()] - current time in milliseconds
+ * @return {number|null} milliseconds to wait, or null when no header is present
+ */
+export function serverRequestedDelay(headers, now = Date.now()) {
+  const retryAfter = headerValue(headers, 'retry-after');
+  if (retryAfter !== undefined && retryAfter !== '') {
+    const seconds = Number(retryAfter);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) return Math.max(0, date - now);
+  }
+
+  const reset = headerValue(headers, 'x-ratelimit-reset');
+  if (reset) {
+    const date = Date.parse(reset);
+    if (!Number.isNaN(date)) return Math.max(0, date - now);
+  }
+
+  return null;
+}
+
+/**
+ * @name computeRetryDelay
+ * @function
+ * Computes how long to wait before the given retry
+ * @param {object} policy - a normalized retry policy
+ * @param {number} attempt - the attempt that failed, starting at 1
+ * @param {JiraApiError} error - the error the attempt failed with
+ * @param {function} [random=Math.random] - source of randomness for the jitter
+ */
+export function computeRetryDelay(policy, attempt, error, random = Math.random) {
+  const requested = serverRequestedDelay(error.headers);
+  if (requested !== null) return requested;
+
+  const backoff = Math.min(policy.maxDelay, policy.baseDelay * (2 ** (attempt - 1)));
+  return Math.round(backoff - backoff * policy.jitter * random());
+}
+
+// The request was turned away before being processed, so sending it again is safe
+function isRejectedUnprocessed(error) {
+  return error.status === 429
+    || (error.status === 503 && headerValue(error.headers, 'retry-after') !== undefined);
+}
+
+/**
+ * @name isRetryable
+ * @function
+ * Whether a failed request may be retried under the policy: on a retried status, for any method
+ * when Jira did not process the request and for the policy's methods otherwise
+ * @param {object} policy - a normalized retry policy
+ * @param {JiraApiError} error - the error the request failed with
+ * @param {object} requestOptions - the options the request was made with
+ */
+export function isRetryable(policy, error, requestOptions) {
+  const method = (requestOptions.method || 'GET').toUpperCase();
+  if (!policy.statusCodes.includes(error.status)) return false;
+  return isRejectedUnprocessed(error) || policy.methods.includes(method);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => { setTimeout(resolve, ms); });
+}
+
+/**
+ * @name withRetry
+ * @function
+ * Calls send, retrying it under the policy while it fails with a retryable error
+ * @param {object|null} policy - a normalized retry policy, or null to never retry
+ * @param {object} requestOptions - the options the request is made with
+ * @param {function} send - performs one attempt and returns a promise
+ * @param {number} [attempt=1] - the attempt about to be made
+ */
+export async function withRetry(policy, requestOptions, send, attempt = 1) {
+  try {
+    return await send();
+  } catch (error) {
+    if (!policy || attempt >= policy.maxAttempts || !isRetryable(policy, error, requestOptions)) {
+      throw error;
+    }
+
+    const delay = computeRetryDelay(policy, attempt, error);
+    if (policy.onRetry) {
+      await policy.onRetry({
+        attempt,
+        delay,
+        error,
+        request: error.request,
+      });
+    }
+
+    await sleep(delay);
+    return withRetry(policy, requestOptions, send, attempt + 1);
+  }
+}
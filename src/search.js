@@ -0,0 +1,82 @@
+// Largest page the enhanced search endpoint returns when only issue ids are requested
+const MAX_ID_PAGE_SIZE = 5000;
+
+/**
+ * @name skipIssues
+ * @function
+ * Walks the token based pages of the enhanced search endpoint, fetching only issue ids, until
+ * count issues are skipped. Used to serve offset based requests from the token based endpoint.
+ * @param {JiraApi} jira - the client to search with
+ * @param {string} jql - jira query string in JQL
+ * @param {number} count - number of issues to skip
+ * @param {object} [optional] - reconcileIssues is passed along to every page
+ * @param {string} [nextPageToken] - token of the page to start skipping from
+ * @return {Promise<{nextPageToken: string, exhausted: boolean}>} the token of the page that
+ * follows the skipped issues, or exhausted when the results end before that
+ */
+export async function skipIssues(jira, jql, count, optional = {}, nextPageToken) {
+  if (count <= 0) return { nextPageToken, exhausted: false };
+
+  const page = await jira.enhancedSearch(jql, {
+    nextPageToken,
+    maxResults: Math.min(count, MAX_ID_PAGE_SIZE),
+    fields: ['id'],
+    reconcileIssues: optional.reconcileIssues,
+  });
+  const skipped = (page.issues || []).length;
+
+  if (page.isLast || !page.nextPageToken || skipped === 0) {
+    return { nextPageToken: undefined, exhausted: true };
+  }
+  return skipIssues(jira, jql, count - skipped, optional, page.nextPageToken);
+}
+
+/**
+ * @name enhancedSearchOptions
+ * @function
+ * Turns searchJira options into enhancedSearch ones. Fields default to the navigable ones, which
+ * the offset based endpoint returns but the enhanced one does not, expand is sent as a comma
+ * separated list and validateQuery, which the enhanced endpoint does not accept, is left out.
+ * @param {object} [optional] - the searchJira options, but startAt
+ */
+export function enhancedSearchOptions(optional = {}) {
+  const {
+    validateQuery, fields, expand, ...rest
+  } = optional;
+  const options = { ...rest, fields: fields || ['*navigable'] };
+  if (expand !== undefined) options.expand = Array.isArray(expand) ? expand.join(',') : expand;
+  return options;
+}
+
+/**
+ * @name searchFromOffset
+ * @function
+ * Answers a searchJira call, with its startAt offset, from the enhanced search endpoint
+ * @param {JiraApi} jira - the client to search with
+ * @param {string} jql - jira query string in JQL
+ * @param {object} [optional] - the searchJira options
+ */
+export async function searchFromOffset(jira, jql, optional = {}) {
+  const { startAt = 0, ...rest } = optional;
+  const maxResults = rest.maxResults || 50;
+  const start = await skipIssues(jira, jql, startAt, rest);
+
+  if (start.exhausted) {
+    return {
+      startAt,
+      maxResults,
+      issues: [],
+      isLast: true,
+    };
+  }
+
+  const page = await jira.enhancedSearch(jql, {
+    ...enhancedSearchOptions(rest),
+    nextPageToken: start.nextPageToken,
+  });
+  return {
+    startAt,
+    maxResults,
+    ...page,
+  };
+}
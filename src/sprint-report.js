@@ -0,0 +1,305 @@
+import BoardConfig from './board-config';
+import { collectAll, iterateItems } from './pagination';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef SprintScope
+ * @type {object}
+ * @property {string[]} issues - keys of the issues
+ * @property {number} estimate - their total estimate, or their count when the board doesn't
+ * estimate with a field
+ */
+
+/**
+ * @typedef SprintReport
+ * @type {object}
+ * @property {object} sprint - the sprint, as returned by getSprint
+ * @property {object} estimationField - `{ fieldId, displayName }` of the board's estimation
+ * field, null when the board counts issues
+ * @property {SprintScope} committed - the issues in the sprint when it started
+ * @property {object[]} added - issues added after the start, as `{ key, at, estimate }`
+ * @property {object[]} removed - issues removed before the end, as `{ key, at, estimate }`
+ * @property {object[]} estimateChanges - estimates changed during the sprint, as
+ * `{ key, at, from, to }`
+ * @property {SprintScope} completed - the issues in the sprint and done at its end
+ * @property {SprintScope} notCompleted - the issues in the sprint but not done at its end
+ * @property {object[]} burndown - `{ at, scope, remaining }` at the start, after every day and at
+ * the end of the sprint
+ * @property {object} initialEstimates - the estimate of every issue when it first entered the
+ * sprint, keyed by issue key
+ */
+
+function lower(name) {
+  return String(name).toLowerCase();
+}
+
+function time(date) {
+  return new Date(date).getTime();
+}
+
+/**
+ * @name sprintPeriod
+ * @function
+ * When a sprint started and ended, up to now for an active sprint
+ * @param {object} sprint - as returned by getSprint
+ * @param {Date|string|number} [now]
+ * @return {object} `{ start, end }` in milliseconds
+ */
+export function sprintPeriod(sprint, now = Date.now()) {
+  if (!sprint.startDate) {
+    throw new Error(`Sprint ${sprint.name} has not started`);
+  }
+  const start = time(sprint.activatedDate || sprint.startDate);
+  const end = sprint.completeDate
+    ? time(sprint.completeDate)
+    : Math.min(time(now), time(sprint.endDate || now));
+  return { start, end: Math.max(start, end) };
+}
+
+/**
+ * @name buildSprintReport
+ * @function
+ * Computes the scope, scope changes, completion and burndown of a sprint from the histories of
+ * its issues
+ * @param {object} sprint - as returned by getSprint
+ * @param {IssueHistory[]} histories - the histories of every issue that was in the sprint
+ * @param {object} options
+ * @param {string} [options.estimationFieldId] - the field holding estimates. Issues are counted
+ * without it.
+ * @param {string[]} options.doneStatuses - names of the statuses issues are done in
+ * @param {Date|string|number} [options.now]
+ * @return {SprintReport}
+ */
+export function buildSprintReport(sprint, histories, { estimationFieldId, doneStatuses, now }) {
+  const { start, end } = sprintPeriod(sprint, now);
+  const done = doneStatuses.map(lower);
+  const holdsSprint = (sprints) => [].concat(sprints || []).map(String).includes(String(sprint.id));
+
+  const issues = histories.map((history) => {
+    const sprintField = history.fieldId('Sprint');
+    const stateAt = (at) => {
+      const state = history.stateAt(at);
+      if (!state) return { inSprint: false, done: false, estimate: 0 };
+      const estimate = estimationFieldId ? Number(state[estimationFieldId]) || 0 : 1;
+      return {
+        inSprint: holdsSprint(state[sprintField]),
+        done: state.status !== null && done.includes(lower(state.status)),
+        estimate,
+      };
+    };
+    return {
+      key: history.key, history, sprintField, stateAt,
+    };
+  });
+
+  const report = {
+    sprint,
+    committed: { issues: [], estimate: 0 },
+    added: [],
+    removed: [],
+    estimateChanges: [],
+    completed: { issues: [], estimate: 0 },
+    notCompleted: { issues: [], estimate: 0 },
+    burndown: [],
+    initialEstimates: {},
+  };
+  const during = (entry) => time(entry.at) > start && time(entry.at) <= end;
+
+  issues.forEach(({
+    key, history, sprintField, stateAt,
+  }) => {
+    const initial = stateAt(start);
+    if (initial.inSprint) {
+      report.committed.issues.push(key);
+      report.committed.estimate += initial.estimate;
+      report.initialEstimates[key] = initial.estimate;
+    }
+
+    let { inSprint } = initial;
+    history.timeline(sprintField).filter(during).forEach((entry) => {
+      const member = holdsSprint(entry.value);
+      if (member === inSprint) return;
+      inSprint = member;
+      const change = { key, at: entry.at, estimate: stateAt(entry.at).estimate };
+      (member ? report.added : report.removed).push(change);
+      if (member && !(key in report.initialEstimates)) {
+        report.initialEstimates[key] = change.estimate;
+      }
+    });
+
+    if (estimationFieldId) {
+      const timeline = history.timeline(estimationFieldId);
+      timeline.forEach((entry, index) => {
+        if (index === 0 || !during(entry)) return;
+        report.estimateChanges.push({
+          key, at: entry.at, from: timeline[index - 1].value, to: entry.value,
+        });
+      });
+    }
+
+    const final = stateAt(end);
+    if (final.inSprint) {
+      const scope = final.done ? report.completed : report.notCompleted;
+      scope.issues.push(key);
+      scope.estimate += final.estimate;
+    }
+  });
+
+  const points = [start];
+  for (let at = start + DAY; at < end; at += DAY) points.push(at);
+  if (end > start) points.push(end);
+  report.burndown = points.map((at) => issues.reduce((point, issue) => {
+    const state = issue.stateAt(at);
+    if (!state.inSprint) return point;
+    return {
+      ...point,
+      scope: point.scope + state.estimate,
+      remaining: point.remaining + (state.done ? 0 : state.estimate),
+    };
+  }, { at: new Date(at).toISOString(), scope: 0, remaining: 0 }));
+
+  return report;
+}
+
+/**
+ * @name doneStatusNames
+ * @function
+ * Names of the statuses of the last column of a board, where issues are done, or of the done
+ * status category when the board has no columns
+ * @param {object} configuration - as returned by getConfiguration
+ * @param {object[]} statuses - as returned by listStatus
+ */
+export function doneStatusNames(configuration, statuses) {
+  return new BoardConfig(configuration, statuses).doneStatuses()
+    .filter((x) => x.name !== undefined)
+    .map((x) => x.name);
+}
+
+// Loads histories one at a time, fetching each issue once however many reports need it
+function historyLoader(jira) {
+  const loaded = new Map();
+  return (keys) => keys.reduce(async (previous, key) => {
+    const histories = await previous;
+    if (!loaded.has(key)) loaded.set(key, await jira.getIssueHistory(key));
+    return [...histories, loaded.get(key)];
+  }, Promise.resolve([]));
+}
+
+// What every report of a board needs: its estimation field, done statuses and the histories
+// already loaded
+async function boardContext(jira, boardId) {
+  const [configuration, statuses] = await Promise.all([
+    jira.getConfiguration(boardId),
+    jira.listStatus(),
+  ]);
+  return {
+    estimationField: new BoardConfig(configuration, statuses || []).estimationField,
+    doneStatuses: doneStatusNames(configuration, statuses || []),
+    loadHistories: historyLoader(jira),
+  };
+}
+
+function day(at) {
+  return new Date(at).toISOString().slice(0, 10);
+}
+
+function wasInSprint(history, sprint) {
+  return history.timeline(history.fieldId('Sprint')).some((entry) => [].concat(entry.value || [])
+    .map(String)
+    .includes(String(sprint.id)));
+}
+
+// Issues removed from a sprint are no longer listed with it: they are the board issues updated
+// since the sprint started, and created before it ended, whose Sprint field held it
+async function removedIssueHistories(jira, boardId, sprint, listed, context, now) {
+  const { start, end } = sprintPeriod(sprint, now);
+  const jql = `updated >= "${day(start - DAY)}" AND created <= "${day(end + DAY)}"`;
+  const updated = await collectAll(iterateItems(jira, 'getIssuesForBoard', [
+    boardId, 0, 50, jql, true, 'summary',
+  ]), { maxItems: Infinity });
+  const candidates = updated.map((x) => x.key).filter((key) => !listed.includes(key));
+  const histories = await context.loadHistories(candidates);
+  return histories.filter((history) => wasInSprint(history, sprint));
+}
+
+async function reportSprint(jira, boardId, sprint, context, now) {
+  const issues = await collectAll(iterateItems(jira, 'getBoardIssuesForSprint', [
+    boardId, sprint.id, 0, 50, undefined, true, 'summary',
+  ]), { maxItems: Infinity });
+  const keys = issues.map((x) => x.key);
+  const histories = [
+    ...(await context.loadHistories(keys)),
+    ...(await removedIssueHistories(jira, boardId, sprint, keys, context, now)),
+  ];
+
+  const { estimationField, doneStatuses } = context;
+  return {
+    ...buildSprintReport(sprint, histories, {
+      estimationFieldId: estimationField ? estimationField.fieldId : undefined,
+      doneStatuses,
+      now,
+    }),
+    estimationField,
+  };
+}
+
+/**
+ * @name loadSprintReport
+ * @function
+ * Fetches a sprint, the configuration of its board and the history of its issues, and builds
+ * its report. The sprint only lists the issues still in it, so the history of every board issue
+ * updated since the sprint started, and created before it ended, is read as well, to find those
+ * removed from it.
+ * @param {JiraApi} jira
+ * @param {string} boardId
+ * @param {string} sprintId
+ * @param {object} [options]
+ * @param {Date|string|number} [options.now] - end of the report of an active sprint
+ * @return {Promise<SprintReport>}
+ */
+export async function loadSprintReport(jira, boardId, sprintId, options = {}) {
+  const [sprint, context] = await Promise.all([
+    jira.getSprint(sprintId),
+    boardContext(jira, boardId),
+  ]);
+  return reportSprint(jira, boardId, sprint, context, options.now);
+}
+
+/**
+ * @name loadVelocity
+ * @function
+ * Reports the committed and completed estimates of the last closed sprints of a board. The
+ * sprints are reported one after the other, and the history of each issue is fetched once.
+ * @param {JiraApi} jira
+ * @param {string} boardId
+ * @param {object} [options]
+ * @param {integer} [options.count=7] - how many of the last closed sprints to report
+ * @return {Promise<object>} the `sprints`, oldest first, as `{ sprint, committed, completed }`
+ * estimates, and the `average` completed estimate
+ */
+export async function loadVelocity(jira, boardId, { count = 7 } = {}) {
+  const [closed, context] = await Promise.all([
+    collectAll(iterateItems(jira, 'getAllSprints', [boardId, 0, 50, 'closed']), {
+      maxItems: Infinity,
+    }),
+    boardContext(jira, boardId),
+  ]);
+  const last = closed
+    .sort((a, b) => time(a.completeDate || a.endDate) - time(b.completeDate || b.endDate))
+    .slice(-count);
+
+  const sprints = await last.reduce(async (previous, sprint) => {
+    const reported = await previous;
+    const report = await reportSprint(jira, boardId, sprint, context);
+    return [...reported, {
+      sprint,
+      committed: report.committed.estimate,
+      completed: report.completed.estimate,
+    }];
+  }, Promise.resolve([]));
+  const average = sprints.length > 0
+    ? sprints.reduce((sum, x) => sum + x.completed, 0) / sprints.length
+    : null;
+  return { sprints, average };
+}
@@ -0,0 +1,174 @@
+import { JiraTransitionError } from './errors';
+import { loadWorkflowGraph, projectWorkflowNames } from './workflow';
+
+/**
+ * @typedef TransitionOptions
+ * @type {object}
+ * @property {object} [fields] - values of the transition screen fields, keyed by id, or by name
+ * with the fieldNames option
+ * @property {object} [update] - update operations sent with the transition
+ * @property {string|object} [comment] - a comment added with the transition
+ * @property {string|object} [resolution] - the resolution, by name or as `{ id }`
+ * @property {boolean} [walk=false] - when the status is not reachable with one transition,
+ * follow the shortest path through the issue's workflow
+ */
+
+/**
+ * @typedef TransitionResult
+ * @type {object}
+ * @property {string} issue - the issue that was transitioned
+ * @property {object[]} path - the transitions made, as `{ id, name, to }`
+ * @property {string} status - name of the status the issue ended in
+ */
+
+function same(a, b) {
+  return a !== undefined && a !== null && String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+/**
+ * @name findTransition
+ * @function
+ * Picks the transition matching a transition id, a transition name or the name or id of the
+ * status it leads to, in that order
+ * @param {object[]} transitions - transitions as returned by listTransitions
+ * @param {string} target - a transition id or name, or a status name or id
+ */
+export function findTransition(transitions, target) {
+  return transitions.find((x) => String(x.id) === String(target))
+    || transitions.find((x) => same(x.name, target))
+    || transitions.find((x) => x.to && same(x.to.name, target))
+    || transitions.find((x) => x.to && String(x.to.id) === String(target))
+    || null;
+}
+
+/**
+ * @name missingTransitionFields
+ * @function
+ * Lists the required fields of a transition screen that neither have a default value nor are set
+ * @param {object} transition - a transition as returned by listTransitions
+ * @param {object} payload - the `fields` and `update` about to be sent
+ * @return {object[]} the missing fields as `{ id, name }`
+ */
+export function missingTransitionFields(transition, { fields = {}, update = {} } = {}) {
+  const screen = transition.fields || {};
+  return Object.keys(screen)
+    .filter((id) => screen[id].required && !screen[id].hasDefaultValue)
+    .filter((id) => (fields[id] === undefined || fields[id] === null) && !update[id])
+    .map((id) => ({ id, name: screen[id].name }));
+}
+
+function transitionPayload(transition, payload, comment, resolution) {
+  const body = { transition: { id: transition.id } };
+  const fields = { ...payload.fields };
+  const update = { ...payload.update };
+
+  if (resolution !== undefined) {
+    fields.resolution = typeof resolution === 'string' ? { name: resolution } : resolution;
+  }
+  if (comment !== undefined) {
+    update.comment = [...(update.comment || []), { add: { body: comment } }];
+  }
+  if (Object.keys(fields).length > 0) body.fields = fields;
+  if (Object.keys(update).length > 0) body.update = update;
+  return body;
+}
+
+/**
+ * @name loadIssueWorkflow
+ * @function
+ * Loads the workflow an issue follows, as mapped to its issue type by its project's workflow
+ * scheme
+ * @param {JiraApi} jira - the client to load the workflow with
+ * @param {string} issueId - the issue
+ * @return {Promise<{status: object, workflow: WorkflowGraph}>} the issue's current status and
+ * its workflow
+ */
+export async function loadIssueWorkflow(jira, issueId) {
+  const issue = await jira.findIssue(issueId, null, 'status,project,issuetype');
+  const { status, project, issuetype } = issue.fields;
+  const { defaultWorkflow, issueTypeMappings } = await projectWorkflowNames(jira, project.id);
+  const workflowName = issueTypeMappings[issuetype.id] || defaultWorkflow;
+  return { status, workflow: await loadWorkflowGraph(jira, workflowName) };
+}
+
+async function performTransition(jira, issueId, transition, payload, options, path) {
+  const comment = options.comment === undefined ? undefined : jira.toDocument(options.comment);
+  const body = transitionPayload(transition, payload, comment, options.resolution);
+
+  const missingFields = missingTransitionFields(transition, body);
+  if (missingFields.length > 0) {
+    const names = missingFields.map((x) => x.name || x.id).join(', ');
+    throw new JiraTransitionError(`Transition ${transition.name} of ${issueId} requires ${names}`, {
+      missingFields,
+      path,
+    });
+  }
+
+  await jira.transitionIssue(issueId, body);
+  return [...path, { id: transition.id, name: transition.name, to: transition.to.name }];
+}
+
+async function walkTo(jira, issueId, target, options, payload, available) {
+  const { status, workflow } = await loadIssueWorkflow(jira, issueId);
+  const targetStatus = workflow.status(target);
+  const byName = workflow.transitions.find((x) => same(x.name, target));
+  const targetStatuses = [targetStatus && targetStatus.id, byName && byName.to].filter(Boolean);
+
+  const steps = targetStatuses.length > 0 ? workflow.shortestPath(status.id, targetStatuses) : null;
+  if (!steps) {
+    throw new JiraTransitionError(`${issueId} cannot reach "${target}" from status ${status.name}`, {
+      available,
+    });
+  }
+
+  return steps.reduce(async (walked, step, index) => {
+    const path = await walked;
+    const last = index === steps.length - 1;
+    // With the dryRun option the issue never moves, so it takes the next step of the workflow
+    const { transitions } = jira.dryRun && index > 0
+      ? { transitions: [{ ...step, to: workflow.status(step.to) }] }
+      : await jira.listTransitions(issueId);
+    const transition = transitions.find((x) => String(x.id) === step.id)
+      || transitions.find((x) => x.to && String(x.to.id) === step.to);
+    if (!transition) {
+      throw new JiraTransitionError(`Transition ${step.name} is not available on ${issueId}`, {
+        available: transitions.map((x) => x.name),
+        path,
+      });
+    }
+    return last
+      ? performTransition(jira, issueId, transition, payload, options, path)
+      : performTransition(jira, issueId, transition, {}, {}, path);
+  }, Promise.resolve([]));
+}
+
+/**
+ * @name transitionIssueTo
+ * @function
+ * Moves an issue to a status, or through a transition, given by name
+ * @param {JiraApi} jira - the client to transition with
+ * @param {string} issueId - the issue to transition
+ * @param {string} target - name or id of the target status, or name or id of a transition
+ * @param {TransitionOptions} [options]
+ * @return {Promise<TransitionResult>}
+ */
+export async function transitionIssueTo(jira, issueId, target, options = {}) {
+  const payload = await jira.issuePayload({ fields: options.fields, update: options.update });
+  const { transitions } = await jira.listTransitions(issueId);
+  const transition = findTransition(transitions, target);
+  const available = transitions.map((x) => x.name);
+
+  let path;
+  if (transition) {
+    path = await performTransition(jira, issueId, transition, payload, options, []);
+  } else if (options.walk) {
+    path = await walkTo(jira, issueId, target, options, payload, available);
+  } else {
+    throw new JiraTransitionError(
+      `No transition of ${issueId} leads to "${target}", available: ${available.join(', ')}`,
+      { available },
+    );
+  }
+
+  return { issue: issueId, path, status: path[path.length - 1].to };
+}
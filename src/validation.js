@@ -0,0 +1,266 @@
+import { isAdf } from './adf';
+
+/**
+ * @typedef IssueProblem
+ * @type {object}
+ * @property {string} field - id of the field, ie customfield_10023
+ * @property {string} [name] - display name of the field, when known
+ * @property {string} code - one of required, unknown-field, invalid-type, invalid-value,
+ * unknown-project or unknown-issuetype
+ * @property {string} message - a readable description of the problem
+ */
+
+/**
+ * @typedef IssueValidationResult
+ * @type {object}
+ * @property {boolean} valid - whether no problems were found
+ * @property {IssueProblem[]} problems - every problem found, in field order
+ */
+
+function referenceOf(value) {
+  if (!value || typeof value !== 'object') return {};
+  return value.id !== undefined ? { id: String(value.id) } : { key: value.key, name: value.name };
+}
+
+function cacheKey(project, issueType) {
+  const projectRef = project.id !== undefined ? `id:${project.id}` : `key:${project.key}`;
+  const typeRef = issueType.id !== undefined ? `id:${issueType.id}` : `name:${issueType.name}`;
+  return `${projectRef}/${typeRef}`;
+}
+
+/**
+ * @name CreateMetadataCache
+ * @class
+ * Fetches the create metadata of a project and issue type with getIssueCreateMetadata once, and
+ * keeps it for later validations.
+ */
+export class CreateMetadataCache {
+  /**
+   * @constructor
+   * @function
+   * @param {JiraApi} jira - the client to fetch metadata with
+   */
+  constructor(jira) {
+    this.jira = jira;
+    this.entries = new Map();
+  }
+
+  /**
+   * @name issueType
+   * @function
+   * Resolves to the `{ project, issueType }` entries of the create metadata, the issue type with
+   * its `fields` keyed by field id. Either is null when it doesn't exist or isn't visible.
+   * @param {object} project - `{ key }` or `{ id }` of the project
+   * @param {object} issueType - `{ name }` or `{ id }` of the issue type
+   */
+  issueType(project, issueType) {
+    const key = cacheKey(project, issueType);
+    if (!this.entries.has(key)) {
+      const query = { expand: 'projects.issuetypes.fields' };
+      if (project.id !== undefined) query.projectIds = [project.id];
+      else query.projectKeys = [project.key];
+      if (issueType.id !== undefined) query.issuetypeIds = [issueType.id];
+      else query.issuetypeNames = [issueType.name];
+
+      const entry = Promise.resolve(this.jira.getIssueCreateMetadata(query)).then((metadata) => {
+        const projectMetadata = (metadata.projects || [])[0] || null;
+        const issueTypes = (projectMetadata && projectMetadata.issuetypes) || [];
+        return { project: projectMetadata, issueType: issueTypes[0] || null };
+      }, (error) => {
+        this.entries.delete(key);
+        throw error;
+      });
+      this.entries.set(key, entry);
+    }
+    return this.entries.get(key);
+  }
+
+  /**
+   * @name clear
+   * @function
+   * Forgets every cached entry, ie after a screen or field configuration changed
+   */
+  clear() {
+    this.entries.clear();
+  }
+}
+
+function isMissing(value) {
+  return value === undefined || value === null || value === ''
+    || (Array.isArray(value) && value.length === 0);
+}
+
+function matchesAllowedValue(value, allowed) {
+  if (!value || typeof value !== 'object') {
+    return [allowed.id, allowed.name, allowed.value, allowed.key].includes(value);
+  }
+  return ['id', 'name', 'value', 'key'].some((property) => (
+    value[property] !== undefined && String(value[property]) === String(allowed[property])
+  ));
+}
+
+const REFERENCE_PROPERTIES = ['id', 'key', 'name', 'value', 'accountId'];
+
+// Schema types whose values are references to another entity
+const REFERENCE_TYPES = [
+  'option', 'option-with-child', 'priority', 'version', 'component', 'resolution', 'issuetype',
+  'project', 'securitylevel', 'group', 'issuelink',
+];
+
+const TIMETRACKING_PROPERTIES = ['originalEstimate', 'remainingEstimate'];
+
+// Array fields set with a single value, like the Sprint field with the id of a sprint
+const SINGLE_VALUE_ARRAYS = ['com.pyxis.greenhopper.jira:gh-sprint'];
+
+function typeProblem(type, value) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string' || isAdf(value) ? null : 'expected a string';
+    case 'number':
+      return typeof value === 'number' && !Number.isNaN(value) ? null : 'expected a number';
+    case 'date':
+      return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)
+        ? null
+        : 'expected a date formatted as yyyy-MM-dd';
+    case 'datetime':
+      return typeof value === 'string' && !Number.isNaN(Date.parse(value))
+        ? null
+        : 'expected an ISO 8601 date and time';
+    case 'user':
+      return value && typeof value === 'object' && (value.accountId || value.name || value.key)
+        ? null
+        : 'expected a user as { accountId } or { name }';
+    case 'timetracking':
+      return value && typeof value === 'object'
+        && TIMETRACKING_PROPERTIES.some((x) => typeof value[x] === 'string')
+        ? null
+        : 'expected { originalEstimate } or { remainingEstimate }';
+    default:
+      // Values of other types, like json or any, have no shape to check
+      if (!REFERENCE_TYPES.includes(type)) return null;
+      return value && typeof value === 'object'
+        && REFERENCE_PROPERTIES.some((x) => value[x] !== undefined)
+        ? null
+        : `expected a ${type} as { id }, { name } or { value }`;
+  }
+}
+
+function valueProblems(field, meta, value) {
+  const name = meta.name || field;
+  const schema = meta.schema || {};
+  const problem = (code, message) => ({
+    field,
+    name: meta.name,
+    code,
+    message: `${name}: ${message}`,
+  });
+
+  if (schema.type === 'array' && !SINGLE_VALUE_ARRAYS.includes(schema.custom)) {
+    if (!Array.isArray(value)) return [problem('invalid-type', 'expected an array')];
+    return value.reduce((problems, item) => problems.concat(valueProblems(field, {
+      ...meta,
+      schema: { type: schema.items },
+    }, item)), []);
+  }
+
+  const typeMessage = typeProblem(schema.type, value);
+  if (typeMessage) return [problem('invalid-type', typeMessage)];
+
+  if (Array.isArray(meta.allowedValues) && meta.allowedValues.length > 0) {
+    const allowed = meta.allowedValues.find((x) => matchesAllowedValue(value, x));
+    if (!allowed) {
+      const choices = meta.allowedValues.map((x) => x.value || x.name || x.id).join(', ');
+      return [problem('invalid-value', `${JSON.stringify(value)} is not one of ${choices}`)];
+    }
+    // Cascading selects list the allowed children under each parent option
+    if (value.child && Array.isArray(allowed.children)
+      && !allowed.children.some((x) => matchesAllowedValue(value.child, x))) {
+      const choices = allowed.children.map((x) => x.value || x.name || x.id).join(', ');
+      return [problem('invalid-value', `${JSON.stringify(value.child)} is not one of ${choices}`)];
+    }
+  }
+
+  return [];
+}
+
+/**
+ * @name validateIssueFields
+ * @function
+ * Checks an issue create payload against the create metadata of its issue type: required fields,
+ * fields missing from the create screen, value types and allowed values
+ * @param {object} issue - the payload, with its `fields` keyed by field id
+ * @param {object} issueTypeMetadata - an issue type of the create metadata, with its fields
+ * @return {IssueValidationResult}
+ */
+export function validateIssueFields(issue, issueTypeMetadata) {
+  const values = issue.fields || {};
+  const updated = Object.keys(issue.update || {});
+  const metadata = issueTypeMetadata.fields || {};
+  const problems = [];
+
+  Object.keys(metadata).forEach((field) => {
+    const meta = metadata[field];
+    if (meta.required && !meta.hasDefaultValue && isMissing(values[field])
+      && !updated.includes(field)) {
+      problems.push({
+        field,
+        name: meta.name,
+        code: 'required',
+        message: `${meta.name || field} is required`,
+      });
+    }
+  });
+
+  Object.keys(values).forEach((field) => {
+    if (field === 'project' || field === 'issuetype') return;
+
+    const meta = metadata[field];
+    if (!meta) {
+      problems.push({
+        field,
+        code: 'unknown-field',
+        message: `${field} cannot be set, it is not on the create screen of ${issueTypeMetadata.name}`,
+      });
+    } else if (!isMissing(values[field])) {
+      problems.push(...valueProblems(field, meta, values[field]));
+    }
+  });
+
+  return { valid: problems.length === 0, problems };
+}
+
+/**
+ * @name validateNewIssue
+ * @function
+ * Loads the create metadata of the payload's project and issue type and validates the payload
+ * against it with validateIssueFields
+ * @param {CreateMetadataCache} cache - where the metadata is fetched and kept
+ * @param {object} issue - the payload, with its `fields` keyed by field id
+ * @return {Promise<IssueValidationResult>}
+ */
+export async function validateNewIssue(cache, issue) {
+  const fields = (issue && issue.fields) || {};
+  const project = referenceOf(fields.project);
+  const issueType = referenceOf(fields.issuetype);
+  const problems = [];
+
+  if (project.id === undefined && !project.key) {
+    problems.push({ field: 'project', code: 'required', message: 'project is required' });
+  }
+  if (issueType.id === undefined && !issueType.name) {
+    problems.push({ field: 'issuetype', code: 'required', message: 'issuetype is required' });
+  }
+  if (problems.length > 0) return { valid: false, problems };
+
+  const metadata = await cache.issueType(project, issueType);
+  if (!metadata.project) {
+    const message = `project ${project.key || project.id} does not exist or is not visible`;
+    return { valid: false, problems: [{ field: 'project', code: 'unknown-project', message }] };
+  }
+  if (!metadata.issueType) {
+    const message = `issue type ${issueType.name || issueType.id} is not available in project ${metadata.project.key}`;
+    return { valid: false, problems: [{ field: 'issuetype', code: 'unknown-issuetype', message }] };
+  }
+
+  return validateIssueFields(issue, metadata.issueType);
+}
@@ -0,0 +1,527 @@
+// Converts the wiki markup Jira Server and Data Center keep rich text fields in
+// https://jira.atlassian.com/secure/WikiRendererHelpAction.jspa?section=all
+import {
+  adfToHtml,
+  adfToMarkdown,
+  adfToText,
+  blockquote,
+  bulletList,
+  codeBlock,
+  doc,
+  hardBreak,
+  heading,
+  isAdf,
+  isSafeHref,
+  listItem,
+  markdownToAdf,
+  mentionFromReference,
+  mentionReference,
+  orderedList,
+  panel,
+  paragraph,
+  rule,
+  strong,
+  tableCell,
+  tableHeader,
+  tableRow,
+  text,
+} from './adf';
+
+/* Wiki markup to ADF */
+
+function linkNode(content) {
+  if (content.startsWith('~')) return [mentionFromReference(content.slice(1))];
+
+  const separator = content.lastIndexOf('|');
+  const label = separator >= 0 ? content.slice(0, separator) : content;
+  const href = separator >= 0 ? content.slice(separator + 1) : content;
+  if (!/^([a-z][\w+.-]*:|\/)/i.test(href) || !isSafeHref(href)) return [text(label)];
+
+  return [text(label, [{ type: 'link', attrs: { href } }])];
+}
+
+// Emphasis style markup only counts when it isn't inside a word, so in "well-known" and
+// "snake_case" the markers stay text
+function emphasis(marker) {
+  const escaped = marker.replace(/[?^*+]/g, '\\$&');
+  return new RegExp(`(?<![\\w\\\\])${escaped}(?=\\S)(.*?\\S)${escaped}(?!\\w)`);
+}
+
+const INLINE_PATTERNS = [
+  { regex: /\\\\/, node: () => [hardBreak()] },
+  { regex: /\\([*_\-+{}[\]^~?!|\\])/, node: (m) => [text(m[1])] },
+  { regex: /\{\{(.+?)\}\}/, node: (m) => [text(m[1], [{ type: 'code' }])] },
+  { regex: /\{color(?::[^}]*)?\}([\s\S]*?)\{color\}/, inner: 1 },
+  { regex: /\[([^\]]+)\]/, node: (m) => linkNode(m[1]) },
+  { regex: /!([^\s!|]+)(?:\|[^!]*)?!/, node: (m) => [text(m[1])] },
+  { regex: emphasis('??'), mark: () => ({ type: 'em' }), inner: 1 },
+  { regex: emphasis('*'), mark: () => ({ type: 'strong' }), inner: 1 },
+  { regex: emphasis('_'), mark: () => ({ type: 'em' }), inner: 1 },
+  { regex: emphasis('-'), mark: () => ({ type: 'strike' }), inner: 1 },
+  { regex: emphasis('+'), mark: () => ({ type: 'underline' }), inner: 1 },
+  { regex: emphasis('^'), mark: () => ({ type: 'subsup', attrs: { type: 'sup' } }), inner: 1 },
+  { regex: emphasis('~'), mark: () => ({ type: 'subsup', attrs: { type: 'sub' } }), inner: 1 },
+];
+
+function withMark(nodes, mark) {
+  if (!mark) return nodes;
+  return nodes.map((node) => (
+    node.type === 'text' ? { ...node, marks: [...(node.marks || []), mark] } : node
+  ));
+}
+
+function parseInline(value) {
+  if (!value) return [];
+
+  let earliest = null;
+  INLINE_PATTERNS.forEach((pattern) => {
+    const match = pattern.regex.exec(value);
+    if (match && (!earliest || match.index < earliest.match.index)) {
+      earliest = { pattern, match };
+    }
+  });
+
+  if (!earliest) return [text(value)];
+
+  const { pattern, match } = earliest;
+  const before = value.slice(0, match.index);
+  const after = value.slice(match.index + match[0].length);
+  const nodes = pattern.node
+    ? pattern.node(match)
+    : withMark(parseInline(match[pattern.inner]), pattern.mark && pattern.mark(match));
+
+  return [...(before ? [text(before)] : []), ...nodes, ...parseInline(after)];
+}
+
+function parseInlineLines(lines) {
+  return lines.reduce((nodes, line, index) => [
+    ...nodes,
+    ...(index > 0 ? [hardBreak()] : []),
+    ...parseInline(line.trim()),
+  ], []);
+}
+
+const PANEL_TYPES = {
+  panel: 'info',
+  info: 'info',
+  note: 'note',
+  warning: 'warning',
+  tip: 'success',
+};
+
+const MACRO = /^\s*\{(code|noformat|quote|panel|info|note|warning|tip)(?::([^}]*))?\}(.*)$/;
+const HEADING = /^\s*h([1-6])\.\s*(.*)$/;
+const QUOTE_LINE = /^\s*bq\.\s*(.*)$/;
+const RULE = /^\s*-{4,}\s*$/;
+const LIST_ITEM = /^\s*([*#]+|-)\s+(.*)$/;
+const TABLE_ROW = /^\s*\|/;
+
+function isBlank(line) {
+  return /^\s*$/.test(line);
+}
+
+function macroParameters(value) {
+  return (value || '').split('|').filter((x) => x !== '').reduce((parameters, x) => {
+    const separator = x.indexOf('=');
+    return separator >= 0
+      ? { ...parameters, [x.slice(0, separator).trim()]: x.slice(separator + 1).trim() }
+      : { ...parameters, default: x.trim() };
+  }, {});
+}
+
+// Splits a table row on its `|` and `||` separators, leaving the ones inside links alone
+function tableRowCells(line) {
+  const cells = [];
+  let current = null;
+  let depth = 0;
+  let index = line.indexOf('|');
+
+  while (index < line.length) {
+    const char = line[index];
+    if (char === '|' && depth === 0 && line[index - 1] !== '\\') {
+      if (current) cells.push(current);
+      const header = line[index + 1] === '|';
+      current = { header, value: '' };
+      index += header ? 2 : 1;
+    } else {
+      if (char === '[' || char === '{') depth += 1;
+      if ((char === ']' || char === '}') && depth > 0) depth -= 1;
+      current.value += char;
+      index += 1;
+    }
+  }
+  if (current && current.value.trim() !== '') cells.push(current);
+
+  return cells.map(({ header, value }) => {
+    const content = paragraph(...parseInline(value.trim()));
+    return header ? tableHeader(content) : tableCell(content);
+  });
+}
+
+// Builds nested lists from items whose markers, like `*#`, give their depth and list type
+function buildLists(items, depth = 0) {
+  const lists = [];
+  let index = 0;
+
+  while (index < items.length) {
+    const ordered = items[index].marker[depth] === '#';
+    const listItems = [];
+
+    while (index < items.length && (items[index].marker[depth] === '#') === ordered
+      && items[index].marker.length === depth + 1) {
+      const content = [paragraph(...parseInline(items[index].text))];
+      index += 1;
+
+      const nested = [];
+      while (index < items.length && items[index].marker.length > depth + 1) {
+        nested.push(items[index]);
+        index += 1;
+      }
+      listItems.push(listItem(...content, ...buildLists(nested, depth + 1)));
+    }
+
+    if (listItems.length === 0) {
+      // Skipped levels, ie `**` without a `*` before it, nest under an empty item
+      const nested = [];
+      while (index < items.length && items[index].marker.length > depth + 1) {
+        nested.push(items[index]);
+        index += 1;
+      }
+      listItems.push(listItem(...buildLists(nested, depth + 1)));
+    }
+
+    lists.push(ordered ? orderedList(...listItems) : bulletList(...listItems));
+  }
+
+  return lists;
+}
+
+function startsBlock(line) {
+  return MACRO.test(line) || HEADING.test(line) || QUOTE_LINE.test(line) || RULE.test(line)
+    || LIST_ITEM.test(line) || TABLE_ROW.test(line);
+}
+
+// Returns the lines between a macro's opening tag and its closing tag, and where parsing resumes
+function macroBody(lines, index, name, rest) {
+  const closing = `{${name}}`;
+  const body = [];
+  let current = rest;
+  let next = index + 1;
+
+  for (;;) {
+    const end = current.indexOf(closing);
+    if (end >= 0) {
+      body.push(current.slice(0, end));
+      const remainder = current.slice(end + closing.length);
+      return { body, remainder: isBlank(remainder) ? null : remainder, next };
+    }
+    body.push(current);
+    if (next >= lines.length) return { body, remainder: null, next };
+    current = lines[next];
+    next += 1;
+  }
+}
+
+function parseBlocks(lines) {
+  const blocks = [];
+  const pending = [...lines];
+  let index = 0;
+
+  while (index < pending.length) {
+    const line = pending[index];
+    const macroStart = MACRO.exec(line);
+    const headingStart = HEADING.exec(line);
+    const quoteStart = QUOTE_LINE.exec(line);
+
+    if (isBlank(line)) {
+      index += 1;
+    } else if (macroStart) {
+      const [, name, parameters, rest] = macroStart;
+      const macro = macroBody(pending, index, name, rest);
+      const options = macroParameters(parameters);
+      const body = macro.body.filter((x, i) => !(
+        isBlank(x) && (i === 0 || i === macro.body.length - 1)
+      ));
+
+      if (name === 'code' || name === 'noformat') {
+        blocks.push(codeBlock(body.join('\n'), options.language || options.default));
+      } else if (name === 'quote') {
+        blocks.push(blockquote(...parseBlocks(body)));
+      } else {
+        const title = options.title ? [paragraph(strong(options.title))] : [];
+        blocks.push(panel(PANEL_TYPES[name], ...title, ...parseBlocks(body)));
+      }
+
+      index = macro.next;
+      if (macro.remainder !== null) {
+        index -= 1;
+        pending[index] = macro.remainder;
+      }
+    } else if (headingStart) {
+      blocks.push(heading(Number(headingStart[1]), ...parseInline(headingStart[2].trim())));
+      index += 1;
+    } else if (quoteStart) {
+      blocks.push(blockquote(paragraph(...parseInline(quoteStart[1].trim()))));
+      index += 1;
+    } else if (RULE.test(line)) {
+      blocks.push(rule());
+      index += 1;
+    } else if (LIST_ITEM.test(line)) {
+      const items = [];
+      while (index < pending.length && LIST_ITEM.test(pending[index])) {
+        const [, marker, value] = LIST_ITEM.exec(pending[index]);
+        items.push({ marker: marker === '-' ? '*' : marker, text: value.trim() });
+        index += 1;
+      }
+      blocks.push(...buildLists(items));
+    } else if (TABLE_ROW.test(line)) {
+      const rows = [];
+      while (index < pending.length && TABLE_ROW.test(pending[index])) {
+        rows.push(tableRow(...tableRowCells(pending[index])));
+        index += 1;
+      }
+      blocks.push({ type: 'table', content: rows });
+    } else {
+      const paragraphLines = [line];
+      index += 1;
+      while (index < pending.length && !isBlank(pending[index]) && !startsBlock(pending[index])) {
+        paragraphLines.push(pending[index]);
+        index += 1;
+      }
+      blocks.push(paragraph(...parseInlineLines(paragraphLines)));
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * @name wikiToAdf
+ * @function
+ * Parses wiki markup into an ADF document. Supports headings, `*strong*`, `_emphasis_`,
+ * `-strikethrough-`, `+underline+`, `^superscript^`, `~subscript~`, `{{monospace}}`, links,
+ * `[~user]` mentions, lists, tables, `bq.` and `{quote}` quotes, `{code}` and `{noformat}`
+ * blocks, and the `{panel}`, `{info}`, `{note}`, `{warning}` and `{tip}` panels. Colors and
+ * images are reduced to their text.
+ * @param {string} wiki - wiki markup
+ */
+export function wikiToAdf(wiki) {
+  const lines = String(wiki || '').replace(/\r\n?/g, '\n').split('\n');
+  return doc(...parseBlocks(lines));
+}
+
+/* ADF to wiki markup */
+
+const WIKI_PANELS = {
+  info: 'info',
+  note: 'note',
+  warning: 'warning',
+  error: 'warning',
+  success: 'tip',
+};
+
+function escapeWiki(value) {
+  return value.replace(/([\\*_{}[\]|])/g, '\\$1');
+}
+
+function wikiMarkedText(node) {
+  const marks = node.marks || [];
+  const find = (type) => marks.find((x) => x.type === type);
+  let value = find('code') ? `{{${node.text}}}` : escapeWiki(node.text);
+
+  if (find('em')) value = `_${value}_`;
+  if (find('strong')) value = `*${value}*`;
+  if (find('strike')) value = `-${value}-`;
+  if (find('underline')) value = `+${value}+`;
+  const subsup = find('subsup');
+  if (subsup) value = subsup.attrs.type === 'sup' ? `^${value}^` : `~${value}~`;
+  const linkMark = find('link');
+  if (linkMark) {
+    const { href } = linkMark.attrs;
+    value = node.text === href ? `[${href}]` : `[${value}|${href}]`;
+  }
+  return value;
+}
+
+function wikiInline(nodes = []) {
+  return nodes.map((node) => {
+    switch (node.type) {
+      case 'text': return wikiMarkedText(node);
+      case 'hardBreak': return '\n';
+      case 'mention': return `[~${mentionReference(node)}]`;
+      case 'emoji': return node.attrs.text || node.attrs.shortName;
+      case 'inlineCard': return `[${node.attrs.url}]`;
+      case 'status': return node.attrs.text;
+      default: return wikiInline(node.content);
+    }
+  }).join('');
+}
+
+// Lists, table cells and quotes hold blocks, rendered with the renderBlock given by wikiBlock
+
+function wikiList(node, prefix, renderBlock) {
+  const marker = prefix + (node.type === 'orderedList' ? '#' : '*');
+
+  return node.content.map((item) => item.content.map((child) => {
+    if (child.type === 'bulletList' || child.type === 'orderedList') {
+      return wikiList(child, marker, renderBlock);
+    }
+    return `${marker} ${renderBlock(child).replace(/\n/g, ' ')}`;
+  }).join('\n')).join('\n');
+}
+
+function wikiTableRow(row, renderBlock) {
+  let separator = '|';
+  const cells = row.content.map((cell) => {
+    separator = cell.type === 'tableHeader' ? '||' : '|';
+    const value = (cell.content || []).map(renderBlock).join(' ');
+    return `${separator}${value.replace(/\n/g, ' ')}`;
+  });
+  return cells.join('') + separator;
+}
+
+function joinWikiBlocks(nodes, renderBlock) {
+  return (nodes || []).map(renderBlock).filter((x) => x !== '').join('\n\n');
+}
+
+function wikiBlock(node) {
+  switch (node.type) {
+    case 'paragraph': return wikiInline(node.content);
+    case 'heading': return `h${node.attrs.level}. ${wikiInline(node.content)}`;
+    case 'codeBlock': {
+      const language = node.attrs && node.attrs.language;
+      const value = (node.content || []).map((x) => x.text).join('');
+      return `{code${language ? `:${language}` : ''}}\n${value}\n{code}`;
+    }
+    case 'rule': return '----';
+    case 'blockquote': return `{quote}\n${joinWikiBlocks(node.content, wikiBlock)}\n{quote}`;
+    case 'panel': {
+      const name = WIKI_PANELS[node.attrs.panelType] || 'panel';
+      return `{${name}}\n${joinWikiBlocks(node.content, wikiBlock)}\n{${name}}`;
+    }
+    case 'bulletList':
+    case 'orderedList':
+      return wikiList(node, '', wikiBlock);
+    case 'table':
+      return node.content.map((row) => wikiTableRow(row, wikiBlock)).join('\n');
+    case 'mediaSingle':
+    case 'mediaGroup':
+      return '';
+    default: return joinWikiBlocks(node.content, wikiBlock);
+  }
+}
+
+function wikiBlocks(nodes = []) {
+  return joinWikiBlocks(nodes, wikiBlock);
+}
+
+/**
+ * @name adfToWiki
+ * @function
+ * Renders an ADF document as wiki markup, the reverse of wikiToAdf
+ * @param {object} document - an ADF document, or a string which is returned as is
+ */
+export function adfToWiki(document) {
+  if (!isAdf(document)) return document;
+  return wikiBlocks(document.content);
+}
+
+/**
+ * @name wikiToMarkdown
+ * @function
+ * @param {string} wiki - wiki markup
+ */
+export function wikiToMarkdown(wiki) {
+  return adfToMarkdown(wikiToAdf(wiki));
+}
+
+/**
+ * @name wikiToHtml
+ * @function
+ * @param {string} wiki - wiki markup
+ */
+export function wikiToHtml(wiki) {
+  return adfToHtml(wikiToAdf(wiki));
+}
+
+/**
+ * @name markdownToWiki
+ * @function
+ * @param {string} markdown
+ */
+export function markdownToWiki(markdown) {
+  return adfToWiki(markdownToAdf(markdown));
+}
+
+/**
+ * @name markdownToHtml
+ * @function
+ * @param {string} markdown
+ */
+export function markdownToHtml(markdown) {
+  return adfToHtml(markdownToAdf(markdown));
+}
+
+const RENDERERS = {
+  adf: (document) => document,
+  html: adfToHtml,
+  markdown: adfToMarkdown,
+  text: adfToText,
+  wiki: adfToWiki,
+};
+
+/**
+ * @name convertText
+ * @function
+ * Converts the value of a rich text field, wiki markup on API version 2 or an ADF document on
+ * version 3, to another format
+ * @param {string|object} value - wiki markup or an ADF document
+ * @param {string} format - one of adf, html, markdown, text or wiki
+ */
+export function convertText(value, format) {
+  const render = RENDERERS[format];
+  if (!render) {
+    const formats = Object.keys(RENDERERS).join(', ');
+    throw new Error(`Unknown text format ${format}, expected one of ${formats}`);
+  }
+  if (value === null || value === undefined) return value;
+  if (format === 'wiki' && typeof value === 'string') return value;
+
+  return render(isAdf(value) ? value : wikiToAdf(value));
+}
+
+/**
+ * @name convertCommentsText
+ * @function
+ * Converts the bodies of a page of comments with convertText
+ * @param {object} page - a response of getComments, or the comment field of an issue
+ * @param {string} format - one of adf, html, markdown, text or wiki
+ */
+export function convertCommentsText(page, format) {
+  if (!page || !Array.isArray(page.comments)) return page;
+  return {
+    ...page,
+    comments: page.comments.map((comment) => ({
+      ...comment,
+      body: convertText(comment.body, format),
+    })),
+  };
+}
+
+/**
+ * @name convertIssueText
+ * @function
+ * Converts the description, environment and comments of an issue with convertText
+ * @param {object} issue - an issue as returned by findIssue
+ * @param {string} format - one of adf, html, markdown, text or wiki
+ */
+export function convertIssueText(issue, format) {
+  if (!issue || !issue.fields) return issue;
+
+  const fields = { ...issue.fields };
+  ['description', 'environment'].forEach((name) => {
+    if (name in fields) fields[name] = convertText(fields[name], format);
+  });
+  if (fields.comment) fields.comment = convertCommentsText(fields.comment, format);
+  return { ...issue, fields };
+}
@@ -0,0 +1,403 @@
+import { JiraNotFoundError } from './errors';
+
+/**
+ * @typedef WorkflowStatus
+ * @type {object}
+ * @property {string} id - id of the status
+ * @property {string} name - name of the status
+ * @property {object|null} category - its status category as `{ key, name }`, ie
+ * `{ key: 'done', name: 'Done' }`, when the statuses were loaded with listStatus
+ */
+
+/**
+ * @typedef WorkflowTransition
+ * @type {object}
+ * @property {string} id - id of the transition
+ * @property {string} name - name of the transition
+ * @property {string} type - one of initial, directed or global
+ * @property {string[]} from - ids of the statuses it starts from, empty for initial and global
+ * transitions
+ * @property {string} to - id of the status it leads to
+ * @property {object[]} conditions - the conditions of the transition, as returned with the
+ * transitions.rules expand
+ */
+
+function conditionsOf(transition) {
+  const rules = transition.rules || {};
+  if (Array.isArray(rules.conditions)) return rules.conditions;
+  return rules.conditionsTree ? [rules.conditionsTree] : [];
+}
+
+function nodeId(status) {
+  return `s${status.id}`;
+}
+
+function quote(value) {
+  return `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * @name WorkflowGraph
+ * @class
+ * The statuses and transitions of a workflow, as a directed graph of status ids, to find paths
+ * between statuses and statuses no issue can reach without a running Jira
+ */
+export default class WorkflowGraph {
+  /**
+   * @constructor
+   * @function
+   * @param {object} workflow
+   * @param {string} workflow.name - name of the workflow
+   * @param {WorkflowStatus[]} workflow.statuses
+   * @param {WorkflowTransition[]} workflow.transitions
+   */
+  constructor({ name, statuses = [], transitions = [] }) {
+    this.name = name;
+    this.statuses = statuses;
+    this.transitions = transitions;
+  }
+
+  /**
+   * @name fromWorkflow
+   * @function
+   * @static
+   * Builds the graph of a workflow returned by searchWorkflows, expanded with transitions and
+   * statuses, and with transitions.rules for conditions
+   * @param {object} workflow - an entry of the searchWorkflows values
+   * @param {object[]} [statusDetails] - the statuses returned by listStatus, for categories
+   */
+  static fromWorkflow(workflow, statusDetails = []) {
+    const details = new Map(statusDetails.map((x) => [String(x.id), x]));
+    const name = workflow.id && typeof workflow.id === 'object' ? workflow.id.name : workflow.name;
+
+    return new WorkflowGraph({
+      name,
+      statuses: (workflow.statuses || []).map((x) => {
+        const detail = details.get(String(x.id)) || {};
+        const category = detail.statusCategory || x.statusCategory;
+        return {
+          id: String(x.id),
+          name: x.name || detail.name,
+          category: category ? { key: category.key, name: category.name } : null,
+        };
+      }),
+      transitions: (workflow.transitions || []).map((x) => ({
+        id: String(x.id),
+        name: x.name,
+        type: x.type || ((x.from || []).length === 0 ? 'global' : 'directed'),
+        from: (x.from || []).map(String),
+        to: String(x.to),
+        conditions: conditionsOf(x),
+      })),
+    });
+  }
+
+  /**
+   * @name status
+   * @function
+   * Finds a status by id, or by name ignoring case
+   * @param {string|object} status - a status id or name, or an object with its id
+   * @return {WorkflowStatus|null}
+   */
+  status(status) {
+    if (status && typeof status === 'object') return this.status(status.id);
+    return this.statuses.find((x) => x.id === String(status))
+      || this.statuses.find((x) => x.name.toLowerCase() === String(status).toLowerCase())
+      || null;
+  }
+
+  /**
+   * @name statusId
+   * @function
+   * @private
+   * Resolves a status reference to its id, failing for statuses outside the workflow
+   * @param {string|object} status
+   */
+  statusId(status) {
+    const found = this.status(status);
+    if (!found) {
+      const ref = status && typeof status === 'object' ? status.id : status;
+      throw new JiraNotFoundError(`Status ${ref} is not part of workflow ${this.name}`);
+    }
+    return found.id;
+  }
+
+  /**
+   * @name transitionsFrom
+   * @function
+   * Lists the transitions an issue in a status can take, global transitions included
+   * @param {string|object} status - a status id or name
+   * @return {WorkflowTransition[]}
+   */
+  transitionsFrom(status) {
+    const id = this.statusId(status);
+    return this.transitions.filter((x) => x.type !== 'initial'
+      && (x.type === 'global' || x.from.includes(id))
+      && x.to !== id);
+  }
+
+  /**
+   * @name initialStatuses
+   * @function
+   * Lists the statuses issues are created in: the targets of the initial transitions, or the
+   * first status when the workflow has none
+   * @return {WorkflowStatus[]}
+   */
+  initialStatuses() {
+    const ids = this.transitions.filter((x) => x.type === 'initial').map((x) => x.to);
+    if (ids.length === 0) return this.statuses.slice(0, 1);
+    return this.statuses.filter((x) => ids.includes(x.id));
+  }
+
+  /**
+   * @name reachableFrom
+   * @function
+   * Lists the statuses an issue can reach from a status, itself included
+   * @param {string|object} status - a status id or name
+   * @return {WorkflowStatus[]}
+   */
+  reachableFrom(status) {
+    const seen = new Set([this.statusId(status)]);
+    const queue = [...seen];
+    while (queue.length > 0) {
+      this.transitionsFrom(queue.shift()).forEach((x) => {
+        if (!seen.has(x.to)) {
+          seen.add(x.to);
+          queue.push(x.to);
+        }
+      });
+    }
+    return this.statuses.filter((x) => seen.has(x.id));
+  }
+
+  /**
+   * @name unreachableStatuses
+   * @function
+   * Lists the statuses no issue can reach from the statuses issues are created in
+   * @return {WorkflowStatus[]}
+   */
+  unreachableStatuses() {
+    const reachable = new Set();
+    this.initialStatuses().forEach((initial) => {
+      this.reachableFrom(initial).forEach((x) => reachable.add(x.id));
+    });
+    return this.statuses.filter((x) => !reachable.has(x.id));
+  }
+
+  /**
+   * @name shortestPath
+   * @function
+   * Finds the fewest transitions leading from a status to any of the given statuses
+   * @param {string|object} from - a status id or name
+   * @param {string|object|Array} to - a status id or name, or several
+   * @return {WorkflowTransition[]|null} the transitions to take, or null when none leads there
+   */
+  shortestPath(from, to) {
+    const start = this.statusId(from);
+    const targets = (Array.isArray(to) ? to : [to]).map((x) => this.statusId(x));
+    const previous = new Map([[start, null]]);
+    const queue = [start];
+
+    while (queue.length > 0) {
+      const status = queue.shift();
+      if (targets.includes(status)) {
+        const path = [];
+        for (let step = previous.get(status); step; step = previous.get(step.from)) {
+          path.unshift(step.transition);
+        }
+        return path;
+      }
+
+      this.transitionsFrom(status).forEach((transition) => {
+        if (!previous.has(transition.to)) {
+          previous.set(transition.to, { from: status, transition });
+          queue.push(transition.to);
+        }
+      });
+    }
+    return null;
+  }
+
+  /**
+   * @name pathsBetween
+   * @function
+   * Lists the paths between two statuses that visit no status twice, shortest first, up to
+   * maxPaths of them
+   * @param {string|object} from - a status id or name
+   * @param {string|object} to - a status id or name
+   * @param {object} [options]
+   * @param {integer} [options.maxLength=10] - the most transitions a path may take
+   * @param {integer} [options.maxPaths=100] - the most paths returned. Global transitions let
+   * the number of paths grow exponentially with the number of statuses.
+   * @return {Array<WorkflowTransition[]>}
+   */
+  pathsBetween(from, to, { maxLength = 10, maxPaths = 100 } = {}) {
+    const start = this.statusId(from);
+    const target = this.statusId(to);
+    const leading = this.statusesLeadingTo(target);
+    const paths = [];
+
+    // Breadth first, so paths come out shortest first and the search stops at maxPaths
+    const queue = [{ status: start, visited: [start], path: [] }];
+    while (queue.length > 0 && paths.length < maxPaths) {
+      const { status, visited, path } = queue.shift();
+      if (status === target) {
+        paths.push(path);
+      } else if (path.length < maxLength) {
+        this.transitionsFrom(status)
+          .filter((x) => !visited.includes(x.to) && leading.has(x.to))
+          .forEach((x) => queue.push({
+            status: x.to,
+            visited: [...visited, x.to],
+            path: [...path, x],
+          }));
+      }
+    }
+    return paths;
+  }
+
+  /**
+   * @name statusesLeadingTo
+   * @function
+   * @private
+   * The ids of the statuses a status can be reached from, itself included
+   * @param {string} target - a status id
+   * @return {Set<string>}
+   */
+  statusesLeadingTo(target) {
+    const edges = this.edges();
+    const leading = new Set([target]);
+    const queue = [target];
+    while (queue.length > 0) {
+      const status = queue.shift();
+      edges.forEach((x) => {
+        if (x.to === status && !leading.has(x.from)) {
+          leading.add(x.from);
+          queue.push(x.from);
+        }
+      });
+    }
+    return leading;
+  }
+
+  /**
+   * @name edges
+   * @function
+   * @private
+   * Lists the transitions as `{ from, to, transition }` pairs of status ids, global transitions
+   * once from every other status
+   */
+  edges() {
+    return this.transitions
+      .filter((x) => x.type !== 'initial')
+      .reduce((edges, transition) => {
+        const from = transition.type === 'global'
+          ? this.statuses.map((x) => x.id).filter((x) => x !== transition.to)
+          : transition.from;
+        return edges.concat(from.map((x) => ({ from: x, to: transition.to, transition })));
+      }, []);
+  }
+
+  /**
+   * @name toMermaid
+   * @function
+   * Renders the workflow as a Mermaid state diagram
+   * @return {string}
+   */
+  toMermaid() {
+    const byId = new Map(this.statuses.map((x) => [x.id, x]));
+    const lines = ['stateDiagram-v2'];
+    this.statuses.forEach((x) => {
+      lines.push(`  state ${quote(x.name)} as ${nodeId(x)}`);
+    });
+    this.initialStatuses().forEach((x) => {
+      lines.push(`  [*] --> ${nodeId(x)}`);
+    });
+    this.edges().forEach(({ from, to, transition }) => {
+      const label = transition.name.replace(/[:\n]/g, ' ');
+      lines.push(`  ${nodeId(byId.get(from))} --> ${nodeId(byId.get(to))} : ${label}`);
+    });
+    return lines.join('\n');
+  }
+
+  /**
+   * @name toDot
+   * @function
+   * Renders the workflow as a Graphviz DOT digraph, statuses colored by category
+   * @return {string}
+   */
+  toDot() {
+    const colors = { new: 'lightgrey', indeterminate: 'lightblue', done: 'palegreen' };
+    const byId = new Map(this.statuses.map((x) => [x.id, x]));
+    const lines = [`digraph ${quote(this.name || 'workflow')} {`];
+    this.statuses.forEach((x) => {
+      const color = x.category && colors[x.category.key];
+      const style = color ? `, style=filled, fillcolor=${color}` : '';
+      lines.push(`  ${nodeId(x)} [label=${quote(x.name)}${style}];`);
+    });
+    this.edges().forEach(({ from, to, transition }) => {
+      lines.push(`  ${nodeId(byId.get(from))} -> ${nodeId(byId.get(to))} [label=${quote(transition.name)}];`);
+    });
+    lines.push('}');
+    return lines.join('\n');
+  }
+}
+
+/**
+ * @name loadWorkflowGraph
+ * @function
+ * Loads a workflow by name with searchWorkflows, and its status categories with listStatus
+ * @param {JiraApi} jira - the client to load the workflow with
+ * @param {string} workflowName - name of the workflow
+ * @return {Promise<WorkflowGraph>}
+ */
+export async function loadWorkflowGraph(jira, workflowName) {
+  const [found, statuses] = await Promise.all([
+    jira.searchWorkflows({ workflowName, expand: 'transitions,transitions.rules,statuses' }),
+    jira.listStatus(),
+  ]);
+  const workflow = (found.values || [])[0];
+  if (!workflow) throw new JiraNotFoundError(`Workflow ${workflowName} could not be found`);
+  return WorkflowGraph.fromWorkflow(workflow, Array.isArray(statuses) ? statuses : []);
+}
+
+/**
+ * @name projectWorkflowNames
+ * @function
+ * Reads the workflow scheme of a project, with getProjectWorkflowScheme
+ * @param {JiraApi} jira - the client to read the scheme with
+ * @param {string} projectId - id of the project
+ * @return {Promise<{defaultWorkflow: string, issueTypeMappings: object}>} the default workflow
+ * and the workflows of issue types, keyed by issue type id
+ */
+export async function projectWorkflowNames(jira, projectId) {
+  const schemes = await jira.getProjectWorkflowScheme(projectId);
+  const scheme = ((schemes.values || [])[0] || {}).workflowScheme || {};
+  return {
+    defaultWorkflow: scheme.defaultWorkflow,
+    issueTypeMappings: scheme.issueTypeMappings || {},
+  };
+}
+
+/**
+ * @name loadProjectWorkflowGraphs
+ * @function
+ * Loads every workflow of a project's workflow scheme
+ * @param {JiraApi} jira - the client to load the workflows with
+ * @param {string} projectId - id of the project
+ * @return {Promise<object>} WorkflowGraphs keyed by workflow name, each with the `issueTypes`
+ * ids mapped to it, and `default` set on the default workflow
+ */
+export async function loadProjectWorkflowGraphs(jira, projectId) {
+  const { defaultWorkflow, issueTypeMappings } = await projectWorkflowNames(jira, projectId);
+  const names = [...new Set([defaultWorkflow, ...Object.values(issueTypeMappings)])]
+    .filter(Boolean);
+  const graphs = await Promise.all(names.map((name) => loadWorkflowGraph(jira, name)));
+
+  return names.reduce((workflows, name, index) => {
+    const graph = graphs[index];
+    graph.default = name === defaultWorkflow;
+    graph.issueTypes = Object.keys(issueTypeMappings).filter((x) => issueTypeMappings[x] === name);
+    return { ...workflows, [name]: graph };
+  }, {});
+}
@@ -0,0 +1,284 @@
+import { expect } from 'chai';
+import {
+  adfToHtml,
+  adfToMarkdown,
+  adfToText,
+  bulletList,
+  codeBlock,
+  doc,
+  heading,
+  isAdf,
+  isSafeHref,
+  link,
+  listItem,
+  markdownToAdf,
+  mention,
+  panel,
+  paragraph,
+  strong,
+  table,
+} from '../src/adf';
+
+describe('ADF Tests', () => {
+  describe('builders', () => {
+    it('wraps strings in text and paragraph nodes', () => {
+      expect(doc('one', paragraph('two ', strong('three')))).to.eql({
+        type: 'doc',
+        version: 1,
+        content: [
+          { type: 'paragraph', content: [{ type: 'text', text: 'one' }] },
+          {
+            type: 'paragraph',
+            content: [
+              { type: 'text', text: 'two ' },
+              { type: 'text', text: 'three', marks: [{ type: 'strong' }] },
+            ],
+          },
+        ],
+      });
+    });
+
+    it('builds lists, panels, code blocks and mentions', () => {
+      expect(bulletList('a', listItem('b'))).to.eql({
+        type: 'bulletList',
+        content: [
+          { type: 'listItem', content: [{ type: 'paragraph', content: [{ type: 'text', text: 'a' }] }] },
+          { type: 'listItem', content: [{ type: 'paragraph', content: [{ type: 'text', text: 'b' }] }] },
+        ],
+      });
+      expect(panel('warning', 'careful').attrs).to.eql({ panelType: 'warning' });
+      expect(codeBlock('x = 1', 'js')).to.eql({
+        type: 'codeBlock',
+        attrs: { language: 'js' },
+        content: [{ type: 'text', text: 'x = 1' }],
+      });
+      expect(mention('5b10a', '@Jane')).to.eql({ type: 'mention', attrs: { id: '5b10a', text: '@Jane' } });
+      expect(link('docs', 'https://example.com').marks).to.eql([
+        { type: 'link', attrs: { href: 'https://example.com' } },
+      ]);
+    });
+
+    it('builds tables with a header row', () => {
+      const node = table([['Key', 'Status'], ['PK-1', 'Open']]);
+
+      expect(node.content).to.have.length(2);
+      expect(node.content[0].content.map((x) => x.type)).to.eql(['tableHeader', 'tableHeader']);
+      expect(node.content[1].content.map((x) => x.type)).to.eql(['tableCell', 'tableCell']);
+      expect(table([['a']], { header: false }).content[0].content[0].type).to.eql('tableCell');
+    });
+
+    it('recognizes documents', () => {
+      expect(isAdf(doc())).to.eql(true);
+      expect(isAdf('text')).to.eql(false);
+      expect(isAdf(null)).to.eql(false);
+    });
+  });
+
+  describe('markdownToAdf', () => {
+    it('converts inline formatting', () => {
+      const result = markdownToAdf('a *b* **c** ~~d~~ `e` [f](http://g) [~accountid:123]');
+
+      expect(result.content[0].content).to.eql([
+        { type: 'text', text: 'a ' },
+        { type: 'text', text: 'b', marks: [{ type: 'em' }] },
+        { type: 'text', text: ' ' },
+        { type: 'text', text: 'c', marks: [{ type: 'strong' }] },
+        { type: 'text', text: ' ' },
+        { type: 'text', text: 'd', marks: [{ type: 'strike' }] },
+        { type: 'text', text: ' ' },
+        { type: 'text', text: 'e', marks: [{ type: 'code' }] },
+        { type: 'text', text: ' ' },
+        { type: 'text', text: 'f', marks: [{ type: 'link', attrs: { href: 'http://g' } }] },
+        { type: 'text', text: ' ' },
+        { type: 'mention', attrs: { id: '123' } },
+      ]);
+    });
+
+    it('leaves underscores inside words alone', () => {
+      expect(markdownToAdf('snake_case_word and _em_').content[0].content).to.eql([
+        { type: 'text', text: 'snake_case_word and ' },
+        { type: 'text', text: 'em', marks: [{ type: 'em' }] },
+      ]);
+      expect(markdownToAdf('a__b__c').content[0].content).to.eql([
+        { type: 'text', text: 'a__b__c' },
+      ]);
+    });
+
+    it('reads parentheses in link targets and drops links to other schemes', () => {
+      const href = 'https://en.wikipedia.org/wiki/A_(B)';
+      expect(markdownToAdf(`[wiki](${href}) [x](vbscript:msgbox(1)) end`).content[0].content)
+        .to.eql([
+          { type: 'text', text: 'wiki', marks: [{ type: 'link', attrs: { href } }] },
+          { type: 'text', text: ' x end' },
+        ]);
+    });
+
+    it('nests marks and honours escapes', () => {
+      const result = markdownToAdf('**bold _both_** \\*not em\\*');
+
+      expect(result.content[0].content).to.eql([
+        { type: 'text', text: 'bold ', marks: [{ type: 'strong' }] },
+        { type: 'text', text: 'both', marks: [{ type: 'em' }, { type: 'strong' }] },
+        { type: 'text', text: ' *not em*' },
+      ]);
+    });
+
+    it('converts block elements', () => {
+      const result = markdownToAdf([
+        '## Title',
+        '',
+        'first line',
+        'second line',
+        '',
+        '```js',
+        'const a = 1;',
+        '```',
+        '',
+        '> quoted',
+        '',
+        '---',
+      ].join('\n'));
+
+      expect(result.content).to.eql([
+        heading(2, 'Title'),
+        {
+          type: 'paragraph',
+          content: [
+            { type: 'text', text: 'first line' },
+            { type: 'hardBreak' },
+            { type: 'text', text: 'second line' },
+          ],
+        },
+        codeBlock('const a = 1;', 'js'),
+        { type: 'blockquote', content: [paragraph('quoted')] },
+        { type: 'rule' },
+      ]);
+    });
+
+    it('converts nested and ordered lists', () => {
+      const result = markdownToAdf('- one\n  1. a\n  2. b\n- two\n\n3. three');
+
+      expect(result.content).to.eql([
+        {
+          type: 'bulletList',
+          content: [
+            listItem(paragraph('one'), {
+              type: 'orderedList',
+              content: [listItem('a'), listItem('b')],
+            }),
+            listItem('two'),
+          ],
+        },
+        { type: 'orderedList', attrs: { order: 3 }, content: [listItem('three')] },
+      ]);
+    });
+
+    it('converts tables', () => {
+      const tableHeaderOf = (value) => ({ type: 'tableHeader', content: [paragraph(value)] });
+      const result = markdownToAdf('| Key | Status |\n| --- | --- |\n| PK-1 | **Open** |');
+
+      expect(result.content).to.eql([{
+        type: 'table',
+        content: [
+          { type: 'tableRow', content: [tableHeaderOf('Key'), tableHeaderOf('Status')] },
+          {
+            type: 'tableRow',
+            content: [
+              { type: 'tableCell', content: [paragraph('PK-1')] },
+              { type: 'tableCell', content: [paragraph(strong('Open'))] },
+            ],
+          },
+        ],
+      }]);
+    });
+
+    it('converts empty input to an empty document', () => {
+      expect(markdownToAdf('')).to.eql({ type: 'doc', version: 1, content: [] });
+    });
+  });
+
+  describe('adfToMarkdown', () => {
+    it('round trips markdown', () => {
+      const markdown = [
+        '# Title',
+        '',
+        'Some **bold**, *em*, ~~gone~~, `code` and [a link](http://x)',
+        '',
+        '- one',
+        '  1. a',
+        '  2. b',
+        '- two',
+        '',
+        '```js',
+        'const a = 1;',
+        '```',
+        '',
+        '> quoted',
+        '',
+        '| Key | Status |',
+        '| --- | --- |',
+        '| PK-1 | Open |',
+        '',
+        '[~accountid:123] [~jsmith] \\*literal\\*',
+      ].join('\n');
+
+      expect(adfToMarkdown(markdownToAdf(markdown))).to.eql(markdown);
+    });
+
+    it('renders panels as blockquotes and passes strings through', () => {
+      expect(adfToMarkdown(doc(panel('info', 'note')))).to.eql('> note');
+      expect(adfToMarkdown('plain')).to.eql('plain');
+    });
+  });
+
+  describe('adfToHtml', () => {
+    it('renders HTML and escapes text', () => {
+      const document = doc(
+        heading(2, 'A & B'),
+        paragraph(link('<docs>', 'http://x?a=1&b=2'), ' ', mention('jsmith', '@jsmith')),
+        codeBlock('a < b', 'js'),
+        table([['Key'], ['PK-1']]),
+      );
+
+      expect(adfToHtml(document)).to.eql([
+        '<h2>A &amp; B</h2>',
+        '<p><a href="http://x?a=1&amp;b=2">&lt;docs&gt;</a> <span class="mention" data-id="jsmith">@jsmith</span></p>',
+        '<pre><code class="language-js">a &lt; b</code></pre>',
+        '<table><tr><th><p>Key</p></th></tr><tr><td><p>PK-1</p></td></tr></table>',
+      ].join(''));
+    });
+
+    it('renders links to other schemes as text', () => {
+      const document = doc(paragraph(
+        link('run', 'vbscript:msgbox(1)'),
+        ' ',
+        link('data', ' JavaScript:alert(1)'),
+        ' ',
+        { type: 'inlineCard', attrs: { url: 'vbscript:msgbox(1)' } },
+        ' ',
+        link('mail', 'mailto:a@example.com'),
+        ' ',
+        link('page', '/browse/PK-1'),
+      ));
+
+      expect(adfToHtml(document)).to.eql('<p>run data vbscript:msgbox(1) '
+        + '<a href="mailto:a@example.com">mail</a> <a href="/browse/PK-1">page</a></p>');
+      expect(isSafeHref('https://example.com')).to.eql(true);
+      expect(isSafeHref('java\tscript:alert(1)')).to.eql(false);
+    });
+  });
+
+  describe('adfToText', () => {
+    it('extracts plain text', () => {
+      const document = doc(
+        heading(1, 'Title'),
+        paragraph('Hi ', mention('123', '@Jane'), ', ', strong('see'), ' below'),
+        bulletList('one', 'two'),
+        codeBlock('x = 1'),
+      );
+
+      expect(adfToText(document)).to.eql('Title\nHi @Jane, see below\n- one\n- two\nx = 1');
+      expect(adfToText('plain')).to.eql('plain');
+    });
+  });
+});
@@ -0,0 +1,125 @@
+import { expect } from 'chai';
+import IssueHistory from '../src/history';
+import {
+  aggregateFlows,
+  issueFlow,
+  percentile,
+  statusIntervals,
+  summarize,
+} from '../src/analytics';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const CATEGORIES = {
+  'to do': 'new',
+  'in progress': 'indeterminate',
+  'in review': 'indeterminate',
+  done: 'done',
+  closed: 'done',
+};
+
+function history(key, created, changes, status) {
+  return new IssueHistory({
+    key,
+    fields: { created, status: { name: status } },
+  }, changes.map(([at, from, to], index) => ({
+    id: String(index + 1),
+    created: at,
+    items: [{ field: 'status', fromString: from, toString: to }],
+  })));
+}
+
+// Created on Monday, started on Tuesday, reviewed on Wednesday, closed on Thursday
+const FINISHED = history('PK-1', '2026-03-09T09:00:00.000Z', [
+  ['2026-03-10T09:00:00.000Z', 'To Do', 'In Progress'],
+  ['2026-03-11T09:00:00.000Z', 'In Progress', 'In Review'],
+  ['2026-03-12T09:00:00.000Z', 'In Review', 'Done'],
+  ['2026-03-12T10:00:00.000Z', 'Done', 'Closed'],
+], 'Closed');
+
+const REOPENED = history('PK-2', '2026-03-09T09:00:00.000Z', [
+  ['2026-03-09T12:00:00.000Z', 'To Do', 'Done'],
+  ['2026-03-10T12:00:00.000Z', 'Done', 'In Progress'],
+], 'In Progress');
+
+describe('Flow Analytics Tests', () => {
+  it('splits the status timeline into intervals', () => {
+    expect(statusIntervals(REOPENED, '2026-03-11T12:00:00.000Z')).to.eql([
+      { status: 'To Do', from: '2026-03-09T09:00:00.000Z', to: '2026-03-09T12:00:00.000Z' },
+      { status: 'Done', from: '2026-03-09T12:00:00.000Z', to: '2026-03-10T12:00:00.000Z' },
+      { status: 'In Progress', from: '2026-03-10T12:00:00.000Z', to: '2026-03-11T12:00:00.000Z' },
+    ]);
+  });
+
+  it('measures time in status, cycle time and lead time by status category', () => {
+    const flow = issueFlow(FINISHED, CATEGORIES, { now: '2026-03-13T10:00:00.000Z' });
+
+    expect(flow).to.eql({
+      key: 'PK-1',
+      created: '2026-03-09T09:00:00.000Z',
+      started: '2026-03-10T09:00:00.000Z',
+      finished: '2026-03-12T09:00:00.000Z',
+      timeInStatus: {
+        'To Do': DAY,
+        'In Progress': DAY,
+        'In Review': DAY,
+        Done: HOUR,
+        Closed: DAY,
+      },
+      cycleTime: 2 * DAY,
+      leadTime: 3 * DAY,
+    });
+
+    const reopened = issueFlow(REOPENED, CATEGORIES, { now: '2026-03-11T12:00:00.000Z' });
+    expect([reopened.started, reopened.finished, reopened.cycleTime]).to.eql([
+      '2026-03-09T12:00:00.000Z', null, null,
+    ]);
+  });
+
+  it('takes the statuses ending the cycle and a business calendar', () => {
+    const flow = issueFlow(FINISHED, {}, {
+      startStatuses: ['in review'],
+      endStatuses: ['Closed'],
+      calendar: { startHour: 9, endHour: 17 },
+    });
+
+    expect(flow.cycleTime).to.eql(8 * HOUR + HOUR);
+    expect(flow.leadTime).to.eql(3 * 8 * HOUR + HOUR);
+  });
+
+  it('summarizes durations into percentiles and a histogram', () => {
+    expect(percentile([1, 2, 3, 4, 5, 6, 7, 8, 9, 10], 85)).to.eql(9);
+    expect(percentile([], 50)).to.eql(null);
+
+    const summary = summarize([3 * DAY, null, 0.5 * DAY, DAY, 1.5 * DAY]);
+    expect(summary).to.eql({
+      count: 4,
+      min: 0.5 * DAY,
+      max: 3 * DAY,
+      mean: 1.5 * DAY,
+      percentiles: { 50: DAY, 85: 3 * DAY, 95: 3 * DAY },
+      histogram: [
+        { from: 0, to: DAY, count: 1 },
+        { from: DAY, to: 2 * DAY, count: 2 },
+        { from: 2 * DAY, to: 3 * DAY, count: 0 },
+        { from: 3 * DAY, to: 4 * DAY, count: 1 },
+      ],
+    });
+    expect(summarize([]).histogram).to.eql([]);
+  });
+
+  it('aggregates the flows of many issues', () => {
+    const now = '2026-03-13T10:00:00.000Z';
+    const result = aggregateFlows([
+      issueFlow(FINISHED, CATEGORIES, { now }),
+      issueFlow(REOPENED, CATEGORIES, { now }),
+    ], { percentiles: [50] });
+
+    expect(result.issues).to.have.length(2);
+    expect(result.cycleTime.count).to.eql(1);
+    expect(result.leadTime.percentiles).to.eql({ 50: 3 * DAY });
+    expect(result.timeInStatus.Done.count).to.eql(2);
+    expect(result.timeInStatus['In Review'].count).to.eql(1);
+  });
+});
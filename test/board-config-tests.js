@@ -0,0 +1,120 @@
+import { expect } from 'chai';
+import BoardConfig, { loadBoardConfig } from '../src/board-config';
+
+const STATUSES = [
+  { id: '1', name: 'To Do', statusCategory: { key: 'new' } },
+  { id: '2', name: 'In Progress', statusCategory: { key: 'indeterminate' } },
+  { id: '3', name: 'In Review', statusCategory: { key: 'indeterminate' } },
+  { id: '4', name: 'Done', statusCategory: { key: 'done' } },
+];
+
+const CONFIGURATION = {
+  id: 7,
+  name: 'PK board',
+  type: 'kanban',
+  filter: { id: '10000', self: 'http://jira/rest/api/2/filter/10000' },
+  subQuery: { query: 'resolution = EMPTY OR resolution changed after -2w' },
+  columnConfig: {
+    columns: [
+      { name: 'Backlog', statuses: [{ id: '1' }] },
+      { name: 'Doing', statuses: [{ id: '2' }, { id: '3' }], max: 3 },
+      { name: 'Done', statuses: [{ id: '4' }, { id: '99' }] },
+      { name: 'Archived', statuses: [] },
+    ],
+  },
+  estimation: { type: 'field', field: { fieldId: 'customfield_10016', displayName: 'Points' } },
+  ranking: { rankCustomFieldId: 10019 },
+};
+
+function issue(key, status) {
+  return { key, fields: { status } };
+}
+
+describe('Board Config Tests', () => {
+  it('resolves the columns and fields of a board', () => {
+    const config = new BoardConfig(CONFIGURATION, STATUSES);
+
+    expect(config.columns.map((x) => x.name)).to.eql(['Backlog', 'Doing', 'Done', 'Archived']);
+    expect(config.columns[1]).to.eql({ name: 'Doing', statuses: [STATUSES[1], STATUSES[2]], max: 3 });
+    expect(config.columns[2].statuses).to.eql([STATUSES[3], { id: '99' }]);
+    expect(config.estimationField).to.eql({ fieldId: 'customfield_10016', displayName: 'Points' });
+    expect(config.rankField).to.eql(10019);
+    expect(config.filter).to.eql(CONFIGURATION.filter);
+    expect(config.subQuery).to.eql('resolution = EMPTY OR resolution changed after -2w');
+    expect(new BoardConfig({ estimation: { type: 'issueCount' } }, []).estimationField)
+      .to.eql(null);
+  });
+
+  it('finds the column of a status or an issue', () => {
+    const config = new BoardConfig(CONFIGURATION, STATUSES);
+
+    expect(config.columnForStatus('3').name).to.eql('Doing');
+    expect(config.columnForStatus(2).name).to.eql('Doing');
+    expect(config.columnForStatus('in review').name).to.eql('Doing');
+    expect(config.columnForStatus({ name: 'Done' }).name).to.eql('Done');
+    expect(config.columnForStatus('Blocked')).to.eql(null);
+    expect(config.columnForIssue(issue('PK-1', { id: '1', name: 'To Do' })).name)
+      .to.eql('Backlog');
+    expect(config.columnForIssue({ key: 'PK-2', fields: {} })).to.eql(null);
+  });
+
+  it('knows when issues are done', () => {
+    const config = new BoardConfig(CONFIGURATION, STATUSES);
+    expect(config.doneStatuses()).to.eql([STATUSES[3], { id: '99' }]);
+    expect(config.isDone(issue('PK-1', { id: '4', name: 'Done' }))).to.eql(true);
+    expect(config.isDone(issue('PK-2', { id: '3', name: 'In Review' }))).to.eql(false);
+
+    const columnless = new BoardConfig({}, STATUSES);
+    expect(columnless.doneStatuses()).to.eql([STATUSES[3]]);
+    expect(columnless.isDone(issue('PK-1', { name: 'done' }))).to.eql(true);
+  });
+
+  it('groups issues by column', () => {
+    const config = new BoardConfig(CONFIGURATION, STATUSES);
+    const issues = [
+      issue('PK-1', { id: '2' }),
+      issue('PK-2', { id: '4' }),
+      issue('PK-3', { id: '5' }),
+      issue('PK-4', { id: '3' }),
+    ];
+
+    const { columns, unmapped } = config.groupByColumn(issues);
+    expect(columns.map((x) => [x.name, x.issues.map((i) => i.key)])).to.eql([
+      ['Backlog', []],
+      ['Doing', ['PK-1', 'PK-4']],
+      ['Done', ['PK-2']],
+      ['Archived', []],
+    ]);
+    expect(columns[1].max).to.eql(3);
+    expect(unmapped.map((x) => x.key)).to.eql(['PK-3']);
+    expect(config.columns[1]).to.not.have.property('issues');
+  });
+
+  it('loads the configuration, statuses and filter of a board', async () => {
+    const calls = [];
+    const jira = {
+      async getConfiguration(boardId) {
+        calls.push(['getConfiguration', boardId]);
+        return CONFIGURATION;
+      },
+      async listStatus() {
+        calls.push(['listStatus']);
+        return STATUSES;
+      },
+      async getIssueFilter(filterId) {
+        calls.push(['getIssueFilter', filterId]);
+        return {
+          id: filterId,
+          name: 'PK',
+          jql: 'project = PK ORDER BY Rank',
+          owner: {},
+        };
+      },
+    };
+
+    const config = await loadBoardConfig(jira, 7);
+    expect(config).to.be.an.instanceof(BoardConfig);
+    expect(config.filter).to.eql({ id: '10000', name: 'PK', jql: 'project = PK ORDER BY Rank' });
+    expect(calls).to.eql([['getConfiguration', 7], ['listStatus'], ['getIssueFilter', '10000']]);
+  });
+});
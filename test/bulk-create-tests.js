@@ -0,0 +1,42 @@
+import { expect } from 'chai';
+import { bulkCreateResults, chunk } from '../src/bulk-create';
+import { JiraValidationError, JiraAuthError } from '../src/errors';
+
+describe('Bulk Create Tests', () => {
+  it('chunks lists', () => {
+    expect(chunk([1, 2, 3, 4, 5], 2)).to.eql([[1, 2], [3, 4], [5]]);
+    expect(chunk([], 50)).to.eql([]);
+  });
+
+  it('matches created issues and element errors to their position', () => {
+    const results = bulkCreateResults(4, {
+      issues: [{ id: '10', key: 'PK-1', self: 'a' }, { id: '11', key: 'PK-2', self: 'b' }],
+      errors: [
+        {
+          status: 400,
+          failedElementNumber: 1,
+          elementErrors: { errors: { summary: 'Summary is required' } },
+        },
+        {
+          status: 403,
+          failedElementNumber: 3,
+          elementErrors: { errorMessages: ['No permission'] },
+        },
+      ],
+    }, { method: 'POST', uri: 'http://jira/rest/api/2/issue/bulk' });
+
+    expect(results[0]).to.eql({ id: '10', key: 'PK-1', self: 'a' });
+    expect(results[2]).to.eql({ id: '11', key: 'PK-2', self: 'b' });
+    expect(results[1].error).to.be.an.instanceof(JiraValidationError);
+    expect(results[1].error.message).to.eql('summary: Summary is required');
+    expect(results[1].error.errors).to.eql({ summary: 'Summary is required' });
+    expect(results[3].error).to.be.an.instanceof(JiraAuthError);
+    expect(results[3].error.request.uri).to.eql('http://jira/rest/api/2/issue/bulk');
+  });
+
+  it('reports issues missing from the response', () => {
+    const [result] = bulkCreateResults(1, {});
+
+    expect(result.error.message).to.eql('Issue 0 is missing from the bulk response');
+  });
+});
@@ -0,0 +1,165 @@
+import { expect } from 'chai';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import BulkOperation from '../src/bulk';
+import createJql from '../src/jql';
+
+const KEYS = ['PK-1', 'PK-2', 'PK-3', 'PK-4', 'PK-5'];
+
+function fakeJira(keys = KEYS) {
+  return {
+    searches: [],
+    calls: [],
+    async* iterateSearch(jql, optional) {
+      this.searches.push([jql, optional]);
+      yield* keys.map((key) => ({ key }));
+    },
+    async updateIssue(key, body) {
+      this.calls.push(['updateIssue', key, body]);
+      if (key === 'PK-3') throw new Error('Field fixVersions cannot be set');
+    },
+    async transitionIssueTo(key, target, options) {
+      this.calls.push(['transitionIssueTo', key, target, options]);
+    },
+    async deleteIssue(key) {
+      this.calls.push(['deleteIssue', key]);
+    },
+  };
+}
+
+describe('Bulk Operation Tests', () => {
+  it('runs the operation on every matching issue and collects failures', async () => {
+    const jira = fakeJira();
+    const operation = new BulkOperation(
+      jira,
+      createJql('project').eq('PK'),
+      BulkOperation.updateFields({ fixVersions: [{ name: '1.2' }] }),
+      { concurrency: 2 },
+    );
+    const progress = [];
+    operation.on('start', (event) => progress.push(['start', event]));
+    operation.on('progress', ({ key, completed, failed }) => progress.push([key, completed, failed]));
+
+    const result = await operation.run();
+
+    expect(jira.searches).to.eql([['project = "PK"', { fields: ['summary'] }]]);
+    expect(result.total).to.eql(5);
+    expect(result.completed).to.eql(['PK-1', 'PK-2', 'PK-4', 'PK-5']);
+    expect(result.failed.map((x) => [x.key, x.error.message])).to.eql([
+      ['PK-3', 'Field fixVersions cannot be set'],
+    ]);
+    expect(progress).to.eql([
+      ['start', { total: 5, remaining: 5 }],
+      ['PK-1', 1, 0],
+      ['PK-2', 2, 0],
+      ['PK-3', 2, 1],
+      ['PK-4', 3, 1],
+      ['PK-5', 4, 1],
+    ]);
+    expect(jira.calls[0]).to.eql(['updateIssue', 'PK-1', { fields: { fixVersions: [{ name: '1.2' }] } }]);
+  });
+
+  it('never runs more operations at once than the concurrency', async () => {
+    let running = 0;
+    let highest = 0;
+    const operation = new BulkOperation(fakeJira(), 'project = PK', async () => {
+      running += 1;
+      highest = Math.max(highest, running);
+      await new Promise((resolve) => { setTimeout(resolve, 1); });
+      running -= 1;
+    }, { concurrency: 3 });
+
+    await operation.run();
+
+    expect(highest).to.eql(3);
+  });
+
+  it('builds labels, transition and delete operations', async () => {
+    const jira = fakeJira(['PK-1']);
+
+    await BulkOperation.addLabels('a', 'b')('PK-1', jira);
+    await BulkOperation.transition('Done', { resolution: 'Fixed' })('PK-1', jira);
+    await BulkOperation.deleteIssue()('PK-1', jira);
+
+    expect(jira.calls).to.eql([
+      ['updateIssue', 'PK-1', { update: { labels: [{ add: 'a' }, { add: 'b' }] } }],
+      ['transitionIssueTo', 'PK-1', 'Done', { resolution: 'Fixed' }],
+      ['deleteIssue', 'PK-1'],
+    ]);
+  });
+
+  it('resumes from a checkpoint, retrying failed issues', async () => {
+    const jira = fakeJira();
+    const checkpoints = [];
+    const operation = new BulkOperation(jira, 'project = PK', BulkOperation.deleteIssue(), {
+      resumeFrom: {
+        jql: 'project = PK',
+        issues: ['PK-1', 'PK-2', 'PK-3'],
+        completed: ['PK-1'],
+        failed: [{ key: 'PK-3', message: 'Boom' }],
+      },
+    });
+    operation.on('checkpoint', (checkpoint) => checkpoints.push(checkpoint));
+
+    const result = await operation.run();
+
+    expect(jira.searches).to.eql([]);
+    expect(jira.calls).to.eql([['deleteIssue', 'PK-2'], ['deleteIssue', 'PK-3']]);
+    expect(result.completed).to.eql(['PK-1', 'PK-2', 'PK-3']);
+    expect(checkpoints[checkpoints.length - 1].failed).to.eql([]);
+
+    await new BulkOperation(jira, 'project = OTHER', BulkOperation.deleteIssue(), {
+      resumeFrom: checkpoints[0],
+    }).run().should.eventually.be.rejectedWith('The checkpoint was made for project = PK, not project = OTHER');
+  });
+
+  it('saves the checkpoint to a file and resumes from it', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'jira-bulk-'));
+    const checkpointFile = path.join(directory, 'checkpoint.json');
+    const jira = fakeJira();
+
+    const first = await new BulkOperation(jira, 'project = PK', BulkOperation.addLabels('x'), {
+      checkpointFile,
+    }).run();
+    expect(first.failed.map((x) => x.key)).to.eql(['PK-3']);
+
+    const saved = JSON.parse(await fs.readFile(checkpointFile, 'utf8'));
+    expect(saved).to.eql({
+      jql: 'project = PK',
+      issues: KEYS,
+      completed: ['PK-1', 'PK-2', 'PK-4', 'PK-5'],
+      failed: [{ key: 'PK-3', message: 'Field fixVersions cannot be set' }],
+    });
+
+    jira.calls = [];
+    await new BulkOperation(jira, 'project = PK', BulkOperation.addLabels('x'), {
+      checkpointFile,
+    }).run().should.eventually.be.rejectedWith(`The checkpoint file ${checkpointFile} already exists`);
+    await new BulkOperation(jira, 'project = PK', BulkOperation.addLabels('x'), {
+      checkpointFile,
+      resume: true,
+    }).run();
+    expect(jira.searches).to.have.length(1);
+    expect(jira.calls.map((x) => x[1])).to.eql(['PK-3']);
+
+    await fs.rmdir(directory, { recursive: true });
+  });
+
+  it('stops and rejects when the checkpoint cannot be written', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'jira-bulk-'));
+    const checkpointFile = path.join(directory, 'missing', 'checkpoint.json');
+    const jira = fakeJira();
+    const operation = new BulkOperation(jira, 'project = PK', BulkOperation.deleteIssue(), {
+      checkpointFile,
+    });
+    const done = [];
+    operation.on('done', (result) => done.push(result));
+
+    await operation.run().should.eventually.be.rejectedWith('ENOENT');
+    expect(jira.calls).to.eql([]);
+    expect(done).to.eql([]);
+
+    await fs.rmdir(directory, { recursive: true });
+  });
+});
@@ -0,0 +1,32 @@
+import { expect } from 'chai';
+import BusinessCalendar from '../src/calendar';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Business Calendar Tests', () => {
+  it('counts working hours only', () => {
+    const calendar = new BusinessCalendar();
+
+    // Friday 2026-03-06 15:00 to Monday 2026-03-09 11:00
+    expect(calendar.duration('2026-03-06T15:00:00Z', '2026-03-09T11:00:00Z')).to.eql(4 * HOUR);
+    // Saturday to Sunday
+    expect(calendar.duration('2026-03-07T10:00:00Z', '2026-03-08T18:00:00Z')).to.eql(0);
+    // A whole week
+    expect(calendar.duration('2026-03-09T00:00:00Z', '2026-03-16T00:00:00Z')).to.eql(40 * HOUR);
+    expect(calendar.duration('2026-03-10T00:00:00Z', '2026-03-09T00:00:00Z')).to.eql(0);
+  });
+
+  it('skips holidays and works in the team time zone', () => {
+    const calendar = new BusinessCalendar({
+      holidays: ['2026-03-10'],
+      startHour: 8.5,
+      endHour: 12,
+      utcOffset: 60,
+    });
+
+    // 07:30 UTC is 08:30 in the team's time zone
+    expect(calendar.duration('2026-03-09T07:30:00Z', '2026-03-11T23:00:00Z')).to.eql(7 * HOUR);
+    expect(() => new BusinessCalendar({ startHour: 18, endHour: 9 }))
+      .to.throw('The working day cannot start at 18 and end at 9');
+  });
+});
@@ -0,0 +1,179 @@
+import { expect } from 'chai';
+import { cloneIssue, mapIssueFields } from '../src/clone';
+import { JiraNotFoundError, JiraValidationError } from '../src/errors';
+
+const BUG = {
+  id: '10004',
+  name: 'Bug',
+  fields: {
+    summary: { name: 'Summary', schema: { type: 'string' } },
+    assignee: { name: 'Assignee', schema: { type: 'user' } },
+    labels: { name: 'Labels', schema: { type: 'array', items: 'string' } },
+    fixVersions: {
+      name: 'Fix Version/s',
+      schema: { type: 'array', items: 'version' },
+      allowedValues: [{ id: '20100', name: '1.0' }, { id: '20101', name: '2.0' }],
+    },
+    customfield_10020: {
+      name: 'Severity',
+      schema: { type: 'option' },
+      allowedValues: [{ id: '30001', value: 'High' }],
+    },
+  },
+};
+
+const SUBTASK = { id: '10005', name: 'Sub-task', fields: BUG.fields };
+
+const SOURCE = {
+  id: '10100',
+  key: 'PK-1',
+  fields: {
+    project: { id: '10000', key: 'PK' },
+    issuetype: { id: '1', name: 'Bug' },
+    status: { id: '3', name: 'In Progress' },
+    created: '2024-05-01T10:00:00.000+0000',
+    summary: 'Crash on save',
+    assignee: { accountId: 'abc', displayName: 'Ann' },
+    labels: ['crash'],
+    fixVersions: [{ id: '100', name: '1.0' }, { id: '101', name: '1.1' }],
+    customfield_10020: { id: '200', value: 'High' },
+    customfield_10030: 'Only in PK',
+    customfield_10040: null,
+    subtasks: [{ key: 'PK-2' }],
+    issuelinks: [
+      { type: { name: 'Blocks' }, outwardIssue: { key: 'PK-7' } },
+      { type: { name: 'Relates' }, inwardIssue: { key: 'PK-8' } },
+    ],
+    attachment: [{
+      id: '500', filename: 'log.txt', mimeType: 'text/plain',
+    }],
+    comment: { comments: [{ body: 'Seen on 1.0', visibility: { type: 'role', value: 'Dev' } }] },
+  },
+};
+
+function fakeJira() {
+  let created = 0;
+  return {
+    calls: [],
+    async rawIssue(key) {
+      if (key === 'PK-2') {
+        return {
+          key,
+          fields: {
+            project: SOURCE.fields.project,
+            issuetype: { id: '2', name: 'Sub-task' },
+            summary: 'Find the cause',
+            parent: { key: 'PK-1' },
+          },
+        };
+      }
+      return SOURCE;
+    },
+    createMetadata: {
+      issueType: async (project, issueType) => ({
+        project,
+        issueType: [BUG, SUBTASK].find((x) => x.name === issueType.name) || null,
+      }),
+    },
+    async addNewIssue(issue) {
+      created += 1;
+      this.calls.push(['addNewIssue', issue]);
+      return { id: String(10200 + created), key: `OT-${created}` };
+    },
+    async issueLink(link) {
+      this.calls.push(['issueLink', link]);
+    },
+    async downloadAttachment(attachment) {
+      return Buffer.from(`content of ${attachment.id}`);
+    },
+    async addAttachmentOnIssue(key, file) {
+      this.calls.push(['addAttachmentOnIssue', key, file.options, file.value.toString()]);
+    },
+    async addCommentAdvanced(key, comment) {
+      this.calls.push(['addCommentAdvanced', key, comment]);
+    },
+    async getIssueWatchers(key) {
+      return { watchers: key === 'PK-1' ? [{ accountId: 'abc' }, { accountId: 'def' }] : [] };
+    },
+    async addWatcher(key, user) {
+      this.calls.push(['addWatcher', key, user]);
+      if (user === 'def') throw new Error('User def cannot view the issue');
+    },
+  };
+}
+
+describe('Clone Tests', () => {
+  it('maps fields to the create metadata of the target issue type', () => {
+    const { fields, skipped } = mapIssueFields(SOURCE.fields, BUG);
+
+    expect(fields).to.eql({
+      summary: 'Crash on save',
+      assignee: { accountId: 'abc' },
+      labels: ['crash'],
+      fixVersions: [{ id: '20100' }],
+      customfield_10020: { id: '30001' },
+    });
+    expect(skipped).to.eql([
+      { field: 'fixVersions', name: 'Fix Version/s', reason: 'no allowed value matches 1.1' },
+      { field: 'customfield_10030', reason: 'not on the create screen of Bug' },
+    ]);
+  });
+
+  it('clones an issue into another project with the included parts', async () => {
+    const jira = fakeJira();
+
+    const clone = await cloneIssue(jira, 'PK-1', {
+      targetProject: 'OT',
+      include: ['subtasks', 'links', 'attachments', 'comments', 'watchers'],
+      fieldOverrides: { summary: 'Crash on save (copy)' },
+    });
+
+    expect(jira.calls[0]).to.eql(['addNewIssue', {
+      fields: {
+        summary: 'Crash on save (copy)',
+        assignee: { accountId: 'abc' },
+        labels: ['crash'],
+        fixVersions: [{ id: '20100' }],
+        customfield_10020: { id: '30001' },
+        project: { key: 'OT' },
+        issuetype: { id: '10004' },
+      },
+    }]);
+    expect(jira.calls.slice(1)).to.eql([
+      ['addNewIssue', {
+        fields: {
+          summary: 'Find the cause',
+          project: { key: 'OT' },
+          issuetype: { id: '10005' },
+          parent: { key: 'OT-1' },
+        },
+      }],
+      ['issueLink', {
+        type: { name: 'Blocks' }, inwardIssue: { key: 'OT-1' }, outwardIssue: { key: 'PK-7' },
+      }],
+      ['issueLink', {
+        type: { name: 'Relates' }, inwardIssue: { key: 'PK-8' }, outwardIssue: { key: 'OT-1' },
+      }],
+      ['addAttachmentOnIssue', 'OT-1', {
+        filename: 'log.txt', contentType: 'text/plain',
+      }, 'content of 500'],
+      ['addCommentAdvanced', 'OT-1', {
+        body: 'Seen on 1.0', visibility: { type: 'role', value: 'Dev' },
+      }],
+      ['addWatcher', 'OT-1', 'abc'],
+      ['addWatcher', 'OT-1', 'def'],
+    ]);
+    expect(clone.key).to.eql('OT-1');
+    expect(clone.subtasks.map((x) => [x.source, x.key])).to.eql([['PK-2', 'OT-2']]);
+    expect(clone.failures.map((x) => [x.part, x.error.message])).to.eql([
+      ['watchers', 'User def cannot view the issue'],
+    ]);
+  });
+
+  it('refuses unknown parts and issue types the target project lacks', async () => {
+    await cloneIssue(fakeJira(), 'PK-1', { include: ['votes'] })
+      .should.eventually.be.rejectedWith(JiraValidationError, 'Unknown clone part votes');
+    await cloneIssue(fakeJira(), 'PK-1', { targetIssueType: 'Epic' })
+      .should.eventually.be.rejectedWith(JiraNotFoundError, 'Issue type Epic cannot be created in project PK');
+  });
+});
@@ -0,0 +1,187 @@
+import { expect } from 'chai';
+import ValueCoercer, { formatJiraDate, formatJiraDateTime } from '../src/coercion';
+import FieldResolver from '../src/fields';
+import { JiraFieldError } from '../src/errors';
+
+const FIELDS = [
+  { id: 'summary', name: 'Summary', schema: { type: 'string', system: 'summary' } },
+  { id: 'assignee', name: 'Assignee', schema: { type: 'user', system: 'assignee' } },
+  { id: 'fixVersions', name: 'Fix Versions', schema: { type: 'array', items: 'version' } },
+  { id: 'duedate', name: 'Due Date', schema: { type: 'date' } },
+  { id: 'customfield_1', name: 'Platforms', schema: { type: 'array', items: 'option' } },
+  { id: 'customfield_2', name: 'Area', schema: { type: 'option-with-child' } },
+  { id: 'customfield_3', name: 'Reviewer', schema: { type: 'user' } },
+  { id: 'customfield_4', name: 'Deployed', schema: { type: 'datetime' } },
+  { id: 'customfield_5', name: 'Points', schema: { type: 'number' } },
+  { id: 'customfield_6', name: 'Severity', schema: { type: 'option' } },
+  {
+    id: 'customfield_7',
+    name: 'Sprint',
+    schema: { type: 'array', items: 'json', custom: 'com.pyxis.greenhopper.jira:gh-sprint' },
+  },
+];
+
+function fakeJira({ cloud = true, users = [] } = {}) {
+  return {
+    searches: [],
+    listFields: async () => FIELDS,
+    isCloud: async () => cloud,
+    async searchUsers(options) {
+      this.searches.push(options);
+      return users;
+    },
+  };
+}
+
+function coercer(options) {
+  const jira = fakeJira(options);
+  return { jira, values: new ValueCoercer(jira, new FieldResolver(jira)) };
+}
+
+describe('Value Coercion Tests', () => {
+  it('formats dates', () => {
+    expect(formatJiraDate(new Date(2024, 4, 1, 23, 30))).to.eql('2024-05-01');
+    expect(formatJiraDateTime(new Date(Date.UTC(2024, 4, 1, 10, 0)))).to.eql('2024-05-01T10:00:00.000+0000');
+  });
+
+  it('converts natural values to the wire format', async () => {
+    const { values } = coercer();
+
+    expect(await values.fieldsToWire({
+      summary: 'Title',
+      fixVersions: ['1.0', { id: '10' }],
+      duedate: new Date(2024, 4, 1),
+      customfield_1: ['iOS', 'Android'],
+      customfield_2: { parent: 'Mobile', child: 'iOS' },
+      customfield_3: '5b10ac8d82e05b22cc7d4ef5',
+      customfield_4: new Date(Date.UTC(2024, 4, 1, 10, 0)),
+      customfield_5: '3',
+      customfield_6: 'High',
+    })).to.eql({
+      summary: 'Title',
+      fixVersions: [{ name: '1.0' }, { id: '10' }],
+      duedate: '2024-05-01',
+      customfield_1: [{ value: 'iOS' }, { value: 'Android' }],
+      customfield_2: { value: 'Mobile', child: { value: 'iOS' } },
+      customfield_3: { accountId: '5b10ac8d82e05b22cc7d4ef5' },
+      customfield_4: '2024-05-01T10:00:00.000+0000',
+      customfield_5: 3,
+      customfield_6: { value: 'High' },
+    });
+  });
+
+  it('leaves wire values and unknown fields alone', async () => {
+    const { values } = coercer();
+    const fields = {
+      customfield_1: [{ id: '1' }],
+      customfield_2: { value: 'Mobile' },
+      customfield_99: 'x',
+      duedate: '2024-05-01',
+    };
+
+    expect(await values.fieldsToWire(fields)).to.eql(fields);
+  });
+
+  it('sets the sprint field with a single sprint id', async () => {
+    const { values } = coercer();
+
+    expect(await values.fieldsToWire({ customfield_7: 42 })).to.eql({ customfield_7: 42 });
+    expect(await values.fieldsToWire({ customfield_7: [42] })).to.eql({ customfield_7: 42 });
+    expect(await values.fieldsToWire({ customfield_7: '42' })).to.eql({ customfield_7: 42 });
+    expect(await values.fieldsToWire({ customfield_7: { id: 42, name: 'Sprint 1' } }))
+      .to.eql({ customfield_7: 42 });
+    expect(await values.fieldsToWire({ customfield_7: null })).to.eql({ customfield_7: null });
+  });
+
+  it('accepts cascading selects as arrays', async () => {
+    const { values } = coercer();
+
+    expect(await values.fieldsToWire({ customfield_2: ['Mobile', 'iOS'] })).to.eql({
+      customfield_2: { value: 'Mobile', child: { value: 'iOS' } },
+    });
+    expect(await values.fieldsToWire({ customfield_2: 'Mobile' })).to.eql({
+      customfield_2: { value: 'Mobile' },
+    });
+  });
+
+  it('looks users up by email once', async () => {
+    const { jira, values } = coercer({
+      users: [
+        { accountId: 'a1', emailAddress: 'jane@example.com' },
+        { accountId: 'a2', emailAddress: 'jane@example.com.au' },
+      ],
+    });
+
+    expect(await values.fieldsToWire({ assignee: 'jane@example.com' })).to.eql({
+      assignee: { accountId: 'a1' },
+    });
+    await values.fieldsToWire({ customfield_3: 'jane@example.com' });
+    expect(jira.searches).to.eql([{ query: 'jane@example.com' }]);
+  });
+
+  it('uses usernames on Server', async () => {
+    const { jira, values } = coercer({
+      cloud: false,
+      users: [{ name: 'jsmith', emailAddress: 'john@example.com' }],
+    });
+
+    expect(await values.fieldsToWire({ assignee: 'john@example.com', customfield_3: 'jdoe' })).to.eql({
+      assignee: { name: 'jsmith' },
+      customfield_3: { name: 'jdoe' },
+    });
+    expect(jira.searches).to.eql([{ username: 'john@example.com' }]);
+  });
+
+  it('throws when an email matches no single user', async () => {
+    const { values } = coercer({ users: [] });
+
+    const error = await values.fieldsToWire({ assignee: 'nobody@example.com' })
+      .should.eventually.be.rejectedWith(JiraFieldError, 'No user found for nobody@example.com');
+    expect(error.field).to.eql('assignee');
+
+    const { values: ambiguous } = coercer({ users: [{ accountId: 'a1' }, { accountId: 'a2' }] });
+    await ambiguous.fieldsToWire({ assignee: 'team@example.com' })
+      .should.eventually.be.rejectedWith(JiraFieldError, 'team@example.com matches several users: a1, a2');
+  });
+
+  it('converts update operations', async () => {
+    const { values } = coercer();
+
+    expect(await values.updateToWire({
+      customfield_1: [{ add: 'iOS' }, { remove: { id: '3' } }],
+      customfield_6: [{ set: 'Low' }],
+      labels: [{ add: 'x' }],
+    })).to.eql({
+      customfield_1: [{ add: { value: 'iOS' } }, { remove: { id: '3' } }],
+      customfield_6: [{ set: { value: 'Low' } }],
+      labels: [{ add: 'x' }],
+    });
+  });
+
+  it('converts custom fields of an issue to natural values', async () => {
+    const { values } = coercer();
+
+    const issue = await values.issueToNatural({
+      key: 'PK-1',
+      fields: {
+        assignee: { accountId: 'a1', displayName: 'Jane' },
+        customfield_1: [{ id: '1', value: 'iOS' }],
+        customfield_2: { value: 'Mobile', child: { value: 'iOS' } },
+        customfield_3: { accountId: 'a2' },
+        customfield_4: '2024-05-01T10:00:00.000+0000',
+        customfield_5: 3,
+        customfield_6: null,
+      },
+    });
+
+    expect(issue.fields).to.eql({
+      assignee: { accountId: 'a1', displayName: 'Jane' },
+      customfield_1: ['iOS'],
+      customfield_2: { parent: 'Mobile', child: 'iOS' },
+      customfield_3: 'a2',
+      customfield_4: new Date(Date.UTC(2024, 4, 1, 10, 0)),
+      customfield_5: 3,
+      customfield_6: null,
+    });
+  });
+});
@@ -0,0 +1,89 @@
+import { expect } from 'chai';
+import {
+  formatPlan, isMutating, planRequest, trackedMethods,
+} from '../src/dry-run';
+
+const BASE = 'http://jira.somehost.com/rest/api/2';
+
+describe('Dry Run Tests', () => {
+  it('tells mutating requests apart', () => {
+    expect(isMutating({ uri: `${BASE}/issue/PK-1` })).to.eql(false);
+    expect(isMutating({ method: 'GET', uri: `${BASE}/issue/PK-1` })).to.eql(false);
+    expect(isMutating({ method: 'PUT', uri: `${BASE}/issue/PK-1` })).to.eql(true);
+    expect(isMutating({ method: 'DELETE', uri: `${BASE}/issue/PK-1` })).to.eql(true);
+    expect(isMutating({ method: 'POST', uri: `${BASE}/issue` })).to.eql(true);
+    expect(isMutating({ method: 'POST', uri: `${BASE}/search` })).to.eql(false);
+    expect(isMutating({ method: 'POST', uri: `${BASE}/search/jql` })).to.eql(false);
+    expect(isMutating({ method: 'POST', uri: `${BASE}/jql/parse?validation=strict` })).to.eql(false);
+    expect(isMutating({ method: 'POST', uri: `${BASE}/worklog/list` })).to.eql(false);
+  });
+
+  it('reads relative and missing uris', () => {
+    expect(isMutating({ method: 'POST', uri: '/rest/api/2/search' })).to.eql(false);
+    expect(isMutating({ method: 'POST', uri: 'issue' })).to.eql(true);
+    expect(isMutating({ method: 'POST' })).to.eql(true);
+
+    const jira = { plan: [], dryRunCaller: 'addNewIssue' };
+    expect(planRequest(jira, { method: 'POST', uri: 'issue' })).to.eql({
+      id: 'dry-run-1', key: 'DRY-RUN-1',
+    });
+    expect(planRequest(jira, { method: 'POST', uri: '/rest/api/2/issueLink' })).to.eql(undefined);
+    expect(jira.plan.map((x) => x.caller)).to.eql(['addNewIssue', 'addNewIssue']);
+  });
+
+  it('only tracks the methods sending requests', async () => {
+    class FakeJira {
+      constructor() {
+        this.base = BASE;
+        this.plan = [];
+      }
+
+      makeUri({ pathname }) {
+        return `${this.base}${pathname}`;
+      }
+
+      doRequest(options) {
+        return planRequest(this, options);
+      }
+
+      deleteIssue(key) {
+        return this.doRequest({ method: 'DELETE', uri: this.makeUri({ pathname: `/issue/${key}` }) });
+      }
+
+      async deleteIssues(keys) {
+        await Promise.all(keys.map((key) => this.deleteIssue(key)));
+      }
+    }
+    const jira = new FakeJira();
+    const methods = trackedMethods(jira);
+    expect(Object.keys(methods).sort()).to.eql(['deleteIssue', 'deleteIssues']);
+    Object.assign(jira, methods);
+
+    await Promise.all([jira.deleteIssues(['PK-1', 'PK-2']), jira.deleteIssue('PK-3')]);
+    expect(jira.plan.map((x) => `${x.uri} ${x.caller}`)).to.eql([
+      `${BASE}/issue/PK-1 deleteIssues`,
+      `${BASE}/issue/PK-2 deleteIssues`,
+      `${BASE}/issue/PK-3 deleteIssue`,
+    ]);
+  });
+
+  it('formats a plan', () => {
+    expect(formatPlan([
+      {
+        method: 'POST',
+        uri: `${BASE}/issue`,
+        body: { fields: { summary: 'Crash' } },
+        caller: 'addNewIssue',
+      },
+      { method: 'DELETE', uri: `${BASE}/issue/PK-1` },
+    ])).to.eql([
+      `POST ${BASE}/issue (addNewIssue)`,
+      '    {',
+      '      "fields": {',
+      '        "summary": "Crash"',
+      '      }',
+      '    }',
+      `DELETE ${BASE}/issue/PK-1`,
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,79 @@
+import { expect } from 'chai';
+import {
+  JiraApiError,
+  JiraAuthError,
+  JiraConflictError,
+  JiraRateLimitError,
+  JiraServerError,
+  JiraTimeoutError,
+  createJiraApiError,
+} from '../src/errors';
+
+describe('Jira API Error Tests', () => {
+  const requestOptions = {
+    method: 'PUT',
+    uri: 'http://jira.somehost.com/rest/api/2/issue/PK-1',
+    body: { fields: {} },
+    auth: { user: 'someusername', pass: 'somepassword' },
+  };
+
+  it('maps status codes onto error classes', () => {
+    expect(createJiraApiError({ statusCode: 401 }, requestOptions))
+      .to.be.an.instanceof(JiraAuthError);
+    expect(createJiraApiError({ statusCode: 403 }, requestOptions))
+      .to.be.an.instanceof(JiraAuthError);
+    expect(createJiraApiError({ statusCode: 409 }, requestOptions))
+      .to.be.an.instanceof(JiraConflictError);
+    expect(createJiraApiError({ statusCode: 429 }, requestOptions))
+      .to.be.an.instanceof(JiraRateLimitError);
+    expect(createJiraApiError({ statusCode: 503 }, requestOptions))
+      .to.be.an.instanceof(JiraServerError);
+    expect(createJiraApiError({ statusCode: 418 }, requestOptions).constructor)
+      .to.equal(JiraApiError);
+  });
+
+  it('parses a JSON string body', () => {
+    const error = createJiraApiError({
+      statusCode: 400,
+      body: JSON.stringify({ errorMessages: ['bad'], errors: { labels: 'invalid' } }),
+    }, requestOptions);
+
+    expect(error.name).to.eql('JiraValidationError');
+    expect(error.message).to.eql('bad, labels: invalid');
+    expect(error.errorMessages).to.eql(['bad']);
+    expect(error.errors).to.eql({ labels: 'invalid' });
+  });
+
+  it('falls back to a message naming the request', () => {
+    const error = createJiraApiError({ statusCode: 502, body: '<html></html>' }, requestOptions);
+
+    expect(error.message)
+      .to.eql('PUT http://jira.somehost.com/rest/api/2/issue/PK-1 failed with status 502');
+    expect(error.body).to.eql('<html></html>');
+  });
+
+  it('keeps credentials out of the recorded request', () => {
+    const error = createJiraApiError({ statusCode: 500 }, requestOptions);
+
+    expect(error.request).to.eql({
+      method: 'PUT',
+      uri: 'http://jira.somehost.com/rest/api/2/issue/PK-1',
+      qs: undefined,
+      body: { fields: {} },
+    });
+  });
+
+  it('recognizes timeouts', () => {
+    const timeout = new Error('ESOCKETTIMEDOUT');
+    timeout.code = 'ESOCKETTIMEDOUT';
+
+    const error = createJiraApiError(timeout, requestOptions);
+    expect(error).to.be.an.instanceof(JiraTimeoutError);
+    expect(error.cause).to.equal(timeout);
+  });
+
+  it('returns JiraApiErrors untouched', () => {
+    const original = new JiraAuthError('nope', { status: 401 });
+    expect(createJiraApiError(original, requestOptions)).to.equal(original);
+  });
+});
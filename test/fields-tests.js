@@ -0,0 +1,140 @@
+import { expect } from 'chai';
+import FieldResolver from '../src/fields';
+import { JiraApiError, JiraFieldError } from '../src/errors';
+
+const FIELDS = [
+  { id: 'summary', name: 'Summary', custom: false },
+  { id: 'customfield_10023', name: 'Story Points', custom: true },
+  { id: 'customfield_10100', name: 'Team', custom: true },
+  { id: 'customfield_10200', name: 'Team', custom: true },
+  {
+    id: 'customfield_10300',
+    key: 'com.acme:rank',
+    name: 'Rank',
+    custom: true,
+  },
+];
+
+function fakeJira(fields = FIELDS) {
+  return {
+    calls: 0,
+    async listFields() {
+      this.calls += 1;
+      return fields;
+    },
+  };
+}
+
+describe('Field Resolver Tests', () => {
+  it('resolves ids, keys, names and aliases', async () => {
+    const resolver = new FieldResolver(fakeJira(), { aliases: { points: 'Story Points' } });
+
+    expect(await resolver.resolveId('summary')).to.eql('summary');
+    expect(await resolver.resolveId('com.acme:rank')).to.eql('customfield_10300');
+    expect(await resolver.resolveId('Story Points')).to.eql('customfield_10023');
+    expect(await resolver.resolveId('story points')).to.eql('customfield_10023');
+    expect(await resolver.resolveId('points')).to.eql('customfield_10023');
+    expect(await resolver.resolveId('unknown')).to.eql('unknown');
+  });
+
+  it('throws when a name matches several fields', async () => {
+    const resolver = new FieldResolver(fakeJira());
+
+    const error = await resolver.resolveId('Team').should.eventually.be.rejectedWith(
+      JiraFieldError,
+      'Field name "Team" is ambiguous, it matches customfield_10100, customfield_10200',
+    );
+    expect(error).to.be.an.instanceof(JiraApiError);
+    expect(error.field).to.eql('Team');
+    expect(error.candidates).to.eql(['customfield_10100', 'customfield_10200']);
+  });
+
+  it('lets an alias settle an ambiguous name', async () => {
+    const resolver = new FieldResolver(fakeJira(), { aliases: { team: 'customfield_10200' } });
+
+    expect(await resolver.resolveId('team')).to.eql('customfield_10200');
+  });
+
+  it('loads the field list once and again after a failure or refresh', async () => {
+    const jira = fakeJira();
+    let fail = true;
+    const listFields = jira.listFields.bind(jira);
+    jira.listFields = async () => {
+      if (fail) {
+        fail = false;
+        throw new Error('offline');
+      }
+      return listFields();
+    };
+    const resolver = new FieldResolver(jira);
+
+    await resolver.resolveId('Summary').should.eventually.be.rejectedWith('offline');
+    await resolver.resolveId('Summary');
+    await resolver.resolveId('Rank');
+    expect(jira.calls).to.eql(1);
+
+    await resolver.refresh();
+    expect(jira.calls).to.eql(2);
+  });
+
+  it('resolves field lists', async () => {
+    const resolver = new FieldResolver(fakeJira());
+
+    expect(await resolver.resolveIds('Summary, Story Points,-Rank')).to.eql([
+      'summary',
+      'customfield_10023',
+      '-customfield_10300',
+    ]);
+    expect(await resolver.resolveIds(['*all', 'Rank'])).to.eql(['*all', 'customfield_10300']);
+  });
+
+  it('renames payload keys to ids', async () => {
+    const resolver = new FieldResolver(fakeJira(), { aliases: { points: 'Story Points' } });
+
+    expect(await resolver.payloadToIds({
+      fields: { Summary: 'Title', points: 3 },
+      update: { Rank: [{ set: 1 }] },
+      transition: { id: '5' },
+    })).to.eql({
+      fields: { summary: 'Title', customfield_10023: 3 },
+      update: { customfield_10300: [{ set: 1 }] },
+      transition: { id: '5' },
+    });
+
+    await resolver.payloadToIds({ fields: { points: 3, 'Story Points': 5 } })
+      .should.eventually.be.rejectedWith(JiraFieldError, 'Field customfield_10023 is set more than once');
+  });
+
+  it('renames custom fields of responses to aliases or unique names', async () => {
+    const resolver = new FieldResolver(fakeJira(), { aliases: { points: 'Story Points' } });
+
+    const issue = await resolver.issueToNames({
+      key: 'PK-1',
+      fields: {
+        summary: 'Title',
+        customfield_10023: 3,
+        customfield_10100: 'red',
+        customfield_10300: 'a',
+        customfield_99999: 'unknown',
+      },
+    });
+
+    expect(issue).to.eql({
+      key: 'PK-1',
+      fields: {
+        summary: 'Title',
+        points: 3,
+        customfield_10100: 'red',
+        Rank: 'a',
+        customfield_99999: 'unknown',
+      },
+    });
+  });
+
+  it('leaves responses alone when responses is off', async () => {
+    const resolver = new FieldResolver(fakeJira(), { responses: false });
+    const results = { issues: [{ fields: { customfield_10023: 3 } }] };
+
+    expect(await resolver.resultsToNames(results)).to.equal(results);
+  });
+});
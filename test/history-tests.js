@@ -0,0 +1,168 @@
+import { expect } from 'chai';
+import IssueHistory, { displayValue, loadIssueHistory } from '../src/history';
+
+const ANN = { accountId: 'ann', displayName: 'Ann' };
+const BOB = { accountId: 'bob', displayName: 'Bob' };
+
+const ISSUE = {
+  key: 'PK-12',
+  names: {
+    status: 'Status',
+    assignee: 'Assignee',
+    labels: 'Labels',
+    fixVersions: 'Fix Version/s',
+    customfield_10016: 'Story Points',
+    customfield_10020: 'Sprint',
+  },
+  schema: {
+    status: { type: 'status' },
+    assignee: { type: 'user' },
+    labels: { type: 'array', items: 'string' },
+    fixVersions: { type: 'array', items: 'version' },
+    customfield_10016: { type: 'number' },
+    customfield_10020: { type: 'array', items: 'json', custom: 'com.pyxis.greenhopper.jira:gh-sprint' },
+  },
+  fields: {
+    created: '2026-02-01T09:00:00.000+0000',
+    creator: ANN,
+    status: { id: '5', name: 'Done' },
+    assignee: BOB,
+    labels: ['backend', 'urgent'],
+    fixVersions: [{ id: '101', name: '1.1' }],
+    customfield_10016: 8,
+    customfield_10020: [{ id: 1, name: 'Sprint 1' }, { id: 2, name: 'Sprint 2, hardening' }],
+  },
+};
+
+// Oldest first, as the changelog endpoint lists them
+const HISTORIES = [
+  {
+    id: '1',
+    author: ANN,
+    created: '2026-02-10T12:00:00.000+0000',
+    items: [
+      {
+        field: 'status', fieldId: 'status', fromString: 'To Do', toString: 'In Progress',
+      },
+      {
+        field: 'assignee', fieldId: 'assignee', fromString: null, toString: 'Ann',
+      },
+      {
+        field: 'Sprint', from: '', fromString: '', to: '1', toString: 'Sprint 1',
+      },
+    ],
+  },
+  {
+    id: '2',
+    author: BOB,
+    created: '2026-03-02T08:00:00.000+0000',
+    items: [
+      {
+        field: 'Story Points', fieldId: 'customfield_10016', fromString: '5', toString: '8',
+      },
+      {
+        field: 'labels', fieldId: 'labels', fromString: 'backend', toString: 'backend urgent',
+      },
+      {
+        field: 'Fix Version', fromString: '1.0', toString: null,
+      },
+      {
+        field: 'Fix Version', fromString: null, toString: '1.1',
+      },
+      {
+        field: 'Sprint',
+        from: '1',
+        fromString: 'Sprint 1',
+        to: '1, 2',
+        toString: 'Sprint 1, Sprint 2, hardening',
+      },
+    ],
+  },
+  {
+    id: '3',
+    author: BOB,
+    created: '2026-03-20T17:30:00.000+0000',
+    items: [
+      {
+        field: 'status', fieldId: 'status', fromString: 'In Progress', toString: 'Done',
+      },
+      {
+        field: 'assignee', fieldId: 'assignee', fromString: 'Ann', toString: 'Bob',
+      },
+    ],
+  },
+];
+
+describe('Issue History Tests', () => {
+  it('displays field values the way the changelog does', () => {
+    expect(displayValue({ id: '5', name: 'Done' })).to.eql('Done');
+    expect(displayValue(ANN)).to.eql('Ann');
+    expect(displayValue([{ id: '1', value: 'High' }])).to.eql(['High']);
+    expect(displayValue('com.atlassian.greenhopper.service.sprint.Sprint@1f[id=1,rapidViewId=3,state=CLOSED,name=Sprint 1,startDate=]'))
+      .to.eql('Sprint 1');
+    expect(displayValue(null)).to.eql(null);
+  });
+
+  it('tells the fields of an issue at any point in time', () => {
+    const history = new IssueHistory(ISSUE, [...HISTORIES].reverse());
+
+    expect(history.stateAt('2026-03-01')).to.include({
+      status: 'In Progress',
+      assignee: 'Ann',
+      customfield_10016: 5,
+    });
+    expect(history.stateAt('2026-03-01')).to.deep.include({
+      labels: ['backend'],
+      fixVersions: ['1.0'],
+      customfield_10020: [1],
+    });
+    expect(history.stateAt(new Date('2026-02-05T00:00:00Z'))).to.deep.include({
+      status: 'To Do',
+      assignee: null,
+      customfield_10020: [],
+    });
+    expect(history.stateAt('2026-04-01').status).to.eql('Done');
+    expect(history.stateAt('2026-01-01')).to.eql(null);
+  });
+
+  it('lists every value a field took', () => {
+    const history = new IssueHistory(ISSUE, HISTORIES);
+
+    expect(history.timeline('Status')).to.eql([
+      { at: '2026-02-01T09:00:00.000+0000', value: 'To Do', author: ANN },
+      { at: '2026-02-10T12:00:00.000+0000', value: 'In Progress', author: ANN },
+      { at: '2026-03-20T17:30:00.000+0000', value: 'Done', author: BOB },
+    ]);
+    expect(history.timeline('sprint').map((x) => x.value)).to.eql([[], [1], [1, 2]]);
+    expect(new IssueHistory({
+      ...ISSUE,
+      fields: {
+        ...ISSUE.fields,
+        customfield_10020: ['com.atlassian.greenhopper.service.sprint.Sprint@1f[id=3,rapidViewId=3,name=Sprint 3]'],
+      },
+    }, []).stateAt('2026-04-01').customfield_10020).to.eql([3]);
+    expect(history.timeline('customfield_10016').map((x) => x.value)).to.eql([5, 8]);
+  });
+
+  it('pages through the changelog when the issue holds only its first histories', async () => {
+    const calls = [];
+    const jira = {
+      async rawIssue(...args) {
+        calls.push(['rawIssue', ...args]);
+        return { ...ISSUE, changelog: { total: 3, histories: HISTORIES.slice(0, 2) } };
+      },
+      async getIssueChangelog(...args) {
+        calls.push(['getIssueChangelog', ...args]);
+        return { total: 3, values: HISTORIES };
+      },
+    };
+
+    const history = await loadIssueHistory(jira, 'PK-12');
+
+    expect(calls).to.eql([
+      ['rawIssue', 'PK-12', undefined, 'names,schema,changelog'],
+      ['getIssueChangelog', 'PK-12', 0, 50],
+    ]);
+    expect(history.histories.map((x) => x.id)).to.eql(['3', '2', '1']);
+  });
+});
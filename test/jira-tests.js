@@ -91,6 +91,33 @@ describe('Jira API Tests', () => {
       expect(jira.baseOptions.timeout).to.equal(2);
     });
 
+    it('Constructor with retry policy', () => {
+      const jira = new JiraApi({
+        retry: { maxAttempts: 4 },
+        ...getOptions(),
+      });
+
+      expect(jira.retry.maxAttempts).to.equal(4);
+      expect(jira.retry.statusCodes).to.eql([429, 503]);
+      expect(new JiraApi(getOptions()).retry).to.be.null;
+    });
+
+    it('Constructor with rate limit', () => {
+      const jira = new JiraApi({
+        rateLimit: { maxConcurrent: 5 },
+        ...getOptions(),
+      });
+      const sharing = [1, 2].map(() => new JiraApi({
+        rateLimit: { maxConcurrent: 5, shared: true },
+        ...getOptions(),
+      }));
+
+      expect(jira.limiter).to.be.an.instanceof(JiraApi.RequestLimiter);
+      expect(jira.limiter.maxConcurrent).to.equal(5);
+      expect(sharing[0].limiter).to.equal(sharing[1].limiter);
+      expect(sharing[0].limiter).to.not.equal(jira.limiter);
+    });
+
     it('Constructor with strictSSL off', () => {
       const jira = new JiraApi(
         getOptions({
@@ -360,6 +387,141 @@ describe('Jira API Tests', () => {
 
       revert();
     });
+
+    it('doRequest rejects with a typed error carrying the http status', async () => {
+      // eslint-disable-next-line no-underscore-dangle
+      const revert = JiraApi.__set__('_request', (uri, options, callback) => {
+        callback(undefined, {
+          statusCode: 400,
+          headers: { 'content-type': 'application/json' },
+          body: {
+            errorMessages: [],
+            errors: { summary: 'You must specify a summary of the issue.' },
+          },
+        });
+      });
+
+      const jira = new JiraApi(getOptions());
+
+      const error = await jira.addNewIssue({ fields: {} })
+        .should.eventually.be.rejectedWith(JiraApi.JiraValidationError);
+      expect(error).to.be.an.instanceof(JiraApi.JiraApiError);
+      expect(error.status).to.eql(400);
+      expect(error.errors).to.eql({ summary: 'You must specify a summary of the issue.' });
+      expect(error.message).to.eql('summary: You must specify a summary of the issue.');
+      expect(error.request.method).to.eql('POST');
+      expect(error.request.uri).to.eql('http://jira.somehost.com:8080/rest/api/2.0/issue');
+
+      revert();
+    });
+
+    it('doRequest rejects with a JiraNotFoundError on 404', async () => {
+      // eslint-disable-next-line no-underscore-dangle
+      const revert = JiraApi.__set__('_request', (uri, options, callback) => {
+        callback(undefined, {
+          statusCode: 404,
+          body: { errorMessages: ['Issue does not exist or you do not have permission to see it.'] },
+        });
+      });
+
+      const jira = new JiraApi(getOptions());
+
+      const error = await jira.findIssue('PK-404')
+        .should.eventually.be.rejectedWith(JiraApi.JiraNotFoundError);
+      expect(error.status).to.eql(404);
+      expect(error.errorMessages).to.eql(['Issue does not exist or you do not have permission to see it.']);
+
+      revert();
+    });
+
+    it('doRequest rejects when a successful response contains errorMessages', async () => {
+      async function dummyRequest() {
+        return { errorMessages: ['first', 'second'] };
+      }
+
+      const jira = new JiraApi(getOptions({ request: dummyRequest }));
+
+      const error = await jira.doRequest({ uri: 'someUri' })
+        .should.eventually.be.rejectedWith(JiraApi.JiraApiError, 'first, second');
+      expect(error.errorMessages).to.eql(['first', 'second']);
+      expect(error.request.uri).to.eql('someUri');
+    });
+
+    it('doRequest retries rate limited requests when configured', async () => {
+      let calls = 0;
+      async function dummyRequest() {
+        calls += 1;
+        if (calls === 1) {
+          const response = { statusCode: 429, headers: { 'Retry-After': '0' }, body: '' };
+          throw response;
+        }
+        return 'Successful response!';
+      }
+
+      const jira = new JiraApi({
+        retry: { baseDelay: 0 },
+        ...getOptions({ request: dummyRequest }),
+      });
+
+      const response = await jira.findIssue('PK-100');
+      response.should.eql('Successful response!');
+      expect(calls).to.eql(2);
+    });
+
+    it('searchJira retries a rate limited search with the default policy', async () => {
+      const methods = [];
+      async function dummyRequest({ method }) {
+        methods.push(method);
+        if (methods.length === 1) {
+          const response = { statusCode: 429, headers: { 'Retry-After': '0' }, body: '' };
+          throw response;
+        }
+        return { issues: [] };
+      }
+
+      const jira = new JiraApi({
+        retry: true,
+        ...getOptions({ request: dummyRequest }),
+      });
+
+      const response = await jira.searchJira('project = PK');
+      response.should.eql({ issues: [] });
+      expect(methods).to.eql(['POST', 'POST']);
+    });
+
+    it('doRequest runs requests through the configured limiter', async () => {
+      const scheduled = [];
+      const limiter = {
+        schedule: (task) => {
+          scheduled.push(task);
+          return task();
+        },
+      };
+
+      const jira = new JiraApi({
+        limiter,
+        ...getOptions({ request: async () => 'Successful response!' }),
+      });
+
+      const response = await jira.doRequest({});
+      response.should.eql('Successful response!');
+      expect(scheduled).to.have.length(1);
+    });
+
+    it('doRequest wraps network failures in a JiraNetworkError', async () => {
+      async function dummyRequest() {
+        const error = new Error('socket hang up');
+        error.code = 'ECONNRESET';
+        throw error;
+      }
+
+      const jira = new JiraApi(getOptions({ request: dummyRequest }));
+
+      const error = await jira.doRequest({})
+        .should.eventually.be.rejectedWith(JiraApi.JiraNetworkError, 'socket hang up');
+      expect(error.code).to.eql('ECONNRESET');
+      expect(error.status).to.be.undefined;
+    });
   });
 
   describe('Request Functions Tests', () => {
@@ -413,6 +575,525 @@ describe('Jira API Tests', () => {
       result.should.eql('http://jira.somehost.com:8080/rest/api/2.0/issue/PK-100?expand=&fields=transitions,changelog&properties=*all&fieldsByKeys=true');
     });
 
+    it('findIssue converts wiki markup with the textFormat option', async () => {
+      const jira = new JiraApi(getOptions({
+        request: async () => ({
+          key: 'PK-100',
+          fields: {
+            description: 'h2. Steps\n* *one*',
+            comment: { comments: [{ body: '{{code}} for [~jsmith]' }] },
+          },
+        }),
+      }));
+
+      const issue = await jira.findIssue('PK-100', null, null, null, false, { textFormat: 'markdown' });
+      issue.fields.description.should.eql('## Steps\n\n- **one**');
+      issue.fields.comment.comments[0].body.should.eql('`code` for [~jsmith]');
+    });
+
+    describe('addNewIssue validation', () => {
+      const metadata = {
+        projects: [{
+          key: 'PK',
+          issuetypes: [{
+            name: 'Bug',
+            fields: {
+              summary: { name: 'Summary', required: true, schema: { type: 'string' } },
+              customfield_10023: { name: 'Story Points', required: true, schema: { type: 'number' } },
+            },
+          }],
+        }],
+      };
+
+      function validatingClient() {
+        const requests = [];
+        const jira = new JiraApi(getOptions({
+          request: async (requestOptions) => {
+            requests.push(requestOptions);
+            return requestOptions.uri.includes('/createmeta') ? metadata : { key: 'PK-1' };
+          },
+        }));
+        return { jira, requests };
+      }
+
+      const issue = {
+        fields: { project: { key: 'PK' }, issuetype: { name: 'Bug' }, customfield_10023: 'three' },
+      };
+
+      it('throws every problem instead of creating the issue', async () => {
+        const { jira, requests } = validatingClient();
+
+        const error = await jira.addNewIssue(issue, { validate: true })
+          .should.eventually.be.rejectedWith(
+            JiraApi.JiraIssueValidationError,
+            'Summary is required, Story Points: expected a number',
+          );
+        expect(error).to.be.an.instanceof(JiraApi.JiraValidationError);
+        error.errors.should.eql({
+          summary: 'Summary is required',
+          customfield_10023: 'Story Points: expected a number',
+        });
+        error.problems.should.have.length(2);
+        requests.should.have.length(1);
+        requests[0].uri.should.eql('http://jira.somehost.com:8080/rest/api/2.0/issue/createmeta?expand=projects.issuetypes.fields&projectKeys=PK&issuetypeNames=Bug');
+      });
+
+      it('creates the issue once it is valid', async () => {
+        const { jira, requests } = validatingClient();
+
+        const created = await jira.addNewIssue({
+          fields: { ...issue.fields, summary: 'Crash', customfield_10023: 3 },
+        }, { validate: true });
+        created.should.eql({ key: 'PK-1' });
+        requests.map((x) => x.method || 'GET').should.eql(['GET', 'POST']);
+      });
+
+      it('only validates on a dry run', async () => {
+        const { jira, requests } = validatingClient();
+
+        const result = await jira.addNewIssue(issue, { dryRun: true });
+        result.valid.should.eql(false);
+        result.problems.map((x) => x.field).should.eql(['summary', 'customfield_10023']);
+
+        await jira.addNewIssue(issue, { dryRun: true });
+        requests.should.have.length(1);
+      });
+    });
+
+    describe('addNewIssues', () => {
+      const summaries = (count) => Array.from({ length: count }, (value, index) => ({
+        fields: { summary: `Issue ${index}` },
+      }));
+
+      it('creates issues in chunks and keeps going past failures', async () => {
+        const bodies = [];
+        const jira = new JiraApi(getOptions({
+          request: async (requestOptions) => {
+            bodies.push(requestOptions.body);
+            if (bodies.length === 2) {
+              throw new JiraApi.JiraServerError('Boom', { status: 500 });
+            }
+            const { issueUpdates } = requestOptions.body;
+            return {
+              issues: issueUpdates.slice(1).map((x) => ({ id: '1', key: x.fields.summary })),
+              errors: [{
+                status: 400,
+                failedElementNumber: 0,
+                elementErrors: { errors: { summary: 'Too short' } },
+              }],
+            };
+          },
+        }));
+
+        const results = await jira.addNewIssues(summaries(5), { chunkSize: 2 });
+
+        bodies.map((x) => x.issueUpdates.length).should.eql([2, 2, 1]);
+        results.map((x) => x.key).should.eql([undefined, 'Issue 1', undefined, undefined, undefined]);
+        results[0].error.errors.should.eql({ summary: 'Too short' });
+        results[2].error.should.be.an.instanceof(JiraApi.JiraServerError);
+        results[3].error.should.equal(results[2].error);
+        results[4].index.should.eql(4);
+        results[4].error.should.be.an.instanceof(JiraApi.JiraValidationError);
+      });
+
+      it('reads the element errors when every issue of a chunk failed', async () => {
+        const jira = new JiraApi(getOptions({
+          request: async () => {
+            throw new JiraApi.JiraValidationError('summary: Too short', {
+              status: 400,
+              body: {
+                issues: [],
+                errors: [0, 1].map((failedElementNumber) => ({
+                  status: 400,
+                  failedElementNumber,
+                  elementErrors: { errors: { summary: 'Too short' } },
+                })),
+              },
+            });
+          },
+        }));
+
+        const results = await jira.addNewIssues(summaries(2));
+
+        results.map((x) => x.error.errors).should.eql([
+          { summary: 'Too short' },
+          { summary: 'Too short' },
+        ]);
+      });
+
+      it('sends at most 50 issues per request', async () => {
+        const counts = [];
+        const jira = new JiraApi(getOptions({
+          request: async ({ body }) => {
+            counts.push(body.issueUpdates.length);
+            return { issues: body.issueUpdates.map((x, index) => ({ key: `PK-${index}` })) };
+          },
+        }));
+
+        const results = await jira.addNewIssues(summaries(120), { chunkSize: 500 });
+
+        counts.should.eql([50, 50, 20]);
+        results.every((x) => x.key && !x.error).should.eql(true);
+      });
+    });
+
+    it('cloneIssue creates the issue in the target project from the raw source issue', async () => {
+      const requests = [];
+      const jira = new JiraApi(getOptions({
+        request: async (requestOptions) => {
+          requests.push(requestOptions);
+          if (requestOptions.uri.includes('/issue/PK-1')) {
+            return {
+              key: 'PK-1',
+              fields: {
+                project: { key: 'PK' },
+                issuetype: { name: 'Bug' },
+                summary: 'Crash',
+                customfield_10030: 'Only in PK',
+              },
+            };
+          }
+          if (requestOptions.uri.includes('/issue/createmeta')) {
+            return {
+              projects: [{
+                key: 'OT',
+                issuetypes: [{ id: '10004', name: 'Bug', fields: { summary: { name: 'Summary' } } }],
+              }],
+            };
+          }
+          return { id: '10200', key: 'OT-1' };
+        },
+      }));
+
+      const clone = await jira.cloneIssue('PK-1', { targetProject: 'OT' });
+
+      requests[0].uri.should.eql('http://jira.somehost.com:8080/rest/api/2.0/issue/PK-1');
+      requests[2].body.should.eql({
+        fields: { summary: 'Crash', project: { key: 'OT' }, issuetype: { id: '10004' } },
+      });
+      clone.key.should.eql('OT-1');
+      clone.skipped.map((x) => x.field).should.eql(['customfield_10030']);
+    });
+
+    describe('fieldNames option', () => {
+      const fields = [
+        { id: 'summary', name: 'Summary', custom: false },
+        { id: 'customfield_10023', name: 'Story Points', custom: true },
+      ];
+
+      function fieldNamesClient(respond) {
+        const requests = [];
+        const jira = new JiraApi({
+          fieldNames: { aliases: { points: 'Story Points' } },
+          ...getOptions({
+            request: async (requestOptions) => {
+              if (requestOptions.uri.endsWith('/field')) return fields;
+              requests.push(requestOptions);
+              return respond(requestOptions);
+            },
+          }),
+        });
+        return { jira, requests };
+      }
+
+      it('findIssue requests and returns fields by name', async () => {
+        const { jira, requests } = fieldNamesClient(() => ({
+          key: 'PK-1',
+          fields: { summary: 'Title', customfield_10023: 5 },
+        }));
+
+        const issue = await jira.findIssue('PK-1', null, 'Summary,points');
+        requests[0].uri.should.eql('http://jira.somehost.com:8080/rest/api/2.0/issue/PK-1?expand=&fields=summary,customfield_10023&properties=*all&fieldsByKeys=false');
+        issue.fields.should.eql({ summary: 'Title', points: 5 });
+      });
+
+      it('searchJira resolves the fields option and renames the results', async () => {
+        const { jira, requests } = fieldNamesClient(() => ({
+          issues: [{ key: 'PK-1', fields: { customfield_10023: 5 } }],
+        }));
+
+        const results = await jira.searchJira('project = PK', { fields: ['Story Points'] });
+        requests[0].body.should.eql({ jql: 'project = PK', fields: ['customfield_10023'] });
+        results.issues[0].fields.should.eql({ points: 5 });
+      });
+
+      it('addNewIssue and updateIssue send field ids', async () => {
+        const { jira, requests } = fieldNamesClient((requestOptions) => requestOptions);
+
+        await jira.addNewIssue({ fields: { Summary: 'Title', points: 3 } });
+        await jira.updateIssue('PK-1', { update: { 'story points': [{ set: 5 }] } });
+        requests[0].body.should.eql({ fields: { summary: 'Title', customfield_10023: 3 } });
+        requests[1].body.should.eql({ update: { customfield_10023: [{ set: 5 }] } });
+      });
+
+      it('lists the fields only once', async () => {
+        let listed = 0;
+        const jira = new JiraApi({
+          fieldNames: true,
+          ...getOptions({
+            request: async (requestOptions) => {
+              if (requestOptions.uri.endsWith('/field')) {
+                listed += 1;
+                return fields;
+              }
+              return { issues: [] };
+            },
+          }),
+        });
+
+        await jira.searchJira('project = PK', { fields: ['Summary'] });
+        await jira.searchJira('project = PK', { fields: ['Story Points'] });
+        listed.should.eql(1);
+      });
+    });
+
+    describe('coerceValues option', () => {
+      const fields = [
+        { id: 'customfield_1', name: 'Platforms', schema: { type: 'array', items: 'option' } },
+        { id: 'customfield_2', name: 'Reviewer', schema: { type: 'user' } },
+      ];
+
+      function coercingClient(respond) {
+        const requests = [];
+        const jira = new JiraApi({
+          fieldNames: { responses: false },
+          coerceValues: true,
+          ...getOptions({
+            request: async (requestOptions) => {
+              if (requestOptions.uri.endsWith('/field')) return fields;
+              if (requestOptions.uri.endsWith('/serverInfo')) return { deploymentType: 'Cloud' };
+              requests.push(requestOptions);
+              return respond(requestOptions);
+            },
+          }),
+        });
+        return { jira, requests };
+      }
+
+      it('updateIssue and addNewIssue send values in the shape of each field', async () => {
+        const { jira, requests } = coercingClient((requestOptions) => requestOptions);
+
+        await jira.updateIssue('PK-1', { fields: { Platforms: ['iOS'], Reviewer: 'a1' } });
+        await jira.addNewIssue({ fields: { summary: 'Title', customfield_1: 'Android' } });
+        requests[0].body.should.eql({
+          fields: { customfield_1: [{ value: 'iOS' }], customfield_2: { accountId: 'a1' } },
+        });
+        requests[1].body.should.eql({
+          fields: { summary: 'Title', customfield_1: [{ value: 'Android' }] },
+        });
+      });
+
+      it('findIssue returns natural values', async () => {
+        const { jira } = coercingClient(() => ({
+          fields: { customfield_1: [{ value: 'iOS' }], customfield_2: { accountId: 'a1' } },
+        }));
+
+        const issue = await jira.findIssue('PK-1');
+        issue.fields.should.eql({ customfield_1: ['iOS'], customfield_2: 'a1' });
+      });
+    });
+
+    describe('dryRun option', () => {
+      function dryRunClient() {
+        const sent = [];
+        const jira = new JiraApi({
+          dryRun: true,
+          ...getOptions({
+            request: async ({ method = 'GET', uri }) => {
+              sent.push([method, uri]);
+              if (uri.includes('/transitions')) {
+                return { transitions: [{ id: '31', name: 'Close', to: { id: '5', name: 'Done' } }] };
+              }
+              return { startAt: 0, total: 0, issues: [] };
+            },
+          }),
+        });
+        return { jira, sent };
+      }
+
+      it('records mutating requests instead of sending them', async () => {
+        const { jira, sent } = dryRunClient();
+
+        const created = await jira.addNewIssue({ fields: { summary: 'Crash' } });
+        await jira.searchJira('project = PK');
+        await Promise.all([
+          jira.transitionIssueTo('PK-1', 'Done'),
+          jira.deleteIssue('PK-2'),
+        ]);
+
+        created.should.eql({ id: 'dry-run-1', key: 'DRY-RUN-1' });
+        sent.should.eql([
+          ['POST', 'http://jira.somehost.com:8080/rest/api/2.0/search'],
+          ['GET', 'http://jira.somehost.com:8080/rest/api/2.0/issue/PK-1/transitions?expand=transitions.fields'],
+        ]);
+        jira.plan.should.eql([
+          {
+            method: 'POST',
+            uri: 'http://jira.somehost.com:8080/rest/api/2.0/issue',
+            body: { fields: { summary: 'Crash' } },
+            caller: 'addNewIssue',
+          },
+          {
+            method: 'DELETE',
+            uri: 'http://jira.somehost.com:8080/rest/api/2.0/issue/PK-2',
+            caller: 'deleteIssue',
+          },
+          {
+            method: 'POST',
+            uri: 'http://jira.somehost.com:8080/rest/api/2.0/issue/PK-1/transitions',
+            body: { transition: { id: '31' } },
+            caller: 'transitionIssueTo',
+          },
+        ]);
+        jira.formatPlan().split('\n')[0].should.eql('POST http://jira.somehost.com:8080/rest/api/2.0/issue (addNewIssue)');
+      });
+
+      it('makes up responses in the shape of their endpoint', async () => {
+        const { jira } = dryRunClient();
+
+        const results = await jira.addNewIssues([
+          { fields: { summary: 'Crash' } },
+          { fields: { summary: 'Hang' } },
+        ]);
+        const transitioned = await jira.transitionIssue('PK-1', { transition: { id: '31' } });
+
+        results.should.eql([
+          {
+            index: 0, id: 'dry-run-1-1', key: 'DRY-RUN-1-1', self: undefined,
+          },
+          {
+            index: 1, id: 'dry-run-1-2', key: 'DRY-RUN-1-2', self: undefined,
+          },
+        ]);
+        (transitioned === undefined).should.eql(true);
+        jira.plan.map((x) => x.caller).should.eql(['addNewIssues', 'transitionIssue']);
+      });
+    });
+
+    describe('journal option', () => {
+      function journalingClient() {
+        const issue = {
+          fixVersions: [{ id: '1', name: '1.0' }],
+          assignee: { name: 'jane' },
+          status: { id: '3', name: 'In Progress' },
+          issuelinks: [{ id: '100' }],
+        };
+        const journal = {
+          entries: [],
+          failures: [],
+          record(entry) { this.entries.push(JSON.parse(JSON.stringify(entry))); },
+          read() { return this.entries; },
+          emit(event, { method, error }) { this.failures.push([event, method, error.message]); },
+        };
+        const sent = [];
+        const jira = new JiraApi({
+          journal,
+          ...getOptions({
+            request: async ({ method = 'GET', uri, body }) => {
+              const { pathname, searchParams } = new URL(uri);
+              const path = pathname.replace('/rest/api/2.0', '');
+              if (method === 'GET') {
+                if (path === '/serverInfo') return { deploymentType: 'Server' };
+                if (path === '/issue/PK-1/watchers') return { watchers: [{ name: 'bob' }] };
+                if (path === '/issue/PK-1/comment/10') {
+                  return { id: '10', body: 'Old', visibility: { type: 'role', value: 'Developers' } };
+                }
+                const fields = searchParams.get('fields').split(',');
+                return { fields: fields.reduce((x, id) => ({ ...x, [id]: issue[id] }), {}) };
+              }
+
+              sent.push([method, `${path}${decodeURIComponent(new URL(uri).search)}`, body]);
+              if (path === '/issue/PK-1' && method === 'PUT') Object.assign(issue, body.fields);
+              if (path === '/issueLink') {
+                // Someone else links the issue at the same time
+                issue.issuelinks = [
+                  ...issue.issuelinks,
+                  { id: '101', type: { name: 'Blocks' }, inwardIssue: { key: 'PK-2' } },
+                  { id: '102', type: { name: 'Relates' }, outwardIssue: { key: 'PK-3' } },
+                ];
+              }
+              return path === '/issue/PK-1/comment' ? { id: '10' } : undefined;
+            },
+          }),
+        });
+        return { jira, journal, sent };
+      }
+
+      it('records how to revert each call and replays it newest first', async () => {
+        const { jira, journal, sent } = journalingClient();
+
+        await jira.updateIssue('PK-1', { fields: { fixVersions: [{ name: '1.1' }] } });
+        await jira.updateAssignee('PK-1', 'john');
+        await jira.addWatcher('PK-1', 'alice');
+        await jira.addWatcher('PK-1', 'bob');
+        await jira.addComment('PK-1', 'Moved to 1.1');
+        await jira.issueLink({
+          type: { name: 'Blocks' },
+          inwardIssue: { key: 'PK-2' },
+          outwardIssue: { key: 'PK-1' },
+        });
+
+        journal.entries.map((x) => x.method).should.eql([
+          'updateIssue',
+          'updateAssignee',
+          'addWatcher',
+          'addComment',
+          'issueLink',
+        ]);
+        journal.entries[0].undo.should.eql([{
+          method: 'updateIssue',
+          args: ['PK-1', { fields: { fixVersions: [{ id: '1', name: '1.0' }] } }],
+        }]);
+
+        sent.length = 0;
+        const result = await jira.replayUndo();
+
+        result.should.eql({ undone: 5, failures: [] });
+        sent.should.eql([
+          ['DELETE', '/issueLink/101', undefined],
+          ['DELETE', '/issue/PK-1/comment/10', undefined],
+          ['DELETE', '/issue/PK-1/watchers?username=alice', undefined],
+          ['PUT', '/issue/PK-1/assignee', { name: 'jane' }],
+          ['PUT', '/issue/PK-1', { fields: { fixVersions: [{ id: '1', name: '1.0' }] } }],
+        ]);
+        journal.entries.should.have.length(5);
+      });
+
+      it('restores the body and options of updated comments', async () => {
+        const { jira, journal } = journalingClient();
+
+        await jira.updateComment('PK-1', '10', 'New', {
+          visibility: { type: 'group', value: 'jira-users' },
+        });
+
+        journal.entries[0].undo.should.eql([{
+          method: 'updateComment',
+          args: ['PK-1', '10', 'Old', { visibility: { type: 'role', value: 'Developers' } }],
+        }]);
+      });
+
+      it('reports undo it cannot record without failing the call', async () => {
+        const { jira, journal } = journalingClient();
+        journal.record = () => { throw new Error('Disk full'); };
+
+        const comment = await jira.addComment('PK-1', 'Moved to 1.1');
+
+        comment.should.eql({ id: '10' });
+        journal.failures.should.eql([['failure', 'addComment', 'Disk full']]);
+      });
+
+      it('records transitions as a walk back to the prior status', async () => {
+        const { jira, journal } = journalingClient();
+
+        await jira.transitionIssue('PK-1', { transition: { id: '31' } });
+
+        journal.entries[0].undo.should.eql([{
+          method: 'transitionIssueTo',
+          args: ['PK-1', '3', { walk: true }],
+        }]);
+      });
+    });
+
     it('downloadAttachment hits proper url with attachment id and filename', async () => {
       const result = await dummyURLCall('downloadAttachment', [{ id: '123456', filename: 'attachment.txt' }]);
       result.should.eql('http://jira.somehost.com:8080/secure/attachment/123456/attachment.txt');
@@ -493,6 +1174,29 @@ describe('Jira API Tests', () => {
       );
     });
 
+    it('rapidViewApi option moves the rapid view methods to the agile API', async () => {
+      const uris = [];
+      const jira = new JiraApi({
+        rapidViewApi: 'compat',
+        ...getOptions({
+          request: async ({ uri }) => {
+            uris.push(uri);
+            if (uri.includes('/board?')) return { isLast: true, values: [{ id: 7, name: 'PK' }] };
+            return { isLast: true, values: [{ id: 1, name: 'Sprint 1', state: 'active' }] };
+          },
+        }),
+      });
+
+      (await jira.findRapidView('PK')).id.should.eql(7);
+      (await jira.listSprints(7)).sprints[0].state.should.eql('ACTIVE');
+      (await jira.getLastSprintForRapidView(7)).name.should.eql('Sprint 1');
+      uris.should.eql([
+        'http://jira.somehost.com:8080/rest/agile/1.0/board?startAt=0&maxResults=50&type=&name=PK',
+        'http://jira.somehost.com:8080/rest/agile/1.0/board/7/sprint?startAt=0&maxResults=50&state=',
+        'http://jira.somehost.com:8080/rest/agile/1.0/board/7/sprint?startAt=0&maxResults=50&state=',
+      ]);
+    });
+
     it('addIssueToSprint hits proper url', async () => {
       const result = await dummyURLCall('addIssueToSprint', ['someIssueId', 'someSprintId']);
       result.should.eql('http://jira.somehost.com:8080/rest/agile/1.0/sprint/someSprintId/issue');
@@ -552,6 +1256,240 @@ describe('Jira API Tests', () => {
       result.should.eql('http://jira.somehost.com:8080/rest/api/2.0/search');
     });
 
+    it('enhancedSearch hits proper url', async () => {
+      const result = await dummyURLCall('enhancedSearch', ['someJQLhere', { nextPageToken: 'someToken' }]);
+      result.should.eql('http://jira.somehost.com:8080/rest/api/2.0/search/jql');
+    });
+
+    it('approximateIssueCount hits proper url', async () => {
+      async function dummyRequest(requestOptions) {
+        return { count: requestOptions };
+      }
+
+      const result = await dummyURLCall('approximateIssueCount', ['project = PK'], dummyRequest);
+      result.should.eql('http://jira.somehost.com:8080/rest/api/2.0/search/approximate-count');
+    });
+
+    it('searchJira uses the enhanced search endpoint on Cloud in auto mode', async () => {
+      const uris = [];
+      async function dummyRequest(requestOptions) {
+        uris.push(requestOptions.uri);
+        if (requestOptions.uri.endsWith('/serverInfo')) return { deploymentType: 'Cloud' };
+        return { issues: [{ key: 'PK-1' }], isLast: true };
+      }
+
+      const jira = new JiraApi({
+        searchApi: 'auto',
+        ...getOptions({ request: dummyRequest }),
+      });
+
+      await jira.searchJira('project = PK');
+      const response = await jira.searchJira('project = PK', { maxResults: 10 });
+      response.should.eql({
+        startAt: 0,
+        maxResults: 10,
+        issues: [{ key: 'PK-1' }],
+        isLast: true,
+      });
+      uris.should.eql([
+        'http://jira.somehost.com:8080/rest/api/2.0/serverInfo',
+        'http://jira.somehost.com:8080/rest/api/2.0/search/jql',
+        'http://jira.somehost.com:8080/rest/api/2.0/search/jql',
+      ]);
+    });
+
+    it('searchJira keeps the legacy endpoint on Server in auto mode', async () => {
+      async function dummyRequest(requestOptions) {
+        if (requestOptions.uri.endsWith('/serverInfo')) return { deploymentType: 'Server' };
+        return requestOptions;
+      }
+
+      const jira = new JiraApi({
+        searchApi: 'auto',
+        ...getOptions({ request: dummyRequest }),
+      });
+
+      const result = await jira.searchJira('project = PK', { startAt: 50 });
+      result.uri.should.eql('http://jira.somehost.com:8080/rest/api/2.0/search');
+      result.body.should.eql({ jql: 'project = PK', startAt: 50 });
+    });
+
+    it('parseJql hits proper url', async () => {
+      async function dummyRequest(requestOptions) {
+        return { queries: [{ query: requestOptions.uri }] };
+      }
+
+      const result = await dummyURLCall('parseJql', ['project = PK'], dummyRequest, 0);
+      result.query.should.eql('http://jira.somehost.com:8080/rest/api/2.0/jql/parse?validation=strict');
+    });
+
+    it('getJqlAutocompleteData hits proper url', async () => {
+      const result = await dummyURLCall('getJqlAutocompleteData');
+      result.should.eql('http://jira.somehost.com:8080/rest/api/2.0/jql/autocompletedata');
+    });
+
+    it('getJqlAutocompleteSuggestions hits proper url', async () => {
+      async function dummyRequest(requestOptions) {
+        return { results: requestOptions };
+      }
+
+      const result = await dummyURLCall('getJqlAutocompleteSuggestions', [{ fieldName: 'reporter', fieldValue: 'j' }], dummyRequest);
+      result.should.eql('http://jira.somehost.com:8080/rest/api/2.0/jql/autocompletedata/suggestions?fieldName=reporter&fieldValue=j&predicateName=&predicateValue=');
+    });
+
+    it('searchJira validates the query first when validateQuery is true', async () => {
+      const requests = [];
+      async function dummyRequest(requestOptions) {
+        requests.push(requestOptions);
+        if (requestOptions.uri.includes('/jql/parse')) {
+          return {
+            queries: [{
+              query: requestOptions.body.queries[0],
+              errors: ['Error in the JQL Query: Expecting a value but got the end of the query. (line 1, character 11)'],
+            }],
+          };
+        }
+        return requestOptions;
+      }
+
+      const jira = new JiraApi(getOptions({ request: dummyRequest }));
+
+      const error = await jira.searchJira('project = ', { validateQuery: true })
+        .should.eventually.be.rejectedWith(JiraApi.JiraJqlError);
+      expect(error).to.be.an.instanceof(JiraApi.JiraValidationError);
+      expect(error.jqlErrors[0].offset).to.eql(10);
+      expect(requests).to.have.length(1);
+      requests[0].body.should.eql({ queries: ['project = '] });
+    });
+
+    it('searchJira does not send validateQuery once it validated the query', async () => {
+      async function dummyRequest(requestOptions) {
+        if (requestOptions.uri.includes('/jql/parse')) {
+          return { queries: [{ query: 'project = PK', errors: [] }] };
+        }
+        return requestOptions;
+      }
+
+      const jira = new JiraApi(getOptions({ request: dummyRequest }));
+
+      const result = await jira.searchJira('project = PK', { validateQuery: true, maxResults: 5 });
+      result.body.should.eql({ jql: 'project = PK', maxResults: 5 });
+    });
+
+    it('iterateSearch pages with nextPageToken on the enhanced search endpoint', async () => {
+      const bodies = [];
+      async function dummyRequest(requestOptions) {
+        bodies.push(requestOptions.body);
+        return requestOptions.body.nextPageToken
+          ? { issues: ['PK-2'], isLast: true }
+          : { issues: ['PK-1'], nextPageToken: 'page2', isLast: false };
+      }
+
+      const jira = new JiraApi({
+        searchApi: 'enhanced',
+        ...getOptions({ request: dummyRequest }),
+      });
+
+      const issues = await JiraApi.collectAll(jira.iterateSearch('project = PK', { maxResults: 1 }));
+      issues.should.eql(['PK-1', 'PK-2']);
+      bodies.should.eql([
+        {
+          jql: 'project = PK', maxResults: 1, fields: ['*navigable'], nextPageToken: undefined,
+        },
+        {
+          jql: 'project = PK', maxResults: 1, fields: ['*navigable'], nextPageToken: 'page2',
+        },
+      ]);
+    });
+
+    it('paginate follows nextPageToken for searchJira on the enhanced search endpoint', async () => {
+      const bodies = [];
+      async function dummyRequest(requestOptions) {
+        bodies.push(requestOptions.body);
+        const pages = {
+          first: { issues: ['PK-1'], nextPageToken: 'page2', isLast: false },
+          page2: { issues: ['PK-2'], nextPageToken: 'page3', isLast: false },
+          page3: { issues: ['PK-3'], isLast: true },
+        };
+        return pages[requestOptions.body.nextPageToken || 'first'];
+      }
+
+      const jira = new JiraApi({
+        searchApi: 'enhanced',
+        ...getOptions({ request: dummyRequest }),
+      });
+
+      const issues = await JiraApi.collectAll(jira.paginate('searchJira', 'project = PK', {
+        maxResults: 1, expand: ['changelog'], validateQuery: 'warn',
+      }));
+      issues.should.eql(['PK-1', 'PK-2', 'PK-3']);
+      bodies.map((x) => x.nextPageToken).should.eql([undefined, 'page2', 'page3']);
+      bodies[0].should.eql({
+        jql: 'project = PK',
+        maxResults: 1,
+        fields: ['*navigable'],
+        expand: 'changelog',
+        nextPageToken: undefined,
+      });
+    });
+
+    it('iterateSearch pages through every result', async () => {
+      const requests = [];
+      async function dummyRequest(requestOptions) {
+        requests.push(requestOptions.body);
+        const { startAt } = requestOptions.body;
+        return { startAt, total: 3, issues: startAt === 0 ? ['PK-1', 'PK-2'] : ['PK-3'] };
+      }
+
+      const jira = new JiraApi(getOptions({ request: dummyRequest }));
+
+      const issues = await JiraApi.collectAll(jira.iterateSearch('project = PK', { maxResults: 2 }));
+      issues.should.eql(['PK-1', 'PK-2', 'PK-3']);
+      requests.should.eql([
+        { jql: 'project = PK', startAt: 0, maxResults: 2 },
+        { jql: 'project = PK', startAt: 2, maxResults: 2 },
+      ]);
+    });
+
+    it('bulkOperation runs an operation on every matching issue', async () => {
+      const requests = [];
+      async function dummyRequest(requestOptions) {
+        requests.push([requestOptions.method || 'GET', requestOptions.uri]);
+        if (requestOptions.method === 'PUT') return undefined;
+        return { startAt: 0, total: 2, issues: [{ key: 'PK-1' }, { key: 'PK-2' }] };
+      }
+
+      const jira = new JiraApi(getOptions({ request: dummyRequest }));
+      const operation = jira.bulkOperation('project = PK', JiraApi.BulkOperation.addLabels('x'), {
+        concurrency: 1,
+      });
+
+      operation.should.be.an.instanceof(JiraApi.BulkOperation);
+      const result = await operation.run();
+      result.completed.should.eql(['PK-1', 'PK-2']);
+      requests.slice(1).should.eql([
+        ['PUT', 'http://jira.somehost.com:8080/rest/api/2.0/issue/PK-1'],
+        ['PUT', 'http://jira.somehost.com:8080/rest/api/2.0/issue/PK-2'],
+      ]);
+    });
+
+    it('paginate pages through a paged agile method', async () => {
+      const uris = [];
+      async function dummyRequest(requestOptions) {
+        uris.push(requestOptions.uri);
+        return { isLast: uris.length === 2, values: [uris.length] };
+      }
+
+      const jira = new JiraApi(getOptions({ request: dummyRequest }));
+
+      const boards = await JiraApi.collectAll(jira.paginate('getAllBoards', 0, 1));
+      boards.should.eql([1, 2]);
+      uris.should.eql([
+        'http://jira.somehost.com:8080/rest/agile/1.0/board?startAt=0&maxResults=1&type=&name=',
+        'http://jira.somehost.com:8080/rest/agile/1.0/board?startAt=1&maxResults=1&type=&name=',
+      ]);
+    });
+
     it('createUser hits proper url', async () => {
       const result = await dummyURLCall('createUser', [{
         name: 'someUsername',
@@ -584,6 +1522,16 @@ describe('Jira API Tests', () => {
       result.should.eql('http://jira.somehost.com:8080/rest/api/2.0/search');
     });
 
+    it('getUsersIssues escapes the username', async () => {
+      const result = await dummyURLCall('getUsersIssues', ['some"user@example.com', true], null, 'body');
+      result.jql.should.eql('assignee = "some\\"user@example.com" AND status in ("Open", "In Progress", "Reopened")');
+    });
+
+    it('searchJira accepts a JQL builder query', async () => {
+      const result = await dummyURLCall('searchJira', [JiraApi.jql('project').eq('PK')], null, 'body');
+      result.should.eql({ jql: 'project = "PK"' });
+    });
+
     it('getUser hits proper url', async () => {
       const result = await dummyURLCall('getUser', ['some-account-Id', 'groups,applicationRoles']);
       result.should.eql('http://jira.somehost.com:8080/rest/api/2.0/user?accountId=some-account-Id&expand=groups,applicationRoles');
@@ -619,6 +1567,69 @@ describe('Jira API Tests', () => {
       result.should.eql('http://jira.somehost.com:8080/rest/api/2.0/issue/ZQ-9001/changelog?startAt=0&maxResults=50');
     });
 
+    it('issueStateAt replays the changelog the issue is expanded with', async () => {
+      const uris = [];
+      const jira = new JiraApi(getOptions({
+        request: async ({ uri }) => {
+          uris.push(uri);
+          return {
+            key: 'ZQ-9001',
+            names: { status: 'Status' },
+            fields: { created: '2026-02-01T09:00:00.000+0000', status: { name: 'Done' } },
+            changelog: {
+              total: 1,
+              histories: [{
+                id: '1',
+                created: '2026-03-01T09:00:00.000+0000',
+                items: [{ field: 'status', fromString: 'To Do', toString: 'Done' }],
+              }],
+            },
+          };
+        },
+      }));
+
+      const state = await jira.issueStateAt('ZQ-9001', '2026-02-15');
+
+      uris.should.eql(['http://jira.somehost.com:8080/rest/api/2.0/issue/ZQ-9001?expand=names,schema,changelog']);
+      state.status.should.eql('To Do');
+      (await jira.fieldTimeline('ZQ-9001', 'Status')).map((x) => x.value).should.eql(['To Do', 'Done']);
+    });
+
+    it('flowMetrics summarizes the flow of every matching issue', async () => {
+      const jira = new JiraApi(getOptions({
+        request: async ({ uri }) => {
+          if (uri.endsWith('/status')) {
+            return [
+              { name: 'To Do', statusCategory: { key: 'new' } },
+              { name: 'Done', statusCategory: { key: 'done' } },
+            ];
+          }
+          if (uri.includes('/search')) {
+            return { startAt: 0, total: 2, issues: [{ key: 'ZQ-1' }, { key: 'ZQ-2' }] };
+          }
+          const days = uri.includes('ZQ-1') ? 1 : 3;
+          return {
+            key: uri.includes('ZQ-1') ? 'ZQ-1' : 'ZQ-2',
+            fields: { created: '2026-03-01T00:00:00.000Z', status: { name: 'Done' } },
+            changelog: {
+              total: 1,
+              histories: [{
+                id: '1',
+                created: `2026-03-0${1 + days}T00:00:00.000Z`,
+                items: [{ field: 'status', fromString: 'To Do', toString: 'Done' }],
+              }],
+            },
+          };
+        },
+      }));
+
+      const metrics = await jira.flowMetrics('project = ZQ', { percentiles: [50, 100] });
+
+      metrics.issues.map((x) => x.key).should.eql(['ZQ-1', 'ZQ-2']);
+      metrics.leadTime.percentiles.should.eql({ 50: 86400000, 100: 3 * 86400000 });
+      metrics.cycleTime.max.should.eql(0);
+    });
+
     it('getIssueWatchers hits proper url', async () => {
       const result = await dummyURLCall('getIssueWatchers', ['ZQ-9001']);
       result.should.eql('http://jira.somehost.com:8080/rest/api/2.0/issue/ZQ-9001/watchers');
@@ -743,6 +1754,41 @@ describe('Jira API Tests', () => {
       result.should.eql('http://jira.somehost.com:8080/rest/api/2.0/issue/someIssueNumber/transitions');
     });
 
+    it('transitionIssueTo picks the transition leading to a status', async () => {
+      const requests = [];
+      const jira = new JiraApi(getOptions({
+        request: async (requestOptions) => {
+          requests.push(requestOptions);
+          return {
+            transitions: [
+              { id: '11', name: 'Start', to: { id: '3', name: 'In Progress' } },
+              {
+                id: '31',
+                name: 'Close',
+                to: { id: '5', name: 'Done' },
+                fields: { resolution: { name: 'Resolution', required: true } },
+              },
+            ],
+          };
+        },
+      }));
+
+      const result = await jira.transitionIssueTo('PK-1', 'done', {
+        resolution: 'Fixed',
+        comment: 'Shipped',
+      });
+
+      result.should.eql({ issue: 'PK-1', path: [{ id: '31', name: 'Close', to: 'Done' }], status: 'Done' });
+      requests[1].uri.should.eql('http://jira.somehost.com:8080/rest/api/2.0/issue/PK-1/transitions');
+      requests[1].body.should.eql({
+        transition: { id: '31' },
+        fields: { resolution: { name: 'Fixed' } },
+        update: { comment: [{ add: { body: 'Shipped' } }] },
+      });
+      await jira.transitionIssueTo('PK-1', 'Done')
+        .should.eventually.be.rejectedWith(JiraApi.JiraTransitionError, 'requires Resolution');
+    });
+
     it('listProjects hits proper url', async () => {
       const result = await dummyURLCall('listProjects', []);
       result.should.eql('http://jira.somehost.com:8080/rest/api/2.0/project');
@@ -763,11 +1809,77 @@ describe('Jira API Tests', () => {
       result.should.eql('http://jira.somehost.com:8080/rest/api/2.0/issue/someIssueNumber/comment/someCommentNumber');
     });
 
+    it('addComment sends Markdown as an ADF document on version 3', async () => {
+      const jira = new JiraApi(getOptions({
+        apiVersion: '3',
+        request: async (requestOptions) => requestOptions,
+      }));
+
+      const result = await jira.addComment('PK-1', 'Hello **world**');
+      result.uri.should.eql('http://jira.somehost.com:8080/rest/api/3/issue/PK-1/comment');
+      result.body.body.should.eql({
+        type: 'doc',
+        version: 1,
+        content: [{
+          type: 'paragraph',
+          content: [
+            { type: 'text', text: 'Hello ' },
+            { type: 'text', text: 'world', marks: [{ type: 'strong' }] },
+          ],
+        }],
+      });
+    });
+
+    it('addComment sends strings untouched on version 2', async () => {
+      const jira = new JiraApi(getOptions({ request: async (requestOptions) => requestOptions }));
+
+      const result = await jira.addComment('PK-1', 'Hello **world**');
+      result.body.should.eql({ body: 'Hello **world**' });
+    });
+
+    it('updateComment keeps ADF documents as they are on version 3', async () => {
+      const jira = new JiraApi(getOptions({
+        apiVersion: '3',
+        request: async (requestOptions) => requestOptions,
+      }));
+      const body = JiraApi.adf.doc(JiraApi.adf.paragraph('hi'));
+
+      const result = await jira.updateComment('PK-1', '10', body, { visibility: null });
+      result.body.should.eql({ body, visibility: null });
+    });
+
+    it('addNewIssue converts the description and environment on version 3', async () => {
+      const jira = new JiraApi(getOptions({
+        apiVersion: '3',
+        request: async (requestOptions) => requestOptions,
+      }));
+
+      const result = await jira.addNewIssue({
+        fields: { summary: 'Title', description: '# Steps', environment: 'Linux' },
+      });
+      result.body.fields.summary.should.eql('Title');
+      result.body.fields.description.content[0].should.eql({
+        type: 'heading',
+        attrs: { level: 1 },
+        content: [{ type: 'text', text: 'Steps' }],
+      });
+      result.body.fields.environment.type.should.eql('doc');
+    });
+
     it('getComments hits proper url', async () => {
       const result = await dummyURLCall('getComments', ['someIssueNumber']);
       result.should.eql('http://jira.somehost.com:8080/rest/api/2.0/issue/someIssueNumber/comment');
     });
 
+    it('getComments converts comment bodies with the textFormat option', async () => {
+      const jira = new JiraApi(getOptions({
+        request: async () => ({ total: 1, comments: [{ id: '1', body: '*done*' }] }),
+      }));
+
+      const page = await jira.getComments('PK-100', { textFormat: 'html' });
+      page.should.eql({ total: 1, comments: [{ id: '1', body: '<p><strong>done</strong></p>' }] });
+    });
+
     it('getComment hits proper url', async () => {
       const result = await dummyURLCall('getComment', ['someIssueNumber', 'someCommentNumber']);
       result.should.eql('http://jira.somehost.com:8080/rest/api/2.0/issue/someIssueNumber/comment/someCommentNumber');
@@ -872,6 +1984,50 @@ describe('Jira API Tests', () => {
       result.should.eql('http://jira.somehost.com:8080/rest/api/2.0/status');
     });
 
+    it('searchWorkflows hits proper url', async () => {
+      const result = await dummyURLCall('searchWorkflows', [{
+        workflowName: 'Software',
+        expand: 'transitions,statuses',
+      }]);
+      result.should.eql('http://jira.somehost.com:8080/rest/api/2.0/workflow/search?workflowName=Software&expand=transitions,statuses&startAt=0&maxResults=50');
+    });
+
+    it('getProjectWorkflowScheme hits proper url', async () => {
+      const result = await dummyURLCall('getProjectWorkflowScheme', ['10000']);
+      result.should.eql('http://jira.somehost.com:8080/rest/api/2.0/workflowscheme/project?projectId=10000');
+    });
+
+    it('getWorkflowGraph loads the workflow and status categories', async () => {
+      const uris = [];
+      const jira = new JiraApi(getOptions({
+        request: async (requestOptions) => {
+          uris.push(requestOptions.uri);
+          if (requestOptions.uri.includes('/status')) {
+            return [{ id: '1', name: 'Open', statusCategory: { key: 'new', name: 'To Do' } }];
+          }
+          return {
+            values: [{
+              id: { name: 'Simple' },
+              statuses: [{ id: '1', name: 'Open' }],
+              transitions: [{
+                id: '1', name: 'Create', from: [], to: '1', type: 'initial',
+              }],
+            }],
+          };
+        },
+      }));
+
+      const graph = await jira.getWorkflowGraph('Simple');
+
+      graph.should.be.an.instanceof(JiraApi.WorkflowGraph);
+      graph.status('Open').category.should.eql({ key: 'new', name: 'To Do' });
+      graph.unreachableStatuses().should.eql([]);
+      uris.should.eql([
+        'http://jira.somehost.com:8080/rest/api/2.0/workflow/search?workflowName=Simple&expand=transitions,transitions.rules,statuses&startAt=0&maxResults=50',
+        'http://jira.somehost.com:8080/rest/api/2.0/status',
+      ]);
+    });
+
     // Field Option APIs Suite Tests
     describe('Dev-Status APIs Suite Tests', () => {
       it('getDevStatusSummary hits proper url', async () => {
@@ -962,6 +2118,11 @@ describe('Jira API Tests', () => {
         result.should.eql('http://jira.somehost.com:8080/rest/agile/1.0/filter/someFilterId');
       });
 
+      it('getIssueFilter hits proper url', async () => {
+        const result = await dummyURLCall('getIssueFilter', ['someFilterId']);
+        result.should.eql('http://jira.somehost.com:8080/rest/api/2.0/filter/someFilterId');
+      });
+
       it('getEpics hits proper url', async () => {
         const result = await dummyURLCall('getEpics', ['someBoardId']);
         result.should.eql('http://jira.somehost.com:8080/rest/agile/1.0/board/someBoardId/epic?startAt=0&maxResults=50&done=');
@@ -1012,6 +2173,168 @@ describe('Jira API Tests', () => {
         result.should.eql('http://jira.somehost.com:8080/rest/agile/1.0/board/someBoardId/sprint/someSprintId/issue?startAt=0&maxResults=50&jql=&validateQuery=true&fields=&expand=');
       });
 
+      it('getSprintReport reads the sprint, the board configuration and the sprint issues', async () => {
+        const uris = [];
+        const jira = new JiraApi(getOptions({
+          request: async ({ uri }) => {
+            uris.push(uri);
+            if (uri.endsWith('/sprint/5')) {
+              return {
+                id: 5,
+                name: 'Sprint 5',
+                startDate: '2026-03-02T09:00:00.000Z',
+                completeDate: '2026-03-06T16:00:00.000Z',
+              };
+            }
+            if (uri.endsWith('/configuration')) {
+              return { estimation: { type: 'field', field: { fieldId: 'customfield_10016' } } };
+            }
+            if (uri.endsWith('/status')) return [];
+            if (uri.includes('/sprint/5/issue')) return { total: 1, issues: [{ key: 'PK-1' }] };
+            if (uri.includes('/board/1/issue')) return { total: 1, issues: [{ key: 'PK-1' }] };
+            return {
+              key: 'PK-1',
+              names: { customfield_10020: 'Sprint' },
+              schema: {
+                customfield_10020: { type: 'array', custom: 'com.pyxis.greenhopper.jira:gh-sprint' },
+              },
+              fields: {
+                created: '2026-02-20T09:00:00.000Z',
+                customfield_10016: 3,
+                customfield_10020: [{ id: 5, name: 'Sprint 5' }],
+              },
+              changelog: { total: 0, histories: [] },
+            };
+          },
+        }));
+
+        const report = await jira.getSprintReport(1, 5);
+
+        uris.slice(0, 4).should.eql([
+          'http://jira.somehost.com:8080/rest/agile/1.0/sprint/5',
+          'http://jira.somehost.com:8080/rest/agile/1.0/board/1/configuration',
+          'http://jira.somehost.com:8080/rest/api/2.0/status',
+          'http://jira.somehost.com:8080/rest/agile/1.0/board/1/sprint/5/issue?startAt=0&maxResults=50&jql=&validateQuery=true&fields=summary&expand=',
+        ]);
+        uris[uris.length - 1].should.eql('http://jira.somehost.com:8080/rest/agile/1.0/board/1/issue?startAt=0&maxResults=50&jql=updated >= "2026-03-01" AND created <= "2026-03-07"&validateQuery=true&fields=summary');
+        report.committed.should.eql({ issues: ['PK-1'], estimate: 3 });
+        report.estimationField.should.eql({ fieldId: 'customfield_10016' });
+      });
+
+      it('issuesByColumn reads the board configuration and filter, then the board issues', async () => {
+        const uris = [];
+        const jira = new JiraApi(getOptions({
+          request: async ({ uri }) => {
+            uris.push(uri);
+            if (uri.endsWith('/configuration')) {
+              return {
+                id: 1,
+                filter: { id: '10000' },
+                columnConfig: {
+                  columns: [
+                    { name: 'To Do', statuses: [{ id: '1' }] },
+                    { name: 'Done', statuses: [{ id: '3' }] },
+                  ],
+                },
+                estimation: { type: 'field', field: { fieldId: 'customfield_10016' } },
+              };
+            }
+            if (uri.endsWith('/status')) return [{ id: '1', name: 'To Do' }, { id: '3', name: 'Done' }];
+            if (uri.endsWith('/filter/10000')) return { id: '10000', name: 'PK', jql: 'project = PK' };
+            return {
+              total: 2,
+              issues: [
+                { key: 'PK-1', fields: { status: { id: '3', name: 'Done' } } },
+                { key: 'PK-2', fields: { status: { id: '2', name: 'In Progress' } } },
+              ],
+            };
+          },
+        }));
+
+        const board = await jira.issuesByColumn(1);
+
+        uris.should.eql([
+          'http://jira.somehost.com:8080/rest/agile/1.0/board/1/configuration',
+          'http://jira.somehost.com:8080/rest/api/2.0/status',
+          'http://jira.somehost.com:8080/rest/api/2.0/filter/10000',
+          'http://jira.somehost.com:8080/rest/agile/1.0/board/1/issue?startAt=0&maxResults=50&jql=&validateQuery=true&fields=summary,status,issuetype,assignee,customfield_10016',
+        ]);
+        board.config.filter.jql.should.eql('project = PK');
+        board.columns.map((x) => x.issues.map((issue) => issue.key)).should.eql([[], ['PK-1']]);
+        board.unmapped.map((x) => x.key).should.eql(['PK-2']);
+      });
+
+      it('createSprint hits proper url', async () => {
+        const result = await dummyURLCall('createSprint', [{ name: 'Sprint 1', originBoardId: 1 }]);
+        result.should.eql('http://jira.somehost.com:8080/rest/agile/1.0/sprint');
+      });
+
+      it('updateSprint hits proper url', async () => {
+        const result = await dummyURLCall('updateSprint', ['someSprintId', { name: 'Sprint 1' }]);
+        result.should.eql('http://jira.somehost.com:8080/rest/agile/1.0/sprint/someSprintId');
+      });
+
+      it('partiallyUpdateSprint hits proper url', async () => {
+        const result = await dummyURLCall('partiallyUpdateSprint', ['someSprintId', { goal: 'Ship it' }]);
+        result.should.eql('http://jira.somehost.com:8080/rest/agile/1.0/sprint/someSprintId');
+      });
+
+      it('deleteSprint hits proper url', async () => {
+        const result = await dummyURLCall('deleteSprint', ['someSprintId']);
+        result.should.eql('http://jira.somehost.com:8080/rest/agile/1.0/sprint/someSprintId');
+      });
+
+      it('swapSprint hits proper url', async () => {
+        const result = await dummyURLCall('swapSprint', ['someSprintId', 'otherSprintId']);
+        result.should.eql('http://jira.somehost.com:8080/rest/agile/1.0/sprint/someSprintId/swap');
+      });
+
+      it('moveIssuesToSprint hits proper url', async () => {
+        const result = await dummyURLCall('moveIssuesToSprint', ['someSprintId', ['PK-1']]);
+        result.should.eql('http://jira.somehost.com:8080/rest/agile/1.0/sprint/someSprintId/issue');
+      });
+
+      it('getSprintPropertiesKeys hits proper url', async () => {
+        const result = await dummyURLCall('getSprintPropertiesKeys', ['someSprintId']);
+        result.should.eql('http://jira.somehost.com:8080/rest/agile/1.0/sprint/someSprintId/properties');
+      });
+
+      it('getSprintProperty hits proper url', async () => {
+        const result = await dummyURLCall('getSprintProperty', ['someSprintId', 'somePropertyKey']);
+        result.should.eql('http://jira.somehost.com:8080/rest/agile/1.0/sprint/someSprintId/properties/somePropertyKey');
+      });
+
+      it('setSprintProperty hits proper url', async () => {
+        const result = await dummyURLCall('setSprintProperty', ['someSprintId', 'somePropertyKey', { done: true }]);
+        result.should.eql('http://jira.somehost.com:8080/rest/agile/1.0/sprint/someSprintId/properties/somePropertyKey');
+      });
+
+      it('deleteSprintProperty hits proper url', async () => {
+        const result = await dummyURLCall('deleteSprintProperty', ['someSprintId', 'somePropertyKey']);
+        result.should.eql('http://jira.somehost.com:8080/rest/agile/1.0/sprint/someSprintId/properties/somePropertyKey');
+      });
+
+      it('startSprint and completeSprint partially update the sprint state', async () => {
+        const jira = new JiraApi(getOptions({ request: async (requestOptions) => requestOptions }));
+
+        const started = await jira.startSprint(5, '2026-03-02T09:00:00.000Z', '2026-03-16T17:00:00.000Z');
+        started.method.should.eql('POST');
+        started.body.should.eql({
+          state: 'active',
+          startDate: '2026-03-02T09:00:00.000Z',
+          endDate: '2026-03-16T17:00:00.000Z',
+        });
+        (await jira.completeSprint(5)).body.should.eql({ state: 'closed' });
+      });
+
+      it('moveIssuesToSprint ranks the issues it moves', async () => {
+        const jira = new JiraApi(getOptions({ request: async (requestOptions) => requestOptions }));
+
+        const result = await jira.moveIssuesToSprint(5, ['PK-1', 'PK-2'], { rankBeforeIssue: 'PK-7' });
+
+        result.body.should.eql({ issues: ['PK-1', 'PK-2'], rankBeforeIssue: 'PK-7' });
+      });
+
       it('getAllVersions hits proper url', async () => {
         const result = await dummyURLCall('getAllVersions', ['someBoardId']);
         result.should.eql('http://jira.somehost.com:8080/rest/agile/1.0/board/someBoardId/version?startAt=0&maxResults=50&released=');
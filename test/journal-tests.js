@@ -0,0 +1,77 @@
+import { expect } from 'chai';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import UndoJournal, { replayUndo } from '../src/journal';
+
+function entry(method, undo) {
+  return {
+    time: '2024-05-01T10:00:00.000Z',
+    method,
+    args: [],
+    undo,
+  };
+}
+
+describe('Undo Journal Tests', () => {
+  it('appends entries as JSON lines and reads them back', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'jira-journal-'));
+    const journal = new UndoJournal(path.join(directory, 'undo.jsonl'));
+    const first = entry('updateIssue', [{ method: 'updateIssue', args: ['PK-1', { fields: {} }] }]);
+    const second = entry('addComment', [{ method: 'deleteComment', args: ['PK-1', '10'] }]);
+
+    journal.record(first);
+    await journal.record(second);
+
+    expect((await fs.readFile(journal.file, 'utf8')).split('\n')).to.have.length(3);
+    expect(await journal.read()).to.eql([first, second]);
+    await fs.rmdir(directory, { recursive: true });
+  });
+
+  it('reverts entries newest first, without journaling the reverting calls', async () => {
+    const calls = [];
+    const jira = {
+      journal: { record: () => { throw new Error('should not record'); } },
+      async updateIssue(...args) {
+        calls.push(['updateIssue', ...args, this.journal]);
+      },
+      async deleteComment(...args) {
+        calls.push(['deleteComment', ...args, this.journal]);
+      },
+    };
+
+    const result = await replayUndo(jira, [
+      entry('updateIssue', [{ method: 'updateIssue', args: ['PK-1', { fields: { labels: [] } }] }]),
+      entry('addComment', [{ method: 'deleteComment', args: ['PK-1', '10'] }]),
+    ]);
+
+    expect(result).to.eql({ undone: 2, failures: [] });
+    expect(calls).to.eql([
+      ['deleteComment', 'PK-1', '10', null],
+      ['updateIssue', 'PK-1', { fields: { labels: [] } }, null],
+    ]);
+  });
+
+  it('stops at the first failure unless told to continue', async () => {
+    const calls = [];
+    const jira = {
+      async deleteComment(issueId, commentId) {
+        calls.push(commentId);
+        if (commentId === '2') throw new Error('Comment 2 is gone');
+      },
+    };
+    const entries = ['1', '2', '3'].map((id) => entry('addComment', [{
+      method: 'deleteComment',
+      args: ['PK-1', id],
+    }]));
+
+    const stopped = await replayUndo(jira, entries);
+    expect(stopped.undone).to.eql(1);
+    expect(stopped.failures.map((x) => x.error.message)).to.eql(['Comment 2 is gone']);
+    expect(calls).to.eql(['3', '2']);
+
+    const continued = await replayUndo(jira, entries, { continueOnError: true });
+    expect(continued.undone).to.eql(2);
+    expect(continued.failures[0].entry).to.equal(entries[1]);
+  });
+});
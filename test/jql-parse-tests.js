@@ -0,0 +1,75 @@
+import { expect } from 'chai';
+import { jqlErrorPosition, normalizeParsedQuery } from '../src/jql-parse';
+
+describe('JQL Parse Tests', () => {
+  it('reads error positions', () => {
+    const message = 'Error in the JQL Query: Expecting either \'OR\' or \'AND\' but got \'PK\'. (line 2, character 5)';
+
+    expect(jqlErrorPosition(message, 'project = A\nand PK')).to.eql({
+      line: 2,
+      column: 5,
+      offset: 16,
+    });
+    expect(jqlErrorPosition('Field \'foo\' does not exist.', 'foo = 1')).to.eql({
+      line: null,
+      column: null,
+      offset: null,
+    });
+  });
+
+  it('normalizes a valid query', () => {
+    const result = normalizeParsedQuery({
+      query: 'project = PK AND (status = Open OR assignee was jsmith) ORDER BY created DESC',
+      structure: {
+        where: {
+          clauses: [
+            { field: { name: 'project' }, operator: '=', operand: { value: 'PK' } },
+            {
+              clauses: [
+                { field: { name: 'status' }, operator: '=', operand: { value: 'Open' } },
+                {
+                  field: { name: 'assignee' },
+                  operator: 'was',
+                  operand: { value: 'jsmith' },
+                  predicates: [],
+                },
+              ],
+              operator: 'or',
+            },
+          ],
+          operator: 'and',
+        },
+        orderBy: { fields: [{ field: { name: 'created' }, direction: 'desc' }] },
+      },
+    });
+
+    expect(result.valid).to.be.true;
+    expect(result.errors).to.eql([]);
+    expect(result.ast.type).to.eql('compound');
+    expect(result.ast.operator).to.eql('AND');
+    expect(result.ast.clauses[1].operator).to.eql('OR');
+    expect(result.clauses.map((x) => x.field)).to.eql(['project', 'status', 'assignee']);
+    expect(result.clauses[0]).to.eql({
+      type: 'clause',
+      field: 'project',
+      property: null,
+      operator: '=',
+      operand: { value: 'PK' },
+      predicates: [],
+    });
+    expect(result.orderBy).to.eql([{ field: 'created', direction: 'DESC' }]);
+  });
+
+  it('normalizes an invalid query', () => {
+    const result = normalizeParsedQuery({
+      query: 'project = ',
+      errors: ['Error in the JQL Query: Expecting a value but got the end of the query. (line 1, character 11)'],
+    });
+
+    expect(result.valid).to.be.false;
+    expect(result.errors[0].offset).to.eql(10);
+    expect(result.ast).to.be.null;
+    expect(result.clauses).to.eql([]);
+    expect(result.orderBy).to.eql([]);
+  });
+});
@@ -0,0 +1,101 @@
+import { expect } from 'chai';
+import jql, {
+  EMPTY,
+  escapeJqlString,
+  formatJqlField,
+  formatJqlValue,
+  jqlString,
+} from '../src/jql';
+
+describe('JQL Builder Tests', () => {
+  describe('escaping', () => {
+    it('quotes and escapes strings', () => {
+      expect(escapeJqlString('plain')).to.eql('"plain"');
+      expect(escapeJqlString('say "hi"')).to.eql('"say \\"hi\\""');
+      expect(escapeJqlString('back\\slash')).to.eql('"back\\\\slash"');
+      expect(escapeJqlString('two\nlines')).to.eql('"two\\nlines"');
+    });
+
+    it('formats values by type', () => {
+      expect(formatJqlValue(5)).to.eql('5');
+      expect(formatJqlValue('user@example.com')).to.eql('"user@example.com"');
+      expect(formatJqlValue(new Date(2026, 2, 1))).to.eql('"2026/03/01"');
+      expect(formatJqlValue(new Date(2026, 2, 1, 9, 5))).to.eql('"2026/03/01 09:05"');
+      expect(formatJqlValue(jql.currentUser())).to.eql('currentUser()');
+      expect(formatJqlValue(jql.startOfDay('-1d'))).to.eql('startOfDay("-1d")');
+      expect(formatJqlValue(EMPTY)).to.eql('EMPTY');
+    });
+
+    it('quotes field names only when needed', () => {
+      expect(formatJqlField('status')).to.eql('status');
+      expect(formatJqlField('cf[10023]')).to.eql('cf[10023]');
+      expect(formatJqlField('Story Points')).to.eql('"Story Points"');
+      expect(formatJqlField('order')).to.eql('"order"');
+    });
+  });
+
+  describe('building queries', () => {
+    it('combines clauses', () => {
+      const query = jql('project').eq('PK')
+        .and('status').in(['Open', 'In Progress'])
+        .and('assignee')
+        .eq(jql.currentUser())
+        .orderBy('priority', 'desc')
+        .orderBy('created');
+
+      expect(query.toString()).to.eql('project = "PK" AND status in ("Open", "In Progress") AND assignee = currentUser() ORDER BY priority DESC, created');
+    });
+
+    it('supports every operator', () => {
+      const comparisons = jql('votes').gt(1).and('votes').gte(2);
+      comparisons.and('votes').lt(3).and('votes').lte(4);
+      expect(String(comparisons)).to.eql('votes > 1 AND votes >= 2 AND votes < 3 AND votes <= 4');
+
+      const text = jql('summary').contains('crash').and('summary').notContains('test');
+      expect(String(text)).to.eql('summary ~ "crash" AND summary !~ "test"');
+
+      const negations = jql('labels').notIn(['a', 'b']).and('component').notEq('UI');
+      expect(String(negations)).to.eql('labels not in ("a", "b") AND component != "UI"');
+
+      const empties = jql('fixVersion').eq(null).and('duedate').notEq(null);
+      expect(String(empties)).to.eql('fixVersion is EMPTY AND duedate is not EMPTY');
+    });
+
+    it('builds history clauses', () => {
+      expect(jql('status').was('Open', { by: 'jsmith', before: new Date(2026, 0, 1) }).toString())
+        .to.eql('status was "Open" BY "jsmith" BEFORE "2026/01/01"');
+      const wasClauses = jql('status').wasIn(['Open', 'Reopened']).and('status').wasNot('Done');
+      expect(String(wasClauses)).to.eql('status was in ("Open", "Reopened") AND status was not "Done"');
+      expect(jql('assignee').changed({ from: 'jsmith', to: 'bjones', during: ['2026/01/01', '2026/02/01'] }).toString())
+        .to.eql('assignee changed FROM "jsmith" TO "bjones" DURING ("2026/01/01", "2026/02/01")');
+    });
+
+    it('nests queries and keeps left to right precedence', () => {
+      const statuses = jql('status').eq('Open').or('status').eq('Reopened');
+
+      expect(jql('project').eq('PK').and(statuses).toString())
+        .to.eql('project = "PK" AND (status = "Open" OR status = "Reopened")');
+      const mixed = jql('votes').eq(1).or('watchers').eq(2);
+      mixed.and('project').eq('PK');
+      expect(String(mixed)).to.eql('(votes = 1 OR watchers = 2) AND project = "PK"');
+    });
+
+    it('negates queries', () => {
+      expect(jql('project').eq('PK').and(jql('labels').eq('wontfix').not()).toString())
+        .to.eql('project = "PK" AND (NOT (labels = "wontfix"))');
+    });
+
+    it('accepts raw fragments', () => {
+      expect(jql('project').eq('PK').and(jql.raw('issue in linkedIssues("PK-1")')).toString())
+        .to.eql('project = "PK" AND issue in linkedIssues("PK-1")');
+    });
+
+    it('converts to a string for requests', () => {
+      const query = jql('key').eq('PK-1');
+
+      expect(jqlString(query)).to.eql('key = "PK-1"');
+      expect(jqlString('key = PK-1')).to.eql('key = PK-1');
+      expect(JSON.stringify({ jql: query })).to.eql('{"jql":"key = \\"PK-1\\""}');
+    });
+  });
+});
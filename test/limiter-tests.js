@@ -0,0 +1,60 @@
+import { expect } from 'chai';
+import RequestLimiter from '../src/limiter';
+
+function deferred() {
+  let resolve;
+  const promise = new Promise((res) => { resolve = res; });
+  return { promise, resolve };
+}
+
+describe('RequestLimiter Tests', () => {
+  it('caps the number of requests in flight', async () => {
+    const limiter = new RequestLimiter({ maxConcurrent: 2 });
+    const gates = [deferred(), deferred(), deferred()];
+    let started = 0;
+
+    const results = gates.map((gate, index) => limiter.schedule(async () => {
+      started += 1;
+      await gate.promise;
+      return index;
+    }));
+
+    await Promise.resolve();
+    await Promise.resolve();
+    expect(started).to.eql(2);
+    expect(limiter.inFlight).to.eql(2);
+    expect(limiter.queueDepth).to.eql(1);
+
+    gates.forEach((gate) => gate.resolve());
+    expect(await Promise.all(results)).to.eql([0, 1, 2]);
+    expect(limiter.inFlight).to.eql(0);
+    expect(limiter.queueDepth).to.eql(0);
+  });
+
+  it('spaces requests out once the bucket is empty', async () => {
+    const limiter = new RequestLimiter({ requestsPerInterval: 2, interval: 40 });
+    const startedAt = Date.now();
+    const times = await Promise.all([1, 2, 3].map(() => limiter.schedule(async () => Date.now())));
+
+    expect(times[2] - startedAt).to.be.at.least(15);
+    expect(times[2]).to.be.above(times[1]);
+  });
+
+  it('propagates task failures and keeps draining', async () => {
+    const limiter = new RequestLimiter({ maxConcurrent: 1 });
+
+    const failing = limiter.schedule(async () => { throw new Error('boom'); });
+    const succeeding = limiter.schedule(async () => 'ok');
+
+    await failing.should.eventually.be.rejectedWith('boom');
+    expect(await succeeding).to.eql('ok');
+  });
+
+  it('shares limiters by key', () => {
+    const first = RequestLimiter.forHost('https://shared.somehost.com', { maxConcurrent: 3 });
+    const second = RequestLimiter.forHost('https://shared.somehost.com', { maxConcurrent: 10 });
+
+    expect(first).to.equal(second);
+    expect(second.maxConcurrent).to.eql(3);
+  });
+});
@@ -0,0 +1,138 @@
+import { expect } from 'chai';
+import {
+  collectAll,
+  isLastPage,
+  iterateItems,
+  iteratePages,
+  pageItems,
+} from '../src/pagination';
+
+function fakeJira(pages) {
+  const calls = [];
+  const respond = (startAt) => pages[startAt];
+
+  return {
+    calls,
+    searchJira: async (jql, optional) => {
+      calls.push([jql, optional]);
+      return respond(optional.startAt);
+    },
+    getAllSprints: async (boardId, startAt, maxResults, state) => {
+      calls.push([boardId, startAt, maxResults, state]);
+      return respond(startAt);
+    },
+    getUsers: async (startAt, maxResults) => {
+      calls.push([startAt, maxResults]);
+      return respond(startAt);
+    },
+    getMembersOfGroup: async (groupname, startAt, maxResults) => {
+      calls.push([groupname, startAt, maxResults]);
+      return respond(startAt);
+    },
+  };
+}
+
+describe('Pagination Tests', () => {
+  it('pageItems finds issues, values and plain arrays', () => {
+    expect(pageItems({ issues: [1] })).to.eql([1]);
+    expect(pageItems({ values: [2] })).to.eql([2]);
+    expect(pageItems({ worklogs: [3] })).to.eql([3]);
+    expect(pageItems([4])).to.eql([4]);
+    expect(pageItems(undefined)).to.eql([]);
+  });
+
+  it('isLastPage honours isLast, total and short pages', () => {
+    expect(isLastPage({ values: [1], isLast: false }, 0, 1)).to.be.false;
+    expect(isLastPage({ values: [1], isLast: true }, 0, 1)).to.be.true;
+    expect(isLastPage({ issues: [1, 2], total: 4 }, 0, 2)).to.be.false;
+    expect(isLastPage({ issues: [3, 4], total: 4 }, 2, 2)).to.be.true;
+    expect(isLastPage([1, 2], 0, 2)).to.be.false;
+    expect(isLastPage([1], 0, 2)).to.be.true;
+    expect(isLastPage({ issues: [], total: 10 }, 0, 2)).to.be.true;
+  });
+
+  it('pages searchJira through its options object', async () => {
+    const jira = fakeJira({
+      0: { startAt: 0, total: 3, issues: ['a', 'b'] },
+      2: { startAt: 2, total: 3, issues: ['c'] },
+    });
+
+    const issues = await collectAll(iterateItems(jira, 'searchJira', ['project = PK', { maxResults: 2, fields: ['summary'] }]));
+
+    expect(issues).to.eql(['a', 'b', 'c']);
+    expect(jira.calls).to.eql([
+      ['project = PK', { maxResults: 2, fields: ['summary'], startAt: 0 }],
+      ['project = PK', { maxResults: 2, fields: ['summary'], startAt: 2 }],
+    ]);
+  });
+
+  it('pages positional methods and keeps the other arguments', async () => {
+    const jira = fakeJira({
+      0: { values: [1], isLast: false },
+      1: { values: [2], isLast: true },
+    });
+
+    const pages = await collectAll(iteratePages(jira, 'getAllSprints', ['someBoardId', undefined, undefined, 'active']));
+
+    expect(pages).to.have.length(2);
+    expect(jira.calls).to.eql([
+      ['someBoardId', 0, 50, 'active'],
+      ['someBoardId', 1, 50, 'active'],
+    ]);
+  });
+
+  it('advances by the number of items actually returned', async () => {
+    const jira = fakeJira({
+      0: { issues: [1, 2], total: 5 },
+      2: { issues: [3, 4], total: 5 },
+      4: { issues: [5], total: 5 },
+    });
+
+    const issues = await collectAll(iterateItems(jira, 'searchJira', ['project = PK', { maxResults: 3 }]));
+
+    expect(issues).to.eql([1, 2, 3, 4, 5]);
+    expect(jira.calls.map(([, { startAt }]) => startAt)).to.eql([0, 2, 4]);
+  });
+
+  it('stops plain array endpoints on a short page', async () => {
+    const jira = fakeJira({
+      0: [1, 2],
+      2: [3],
+    });
+
+    const users = await collectAll(iterateItems(jira, 'getUsers', [0, 2]));
+
+    expect(users).to.eql([1, 2, 3]);
+    expect(jira.calls).to.eql([[0, 2], [2, 2]]);
+  });
+
+  it('pages group members listed under users', async () => {
+    const jira = fakeJira({
+      0: { name: 'devs', users: { size: 3, items: [1, 2], 'start-index': 0 } },
+      2: { name: 'devs', users: { size: 3, items: [3], 'start-index': 2 } },
+    });
+
+    const members = await collectAll(iterateItems(jira, 'getMembersOfGroup', ['devs', 0, 2]));
+
+    expect(members).to.eql([1, 2, 3]);
+    expect(jira.calls).to.eql([['devs', 0, 2], ['devs', 2, 2]]);
+    expect(isLastPage({ users: { size: 2, items: [1, 2] } }, 0, 2)).to.be.true;
+  });
+
+  it('collectAll stops at maxItems without fetching more pages', async () => {
+    const jira = fakeJira({
+      0: { values: [1, 2], isLast: false },
+      2: { values: [3, 4], isLast: true },
+    });
+
+    const items = await collectAll(iterateItems(jira, 'getAllSprints', ['someBoardId', 0, 2]), { maxItems: 2 });
+
+    expect(items).to.eql([1, 2]);
+    expect(jira.calls).to.have.length(1);
+  });
+
+  it('rejects methods that are not paged', async () => {
+    await collectAll(iterateItems({}, 'findIssue', ['PK-1']))
+      .should.eventually.be.rejectedWith('findIssue is not a paged method');
+  });
+});
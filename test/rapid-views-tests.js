@@ -0,0 +1,132 @@
+import { expect } from 'chai';
+import {
+  boardBacklog,
+  findBoard,
+  lastBoardSprint,
+  listBoardSprints,
+  sprintContents,
+} from '../src/rapid-views';
+
+const SPRINTS = [
+  { id: 1, name: 'Sprint 1', state: 'closed' },
+  { id: 2, name: 'Sprint 2', state: 'active' },
+  { id: 3, name: 'Sprint 3', state: 'future' },
+];
+
+function issue(id, status, category) {
+  return {
+    id: String(id),
+    key: `PK-${id}`,
+    fields: {
+      summary: `Issue ${id}`,
+      issuetype: { name: 'Story' },
+      status: { name: status, statusCategory: { key: category } },
+      assignee: { accountId: 'ann', displayName: 'Ann' },
+    },
+  };
+}
+
+function fakeJira(rapidViewApi) {
+  return {
+    rapidViewApi,
+    calls: [],
+    async getAllBoards(...args) {
+      this.calls.push(['getAllBoards', ...args]);
+      return {
+        isLast: true,
+        values: [{ id: 7, name: 'PK board', type: 'scrum' }, { id: 8, name: 'PK', type: 'kanban' }],
+      };
+    },
+    async getAllSprints(...args) {
+      this.calls.push(['getAllSprints', ...args]);
+      return { isLast: true, values: args[3] ? SPRINTS.slice(1) : SPRINTS };
+    },
+    async getBoardIssuesForSprint() {
+      return { total: 2, issues: [issue(1, 'Done', 'done'), issue(2, 'To Do', 'new')] };
+    },
+    async getIssuesForBoard(...args) {
+      this.calls.push(['getIssuesForBoard', ...args]);
+      return { total: 1, issues: [issue(5, 'To Do', 'new')] };
+    },
+    async getSprintReport(boardId, sprintId) {
+      return {
+        sprint: SPRINTS.find((x) => x.id === sprintId),
+        completed: { issues: ['PK-1'], estimate: 2 },
+        notCompleted: { issues: ['PK-2'], estimate: 8 },
+        added: [{ key: 'PK-2', at: '2026-03-03T12:00:00.000Z', estimate: 5 }],
+        removed: [{ key: 'PK-5', at: '2026-03-04T09:00:00.000Z', estimate: 3 }],
+        initialEstimates: { 'PK-1': 2, 'PK-2': 5, 'PK-5': 1 },
+      };
+    },
+    async getIssuesForBacklog() {
+      return { total: 1, issues: [issue(3, 'To Do', 'new')] };
+    },
+    async getSprint(sprintId) {
+      return SPRINTS.find((x) => x.id === sprintId);
+    },
+  };
+}
+
+describe('Rapid View Tests', () => {
+  it('finds boards by exact name', async () => {
+    const jira = fakeJira('agile');
+
+    expect(await findBoard(jira, 'pk')).to.eql({ id: 8, name: 'PK', type: 'kanban' });
+    expect(await findBoard(jira, 'other')).to.eql(undefined);
+    expect(await findBoard(fakeJira('compat'), 'PK BOARD')).to.eql({
+      id: 7, name: 'PK board', type: 'scrum', sprintSupportEnabled: true,
+    });
+    expect(jira.calls[0]).to.eql(['getAllBoards', 0, 50, undefined, 'pk']);
+  });
+
+  it('lists sprints in the agile or the greenhopper shape', async () => {
+    expect(await listBoardSprints(fakeJira('agile'), 7)).to.eql(SPRINTS);
+    expect(await listBoardSprints(fakeJira('compat'), '7')).to.eql({
+      rapidViewId: 7,
+      sprints: [
+        { id: 1, name: 'Sprint 1', state: 'CLOSED' },
+        { id: 2, name: 'Sprint 2', state: 'ACTIVE' },
+        { id: 3, name: 'Sprint 3', state: 'FUTURE' },
+      ],
+    });
+    expect(await lastBoardSprint(fakeJira('compat'), 7)).to.eql({
+      id: 3, name: 'Sprint 3', state: 'FUTURE',
+    });
+  });
+
+  it('reshapes sprint and backlog issues', async () => {
+    const compat = fakeJira('compat');
+    const { contents, sprint } = await sprintContents(compat, 7, 2);
+    expect(contents.completedIssues.map((x) => x.key)).to.eql(['PK-1']);
+    expect(contents.issuesNotCompletedInCurrentSprint).to.eql([{
+      id: 2,
+      key: 'PK-2',
+      summary: 'Issue 2',
+      typeName: 'Story',
+      priorityName: undefined,
+      statusName: 'To Do',
+      done: false,
+      assignee: 'ann',
+      assigneeName: 'Ann',
+    }]);
+    expect(contents.puntedIssues.map((x) => x.key)).to.eql(['PK-5']);
+    expect(compat.calls).to.eql([['getIssuesForBoard', 7, 0, 50, 'key in (PK-5)']]);
+    expect(contents.completedIssuesEstimateSum).to.eql({ value: 2, text: '2' });
+    expect(contents.completedIssuesInitialEstimateSum).to.eql({ value: 2, text: '2' });
+    expect(contents.issuesNotCompletedEstimateSum).to.eql({ value: 8, text: '8' });
+    expect(contents.issuesNotCompletedInitialEstimateSum).to.eql({ value: 5, text: '5' });
+    expect(contents.allIssuesEstimateSum).to.eql({ value: 10, text: '10' });
+    expect(contents.puntedIssuesEstimateSum).to.eql({ value: 3, text: '3' });
+    expect(contents.puntedIssuesInitialEstimateSum).to.eql({ value: 1, text: '1' });
+    expect(contents.issueKeysAddedDuringSprint).to.eql({ 'PK-2': true });
+    expect(sprint.state).to.eql('ACTIVE');
+    expect(await sprintContents(fakeJira('agile'), 7, 2)).to.have.length(2);
+
+    const jira = fakeJira('compat');
+    const backlog = await boardBacklog(jira, '7');
+    expect(backlog.rapidViewId).to.eql(7);
+    expect(backlog.issues.map((x) => x.key)).to.eql(['PK-3']);
+    expect(backlog.sprints.map((x) => x.state)).to.eql(['ACTIVE', 'FUTURE']);
+    expect(jira.calls).to.eql([['getAllSprints', '7', 0, 50, 'active,future']]);
+  });
+});
@@ -0,0 +1,145 @@
+import { expect } from 'chai';
+import {
+  computeRetryDelay,
+  isRetryable,
+  normalizeRetryOptions,
+  serverRequestedDelay,
+  withRetry,
+} from '../src/retry';
+import { JiraRateLimitError, JiraServerError } from '../src/errors';
+
+describe('Retry Tests', () => {
+  describe('normalizeRetryOptions', () => {
+    it('is disabled unless configured', () => {
+      expect(normalizeRetryOptions()).to.be.null;
+      expect(normalizeRetryOptions(false)).to.be.null;
+    });
+
+    it('fills in defaults', () => {
+      const policy = normalizeRetryOptions({ maxAttempts: 5, methods: ['get', 'post'] });
+
+      expect(policy.maxAttempts).to.eql(5);
+      expect(policy.baseDelay).to.eql(1000);
+      expect(policy.statusCodes).to.eql([429, 503]);
+      expect(policy.methods).to.eql(['GET', 'POST']);
+    });
+  });
+
+  describe('serverRequestedDelay', () => {
+    const now = Date.parse('2026-03-01T10:00:00Z');
+
+    it('reads Retry-After in seconds', () => {
+      expect(serverRequestedDelay({ 'Retry-After': '7' }, now)).to.eql(7000);
+    });
+
+    it('reads Retry-After as an http date', () => {
+      expect(serverRequestedDelay({ 'retry-after': 'Sun, 01 Mar 2026 10:00:30 GMT' }, now))
+        .to.eql(30000);
+    });
+
+    it('reads X-RateLimit-Reset', () => {
+      expect(serverRequestedDelay({ 'x-ratelimit-reset': '2026-03-01T10:01:00Z' }, now))
+        .to.eql(60000);
+    });
+
+    it('returns null without headers', () => {
+      expect(serverRequestedDelay({}, now)).to.be.null;
+      expect(serverRequestedDelay(undefined, now)).to.be.null;
+    });
+  });
+
+  describe('computeRetryDelay', () => {
+    const policy = normalizeRetryOptions({ baseDelay: 100, maxDelay: 1000, jitter: 0.5 });
+
+    it('backs off exponentially up to maxDelay', () => {
+      const error = new JiraServerError('down', { status: 503 });
+      const noJitter = () => 0;
+
+      expect(computeRetryDelay(policy, 1, error, noJitter)).to.eql(100);
+      expect(computeRetryDelay(policy, 3, error, noJitter)).to.eql(400);
+      expect(computeRetryDelay(policy, 6, error, noJitter)).to.eql(1000);
+    });
+
+    it('applies jitter', () => {
+      const error = new JiraServerError('down', { status: 503 });
+      expect(computeRetryDelay(policy, 2, error, () => 1)).to.eql(100);
+    });
+
+    it('prefers the delay asked for by the server', () => {
+      const error = new JiraRateLimitError('slow down', { status: 429, headers: { 'retry-after': '5' } });
+      expect(computeRetryDelay(policy, 1, error)).to.eql(5000);
+    });
+  });
+
+  describe('isRetryable', () => {
+    const policy = normalizeRetryOptions(true);
+
+    it('checks both status and method', () => {
+      const error = new JiraServerError('unavailable', { status: 503 });
+
+      expect(isRetryable(policy, error, { method: 'GET' })).to.be.true;
+      expect(isRetryable(policy, error, {})).to.be.true;
+      expect(isRetryable(policy, error, { method: 'POST' })).to.be.false;
+      expect(isRetryable(policy, new JiraServerError('boom', { status: 500 }), { method: 'GET' }))
+        .to.be.false;
+    });
+
+    it('retries any method when Jira did not process the request', () => {
+      const limited = new JiraRateLimitError('slow down', { status: 429 });
+      const unavailable = new JiraServerError('unavailable', {
+        status: 503,
+        headers: { 'Retry-After': '5' },
+      });
+
+      expect(isRetryable(policy, limited, { method: 'POST' })).to.be.true;
+      expect(isRetryable(policy, unavailable, { method: 'POST' })).to.be.true;
+      expect(isRetryable({ ...policy, statusCodes: [503] }, limited, { method: 'POST' }))
+        .to.be.false;
+    });
+  });
+
+  describe('withRetry', () => {
+    it('retries until the request succeeds', async () => {
+      const retries = [];
+      const policy = normalizeRetryOptions({
+        baseDelay: 0,
+        onRetry: (retry) => retries.push(retry),
+      });
+      let calls = 0;
+
+      const result = await withRetry(policy, { method: 'GET' }, async () => {
+        calls += 1;
+        if (calls < 3) throw new JiraRateLimitError('slow down', { status: 429, request: { uri: 'someUri' } });
+        return 'done';
+      });
+
+      expect(result).to.eql('done');
+      expect(calls).to.eql(3);
+      expect(retries.map((x) => x.attempt)).to.eql([1, 2]);
+      expect(retries[0].request).to.eql({ uri: 'someUri' });
+    });
+
+    it('gives up after maxAttempts', async () => {
+      const policy = normalizeRetryOptions({ maxAttempts: 2, baseDelay: 0 });
+      let calls = 0;
+
+      await withRetry(policy, { method: 'GET' }, async () => {
+        calls += 1;
+        throw new JiraServerError('unavailable', { status: 503 });
+      }).should.eventually.be.rejectedWith(JiraServerError);
+
+      expect(calls).to.eql(2);
+    });
+
+    it('does not retry without a policy', async () => {
+      let calls = 0;
+
+      await withRetry(null, { method: 'GET' }, async () => {
+        calls += 1;
+        throw new JiraServerError('unavailable', { status: 503 });
+      }).should.eventually.be.rejectedWith(JiraServerError);
+
+      expect(calls).to.eql(1);
+    });
+  });
+});
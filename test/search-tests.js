@@ -0,0 +1,108 @@
+import { expect } from 'chai';
+import { enhancedSearchOptions, searchFromOffset, skipIssues } from '../src/search';
+
+function fakeJira(pages) {
+  const calls = [];
+  return {
+    calls,
+    enhancedSearch: async (jql, optional) => {
+      calls.push(optional);
+      return pages[optional.nextPageToken || 'first'];
+    },
+  };
+}
+
+describe('Enhanced Search Tests', () => {
+  describe('skipIssues', () => {
+    it('does nothing when there is nothing to skip', async () => {
+      const jira = fakeJira({});
+
+      expect(await skipIssues(jira, 'project = PK', 0)).to.eql({
+        nextPageToken: undefined,
+        exhausted: false,
+      });
+      expect(jira.calls).to.eql([]);
+    });
+
+    it('follows tokens requesting ids only', async () => {
+      const jira = fakeJira({
+        first: { issues: [1, 2], nextPageToken: 'second', isLast: false },
+        second: { issues: [3], nextPageToken: 'third', isLast: false },
+      });
+
+      const result = await skipIssues(jira, 'project = PK', 3, { reconcileIssues: [10] });
+
+      expect(result).to.eql({ nextPageToken: 'third', exhausted: false });
+      expect(jira.calls).to.eql([
+        {
+          nextPageToken: undefined, maxResults: 3, fields: ['id'], reconcileIssues: [10],
+        },
+        {
+          nextPageToken: 'second', maxResults: 1, fields: ['id'], reconcileIssues: [10],
+        },
+      ]);
+    });
+
+    it('reports when the results end first', async () => {
+      const jira = fakeJira({
+        first: { issues: [1], isLast: true },
+      });
+
+      expect(await skipIssues(jira, 'project = PK', 5)).to.eql({
+        nextPageToken: undefined,
+        exhausted: true,
+      });
+    });
+  });
+
+  describe('enhancedSearchOptions', () => {
+    it('adapts searchJira options to the enhanced search endpoint', () => {
+      expect(enhancedSearchOptions({})).to.eql({ fields: ['*navigable'] });
+      expect(enhancedSearchOptions({
+        maxResults: 10,
+        fields: ['summary'],
+        expand: ['changelog', 'names'],
+        validateQuery: 'warn',
+      })).to.eql({ maxResults: 10, fields: ['summary'], expand: 'changelog,names' });
+      expect(enhancedSearchOptions({ expand: 'changelog' })).to.eql({
+        fields: ['*navigable'],
+        expand: 'changelog',
+      });
+    });
+  });
+
+  describe('searchFromOffset', () => {
+    it('returns the page following the offset', async () => {
+      const jira = fakeJira({
+        first: { issues: [1, 2], nextPageToken: 'second', isLast: false },
+        second: { issues: [3, 4], nextPageToken: 'third', isLast: false },
+      });
+
+      const page = await searchFromOffset(jira, 'project = PK', { startAt: 2, maxResults: 2, fields: ['summary'] });
+
+      expect(page).to.eql({
+        startAt: 2,
+        maxResults: 2,
+        issues: [3, 4],
+        nextPageToken: 'third',
+        isLast: false,
+      });
+      expect(jira.calls[1]).to.eql({ maxResults: 2, fields: ['summary'], nextPageToken: 'second' });
+    });
+
+    it('returns an empty last page past the end', async () => {
+      const jira = fakeJira({
+        first: { issues: [1], isLast: true },
+      });
+
+      const page = await searchFromOffset(jira, 'project = PK', { startAt: 20 });
+
+      expect(page).to.eql({
+        startAt: 20,
+        maxResults: 50,
+        issues: [],
+        isLast: true,
+      });
+    });
+  });
+});
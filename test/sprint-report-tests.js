@@ -0,0 +1,209 @@
+import { expect } from 'chai';
+import IssueHistory from '../src/history';
+import {
+  buildSprintReport, doneStatusNames, loadSprintReport, loadVelocity,
+} from '../src/sprint-report';
+
+const SPRINT = {
+  id: 5,
+  name: 'Sprint 5',
+  state: 'closed',
+  startDate: '2026-03-02T09:00:00.000Z',
+  endDate: '2026-03-06T17:00:00.000Z',
+  completeDate: '2026-03-06T16:00:00.000Z',
+};
+
+const FIELDS = {
+  status: 'status',
+  Sprint: 'customfield_10020',
+  'Story Points': 'customfield_10016',
+};
+
+const SPRINT_NAMES = { 5: 'Sprint 5', 6: 'Sprint 6' };
+
+// Sprint changes list sprint ids, from and to, along with their names
+function changelogItem(field, from, to) {
+  if (field !== 'Sprint') {
+    return {
+      field, fieldId: FIELDS[field], fromString: from, toString: to,
+    };
+  }
+  const names = (ids) => ids.split(/,\s*/).filter(Boolean).map((id) => SPRINT_NAMES[id]).join(', ');
+  return {
+    field, fieldId: FIELDS[field], from, fromString: names(from), to, toString: names(to),
+  };
+}
+
+function history(key, { status, sprints, points }, changes) {
+  return new IssueHistory({
+    key,
+    names: { customfield_10020: 'Sprint', customfield_10016: 'Story Points' },
+    schema: {
+      customfield_10020: { type: 'array', items: 'json', custom: 'com.pyxis.greenhopper.jira:gh-sprint' },
+      customfield_10016: { type: 'number' },
+    },
+    fields: {
+      created: '2026-02-20T09:00:00.000Z',
+      status: { name: status },
+      customfield_10020: sprints.map((id) => ({ id, name: SPRINT_NAMES[id] })),
+      customfield_10016: points,
+    },
+  }, changes.map(([at, field, from, to], index) => ({
+    id: String(index + 1),
+    created: at,
+    items: [changelogItem(field, from, to)],
+  })));
+}
+
+const HISTORIES = [
+  history('PK-1', { status: 'Done', sprints: [5], points: 3 }, [
+    ['2026-02-25T09:00:00.000Z', 'Sprint', '', '5'],
+    ['2026-03-04T12:00:00.000Z', 'status', 'To Do', 'Done'],
+  ]),
+  history('PK-2', { status: 'To Do', sprints: [5, 6], points: 8 }, [
+    ['2026-02-25T09:00:00.000Z', 'Sprint', '', '5'],
+    ['2026-03-03T10:00:00.000Z', 'Story Points', '5', '8'],
+    ['2026-03-06T17:00:00.000Z', 'Sprint', '5', '5, 6'],
+  ]),
+  history('PK-3', { status: 'Done', sprints: [5], points: 2 }, [
+    ['2026-03-03T12:00:00.000Z', 'Sprint', '', '5'],
+    ['2026-03-05T10:00:00.000Z', 'status', 'To Do', 'Done'],
+  ]),
+  history('PK-4', { status: 'To Do', sprints: [], points: 1 }, [
+    ['2026-02-25T09:00:00.000Z', 'Sprint', '', '5'],
+    ['2026-03-04T09:00:00.000Z', 'Sprint', '5', ''],
+  ]),
+];
+
+describe('Sprint Report Tests', () => {
+  it('reports commitment, scope changes and completion', () => {
+    const report = buildSprintReport(SPRINT, HISTORIES, {
+      estimationFieldId: 'customfield_10016',
+      doneStatuses: ['done'],
+    });
+
+    expect(report.committed).to.eql({ issues: ['PK-1', 'PK-2', 'PK-4'], estimate: 9 });
+    expect(report.added).to.eql([{ key: 'PK-3', at: '2026-03-03T12:00:00.000Z', estimate: 2 }]);
+    expect(report.removed).to.eql([{ key: 'PK-4', at: '2026-03-04T09:00:00.000Z', estimate: 1 }]);
+    expect(report.estimateChanges).to.eql([{
+      key: 'PK-2', at: '2026-03-03T10:00:00.000Z', from: 5, to: 8,
+    }]);
+    expect(report.completed).to.eql({ issues: ['PK-1', 'PK-3'], estimate: 5 });
+    expect(report.notCompleted).to.eql({ issues: ['PK-2'], estimate: 8 });
+    expect(report.initialEstimates).to.eql({
+      'PK-1': 3, 'PK-2': 5, 'PK-3': 2, 'PK-4': 1,
+    });
+  });
+
+  it('computes a day by day burndown', () => {
+    const report = buildSprintReport(SPRINT, HISTORIES, {
+      estimationFieldId: 'customfield_10016',
+      doneStatuses: ['Done'],
+    });
+
+    expect(report.burndown.map((x) => [x.at.slice(5, 13), x.scope, x.remaining])).to.eql([
+      ['03-02T09', 9, 9],
+      ['03-03T09', 9, 9],
+      ['03-04T09', 13, 13],
+      ['03-05T09', 13, 10],
+      ['03-06T09', 13, 8],
+      ['03-06T16', 13, 8],
+    ]);
+  });
+
+  it('counts issues without an estimation field and stops active sprints now', () => {
+    const active = { ...SPRINT, state: 'active', completeDate: undefined };
+    const report = buildSprintReport(active, HISTORIES, {
+      doneStatuses: ['Done'],
+      now: '2026-03-04T10:00:00.000Z',
+    });
+
+    expect(report.committed.estimate).to.eql(3);
+    expect(report.completed).to.eql({ issues: [], estimate: 0 });
+    expect(report.burndown[report.burndown.length - 1]).to.eql({
+      at: '2026-03-04T10:00:00.000Z', scope: 3, remaining: 3,
+    });
+    expect(() => buildSprintReport({ name: 'Sprint 7' }, [], { doneStatuses: [] }))
+      .to.throw('Sprint Sprint 7 has not started');
+  });
+
+  it('reads done statuses from the last column of the board', () => {
+    const statuses = [
+      { id: '1', name: 'To Do', statusCategory: { key: 'new' } },
+      { id: '5', name: 'Done', statusCategory: { key: 'done' } },
+      { id: '6', name: 'Released', statusCategory: { key: 'done' } },
+    ];
+
+    expect(doneStatusNames({
+      columnConfig: {
+        columns: [
+          { name: 'To Do', statuses: [{ id: '1' }] },
+          { name: 'Released', statuses: [{ id: '6' }] },
+          { name: 'Empty', statuses: [] },
+        ],
+      },
+    }, statuses)).to.eql(['Released']);
+    expect(doneStatusNames({}, statuses)).to.eql(['Done', 'Released']);
+  });
+
+  it('reports removed issues and the velocity of the last closed sprints', async () => {
+    const other = history('PK-9', { status: 'To Do', sprints: [6], points: 5 }, [
+      ['2026-03-06T17:00:00.000Z', 'Sprint', '', '6'],
+    ]);
+    const boardSearches = [];
+    const fetched = [];
+    let running = 0;
+    let highest = 0;
+    const jira = {
+      getConfiguration: async () => ({
+        estimation: { type: 'field', field: { fieldId: 'customfield_10016' } },
+        columnConfig: { columns: [{ statuses: [{ id: '5' }] }] },
+      }),
+      listStatus: async () => [{ id: '5', name: 'Done' }],
+      getAllSprints: async () => ({
+        isLast: true,
+        values: [
+          { ...SPRINT, id: 4, completeDate: '2026-02-27T16:00:00.000Z' },
+          SPRINT,
+          { ...SPRINT, id: 3, completeDate: '2026-02-20T16:00:00.000Z' },
+        ],
+      }),
+      // PK-4 was removed from sprint 5, so the sprint no longer lists it
+      getBoardIssuesForSprint: async (boardId, sprintId) => ({
+        total: sprintId === 5 ? 3 : 0,
+        issues: sprintId === 5 ? HISTORIES.slice(0, 3).map((x) => ({ key: x.key })) : [],
+      }),
+      getIssuesForBoard: async (...args) => {
+        boardSearches.push(args);
+        return { total: 5, issues: [...HISTORIES, other].map((x) => ({ key: x.key })) };
+      },
+      async getIssueHistory(key) {
+        fetched.push(key);
+        running += 1;
+        highest = Math.max(highest, running);
+        await new Promise((resolve) => { setTimeout(resolve, 1); });
+        running -= 1;
+        return [...HISTORIES, other].find((x) => x.key === key);
+      },
+      getSprint: async () => SPRINT,
+    };
+
+    const report = await loadSprintReport(jira, 1, 5);
+    expect(report.committed.issues).to.eql(['PK-1', 'PK-2', 'PK-4']);
+    expect(report.removed.map((x) => x.key)).to.eql(['PK-4']);
+
+    fetched.length = 0;
+    const velocity = await loadVelocity(jira, 1, { count: 2 });
+
+    expect(velocity.sprints.map((x) => [x.sprint.id, x.committed, x.completed])).to.eql([
+      [4, 0, 0],
+      [5, 9, 5],
+    ]);
+    expect(velocity.average).to.eql(2.5);
+    expect(boardSearches[0]).to.eql([
+      1, 0, 50, 'updated >= "2026-03-01" AND created <= "2026-03-07"', true, 'summary',
+    ]);
+    expect(fetched).to.have.members(['PK-1', 'PK-2', 'PK-3', 'PK-4', 'PK-9']);
+    expect(highest).to.eql(1);
+  });
+});
@@ -0,0 +1,168 @@
+import { expect } from 'chai';
+import {
+  findTransition,
+  missingTransitionFields,
+  transitionIssueTo,
+} from '../src/transitions';
+import { JiraTransitionError } from '../src/errors';
+
+const STATUSES = [
+  { id: '1', name: 'To Do' },
+  { id: '3', name: 'In Progress' },
+  { id: '4', name: 'In Review' },
+  { id: '5', name: 'Done' },
+];
+
+const WORKFLOW = [
+  {
+    id: '1', name: 'Create', from: [], to: '1', type: 'initial',
+  },
+  {
+    id: '11', name: 'Start', from: ['1'], to: '3', type: 'directed',
+  },
+  {
+    id: '21', name: 'Review', from: ['3'], to: '4', type: 'directed',
+  },
+  {
+    id: '31', name: 'Approve', from: ['4'], to: '5', type: 'directed',
+  },
+  {
+    id: '41', name: 'Reopen', from: [], to: '1', type: 'global',
+  },
+];
+
+const RESOLUTION = { required: true, name: 'Resolution', hasDefaultValue: false };
+
+function available(statusId) {
+  return WORKFLOW
+    .filter((x) => x.type === 'global' || x.from.includes(statusId))
+    .map((x) => ({
+      id: x.id,
+      name: x.name,
+      to: STATUSES.find((status) => status.id === x.to),
+      fields: x.id === '31' ? { resolution: RESOLUTION } : {},
+    }));
+}
+
+function fakeJira(statusId = '1') {
+  return {
+    status: statusId,
+    sent: [],
+    issuePayload: async (payload) => payload,
+    toDocument: (value) => value,
+    async listTransitions() {
+      return { transitions: available(this.status) };
+    },
+    async transitionIssue(issueId, body) {
+      this.sent.push(body);
+      this.status = WORKFLOW.find((x) => x.id === body.transition.id).to;
+    },
+    async findIssue() {
+      return {
+        fields: {
+          status: STATUSES.find((x) => x.id === this.status),
+          project: { id: '100' },
+          issuetype: { id: '7' },
+        },
+      };
+    },
+    getProjectWorkflowScheme: async () => ({
+      values: [{ workflowScheme: { defaultWorkflow: 'Other', issueTypeMappings: { 7: 'Software' } } }],
+    }),
+    listStatus: async () => STATUSES,
+    async searchWorkflows(options) {
+      this.workflowSearch = options;
+      return { values: [{ transitions: WORKFLOW, statuses: STATUSES }] };
+    },
+  };
+}
+
+describe('Transitions Tests', () => {
+  it('finds transitions by id, name or target status', () => {
+    const transitions = available('3');
+
+    expect(findTransition(transitions, '21').name).to.eql('Review');
+    expect(findTransition(transitions, 'review').id).to.eql('21');
+    expect(findTransition(transitions, 'In Review').id).to.eql('21');
+    expect(findTransition(transitions, 'Done')).to.eql(null);
+  });
+
+  it('lists required transition fields without a value', () => {
+    const [approve] = available('4');
+
+    expect(missingTransitionFields(approve, {})).to.eql([{ id: 'resolution', name: 'Resolution' }]);
+    expect(missingTransitionFields(approve, { fields: { resolution: { name: 'Done' } } })).to.eql([]);
+    expect(missingTransitionFields(approve, { update: { resolution: [] } })).to.eql([]);
+  });
+
+  it('sends a single transition with comment and resolution', async () => {
+    const jira = fakeJira('4');
+
+    const result = await transitionIssueTo(jira, 'PK-1', 'Done', {
+      comment: 'Shipped',
+      resolution: 'Fixed',
+    });
+
+    expect(result).to.eql({
+      issue: 'PK-1',
+      path: [{ id: '31', name: 'Approve', to: 'Done' }],
+      status: 'Done',
+    });
+    expect(jira.sent).to.eql([{
+      transition: { id: '31' },
+      fields: { resolution: { name: 'Fixed' } },
+      update: { comment: [{ add: { body: 'Shipped' } }] },
+    }]);
+  });
+
+  it('throws before sending when required fields are missing', async () => {
+    const jira = fakeJira('4');
+
+    const error = await transitionIssueTo(jira, 'PK-1', 'Approve')
+      .should.eventually.be.rejectedWith(JiraTransitionError, 'Transition Approve of PK-1 requires Resolution');
+    expect(error.missingFields).to.eql([{ id: 'resolution', name: 'Resolution' }]);
+    expect(jira.sent).to.eql([]);
+  });
+
+  it('lists the available transitions when none matches', async () => {
+    const error = await transitionIssueTo(fakeJira(), 'PK-1', 'Done')
+      .should.eventually.be.rejectedWith(JiraTransitionError, 'No transition of PK-1 leads to "Done", available: Start, Reopen');
+    expect(error.available).to.eql(['Start', 'Reopen']);
+  });
+
+  it('walks the workflow to reach a status', async () => {
+    const jira = fakeJira();
+
+    const result = await transitionIssueTo(jira, 'PK-1', 'Done', { walk: true, resolution: 'Fixed' });
+
+    expect(jira.workflowSearch.workflowName).to.eql('Software');
+    expect(result.path.map((x) => x.to)).to.eql(['In Progress', 'In Review', 'Done']);
+    expect(result.status).to.eql('Done');
+    expect(jira.sent).to.eql([
+      { transition: { id: '11' } },
+      { transition: { id: '21' } },
+      { transition: { id: '31' }, fields: { resolution: { name: 'Fixed' } } },
+    ]);
+  });
+
+  it('reports the transitions made when a walk stops', async () => {
+    const jira = fakeJira();
+
+    const error = await transitionIssueTo(jira, 'PK-1', 'Done', { walk: true })
+      .should.eventually.be.rejectedWith(JiraTransitionError, 'requires Resolution');
+    expect(error.path.map((x) => x.name)).to.eql(['Start', 'Review']);
+    expect(jira.status).to.eql('4');
+  });
+
+  it('walks the workflow in dry run, where the issue never moves', async () => {
+    const jira = fakeJira();
+    jira.dryRun = true;
+    jira.transitionIssue = async function planned(issueId, body) { this.sent.push(body); };
+
+    const result = await transitionIssueTo(jira, 'PK-1', 'Done', { walk: true, resolution: 'Fixed' });
+
+    expect(result.path.map((x) => x.to)).to.eql(['In Progress', 'In Review', 'Done']);
+    expect(jira.sent.map((x) => x.transition.id)).to.eql(['11', '21', '31']);
+    expect(jira.status).to.eql('1');
+  });
+});
@@ -0,0 +1,184 @@
+import { expect } from 'chai';
+import { CreateMetadataCache, validateIssueFields, validateNewIssue } from '../src/validation';
+
+const BUG = {
+  id: '1',
+  name: 'Bug',
+  fields: {
+    project: { name: 'Project', required: true, schema: { type: 'project' } },
+    issuetype: { name: 'Issue Type', required: true, schema: { type: 'issuetype' } },
+    summary: { name: 'Summary', required: true, schema: { type: 'string' } },
+    priority: {
+      name: 'Priority',
+      required: true,
+      hasDefaultValue: true,
+      schema: { type: 'priority' },
+      allowedValues: [{ id: '1', name: 'High' }, { id: '2', name: 'Low' }],
+    },
+    duedate: { name: 'Due Date', required: false, schema: { type: 'date' } },
+    labels: { name: 'Labels', required: false, schema: { type: 'array', items: 'string' } },
+    customfield_10023: { name: 'Story Points', required: true, schema: { type: 'number' } },
+    customfield_10100: {
+      name: 'Platform',
+      required: false,
+      schema: { type: 'option-with-child' },
+      allowedValues: [{ id: '10', value: 'Mobile', children: [{ id: '11', value: 'iOS' }] }],
+    },
+  },
+};
+
+const STORY = {
+  id: '2',
+  name: 'Story',
+  fields: {
+    timetracking: { name: 'Time tracking', required: false, schema: { type: 'timetracking' } },
+    customfield_10020: {
+      name: 'Sprint',
+      required: false,
+      schema: { type: 'array', items: 'json', custom: 'com.pyxis.greenhopper.jira:gh-sprint' },
+    },
+    customfield_10030: { name: 'Request', required: false, schema: { type: 'sd-customerrequesttype' } },
+  },
+};
+
+function fakeJira(projects = [{ key: 'PK', issuetypes: [BUG] }]) {
+  return {
+    queries: [],
+    async getIssueCreateMetadata(query) {
+      this.queries.push(query);
+      return { projects };
+    },
+  };
+}
+
+describe('Issue Validation Tests', () => {
+  it('accepts a valid issue', () => {
+    const result = validateIssueFields({
+      fields: {
+        project: { key: 'PK' },
+        issuetype: { name: 'Bug' },
+        summary: 'Crash',
+        priority: { name: 'High' },
+        duedate: '2024-05-01',
+        labels: ['a', 'b'],
+        customfield_10023: 3,
+        customfield_10100: { value: 'Mobile', child: { value: 'iOS' } },
+      },
+    }, BUG);
+
+    expect(result).to.eql({ valid: true, problems: [] });
+  });
+
+  it('reports every problem at once', () => {
+    const result = validateIssueFields({
+      fields: {
+        project: { key: 'PK' },
+        issuetype: { name: 'Bug' },
+        summary: '',
+        priority: { name: 'Urgent' },
+        duedate: '01/05/2024',
+        labels: 'a',
+        customfield_10100: { value: 'Mobile', child: { value: 'Android' } },
+        environment: 'Linux',
+      },
+    }, BUG);
+
+    expect(result.valid).to.eql(false);
+    expect(result.problems.map((x) => [x.field, x.code])).to.eql([
+      ['summary', 'required'],
+      ['customfield_10023', 'required'],
+      ['priority', 'invalid-value'],
+      ['duedate', 'invalid-type'],
+      ['labels', 'invalid-type'],
+      ['customfield_10100', 'invalid-value'],
+      ['environment', 'unknown-field'],
+    ]);
+    expect(result.problems[1].message).to.eql('Story Points is required');
+    expect(result.problems[2].message).to.eql('Priority: {"name":"Urgent"} is not one of High, Low');
+    expect(result.problems[5].message).to.eql('Platform: {"value":"Android"} is not one of iOS');
+  });
+
+  it('counts fields set through update as present', () => {
+    const result = validateIssueFields({
+      fields: { project: { key: 'PK' }, issuetype: { name: 'Bug' }, summary: 'Crash' },
+      update: { customfield_10023: [{ set: 3 }] },
+    }, BUG);
+
+    expect(result.valid).to.eql(true);
+  });
+
+  it('checks the items of array fields', () => {
+    const result = validateIssueFields({
+      fields: {
+        project: { key: 'PK' },
+        issuetype: { name: 'Bug' },
+        summary: 'Crash',
+        customfield_10023: 1,
+        labels: ['a', 2],
+      },
+    }, BUG);
+
+    expect(result.problems).to.eql([{
+      field: 'labels',
+      name: 'Labels',
+      code: 'invalid-type',
+      message: 'Labels: expected a string',
+    }]);
+  });
+
+  it('accepts time tracking, sprints and other structured values', () => {
+    const valid = validateIssueFields({
+      fields: {
+        timetracking: { originalEstimate: '2h', remainingEstimate: '1h 30m' },
+        customfield_10020: 42,
+        customfield_10030: 'sd/request',
+      },
+    }, STORY);
+    expect(valid).to.eql({ valid: true, problems: [] });
+
+    const invalid = validateIssueFields({ fields: { timetracking: '2h' } }, STORY);
+    expect(invalid.problems.map((x) => x.message)).to.eql([
+      'Time tracking: expected { originalEstimate } or { remainingEstimate }',
+    ]);
+  });
+
+  it('fetches the create metadata once per project and issue type', async () => {
+    const jira = fakeJira();
+    const cache = new CreateMetadataCache(jira);
+    const issue = { fields: { project: { key: 'PK' }, issuetype: { name: 'Bug' }, summary: 'x' } };
+
+    await validateNewIssue(cache, issue);
+    await validateNewIssue(cache, issue);
+    await validateNewIssue(cache, { fields: { ...issue.fields, issuetype: { id: '1' } } });
+
+    expect(jira.queries).to.eql([
+      { expand: 'projects.issuetypes.fields', projectKeys: ['PK'], issuetypeNames: ['Bug'] },
+      { expand: 'projects.issuetypes.fields', projectKeys: ['PK'], issuetypeIds: ['1'] },
+    ]);
+  });
+
+  it('reports a missing or unknown project and issue type', async () => {
+    const cache = new CreateMetadataCache(fakeJira([]));
+
+    expect((await validateNewIssue(cache, { fields: {} })).problems.map((x) => x.field)).to.eql([
+      'project',
+      'issuetype',
+    ]);
+    expect(await validateNewIssue(cache, {
+      fields: { project: { key: 'NOPE' }, issuetype: { name: 'Bug' } },
+    })).to.eql({
+      valid: false,
+      problems: [{
+        field: 'project',
+        code: 'unknown-project',
+        message: 'project NOPE does not exist or is not visible',
+      }],
+    });
+
+    const emptyProject = new CreateMetadataCache(fakeJira([{ key: 'PK', issuetypes: [] }]));
+    const result = await validateNewIssue(emptyProject, {
+      fields: { project: { key: 'PK' }, issuetype: { name: 'Epic' } },
+    });
+    expect(result.problems[0].code).to.eql('unknown-issuetype');
+  });
+});
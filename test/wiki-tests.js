@@ -0,0 +1,194 @@
+import { expect } from 'chai';
+import {
+  bulletList,
+  codeBlock,
+  doc,
+  heading,
+  listItem,
+  mention,
+  orderedList,
+  panel,
+  paragraph,
+  strong,
+  text,
+} from '../src/adf';
+import {
+  adfToWiki,
+  convertIssueText,
+  convertText,
+  markdownToWiki,
+  wikiToAdf,
+  wikiToHtml,
+  wikiToMarkdown,
+} from '../src/wiki';
+
+describe('Wiki Markup Tests', () => {
+  describe('wikiToAdf', () => {
+    it('converts inline formatting', () => {
+      const result = wikiToAdf('*b* _i_ -s- +u+ ^sup^ {{code}} [docs|http://x] [~jsmith] [~accountid:5b10]');
+
+      expect(result.content[0].content).to.eql([
+        text('b', [{ type: 'strong' }]),
+        text(' '),
+        text('i', [{ type: 'em' }]),
+        text(' '),
+        text('s', [{ type: 'strike' }]),
+        text(' '),
+        text('u', [{ type: 'underline' }]),
+        text(' '),
+        text('sup', [{ type: 'subsup', attrs: { type: 'sup' } }]),
+        text(' '),
+        text('code', [{ type: 'code' }]),
+        text(' '),
+        text('docs', [{ type: 'link', attrs: { href: 'http://x' } }]),
+        text(' '),
+        mention('jsmith', '@jsmith'),
+        text(' '),
+        mention('5b10'),
+      ]);
+    });
+
+    it('leaves markers inside words alone', () => {
+      expect(wikiToAdf('a well-known snake_case_name').content[0].content).to.eql([
+        text('a well-known snake_case_name'),
+      ]);
+      expect(wikiToAdf('\\*not bold\\*').content[0].content).to.eql([
+        text('*'),
+        text('not bold'),
+        text('*'),
+      ]);
+    });
+
+    it('converts headings, code, quotes and panels', () => {
+      const result = wikiToAdf([
+        'h2. Steps',
+        '{code:java}',
+        'int a = 1;',
+        '{code}',
+        '{noformat}raw *text*{noformat}',
+        'bq. quoted',
+        '{panel:title=Heads up}',
+        'Check *this*',
+        '{panel}',
+        '{warning}careful{warning}',
+        '----',
+      ].join('\n'));
+
+      expect(result.content).to.eql([
+        heading(2, 'Steps'),
+        codeBlock('int a = 1;', 'java'),
+        codeBlock('raw *text*'),
+        { type: 'blockquote', content: [paragraph('quoted')] },
+        panel('info', paragraph(strong('Heads up')), paragraph('Check ', strong('this'))),
+        panel('warning', 'careful'),
+        { type: 'rule' },
+      ]);
+    });
+
+    it('converts nested and mixed lists', () => {
+      const result = wikiToAdf('* one\n*# a\n*# b\n* two\n# first');
+
+      expect(result.content).to.eql([
+        bulletList(
+          listItem(paragraph('one'), orderedList('a', 'b')),
+          'two',
+        ),
+        orderedList('first'),
+      ]);
+    });
+
+    it('converts tables, keeping pipes inside links', () => {
+      const result = wikiToAdf('||Key||Link||\n|PK-1|[site|http://x]|');
+
+      expect(result.content[0].content.map((row) => row.content.map((cell) => cell.type))).to.eql([
+        ['tableHeader', 'tableHeader'],
+        ['tableCell', 'tableCell'],
+      ]);
+      expect(result.content[0].content[1].content[1].content[0].content).to.eql([
+        text('site', [{ type: 'link', attrs: { href: 'http://x' } }]),
+      ]);
+    });
+
+    it('keeps line breaks within paragraphs', () => {
+      expect(wikiToAdf('one\ntwo\\\\three\n\nfour').content).to.eql([
+        paragraph('one', { type: 'hardBreak' }, 'two', { type: 'hardBreak' }, 'three'),
+        paragraph('four'),
+      ]);
+    });
+  });
+
+  describe('adfToWiki', () => {
+    it('round trips wiki markup', () => {
+      const wiki = [
+        'h1. Title',
+        '',
+        'Some *bold*, _em_, -gone-, {{code}} and [a link|http://x] for [~jsmith]',
+        '',
+        '* one',
+        '*# a',
+        '*# b',
+        '* two',
+        '',
+        '{code:js}',
+        'const a = 1;',
+        '{code}',
+        '',
+        '{note}',
+        'careful',
+        '{note}',
+        '',
+        '||Key||Status||',
+        '|PK-1|Open|',
+      ].join('\n');
+
+      expect(adfToWiki(wikiToAdf(wiki))).to.eql(wiki);
+    });
+
+    it('escapes markup characters in text', () => {
+      expect(adfToWiki(doc(paragraph('a*b [c]')))).to.eql('a\\*b \\[c\\]');
+    });
+  });
+
+  describe('conversions', () => {
+    it('converts between wiki markup, Markdown and HTML', () => {
+      expect(wikiToMarkdown('h3. Hi *there*\n* [~jsmith]')).to.eql('### Hi **there**\n\n- [~jsmith]');
+      expect(markdownToWiki('## Hi **there**\n\n1. `x`')).to.eql('h2. Hi *there*\n\n# {{x}}');
+      expect(wikiToHtml('Hi *<you>*\n{info}see [docs|http://x]{info}')).to.eql(
+        '<p>Hi <strong>&lt;you&gt;</strong></p>'
+        + '<div class="panel panel-info"><p>see <a href="http://x">docs</a></p></div>',
+      );
+      expect(wikiToHtml('[x|javascript:alert(1)] [y|https://example.com]')).to.eql(
+        '<p>x <a href="https://example.com">y</a></p>',
+      );
+    });
+
+    it('converts wiki markup and ADF values with convertText', () => {
+      expect(convertText('*hi*', 'markdown')).to.eql('**hi**');
+      expect(convertText(doc(paragraph(strong('hi'))), 'wiki')).to.eql('*hi*');
+      expect(convertText('*hi*', 'wiki')).to.eql('*hi*');
+      expect(convertText('*hi*', 'text')).to.eql('hi');
+      expect(convertText(null, 'html')).to.eql(null);
+      expect(() => convertText('x', 'pdf')).to.throw('Unknown text format pdf');
+    });
+
+    it('converts the text fields of an issue', () => {
+      const issue = {
+        key: 'PK-1',
+        fields: {
+          summary: '*not converted*',
+          description: 'h1. Title',
+          comment: { total: 1, comments: [{ id: '1', body: '_hi_' }] },
+        },
+      };
+
+      expect(convertIssueText(issue, 'markdown')).to.eql({
+        key: 'PK-1',
+        fields: {
+          summary: '*not converted*',
+          description: '# Title',
+          comment: { total: 1, comments: [{ id: '1', body: '*hi*' }] },
+        },
+      });
+    });
+  });
+});
@@ -0,0 +1,187 @@
+import { expect } from 'chai';
+import WorkflowGraph, { loadProjectWorkflowGraphs, loadWorkflowGraph } from '../src/workflow';
+import { JiraNotFoundError } from '../src/errors';
+
+const STATUSES = [
+  { id: '1', name: 'To Do', statusCategory: { key: 'new', name: 'To Do' } },
+  { id: '3', name: 'In Progress', statusCategory: { key: 'indeterminate', name: 'In Progress' } },
+  { id: '4', name: 'In Review', statusCategory: { key: 'indeterminate', name: 'In Progress' } },
+  { id: '5', name: 'Done', statusCategory: { key: 'done', name: 'Done' } },
+  { id: '6', name: 'Archived', statusCategory: { key: 'done', name: 'Done' } },
+];
+
+const SOFTWARE = {
+  id: { name: 'Software', entityId: 'a1' },
+  statuses: STATUSES.map((x) => ({ id: x.id, name: x.name })),
+  transitions: [
+    {
+      id: '1', name: 'Create', from: [], to: '1', type: 'initial',
+    },
+    {
+      id: '11', name: 'Start', from: ['1'], to: '3', type: 'directed',
+    },
+    {
+      id: '21',
+      name: 'Review',
+      from: ['3'],
+      to: '4',
+      type: 'directed',
+      rules: { conditions: [{ type: 'PermissionCondition' }] },
+    },
+    {
+      id: '31', name: 'Approve', from: ['4'], to: '5', type: 'directed',
+    },
+    {
+      id: '32', name: 'Skip review', from: ['3'], to: '5', type: 'directed',
+    },
+    {
+      id: '41', name: 'Reopen', from: [], to: '1', type: 'global',
+    },
+  ],
+};
+
+function fakeJira() {
+  return {
+    searches: [],
+    async searchWorkflows(options) {
+      this.searches.push(options);
+      const workflow = { ...SOFTWARE, id: { name: options.workflowName } };
+      return { values: options.workflowName === 'Missing' ? [] : [workflow] };
+    },
+    listStatus: async () => STATUSES,
+    getProjectWorkflowScheme: async () => ({
+      values: [{
+        projectIds: ['100'],
+        workflowScheme: {
+          defaultWorkflow: 'Software',
+          issueTypeMappings: { 10: 'Bugs', 11: 'Bugs' },
+        },
+      }],
+    }),
+  };
+}
+
+describe('Workflow Graph Tests', () => {
+  const graph = WorkflowGraph.fromWorkflow(SOFTWARE, STATUSES);
+
+  it('builds statuses and transitions from a workflow search result', () => {
+    expect(graph.name).to.eql('Software');
+    expect(graph.status('done')).to.eql({
+      id: '5',
+      name: 'Done',
+      category: { key: 'done', name: 'Done' },
+    });
+    expect(graph.status({ id: 3 }).name).to.eql('In Progress');
+    expect(graph.transitions[2].conditions).to.eql([{ type: 'PermissionCondition' }]);
+    expect(graph.transitionsFrom('In Progress').map((x) => x.name)).to.eql([
+      'Review',
+      'Skip review',
+      'Reopen',
+    ]);
+  });
+
+  it('finds the shortest path, through global transitions too', () => {
+    expect(graph.shortestPath('To Do', 'Done').map((x) => x.name)).to.eql(['Start', 'Skip review']);
+    expect(graph.shortestPath('5', '1').map((x) => x.name)).to.eql(['Reopen']);
+    expect(graph.shortestPath('1', ['4', '5']).map((x) => x.name)).to.eql(['Start', 'Review']);
+    expect(graph.shortestPath('1', '1')).to.eql([]);
+    expect(graph.shortestPath('1', 'Archived')).to.eql(null);
+    expect(() => graph.shortestPath('1', 'Nope'))
+      .to.throw(JiraNotFoundError, 'Status Nope is not part of workflow Software');
+  });
+
+  it('lists every path between two statuses, shortest first', () => {
+    expect(graph.pathsBetween('To Do', 'Done').map((path) => path.map((x) => x.name))).to.eql([
+      ['Start', 'Skip review'],
+      ['Start', 'Review', 'Approve'],
+    ]);
+    expect(graph.pathsBetween('To Do', 'Done', { maxLength: 2 })).to.have.length(1);
+    expect(graph.pathsBetween('To Do', 'Done', { maxPaths: 1 })).to.have.length(1);
+    expect(graph.pathsBetween('To Do', 'Archived')).to.eql([]);
+  });
+
+  it('stops listing paths at maxPaths when global transitions connect every status', () => {
+    const ids = Array.from({ length: 15 }, (x, index) => String(index + 1));
+    const connected = new WorkflowGraph({
+      name: 'Anything goes',
+      statuses: ids.map((id) => ({ id, name: `Status ${id}`, category: null })),
+      transitions: ids.map((id) => ({
+        id, name: `To ${id}`, type: 'global', from: [], to: id, conditions: [],
+      })),
+    });
+
+    const paths = connected.pathsBetween('1', '2');
+
+    expect(paths).to.have.length(100);
+    expect(paths[0].map((x) => x.name)).to.eql(['To 2']);
+    expect(paths[99]).to.have.length(3);
+  });
+
+  it('detects unreachable statuses', () => {
+    expect(graph.initialStatuses().map((x) => x.name)).to.eql(['To Do']);
+    expect(graph.reachableFrom('Done').map((x) => x.id)).to.eql(['1', '3', '4', '5']);
+    expect(graph.unreachableStatuses().map((x) => x.name)).to.eql(['Archived']);
+  });
+
+  it('renders Mermaid and DOT', () => {
+    const small = new WorkflowGraph({
+      name: 'Small "one"',
+      statuses: [
+        { id: '1', name: 'Open', category: { key: 'new', name: 'To Do' } },
+        { id: '2', name: 'Closed', category: null },
+      ],
+      transitions: [
+        {
+          id: '1', name: 'Create', type: 'initial', from: [], to: '1', conditions: [],
+        },
+        {
+          id: '2', name: 'Close: now', type: 'directed', from: ['1'], to: '2', conditions: [],
+        },
+        {
+          id: '3', name: 'Reopen', type: 'global', from: [], to: '1', conditions: [],
+        },
+      ],
+    });
+
+    expect(small.toMermaid()).to.eql([
+      'stateDiagram-v2',
+      '  state "Open" as s1',
+      '  state "Closed" as s2',
+      '  [*] --> s1',
+      '  s1 --> s2 : Close  now',
+      '  s2 --> s1 : Reopen',
+    ].join('\n'));
+    expect(small.toDot()).to.eql([
+      'digraph "Small \\"one\\"" {',
+      '  s1 [label="Open", style=filled, fillcolor=lightgrey];',
+      '  s2 [label="Closed"];',
+      '  s1 -> s2 [label="Close: now"];',
+      '  s2 -> s1 [label="Reopen"];',
+      '}',
+    ].join('\n'));
+  });
+
+  it('loads a workflow with its status categories', async () => {
+    const jira = fakeJira();
+
+    const loaded = await loadWorkflowGraph(jira, 'Software');
+
+    expect(jira.searches).to.eql([{
+      workflowName: 'Software',
+      expand: 'transitions,transitions.rules,statuses',
+    }]);
+    expect(loaded.status('In Review').category.key).to.eql('indeterminate');
+    await loadWorkflowGraph(jira, 'Missing')
+      .should.eventually.be.rejectedWith(JiraNotFoundError, 'Workflow Missing could not be found');
+  });
+
+  it('loads every workflow of a project', async () => {
+    const workflows = await loadProjectWorkflowGraphs(fakeJira(), '100');
+
+    expect(Object.keys(workflows)).to.eql(['Software', 'Bugs']);
+    expect(workflows.Software.default).to.eql(true);
+    expect(workflows.Software.issueTypes).to.eql([]);
+    expect(workflows.Bugs.default).to.eql(false);
+    expect(workflows.Bugs.issueTypes).to.eql(['10', '11']);
+  });
+});